@@ -26,6 +26,25 @@ function parseBoolean(envValue, defaultValue) {
     return envValue.toLowerCase() === 'true';
 }
 
+/**
+ * 解析组合策略的子策略分配: "类型:预算:优先级,类型:预算:优先级"
+ * 例如 "hourly_arbitrage:200:3,lp_making:100:2"，优先级缺省为 2 (NORMAL)
+ */
+function parseStrategyAllocations(envValue, defaultValue) {
+    return (envValue || defaultValue)
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => {
+            const [type, budget, priority] = item.split(':').map(part => part.trim());
+            return {
+                type: type.toLowerCase(),
+                budget: parseNumber(budget, 0),
+                priority: parseNumber(priority, 2)
+            };
+        });
+}
+
 /**
  * LP做市策略配置
  */
@@ -62,6 +81,17 @@ export const hourlyArbitrageConfig = {
     arbitrageAmount: parseNumber(process.env.HOURLY_ARBITRAGE_AMOUNT, 10),
     minPriceThreshold: parseNumber(process.env.HOURLY_ARBITRAGE_MIN_PRICE_THRESHOLD, 0.90),
     maxPriceThreshold: parseNumber(process.env.HOURLY_ARBITRAGE_MAX_PRICE_THRESHOLD, 0.985),
+    slippage: parseNumber(process.env.HOURLY_ARBITRAGE_SLIPPAGE, 0.01), // 报价到成交之间可接受的滑点
+    maxPriceImpact: parseNumber(process.env.HOURLY_ARBITRAGE_MAX_PRICE_IMPACT, 0.01), // 单笔买入可接受的价格冲击，超过时缩小下单金额
+    minTradeAmount: parseNumber(process.env.HOURLY_ARBITRAGE_MIN_TRADE_AMOUNT, 1), // 缩小后低于该金额 (USDC) 则放弃
+
+    // 公允价值模型
+    minEdge: parseNumber(process.env.HOURLY_ARBITRAGE_MIN_EDGE, 0.02), // 公允概率下界减去含手续费成本后至少要有的优势
+    feeRate: parseNumber(process.env.HOURLY_ARBITRAGE_FEE_RATE, 0.02), // 评估时估算的 AMM 手续费率，下单时按链上报价复核
+    maxSpotAge: parseNumber(process.env.HOURLY_ARBITRAGE_MAX_SPOT_AGE, 10000), // Pyth 现价允许的最大延迟 (毫秒)
+    volatilityWindow: parseNumber(process.env.HOURLY_ARBITRAGE_VOLATILITY_WINDOW, 3600000), // 已实现波动率样本窗口 (毫秒)
+    minVolatilitySamples: parseNumber(process.env.HOURLY_ARBITRAGE_MIN_VOLATILITY_SAMPLES, 60), // 样本不足时使用默认波动率
+    volatilityUncertainty: parseNumber(process.env.HOURLY_ARBITRAGE_VOLATILITY_UNCERTAINTY, 0.25), // 波动率估计的相对误差，用于置信区间
     
     // 策略级仓位控制 - 新增配置
     maxConcurrentPositions: parseNumber(process.env.HOURLY_ARBITRAGE_MAX_CONCURRENT_POSITIONS, 1), // 策略级可同时执行仓位数量上限
@@ -86,7 +116,8 @@ export const priceArbitrageConfig = {
     // 交易参数
     arbitrageAmount: parseNumber(process.env.PRICE_ARBITRAGE_AMOUNT, 5), // 单次下单金额
     slippage: parseNumber(process.env.PRICE_ARBITRAGE_SLIPPAGE, 0.2), // 滑点
-    profit: parseNumber(process.env.PRICE_ARBITRAGE_PROFIT, 0.2), // 利润率
+    profit: parseNumber(process.env.PRICE_ARBITRAGE_PROFIT, 0.2), // 利润率，按报价回款达到成本的 1 + profit 倍时卖出
+    maxPriceImpact: parseNumber(process.env.PRICE_ARBITRAGE_MAX_PRICE_IMPACT, 0.05), // 单笔买入可接受的价格冲击，超过时缩小下单金额
 
     // 时间配置
     scanInterval: parseNumber(process.env.PRICE_ARBITRAGE_SCAN_INTERVAL, 60000), // 1分钟
@@ -99,9 +130,168 @@ export const priceArbitrageConfig = {
     
     // 账户级仓位控制 - 保持向后兼容
     maxAccountPositions: parseNumber(process.env.PRICE_ARBITRAGE_MAX_ACCOUNT_POSITIONS, 1), // 单个账户最大仓位数
-    
+
 }
 
+/**
+ * 价差做市策略配置
+ */
+export const spreadMakingConfig = {
+    // 基础配置
+    enabled: parseBoolean(process.env.SPREAD_MAKING_ENABLED, false),
+    maxRetries: parseNumber(process.env.SPREAD_MAKING_MAX_RETRIES, 3),
+    retryDelay: parseNumber(process.env.SPREAD_MAKING_RETRY_DELAY, 1000),
+
+    // 报价参数（价格按 YES 计价）
+    quoteSize: parseNumber(process.env.SPREAD_MAKING_QUOTE_SIZE, 20), // 每侧挂单份额
+    spreadWidth: parseNumber(process.env.SPREAD_MAKING_SPREAD_WIDTH, 0.04), // 买卖报价的总宽度，买价 = 中间价 - 宽度/2
+    requoteThreshold: parseNumber(process.env.SPREAD_MAKING_REQUOTE_THRESHOLD, 0.01), // 当前中间价与报价时的中间价相差超过该值时重新报价
+    minMidPrice: parseNumber(process.env.SPREAD_MAKING_MIN_MID_PRICE, 0.1), // 中间价低于该值的市场不报价
+    maxMidPrice: parseNumber(process.env.SPREAD_MAKING_MAX_MID_PRICE, 0.9), // 中间价高于该值的市场不报价
+
+    // 库存与市场数量
+    maxInventory: parseNumber(process.env.SPREAD_MAKING_MAX_INVENTORY, 100), // 单个市场净库存上限（YES 份额 - NO 份额的绝对值）
+    maxMarkets: parseNumber(process.env.SPREAD_MAKING_MAX_MARKETS, 3), // 同时报价的市场数量
+
+    // 时间配置 (毫秒)
+    minTimeToExpiry: parseNumber(process.env.SPREAD_MAKING_MIN_TIME_TO_EXPIRY, 3600000), // 1小时，距到期不足时不开始报价
+    cancelBeforeExpiry: parseNumber(process.env.SPREAD_MAKING_CANCEL_BEFORE_EXPIRY, 600000), // 10分钟，距到期不足时撤销全部报价
+    executionInterval: parseNumber(process.env.SPREAD_MAKING_EXECUTION_INTERVAL, 60000), // 1分钟，选择市场
+    requoteInterval: parseNumber(process.env.SPREAD_MAKING_REQUOTE_INTERVAL, 5000), // 5秒，检查中间价和到期时间
+};
+
+/**
+ * 动量策略配置
+ */
+export const momentumConfig = {
+    // 基础配置
+    enabled: parseBoolean(process.env.MOMENTUM_ENABLED, false),
+    maxRetries: parseNumber(process.env.MOMENTUM_MAX_RETRIES, 3),
+    retryDelay: parseNumber(process.env.MOMENTUM_RETRY_DELAY, 1000),
+
+    // 信号参数（价格按 YES 计价）
+    lookback: parseNumber(process.env.MOMENTUM_LOOKBACK, 600000), // 10分钟，计算涨跌幅的时间窗口
+    minMove: parseNumber(process.env.MOMENTUM_MIN_MOVE, 0.05), // 窗口内 YES 价格至少变动多少才算趋势
+    minTrades: parseNumber(process.env.MOMENTUM_MIN_TRADES, 5), // 窗口内至少需要的成交笔数
+    confirmTrades: parseNumber(process.env.MOMENTUM_CONFIRM_TRADES, 3), // 最近几笔成交都要保持在变动之后的价位才确认
+
+    // 交易参数
+    tradeAmount: parseNumber(process.env.MOMENTUM_TRADE_AMOUNT, 10), // 单次买入金额 (USDC)
+    minEntryPrice: parseNumber(process.env.MOMENTUM_MIN_ENTRY_PRICE, 0.05), // 买入代币的预期成交价下限
+    maxEntryPrice: parseNumber(process.env.MOMENTUM_MAX_ENTRY_PRICE, 0.9), // 买入代币的预期成交价上限
+    takeProfit: parseNumber(process.env.MOMENTUM_TAKE_PROFIT, 0.15), // 止盈率，按卖出预期成交价相对买入均价计算
+    stopLoss: parseNumber(process.env.MOMENTUM_STOP_LOSS, 0.08), // 止损率
+    maxPositions: parseNumber(process.env.MOMENTUM_MAX_POSITIONS, 3), // 同时持有的仓位数，每个市场最多一个
+    maxWatchedMarkets: parseNumber(process.env.MOMENTUM_MAX_WATCHED_MARKETS, 10), // 拉取成交的市场数量
+
+    // 时间配置 (毫秒)
+    maxHoldingTime: parseNumber(process.env.MOMENTUM_MAX_HOLDING_TIME, 7200000), // 2小时，超过后平仓
+    minTimeToExpiry: parseNumber(process.env.MOMENTUM_MIN_TIME_TO_EXPIRY, 3600000), // 1小时，距到期不足时不开仓
+    exitBeforeExpiry: parseNumber(process.env.MOMENTUM_EXIT_BEFORE_EXPIRY, 900000), // 15分钟，距到期不足时平仓
+    cooldown: parseNumber(process.env.MOMENTUM_COOLDOWN, 1800000), // 30分钟，平仓后同一市场的冷却时间
+    historyWindow: parseNumber(process.env.MOMENTUM_HISTORY_WINDOW, 3600000), // 1小时，保留的成交历史
+    feedPollInterval: parseNumber(process.env.MOMENTUM_FEED_POLL_INTERVAL, 15000), // 15秒，拉取成交
+    executionInterval: parseNumber(process.env.MOMENTUM_EXECUTION_INTERVAL, 60000), // 1分钟，更新关注市场
+    positionCheckInterval: parseNumber(process.env.MOMENTUM_POSITION_CHECK_INTERVAL, 10000), // 10秒，检查止盈止损
+};
+
+/**
+ * 均值回归策略配置
+ */
+export const meanReversionConfig = {
+    // 基础配置
+    enabled: parseBoolean(process.env.MEAN_REVERSION_ENABLED, false),
+    maxRetries: parseNumber(process.env.MEAN_REVERSION_MAX_RETRIES, 3),
+    retryDelay: parseNumber(process.env.MEAN_REVERSION_RETRY_DELAY, 1000),
+
+    // 信号参数（价格按 YES 计价）
+    maWindow: parseNumber(process.env.MEAN_REVERSION_MA_WINDOW, 1800000), // 30分钟，均线窗口
+    entryDeviation: parseNumber(process.env.MEAN_REVERSION_ENTRY_DEVIATION, 0.06), // 最新成交价偏离均线多少时反向开仓
+    minTrades: parseNumber(process.env.MEAN_REVERSION_MIN_TRADES, 10), // 均线窗口内至少需要的成交笔数
+
+    // 交易参数
+    tradeAmount: parseNumber(process.env.MEAN_REVERSION_TRADE_AMOUNT, 10), // 单次买入金额 (USDC)
+    minEntryPrice: parseNumber(process.env.MEAN_REVERSION_MIN_ENTRY_PRICE, 0.05), // 买入代币的预期成交价下限
+    maxEntryPrice: parseNumber(process.env.MEAN_REVERSION_MAX_ENTRY_PRICE, 0.9), // 买入代币的预期成交价上限
+    takeProfit: parseNumber(process.env.MEAN_REVERSION_TAKE_PROFIT, 0.08), // 止盈率，按卖出预期成交价相对买入均价计算
+    stopLoss: parseNumber(process.env.MEAN_REVERSION_STOP_LOSS, 0.08), // 止损率
+    maxPositions: parseNumber(process.env.MEAN_REVERSION_MAX_POSITIONS, 3), // 同时持有的仓位数，每个市场最多一个
+    maxWatchedMarkets: parseNumber(process.env.MEAN_REVERSION_MAX_WATCHED_MARKETS, 10), // 拉取成交的市场数量
+
+    // 时间配置 (毫秒)
+    maxHoldingTime: parseNumber(process.env.MEAN_REVERSION_MAX_HOLDING_TIME, 3600000), // 1小时，超过后平仓
+    minTimeToExpiry: parseNumber(process.env.MEAN_REVERSION_MIN_TIME_TO_EXPIRY, 3600000), // 1小时，距到期不足时不开仓
+    exitBeforeExpiry: parseNumber(process.env.MEAN_REVERSION_EXIT_BEFORE_EXPIRY, 900000), // 15分钟，距到期不足时平仓
+    cooldown: parseNumber(process.env.MEAN_REVERSION_COOLDOWN, 1800000), // 30分钟，平仓后同一市场的冷却时间
+    historyWindow: parseNumber(process.env.MEAN_REVERSION_HISTORY_WINDOW, 3600000), // 1小时，保留的成交历史，不能小于均线窗口
+    feedPollInterval: parseNumber(process.env.MEAN_REVERSION_FEED_POLL_INTERVAL, 15000), // 15秒，拉取成交
+    executionInterval: parseNumber(process.env.MEAN_REVERSION_EXECUTION_INTERVAL, 60000), // 1分钟，更新关注市场
+    positionCheckInterval: parseNumber(process.env.MEAN_REVERSION_POSITION_CHECK_INTERVAL, 10000), // 10秒，检查止盈止损
+};
+
+/**
+ * 成交量异动策略配置
+ */
+export const volumeSpikeConfig = {
+    // 基础配置
+    enabled: parseBoolean(process.env.VOLUME_SPIKE_ENABLED, false),
+    maxRetries: parseNumber(process.env.VOLUME_SPIKE_MAX_RETRIES, 3),
+    retryDelay: parseNumber(process.env.VOLUME_SPIKE_RETRY_DELAY, 1000),
+
+    // 异动时的操作: follow（顺着成交方向开仓）/ widen（加宽价差做市报价）/ pull（撤下价差做市报价）
+    action: (process.env.VOLUME_SPIKE_ACTION || 'follow').toLowerCase(),
+
+    // 检测参数
+    window: parseNumber(process.env.VOLUME_SPIKE_WINDOW, 120000), // 2分钟，检测窗口
+    baselineWindow: parseNumber(process.env.VOLUME_SPIKE_BASELINE_WINDOW, 1800000), // 30分钟，检测窗口之前的基准窗口
+    volumeMultiple: parseNumber(process.env.VOLUME_SPIKE_VOLUME_MULTIPLE, 4), // 成交额达到基准的倍数
+    countMultiple: parseNumber(process.env.VOLUME_SPIKE_COUNT_MULTIPLE, 4), // 成交笔数达到基准的倍数
+    minVolume: parseNumber(process.env.VOLUME_SPIKE_MIN_VOLUME, 50), // 检测窗口内的最小成交额 (USDC)
+    minTrades: parseNumber(process.env.VOLUME_SPIKE_MIN_TRADES, 3), // 检测窗口内的最少成交笔数
+
+    // 跟随成交参数
+    minImbalance: parseNumber(process.env.VOLUME_SPIKE_MIN_IMBALANCE, 0.6), // 净成交额占比，低于该值时方向不明确，不开仓
+    tradeAmount: parseNumber(process.env.VOLUME_SPIKE_TRADE_AMOUNT, 10), // 单次买入金额 (USDC)
+    minEntryPrice: parseNumber(process.env.VOLUME_SPIKE_MIN_ENTRY_PRICE, 0.05), // 买入代币的预期成交价下限
+    maxEntryPrice: parseNumber(process.env.VOLUME_SPIKE_MAX_ENTRY_PRICE, 0.9), // 买入代币的预期成交价上限
+    takeProfit: parseNumber(process.env.VOLUME_SPIKE_TAKE_PROFIT, 0.1), // 止盈率
+    stopLoss: parseNumber(process.env.VOLUME_SPIKE_STOP_LOSS, 0.08), // 止损率
+    maxPositions: parseNumber(process.env.VOLUME_SPIKE_MAX_POSITIONS, 3), // 同时持有的仓位数，每个市场最多一个
+    maxWatchedMarkets: parseNumber(process.env.VOLUME_SPIKE_MAX_WATCHED_MARKETS, 10), // 跟随成交时拉取成交的市场数量
+
+    // 报价保护参数
+    quoteWidenBy: parseNumber(process.env.VOLUME_SPIKE_QUOTE_WIDEN_BY, 0.04), // 加宽时增加的报价宽度
+    quoteGuardDuration: parseNumber(process.env.VOLUME_SPIKE_QUOTE_GUARD_DURATION, 600000), // 10分钟，加宽 / 撤下报价的时长
+
+    // 时间配置 (毫秒)
+    maxHoldingTime: parseNumber(process.env.VOLUME_SPIKE_MAX_HOLDING_TIME, 1800000), // 30分钟，超过后平仓
+    minTimeToExpiry: parseNumber(process.env.VOLUME_SPIKE_MIN_TIME_TO_EXPIRY, 3600000), // 1小时，距到期不足时不开仓
+    exitBeforeExpiry: parseNumber(process.env.VOLUME_SPIKE_EXIT_BEFORE_EXPIRY, 900000), // 15分钟，距到期不足时平仓
+    cooldown: parseNumber(process.env.VOLUME_SPIKE_COOLDOWN, 1800000), // 30分钟，同一市场两次操作的间隔
+    historyWindow: parseNumber(process.env.VOLUME_SPIKE_HISTORY_WINDOW, 3600000), // 1小时，保留的成交历史，不能小于检测窗口 + 基准窗口
+    feedPollInterval: parseNumber(process.env.VOLUME_SPIKE_FEED_POLL_INTERVAL, 10000), // 10秒，拉取成交
+    executionInterval: parseNumber(process.env.VOLUME_SPIKE_EXECUTION_INTERVAL, 60000), // 1分钟，更新关注市场
+    positionCheckInterval: parseNumber(process.env.VOLUME_SPIKE_POSITION_CHECK_INTERVAL, 10000), // 10秒，检查止盈止损
+};
+
+/**
+ * 组合策略配置
+ * 子策略由组合策略创建和启动，不要同时单独启用
+ */
+export const multiStrategyConfig = {
+    // 基础配置
+    enabled: parseBoolean(process.env.MULTI_STRATEGY_ENABLED, false),
+    maxRetries: parseNumber(process.env.MULTI_STRATEGY_MAX_RETRIES, 3),
+    retryDelay: parseNumber(process.env.MULTI_STRATEGY_RETRY_DELAY, 1000),
+
+    // 子策略及其预算 (USDC) 和优先级 (1-4，数值越大越优先)
+    children: parseStrategyAllocations(process.env.MULTI_STRATEGY_CHILDREN, 'hourly_arbitrage:200:3,lp_making:100:2'),
+    totalCapital: parseNumber(process.env.MULTI_STRATEGY_TOTAL_CAPITAL, 0), // 子策略共用的总资金，0 表示只按各自预算限制
+
+    // 时间配置 (毫秒)
+    executionInterval: parseNumber(process.env.MULTI_STRATEGY_EXECUTION_INTERVAL, 60000), // 1分钟，释放到期市场占用的资金
+};
+
 /**
  * 通用策略配置
  */
@@ -133,7 +323,12 @@ export function getAllStrategyConfigs() {
     return {
         general: generalStrategyConfig,
         lpMaking: lpMakingConfig,
-        hourlyArbitrage: hourlyArbitrageConfig
+        hourlyArbitrage: hourlyArbitrageConfig,
+        spreadMaking: spreadMakingConfig,
+        momentum: momentumConfig,
+        meanReversion: meanReversionConfig,
+        volumeSpike: volumeSpikeConfig,
+        multiStrategy: multiStrategyConfig
     };
 }
 
@@ -164,6 +359,140 @@ export function validateConfigs() {
     if (hourlyArbitrageConfig.minPriceThreshold >= hourlyArbitrageConfig.maxPriceThreshold) {
         errors.push('HOURLY_ARBITRAGE_MIN_PRICE_THRESHOLD 必须小于 HOURLY_ARBITRAGE_MAX_PRICE_THRESHOLD');
     }
+
+    if (hourlyArbitrageConfig.feeRate < 0 || hourlyArbitrageConfig.feeRate >= 1) {
+        errors.push('HOURLY_ARBITRAGE_FEE_RATE 必须在 0 到 1 之间');
+    }
+
+    if (hourlyArbitrageConfig.volatilityUncertainty < 0 || hourlyArbitrageConfig.volatilityUncertainty >= 1) {
+        errors.push('HOURLY_ARBITRAGE_VOLATILITY_UNCERTAINTY 必须在 0 到 1 之间');
+    }
+
+    // 验证价差做市策略配置
+    if (spreadMakingConfig.quoteSize <= 0) {
+        errors.push('SPREAD_MAKING_QUOTE_SIZE 必须大于 0');
+    }
+
+    if (spreadMakingConfig.spreadWidth <= 0 || spreadMakingConfig.spreadWidth >= 1) {
+        errors.push('SPREAD_MAKING_SPREAD_WIDTH 必须在 0 到 1 之间');
+    }
+
+    if (spreadMakingConfig.minMidPrice >= spreadMakingConfig.maxMidPrice) {
+        errors.push('SPREAD_MAKING_MIN_MID_PRICE 必须小于 SPREAD_MAKING_MAX_MID_PRICE');
+    }
+
+    if (spreadMakingConfig.maxInventory < spreadMakingConfig.quoteSize) {
+        errors.push('SPREAD_MAKING_MAX_INVENTORY 不能小于 SPREAD_MAKING_QUOTE_SIZE');
+    }
+
+    if (spreadMakingConfig.minTimeToExpiry <= spreadMakingConfig.cancelBeforeExpiry) {
+        errors.push('SPREAD_MAKING_MIN_TIME_TO_EXPIRY 必须大于 SPREAD_MAKING_CANCEL_BEFORE_EXPIRY');
+    }
+
+    // 验证动量 / 均值回归 / 成交量异动策略配置
+    for (const [prefix, trendConfig] of [['MOMENTUM', momentumConfig], ['MEAN_REVERSION', meanReversionConfig], ['VOLUME_SPIKE', volumeSpikeConfig]]) {
+        if (trendConfig.tradeAmount <= 0) {
+            errors.push(`${prefix}_TRADE_AMOUNT 必须大于 0`);
+        }
+
+        if (trendConfig.minEntryPrice >= trendConfig.maxEntryPrice) {
+            errors.push(`${prefix}_MIN_ENTRY_PRICE 必须小于 ${prefix}_MAX_ENTRY_PRICE`);
+        }
+
+        if (trendConfig.takeProfit <= 0) {
+            errors.push(`${prefix}_TAKE_PROFIT 必须大于 0`);
+        }
+
+        if (trendConfig.stopLoss <= 0 || trendConfig.stopLoss >= 1) {
+            errors.push(`${prefix}_STOP_LOSS 必须在 0 到 1 之间`);
+        }
+
+        if (trendConfig.minTimeToExpiry <= trendConfig.exitBeforeExpiry) {
+            errors.push(`${prefix}_MIN_TIME_TO_EXPIRY 必须大于 ${prefix}_EXIT_BEFORE_EXPIRY`);
+        }
+    }
+
+    if (momentumConfig.lookback > momentumConfig.historyWindow) {
+        errors.push('MOMENTUM_LOOKBACK 不能大于 MOMENTUM_HISTORY_WINDOW');
+    }
+
+    if (momentumConfig.confirmTrades < 1 || momentumConfig.confirmTrades > momentumConfig.minTrades) {
+        errors.push('MOMENTUM_CONFIRM_TRADES 必须在 1 到 MOMENTUM_MIN_TRADES 之间');
+    }
+
+    if (meanReversionConfig.maWindow > meanReversionConfig.historyWindow) {
+        errors.push('MEAN_REVERSION_MA_WINDOW 不能大于 MEAN_REVERSION_HISTORY_WINDOW');
+    }
+
+    if (meanReversionConfig.entryDeviation <= 0) {
+        errors.push('MEAN_REVERSION_ENTRY_DEVIATION 必须大于 0');
+    }
+
+    if (!['follow', 'widen', 'pull'].includes(volumeSpikeConfig.action)) {
+        errors.push('VOLUME_SPIKE_ACTION 必须是 follow、widen 或 pull');
+    }
+
+    if (volumeSpikeConfig.window + volumeSpikeConfig.baselineWindow > volumeSpikeConfig.historyWindow) {
+        errors.push('VOLUME_SPIKE_WINDOW + VOLUME_SPIKE_BASELINE_WINDOW 不能大于 VOLUME_SPIKE_HISTORY_WINDOW');
+    }
+
+    if (volumeSpikeConfig.volumeMultiple <= 1 || volumeSpikeConfig.countMultiple <= 1) {
+        errors.push('VOLUME_SPIKE_VOLUME_MULTIPLE 和 VOLUME_SPIKE_COUNT_MULTIPLE 必须大于 1');
+    }
+
+    if (volumeSpikeConfig.minImbalance <= 0 || volumeSpikeConfig.minImbalance > 1) {
+        errors.push('VOLUME_SPIKE_MIN_IMBALANCE 必须在 0 到 1 之间');
+    }
+
+    // 验证组合策略配置（只检查启用时）
+    if (multiStrategyConfig.enabled) {
+        // 可以作为子策略的策略（下单前会申请资金）
+        const childConfigs = {
+            hourly_arbitrage: ['HOURLY_ARBITRAGE_ENABLED', hourlyArbitrageConfig],
+            lp_making: ['LP_MAKING_ENABLED', lpMakingConfig],
+            momentum: ['MOMENTUM_ENABLED', momentumConfig],
+            mean_reversion: ['MEAN_REVERSION_ENABLED', meanReversionConfig],
+            volume_spike: ['VOLUME_SPIKE_ENABLED', volumeSpikeConfig]
+        };
+
+        if (multiStrategyConfig.children.length === 0) {
+            errors.push('MULTI_STRATEGY_CHILDREN 不能为空');
+        }
+
+        const seen = new Set();
+        for (const child of multiStrategyConfig.children) {
+            if (!childConfigs[child.type]) {
+                errors.push(`MULTI_STRATEGY_CHILDREN 不支持子策略 ${child.type}，可选: ${Object.keys(childConfigs).join(', ')}`);
+                continue;
+            }
+            if (seen.has(child.type)) {
+                errors.push(`MULTI_STRATEGY_CHILDREN 中 ${child.type} 重复`);
+                continue;
+            }
+            seen.add(child.type);
+
+            if (child.budget <= 0) {
+                errors.push(`MULTI_STRATEGY_CHILDREN 中 ${child.type} 的预算必须大于 0`);
+            }
+            if (child.priority < 1 || child.priority > 4) {
+                errors.push(`MULTI_STRATEGY_CHILDREN 中 ${child.type} 的优先级必须在 1 到 4 之间`);
+            }
+
+            const [enabledKey, childConfig] = childConfigs[child.type];
+            if (childConfig.enabled) {
+                errors.push(`${child.type} 已作为组合策略的子策略运行，不能同时设置 ${enabledKey}=true`);
+            }
+
+            // 组合策略中没有价差做市子策略，成交量异动只能跟随成交
+            if (child.type === 'volume_spike' && volumeSpikeConfig.action !== 'follow') {
+                errors.push(`volume_spike 作为组合策略的子策略时 VOLUME_SPIKE_ACTION 只能是 follow（${volumeSpikeConfig.action} 需要价差做市策略）`);
+            }
+        }
+
+        if (multiStrategyConfig.totalCapital < 0) {
+            errors.push('MULTI_STRATEGY_TOTAL_CAPITAL 不能小于 0');
+        }
+    }
     
     // 验证通用配置
     if (generalStrategyConfig.maxTotalInvestment <= 0) {
@@ -201,8 +530,39 @@ export function printConfigSummary() {
     console.log(`  启用状态: ${hourlyArbitrageConfig.enabled ? '✅' : '❌'}`);
     console.log(`  套利金额: ${hourlyArbitrageConfig.arbitrageAmount} USDC`);
     console.log(`  价格区间: ${(hourlyArbitrageConfig.minPriceThreshold * 100).toFixed(1)}% - ${(hourlyArbitrageConfig.maxPriceThreshold * 100).toFixed(1)}%`);
+    console.log(`  最小优势: ${(hourlyArbitrageConfig.minEdge * 100).toFixed(1)}% (手续费 ${(hourlyArbitrageConfig.feeRate * 100).toFixed(1)}%)`);
     console.log(`  策略级最大仓位: ${hourlyArbitrageConfig.maxConcurrentPositions} (策略级上限)`);
     console.log(`  账户级最大仓位: ${hourlyArbitrageConfig.maxAccountPositions} (单账户上限)`);
+
+    console.log('\n📏 价差做市策略:');
+    console.log(`  启用状态: ${spreadMakingConfig.enabled ? '✅' : '❌'}`);
+    console.log(`  每侧份额: ${spreadMakingConfig.quoteSize}`);
+    console.log(`  报价宽度: ${(spreadMakingConfig.spreadWidth * 100).toFixed(1)}% (重新报价阈值 ${(spreadMakingConfig.requoteThreshold * 100).toFixed(1)}%)`);
+    console.log(`  库存上限: ${spreadMakingConfig.maxInventory} 份`);
+    console.log(`  最大市场数: ${spreadMakingConfig.maxMarkets}`);
+
+    console.log('\n📈 动量策略:');
+    console.log(`  启用状态: ${momentumConfig.enabled ? '✅' : '❌'}`);
+    console.log(`  开仓条件: ${momentumConfig.lookback / 60000} 分钟内变动 ≥ ${(momentumConfig.minMove * 100).toFixed(1)}%，最近 ${momentumConfig.confirmTrades} 笔成交确认`);
+    console.log(`  单次金额: ${momentumConfig.tradeAmount} USDC`);
+    console.log(`  止盈 / 止损: ${(momentumConfig.takeProfit * 100).toFixed(1)}% / ${(momentumConfig.stopLoss * 100).toFixed(1)}%，最长持有 ${momentumConfig.maxHoldingTime / 60000} 分钟`);
+
+    console.log('\n📉 均值回归策略:');
+    console.log(`  启用状态: ${meanReversionConfig.enabled ? '✅' : '❌'}`);
+    console.log(`  开仓条件: 偏离 ${meanReversionConfig.maWindow / 60000} 分钟均线 ≥ ${(meanReversionConfig.entryDeviation * 100).toFixed(1)}%`);
+    console.log(`  单次金额: ${meanReversionConfig.tradeAmount} USDC`);
+    console.log(`  止盈 / 止损: ${(meanReversionConfig.takeProfit * 100).toFixed(1)}% / ${(meanReversionConfig.stopLoss * 100).toFixed(1)}%，最长持有 ${meanReversionConfig.maxHoldingTime / 60000} 分钟`);
+
+    console.log('\n🌊 成交量异动策略:');
+    console.log(`  启用状态: ${volumeSpikeConfig.enabled ? '✅' : '❌'}`);
+    console.log(`  异动条件: ${volumeSpikeConfig.window / 60000} 分钟内成交额 ≥ 基准 ${volumeSpikeConfig.volumeMultiple} 倍或笔数 ≥ 基准 ${volumeSpikeConfig.countMultiple} 倍 (基准 ${volumeSpikeConfig.baselineWindow / 60000} 分钟)`);
+    console.log(`  异动操作: ${volumeSpikeConfig.action}`);
+    console.log(`  单次金额: ${volumeSpikeConfig.tradeAmount} USDC，冷却 ${volumeSpikeConfig.cooldown / 60000} 分钟`);
+
+    console.log('\n🧩 组合策略:');
+    console.log(`  启用状态: ${multiStrategyConfig.enabled ? '✅' : '❌'}`);
+    console.log(`  子策略: ${multiStrategyConfig.children.map(child => `${child.type} (预算 ${child.budget} USDC, 优先级 ${child.priority})`).join('，')}`);
+    console.log(`  总资金: ${multiStrategyConfig.totalCapital > 0 ? `${multiStrategyConfig.totalCapital} USDC` : '不限制'}`);
     
     console.log('================\n');
 }
@@ -210,6 +570,11 @@ export function printConfigSummary() {
 export default {
     lpMaking: lpMakingConfig,
     hourlyArbitrage: hourlyArbitrageConfig,
+    spreadMaking: spreadMakingConfig,
+    momentum: momentumConfig,
+    meanReversion: meanReversionConfig,
+    volumeSpike: volumeSpikeConfig,
+    multiStrategy: multiStrategyConfig,
     general: generalStrategyConfig,
     getAllConfigs: getAllStrategyConfigs,
     validate: validateConfigs,
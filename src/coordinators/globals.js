@@ -2,4 +2,7 @@ export const globals = {
 	markets: [],
 	accounts: [],
 	posistions: null,
+	orderTracker: null,
+	redemptionService: null,
+	positionReconciler: null,
 };
@@ -0,0 +1,327 @@
+/**
+ * AMM 报价引擎 - 基于 FPMM（FixedProductMarketMaker）合约的精确报价
+ * 成交数量以合约的 calcBuyAmount / calcSellAmount 为准，
+ * 价格冲击、仓位规模和全部卖出的回款用池子余额按 FPMM 公式离线计算，
+ * 按目标滑点给出最少买入份额（min-out）和最多卖出份额（max-in）
+ *
+ * 金额和份额均为最小单位（6 位小数）的 BigInt，价格为 0-1 的小数
+ */
+
+import { ethers } from 'ethers';
+
+import { config } from './config.js';
+
+const ONE = 10n ** 18n;
+const BPS = 10000n;
+const PARENT_COLLECTION_ID = ethers.ZeroHash;
+
+const FPMM_ABI = [
+    'function fee() view returns (uint256)',
+    'function collateralToken() view returns (address)',
+    'function conditionalTokens() view returns (address)',
+    'function conditionIds(uint256) view returns (bytes32)',
+    'function calcBuyAmount(uint256 investmentAmount, uint256 outcomeIndex) view returns (uint256)',
+    'function calcSellAmount(uint256 returnAmount, uint256 outcomeIndex) view returns (uint256)'
+];
+
+const CONDITIONAL_TOKENS_ABI = [
+    'function getCollectionId(bytes32 parentCollectionId, bytes32 conditionId, uint256 indexSet) view returns (bytes32)',
+    'function getPositionId(address collateralToken, bytes32 collectionId) pure returns (uint256)',
+    'function balanceOfBatch(address[] owners, uint256[] ids) view returns (uint256[])'
+];
+
+const OUTCOME_COUNT = 2;
+
+function ceilDiv(x, y) {
+    return x > 0n ? (x - 1n) / y + 1n : 0n;
+}
+
+function toBps(slippage) {
+    return BigInt(Math.round(Number(slippage) * 10000));
+}
+
+/**
+ * 投入 investmentAmount 可买到的份额（与 FPMM.calcBuyAmount 一致）
+ * @param {Array<bigint>} balances - 池子中各结果的代币余额
+ * @param {bigint} fee - 手续费率（1e18 = 100%）
+ */
+export function calcBuyAmount(balances, fee, investmentAmount, outcomeIndex) {
+    const investment = BigInt(investmentAmount);
+    const investmentMinusFees = investment - investment * fee / ONE;
+    const buyTokenPoolBalance = balances[outcomeIndex];
+
+    let endingOutcomeBalance = buyTokenPoolBalance * ONE;
+    balances.forEach((poolBalance, index) => {
+        if (index !== outcomeIndex) {
+            endingOutcomeBalance = ceilDiv(endingOutcomeBalance * poolBalance, poolBalance + investmentMinusFees);
+        }
+    });
+    if (endingOutcomeBalance <= 0n) {
+        throw new Error('池子余额不足，无法报价');
+    }
+
+    return buyTokenPoolBalance + investmentMinusFees - ceilDiv(endingOutcomeBalance, ONE);
+}
+
+/**
+ * 取回 returnAmount 需要卖出的份额（与 FPMM.calcSellAmount 一致）
+ * @param {Array<bigint>} balances - 池子中各结果的代币余额
+ * @param {bigint} fee - 手续费率（1e18 = 100%）
+ */
+export function calcSellAmount(balances, fee, returnAmount, outcomeIndex) {
+    const returnAmountPlusFees = ceilDiv(BigInt(returnAmount) * ONE, ONE - fee);
+    const sellTokenPoolBalance = balances[outcomeIndex];
+
+    let endingOutcomeBalance = sellTokenPoolBalance * ONE;
+    balances.forEach((poolBalance, index) => {
+        if (index !== outcomeIndex) {
+            if (poolBalance <= returnAmountPlusFees) {
+                throw new Error('回款超过池子余额');
+            }
+            endingOutcomeBalance = ceilDiv(endingOutcomeBalance * poolBalance, poolBalance - returnAmountPlusFees);
+        }
+    });
+
+    return returnAmountPlusFees + ceilDiv(endingOutcomeBalance, ONE) - sellTokenPoolBalance;
+}
+
+/**
+ * 各结果的边际价格：p_i = Π(j≠i) b_j / Σ_k Π(j≠k) b_j
+ */
+export function calcSpotPrices(balances) {
+    const weights = balances.map((_, i) =>
+        balances.reduce((product, balance, j) => (j === i ? product : product * balance), 1n)
+    );
+    const total = weights.reduce((sum, weight) => sum + weight, 0n);
+    if (total === 0n) {
+        return balances.map(() => null);
+    }
+    return weights.map(weight => Number(weight * ONE / total) / 1e18);
+}
+
+export class AmmQuoteEngine {
+    /**
+     * @param {ethers.Provider} provider - 链上只读 provider
+     * @param {Object} options
+     * @param {number} options.slippage - 默认滑点（小数）
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.slippage = options.slippage ?? config.AMM.DEFAULT_SLIPPAGE;
+
+        // 合约地址 -> { fee, conditionalTokens, positionIds }，部署后不变
+        this.poolMeta = new Map();
+    }
+
+    getContract(address) {
+        return new ethers.Contract(address, FPMM_ABI, this.provider);
+    }
+
+    /**
+     * 读取池子的手续费和各结果的 positionId（按合约缓存）
+     */
+    async getPoolMeta(address) {
+        const key = address.toLowerCase();
+        if (this.poolMeta.has(key)) {
+            return this.poolMeta.get(key);
+        }
+
+        const fpmm = this.getContract(address);
+        const [fee, collateralToken, conditionalTokensAddress, conditionId] = await Promise.all([
+            fpmm.fee(),
+            fpmm.collateralToken(),
+            fpmm.conditionalTokens(),
+            fpmm.conditionIds(0)
+        ]);
+
+        const conditionalTokens = new ethers.Contract(conditionalTokensAddress, CONDITIONAL_TOKENS_ABI, this.provider);
+        const positionIds = await Promise.all(Array.from({ length: OUTCOME_COUNT }, async (_, index) => {
+            const collectionId = await conditionalTokens.getCollectionId(PARENT_COLLECTION_ID, conditionId, 1n << BigInt(index));
+            return conditionalTokens.getPositionId(collateralToken, collectionId);
+        }));
+
+        const meta = { fee, conditionId, conditionalTokens, positionIds };
+        this.poolMeta.set(key, meta);
+        return meta;
+    }
+
+    /**
+     * 读取池子当前状态
+     * @returns {Object} { address, fee, balances, spotPrices }
+     */
+    async getPoolState(address) {
+        const meta = await this.getPoolMeta(address);
+        const balances = await meta.conditionalTokens.balanceOfBatch(
+            meta.positionIds.map(() => address),
+            meta.positionIds
+        );
+
+        const poolBalances = balances.map(balance => BigInt(balance));
+        return {
+            address,
+            fee: meta.fee,
+            balances: poolBalances,
+            spotPrices: calcSpotPrices(poolBalances)
+        };
+    }
+
+    /**
+     * 买入报价
+     * @param {string} address - 市场合约地址
+     * @param {bigint|number|string} investmentAmount - 投入 USDC（最小单位）
+     * @param {number} outcomeIndex - 0=YES 1=NO
+     * @param {Object} options
+     * @param {number} options.slippage - 可接受滑点（小数）
+     * @returns {Object} { investmentAmount, expectedTokens, minOutcomeTokensToBuy, avgPrice, spotPrice, priceImpact, feeAmount }
+     */
+    async quoteBuy(address, investmentAmount, outcomeIndex, { slippage = this.slippage } = {}) {
+        const investment = BigInt(investmentAmount);
+        const [state, expectedTokens] = await Promise.all([
+            this.getPoolState(address),
+            this.getContract(address).calcBuyAmount(investment, outcomeIndex)
+        ]);
+
+        if (expectedTokens <= 0n) {
+            throw new Error(`买入报价为 0 (${address}, outcome ${outcomeIndex})`);
+        }
+
+        const feeAmount = investment * state.fee / ONE;
+        const spotPrice = state.spotPrices[outcomeIndex];
+        // 价格冲击不含手续费
+        const netPrice = Number(investment - feeAmount) / Number(expectedTokens);
+
+        return {
+            address,
+            outcomeIndex,
+            investmentAmount: investment,
+            expectedTokens,
+            minOutcomeTokensToBuy: expectedTokens * (BPS - toBps(slippage)) / BPS,
+            avgPrice: Number(investment) / Number(expectedTokens),
+            spotPrice,
+            priceImpact: spotPrice ? netPrice / spotPrice - 1 : null,
+            feeAmount,
+            slippage
+        };
+    }
+
+    /**
+     * 卖出报价：取回指定金额需要卖出多少份额
+     * @param {string} address - 市场合约地址
+     * @param {bigint|number|string} returnAmount - 取回 USDC（最小单位）
+     * @param {number} outcomeIndex - 0=YES 1=NO
+     * @param {Object} options
+     * @param {number} options.slippage - 可接受滑点（小数）
+     * @returns {Object} { returnAmount, expectedTokensToSell, maxOutcomeTokensToSell, avgPrice, spotPrice, priceImpact, feeAmount }
+     */
+    async quoteSell(address, returnAmount, outcomeIndex, { slippage = this.slippage } = {}) {
+        const amount = BigInt(returnAmount);
+        const [state, expectedTokensToSell] = await Promise.all([
+            this.getPoolState(address),
+            this.getContract(address).calcSellAmount(amount, outcomeIndex)
+        ]);
+
+        return this.buildSellQuote(state, address, amount, expectedTokensToSell, outcomeIndex, slippage);
+    }
+
+    /**
+     * 卖出持有份额时可以要求的最大回款
+     * 留出滑点空间：按报价需要卖出的份额加上滑点后不超过持有份额
+     * @param {string} address - 市场合约地址
+     * @param {bigint|number|string} tokenAmount - 持有份额（最小单位）
+     * @param {number} outcomeIndex - 0=YES 1=NO
+     * @param {Object} options
+     * @param {number} options.slippage - 可接受滑点（小数）
+     * @returns {Object} 同 quoteSell，maxOutcomeTokensToSell 不超过持有份额
+     */
+    async quoteSellAll(address, tokenAmount, outcomeIndex, { slippage = this.slippage } = {}) {
+        const tokens = BigInt(tokenAmount);
+        const state = await this.getPoolState(address);
+        const budget = tokens * BPS / (BPS + toBps(slippage));
+
+        // 回款必须小于其他结果的池子余额（扣除手续费后）
+        const minOther = state.balances.reduce((min, balance, index) =>
+            index !== outcomeIndex && (min === null || balance < min) ? balance : min, null);
+        let low = 0n;
+        let high = minOther > 0n ? (minOther - 1n) * (ONE - state.fee) / ONE : 0n;
+
+        // 二分查找卖出份额不超过 budget 的最大回款
+        while (low < high) {
+            const mid = (low + high + 1n) / 2n;
+            if (calcSellAmount(state.balances, state.fee, mid, outcomeIndex) <= budget) {
+                low = mid;
+            } else {
+                high = mid - 1n;
+            }
+        }
+
+        if (low === 0n) {
+            throw new Error(`持有份额太少，无法卖出 (${address}, outcome ${outcomeIndex})`);
+        }
+
+        const expectedTokensToSell = await this.getContract(address).calcSellAmount(low, outcomeIndex);
+        const quote = this.buildSellQuote(state, address, low, expectedTokensToSell, outcomeIndex, slippage);
+        if (quote.maxOutcomeTokensToSell > tokens) {
+            quote.maxOutcomeTokensToSell = tokens;
+        }
+        return quote;
+    }
+
+    /**
+     * 价格冲击不超过 maxPriceImpact 的最大投入金额
+     * @param {string} address - 市场合约地址
+     * @param {number} outcomeIndex - 0=YES 1=NO
+     * @param {bigint|number|string} maxInvestment - 投入上限（最小单位）
+     * @param {number} maxPriceImpact - 可接受的价格冲击（小数，不含手续费）
+     * @returns {bigint} 投入金额，池子太浅时为 0
+     */
+    async sizeBuy(address, outcomeIndex, maxInvestment, maxPriceImpact) {
+        const state = await this.getPoolState(address);
+        const spotPrice = state.spotPrices[outcomeIndex];
+        if (!spotPrice) {
+            return 0n;
+        }
+
+        const impactOf = (investment) => {
+            const investmentMinusFees = investment - investment * state.fee / ONE;
+            const tokens = calcBuyAmount(state.balances, state.fee, investment, outcomeIndex);
+            return Number(investmentMinusFees) / Number(tokens) / spotPrice - 1;
+        };
+
+        let low = 0n;
+        let high = BigInt(maxInvestment);
+        if (high > 0n && impactOf(high) <= maxPriceImpact) {
+            return high;
+        }
+
+        while (low < high) {
+            const mid = (low + high + 1n) / 2n;
+            if (impactOf(mid) <= maxPriceImpact) {
+                low = mid;
+            } else {
+                high = mid - 1n;
+            }
+        }
+        return low;
+    }
+
+    buildSellQuote(state, address, returnAmount, expectedTokensToSell, outcomeIndex, slippage) {
+        const spotPrice = state.spotPrices[outcomeIndex];
+        const returnAmountPlusFees = ceilDiv(returnAmount * ONE, ONE - state.fee);
+        const netPrice = Number(returnAmountPlusFees) / Number(expectedTokensToSell);
+
+        return {
+            address,
+            outcomeIndex,
+            returnAmount,
+            expectedTokensToSell,
+            maxOutcomeTokensToSell: ceilDiv(expectedTokensToSell * (BPS + toBps(slippage)), BPS),
+            avgPrice: Number(returnAmount) / Number(expectedTokensToSell),
+            spotPrice,
+            priceImpact: spotPrice ? 1 - netPrice / spotPrice : null,
+            feeAmount: returnAmountPlusFees - returnAmount,
+            slippage
+        };
+    }
+}
+
+export default AmmQuoteEngine;
@@ -3,7 +3,18 @@ import { ethers } from 'ethers';
 import Decimal from 'decimal.js';
 
 import { config } from './config.js';
+import { ApiErrorType, classifyApiError, getRetryDelay } from './api-errors.js';
+import SessionManager from './session-manager.js';
+import OrderBook from './orderbook.js';
+import { Market, MarketValidationError, normalizePrices } from './market.js';
+import { OrderBuilder, ORDER_TYPES, OrderType, generateSalt, toTypedOrder, fromBaseUnits, getLimitOrderTerms, getDefaultLimitOrderType, OrderSide } from './order-builder.js';
+import TransactionManager, { TransactionError } from './transaction-manager.js';
+import ApprovalManager from './approval-manager.js';
+import AmmQuoteEngine from './amm-quote.js';
+import { createSigner, SignerType } from './signers.js';
+import { sleep } from '../utils/common.js';
 import proxyManager from '../managers/proxy-manager.js';
+import rpcManager from '../managers/rpc-manager.js';
 
 // // EIP-712 域数据
 // const domain = {
@@ -15,24 +26,6 @@ import proxyManager from '../managers/proxy-manager.js';
 // };
 
 
-// EIP-712 类型定义
-const types = {
-    Order: [
-        { name: 'salt', type: 'uint256' },
-        { name: 'maker', type: 'address' },
-        { name: 'signer', type: 'address' },
-        { name: 'taker', type: 'address' },
-        { name: 'tokenId', type: 'uint256' },
-        { name: 'makerAmount', type: 'uint256' },
-        { name: 'takerAmount', type: 'uint256' },
-        { name: 'expiration', type: 'uint256' },
-        { name: 'nonce', type: 'uint256' },
-        { name: 'feeRateBps', type: 'uint256' },
-        { name: 'side', type: 'uint8' },
-        { name: 'signatureType', type: 'uint8' }
-    ]
-};
-
 class LimitlessApiClient {
     constructor(accountConfig = null, verifyingContract = '0x5a38afc17f7e97ad8d6c547ddb837e40b4aedfc6') {
         // 代理管理
@@ -42,13 +35,21 @@ class LimitlessApiClient {
         this.accountConfig = accountConfig;
         this.accountId = accountConfig?.id || null;
 
-        this.privateKey = accountConfig?.privateKey || null;
+        // 签名配置：未指定 signer 时使用本地私钥
+        this.signerConfig = accountConfig?.signer
+            || (accountConfig?.privateKey ? { type: SignerType.LOCAL, privateKey: accountConfig.privateKey } : null);
         this.walletAddress = null;
+        // 钱包可以是任意 ethers Signer（本地私钥、keystore、远程签名服务）
         this.wallet = null;
+        // 链上交易统一通过交易管理器发送，授权通过授权管理器按需发送（钱包初始化时创建）
+        this.transactions = null;
+        this.approvals = null;
+        // AMM 报价只读链上状态，不需要私钥（首次使用时创建）
+        this.ammQuotes = null;
 
         this.userId = null;
-        this.isAuthenticated = false;
-        this.sessionCookie = null; // 手动管理session cookie
+        // 会话管理：cookie 过期跟踪、自动续登、登录去重
+        this.session = new SessionManager(() => this.performLogin(), { accountId: this.accountId });
         this.verifyingContract = verifyingContract;
 
         this.domain = {
@@ -57,8 +58,47 @@ class LimitlessApiClient {
             chainId: 8453,
             verifyingContract,
         };
+
+        // 服务端是否支持批量接口：null 未知，false 时直接走单笔并发
+        this.batchSupport = {
+            placeOrders: null,
+            cancelOrders: null,
+            cancelAll: null
+        };
+
+        // 订单跟踪器，由 OrderTracker.registerClient 设置
+        this.orderTracker = null;
+    }
+
+    /**
+     * 当前会话是否有效
+     */
+    get isAuthenticated() {
+        return this.session.isValid();
+    }
+
+    /**
+     * 当前会话 cookie
+     */
+    get sessionCookie() {
+        return this.session.cookie;
     }
 
+    /**
+     * 获取会话状态
+     */
+    getSessionState() {
+        return this.session.getState();
+    }
+
+    /**
+     * 发送 API 请求
+     * 可重试错误（超时、429、5xx、代理连接失败）按指数退避重试，并更换代理；
+     * 非幂等请求只在确定未到达服务端时重试；需要认证的请求收到 401 时重新登录并重放一次
+     * @param {Object} options - 请求参数
+     * @param {number} options.retries - 最大重试次数，默认 API_MAX_RETRIES
+     * @param {boolean} options.idempotent - 是否幂等，默认仅 GET 为幂等
+     */
     async request(options) {
         const {
             method = 'get',
@@ -67,65 +107,109 @@ class LimitlessApiClient {
             params = null,
             needAuth = false,
             useProxy = false,
-            headers = {}
+            headers = {},
+            retries = config.API.MAX_RETRIES,
+            idempotent = method.toLowerCase() === 'get'
         } = options;
 
         if (needAuth) {
             await this.ensureAuthenticated();
         }
 
+        // 本次请求已失败的代理，重试时换用其他代理
+        const failedProxyIds = [];
+        let reauthenticated = false;
+
+        for (let attempt = 1; ; attempt++) {
+            const proxyConfig = useProxy ? await this.proxyManager.createProxyConfig(failedProxyIds) : {};
+            const proxyId = proxyConfig.httpsAgent ? proxyConfig.proxyId : null;
+            const usedCookie = this.session.cookie;
+
+            try {
+                const response = await this.sendRequest({ method, url, data, params, needAuth, headers, proxyConfig });
+
+                if (proxyId !== null) {
+                    this.proxyManager.markProxySuccess(proxyId);
+                }
+
+                return response;
+            } catch (error) {
+                const apiError = classifyApiError(error, { url, method, proxyId });
+
+                // 上报故障代理；429、5xx 等可能是按出口 IP 限流，重试时同样换用其他代理
+                if (proxyId !== null && apiError.isProxyFault()) {
+                    this.proxyManager.markProxyError(proxyId);
+                }
+                if (proxyId !== null && apiError.retryable) {
+                    failedProxyIds.push(proxyId);
+                }
+
+                // 会话失效：重新登录后重放请求（不计入重试次数）
+                if (needAuth && !reauthenticated && apiError.type === ApiErrorType.AUTH && apiError.status === 401) {
+                    reauthenticated = true;
+                    attempt--;
+                    console.warn(`🔐 账户 ${this.accountId} 会话已失效，重新登录后重放 ${method.toUpperCase()} ${url}`);
+                    // 其他并发请求已经换过会话时直接重放，不重复登录
+                    if (this.session.cookie === usedCookie) {
+                        this.session.invalidate();
+                    }
+                    await this.session.ensureValid();
+                    continue;
+                }
+
+                if (attempt > retries || !apiError.canRetry(idempotent)) {
+                    throw apiError;
+                }
+
+                const delay = getRetryDelay(attempt, apiError.retryAfter);
+                console.warn(`⚠️ 请求失败 [${apiError.type}] ${method.toUpperCase()} ${url}，${delay}ms 后第 ${attempt} 次重试: ${apiError.message}`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * 发送单次请求（不含重试）
+     */
+    async sendRequest(options) {
+        const { method, url, data, params, needAuth, headers, proxyConfig } = options;
+
         // 组装 headers
         const mergedHeaders = { ...headers };
         if (needAuth && this.sessionCookie) {
             mergedHeaders.Cookie = this.sessionCookie;
         }
 
+        // 超时后中止请求，避免悬挂连接
+        const controller = new AbortController();
+
         // 组装 axios 配置
         let axiosConfig = {
             baseURL: config.API.BASE_URL,
             method,
             url,
             headers: mergedHeaders,
+            signal: controller.signal,
             ...(data ? { data } : {}),
             ...(params ? { params } : {})
         };
 
-        if (useProxy) {
-            const proxyConfig = await this.proxyManager.createProxyConfig();
-            if (proxyConfig.httpsAgent) {
-                axiosConfig.httpsAgent = proxyConfig.httpsAgent;
-                axiosConfig.httpAgent = proxyConfig.httpAgent;
-            }
+        if (proxyConfig.httpsAgent) {
+            axiosConfig.httpsAgent = proxyConfig.httpsAgent;
+            axiosConfig.httpAgent = proxyConfig.httpAgent;
         }
 
-        let timerId;
-        const timeoutPromise = new Promise((_, reject) => {
-            timerId = setTimeout(() => reject(new Error('Request timeout')), config.API.TIMEOUT);
-        });
+        const timerId = setTimeout(() => controller.abort(), config.API.TIMEOUT);
 
         try {
-            const response = await Promise.race([
-                axios.request(axiosConfig),
-                timeoutPromise,
-            ])
-
-            // 如果有 set-cookie，更新 sessionCookie
-            if (response.headers['set-cookie']) {
-                const cookies = response.headers['set-cookie'];
-                const sessionCookie = cookies.find(cookie => cookie.startsWith('limitless_session='));
-                if (sessionCookie) {
-                    this.sessionCookie = sessionCookie.split(';')[0];
-                }
-            }
+            const response = await axios.request(axiosConfig);
+
+            // 如果有 set-cookie，更新会话 cookie 及过期时间
+            this.session.updateFromSetCookie(response.headers['set-cookie']);
             return { 
                 success: response.status == 200 || response.status == 201,
                 data: response.data,
             }
-        } catch (error) {
-            if (error.response && error.response.data) {
-                throw new Error(JSON.stringify(error.response.data));
-            }
-            throw new Error(error);
         } finally {
             clearTimeout(timerId);
         }
@@ -139,14 +223,16 @@ class LimitlessApiClient {
             return;
         }
 
-        if (!this.privateKey) {
-            throw new Error(`账户 ${this.accountId || 'unknown'} 缺少私钥配置`);
+        if (!this.signerConfig) {
+            throw new Error(`账户 ${this.accountId || 'unknown'} 缺少签名配置`);
         }
 
         try {
-            const provider = new ethers.JsonRpcProvider(config.RPC_URL);
-            this.wallet = new ethers.Wallet(this.privateKey, provider);
+            // 所有账户共用 RPC 管理器的 provider
+            this.wallet = await createSigner(this.signerConfig, rpcManager.getProvider());
             this.walletAddress = await this.wallet.getAddress();
+            this.transactions = new TransactionManager(this.wallet, { accountId: this.accountId });
+            this.approvals = new ApprovalManager(this.wallet, this.transactions, { accountId: this.accountId });
         } catch (error) {
             console.error(`❌ 账户钱包初始化失败 (${this.accountId}): ${error.message}`);
             throw new Error(`账户钱包初始化失败: ${error.message}`);
@@ -162,8 +248,7 @@ class LimitlessApiClient {
             await this.initializeWallet();
         }
 
-        const provider = new ethers.JsonRpcProvider(config.RPC_URL);
-        const nonce = await provider.getTransactionCount(this.walletAddress, 'latest');
+        const nonce = await rpcManager.getProvider().getTransactionCount(this.walletAddress, 'latest');
         return nonce;
     }
 
@@ -199,6 +284,7 @@ Nonce: ${nonce}`;
 
     /**
      * 执行登录认证
+     * 直接调用会立即登录；一般应通过 ensureAuthenticated() 由会话管理器统一调度
      */
     async performLogin() {
         try {
@@ -215,6 +301,7 @@ Nonce: ${nonce}`;
                 method: 'post',
                 url: '/auth/login',
                 data: { client: "eoa" },
+                idempotent: true,
                 headers: {
                     'accept': 'application/json, text/plain, */*',
                     'content-type': 'application/json',
@@ -226,8 +313,9 @@ Nonce: ${nonce}`;
 
             // console.log(response.data)
             this.userId = response.data.id;
+            this.session.userId = this.userId;
 
-            return response
+            return { ...response, userId: this.userId };
         } catch (error) {
             console.error(`❌ 账户 ${this.accountId} 登录失败:`, error.message);
             throw new Error(`Login failed: ${error.message}`);
@@ -238,14 +326,14 @@ Nonce: ${nonce}`;
      * 确保已认证
      */
     async ensureAuthenticated() {
-        if (this.isAuthenticated && this.userId) {
+        if (this.session.isValid()) {
             return;
         }
 
         try {
-            const loginResult = await this.performLogin();
-            if (!loginResult.success) {
-                throw new Error('Authentication failed');
+            await this.session.ensureValid();
+            if (!this.session.cookie) {
+                throw new Error('登录响应中没有会话 cookie');
             }
         } catch (error) {
             throw new Error(`Authentication failed: ${error.message}`);
@@ -341,7 +429,9 @@ Nonce: ${nonce}`;
 
             // 转换为旧格式的映射，用于兼容现有代码
             const categoryMaps = {};
+            const categoryNames = {};
             for (const category of categories) {
+                categoryNames[category.id] = category.name;
                 // if (['Weekly Strikes'].includes(category.name)) {
                     categoryMaps[category.id] = 0;
                 // }
@@ -352,6 +442,7 @@ Nonce: ${nonce}`;
 
             let allMarkets = [];
             let totalMarketsCount = 0;
+            const invalidMarkets = [];
 
             // 2. 为每个分类创建代理配置
             const categoryEntries = Object.entries(categoryMaps);
@@ -393,90 +484,24 @@ Nonce: ${nonce}`;
             // 5. 处理结果
             for (const result of categoryResults) {
                 if (result.status === 'fulfilled' && result.value.success) {
-                    const { markets } = result.value;
+                    const { categoryId, markets } = result.value;
                     totalMarketsCount += markets.length;
 
-                    // 处理每个市场项目 - 兼容三种市场结构
+                    // 处理每个市场项目 - 统一转换为 Market（分组市场展开为子市场）
                     for (const item of markets) {
-                        const baseMarket = {
-                            tags: item.tags,
-                            categories: item.categories,
-                            expired: item.expired,
-                            expirationTimestamp: item.expirationTimestamp,
-                            endDate: new Date(item.expirationTimestamp).toISOString(),
-                            metadata: item.metadata,
-                        };
-
-                        // 情况1: 直接有tokens字段的市场（单一市场结构）
-                        if (item.tokens) {
-                            allMarkets.push({
-                                ...baseMarket,
-                                title: item.title,
-                                id: item.conditionId,
-                                conditionId: item.conditionId,
-                                tokens: item.tokens,
-                                address: null,
-                                prices: this.extractPriceData(item.prices),
-                                tradePrices: item.tradePrices,
-                                isRewardable: item.isRewardable || false,
-                                settings: item.settings,
-                                slug: item.slug,
-                            });
-
-                            continue;
-                        }
-
-                        // 情况2: 有markets子数组的市场（多子市场结构）
-                        if (item.markets && item.markets.length > 0) {
-                            for (const subMarket of item.markets) {
-                                if (subMarket.tokens) {
-                                    // let feedPrices = null
-                                    // if (item.feedEvents) {
-                                    //     const trades = item.feedEvents.filter(event => event.data.slug == subMarket.slug);
-                                    //     feedPrices = this.getPriceFromTrades(trades);
-                                    // }
-                                    allMarkets.push({
-                                        ...baseMarket,
-                                        title: `${item.title} ${subMarket.title}`,
-                                        id: subMarket.conditionId,
-                                        conditionId: subMarket.conditionId,
-                                        tokens: subMarket.tokens,
-                                        address: null,
-                                        prices: this.extractPriceData(subMarket.prices),
-                                        tradePrices: subMarket.tradePrices,
-                                        isRewardable: subMarket.isRewardable || false,
-                                        settings: subMarket.settings,
-                                        slug: subMarket.slug,
-                                    });
+                        try {
+                            allMarkets.push(...Market.listFromApi(item, {
+                                category: categoryNames[categoryId],
+                                onInvalid: (error) => {
+                                    invalidMarkets.push({ categoryId, slug: error.slug, field: error.field, message: error.message });
                                 }
+                            }));
+                        } catch (error) {
+                            if (!(error instanceof MarketValidationError)) {
+                                throw error;
                             }
-
-                            continue;
-                        }
-
-                        // 情况3: 有conditionId但没有tokens的市场（需要获取address合约地址）
-                        if (item.conditionId && !item.tokens) {
-                            try {
-                                if (item.address && item.prices) {
-                                    allMarkets.push({
-                                        ...baseMarket,
-                                        title: item.title,
-                                        id: item.conditionId,
-                                        conditionId: item.conditionId,
-                                        tokens: null,
-                                        address: item.address, // 合约地址，用于下单
-                                        prices: this.extractPriceData(item.prices),
-                                        tradePrices: item.tradePrices,
-                                        isRewardable: item.isRewardable || false,
-                                        settings: item.settings,
-                                        slug: item.slug,
-                                    });
-                                }
-                            } catch (error) {
-                                // 跳过有问题的市场
-                                console.warn(`跳过有问题的市场: ${item.title}, 错误: ${error.message}`);
-                                continue;
-                            }
+                            // 接口结构变化时跳过该市场，并记录原因
+                            invalidMarkets.push({ categoryId, slug: item?.slug, field: error.field, message: error.message });
                         }
                     }
                 } else if (result.status === 'fulfilled' && !result.value.success) {
@@ -487,12 +512,16 @@ Nonce: ${nonce}`;
                 }
             }
 
+            if (invalidMarkets.length > 0) {
+                console.warn(`⚠️ ${invalidMarkets.length}/${totalMarketsCount} 个市场数据结构无效，已跳过`);
+                for (const invalid of invalidMarkets.slice(0, 5)) {
+                    console.warn(`   ├─ [${invalid.field || 'unknown'}] ${invalid.message}`);
+                }
+            }
+
             // 6. 过滤基本条件的市场（只过滤未过期的市场）
-            const now = new Date();
-            const filteredMarkets = allMarkets.filter(market =>
-                !market.expired &&
-                new Date(market.endDate) > now
-            );
+            const now = Date.now();
+            const filteredMarkets = allMarkets.filter(market => !market.isExpired(now));
 
             return filteredMarkets;
 
@@ -524,13 +553,7 @@ Nonce: ${nonce}`;
      * 提取市场价格数据
      */
     extractPriceData(prices) {
-        const yesPrice = new Decimal(prices[0])
-        const noPrice = new Decimal(prices[1])
-
-        return {
-            YES: yesPrice > 1 ? yesPrice.div(100).toNumber() : yesPrice.toNumber(),
-            NO: noPrice > 1 ? noPrice.div(100).toNumber() : noPrice.toNumber(),
-        }
+        return normalizePrices(prices)
     }
 
     /**
@@ -549,8 +572,11 @@ Nonce: ${nonce}`;
 
     /**
      * 获取订单簿 - 使用slug获取实时价格数据（公共接口，无需认证）
+     * @returns {Promise<OrderBook|null>} 归一化后的订单簿，获取失败时为 null
      */
     async getOrderbook(slug, useProxy = true) {
+        const fetchedAt = Date.now();
+
         try {
             const response = await this.request({
                 method: 'get',
@@ -560,11 +586,11 @@ Nonce: ${nonce}`;
             })
 
             if (response.success) {
-                return response.data;
+                return OrderBook.fromApi(slug, response.data, fetchedAt);
             } else {
-                console.error('❌ Failed to fetch orderbook for ${slug}:')
+                console.error(`❌ Failed to fetch orderbook for ${slug}:`)
                 console.error(response)
-                return []
+                return null
             }
         } catch (error) {
             console.error(`❌ Failed to fetch orderbook for ${slug}:`, error.message);
@@ -574,6 +600,7 @@ Nonce: ${nonce}`;
 
     /**
      * 批量获取订单簿
+     * @returns {Promise<Object>} slug -> OrderBook（获取失败为 null）
      */
     async getMultipleOrderbooks(slugs, useProxy = true) {
         // 创建每个 slug 的请求 promise
@@ -606,22 +633,9 @@ Nonce: ${nonce}`;
         }
 
         // 创建签名用的订单对象，移除 price 字段
-        const orderForSigning = {
-            salt: BigInt(order.salt),
-            maker: order.maker,
-            signer: order.signer,
-            taker: order.taker,
-            tokenId: BigInt(order.tokenId),
-            makerAmount: BigInt(order.makerAmount),
-            takerAmount: BigInt(order.takerAmount),
-            expiration: BigInt(order.expiration),
-            nonce: BigInt(order.nonce),
-            feeRateBps: BigInt(order.feeRateBps),
-            side: order.side,
-            signatureType: order.signatureType
-        };
+        const orderForSigning = toTypedOrder(order);
 
-        const signature = await this.wallet.signTypedData(this.domain, types, orderForSigning);
+        const signature = await this.wallet.signTypedData(this.domain, ORDER_TYPES, orderForSigning);
 
         return signature;
     }
@@ -630,81 +644,106 @@ Nonce: ${nonce}`;
      * 生成随机 salt
      */
     generateSalt() {
-        return Math.floor(Math.random() * 1000000000000);
+        return generateSalt();
     }
 
     /**
-     * 创建市价单订单数据
-     * @param {Object} params - 订单参数
-     * @param {string} params.tokenId - 代币ID
-     * @param {number} params.makerAmount - USDC金额（微单位，1 USDC = 1000000）
-     * @param {number} params.side - 买卖方向（0=买，1=卖）
+     * 创建订单构建器（按市场设置对齐 tick size、校验最小份额、读取手续费率）
+     * @param {Object} market - Market 实例，不传时使用配置默认值
      */
-    async createMarketOrder(params) {
+    async getOrderBuilder(market = null) {
         if (!this.wallet) {
             await this.initializeWallet();
         }
 
-        const { tokenId, makerAmount, side } = params;
+        return new OrderBuilder({ maker: this.walletAddress, market });
+    }
 
-        return {
-            salt: this.generateSalt(),
-            maker: this.walletAddress,
-            signer: this.walletAddress,
-            taker: '0x0000000000000000000000000000000000000000',
-            tokenId: tokenId,
-            makerAmount: makerAmount.toString(), // 签名时用字符串
-            takerAmount: '1',
-            expiration: '0',
-            nonce: 0,
-            feeRateBps: '300',
-            side: side,
-            signatureType: 0
-        };
+    /**
+     * 创建市价单订单数据
+     * @param {Object} params - 订单参数
+     * @param {string} params.tokenId - 代币ID
+     * @param {number} params.makerAmount - 买入时为 USDC 金额，卖出时为份额（微单位，1 USDC = 1000000）
+     * @param {number} params.usdcAmount - makerAmount 的别名
+     * @param {number} params.side - 买卖方向（0=买，1=卖）
+     * @param {string} params.orderType - FOK（默认）或 IOC
+     * @param {Object} params.market - 市场（读取最小份额和手续费率）
+     */
+    async createMarketOrder(params) {
+        const { tokenId, side, market, orderType = OrderType.FOK } = params;
+        const amount = fromBaseUnits(params.makerAmount ?? params.usdcAmount ?? 0);
+
+        const builder = await this.getOrderBuilder(market);
+        return builder.buildMarketOrder({
+            tokenId,
+            side,
+            orderType,
+            ...(side === OrderSide.BUY ? { usdcAmount: amount } : { shares: amount })
+        });
     }
 
     /**
      * 创建限价单订单数据
      * @param {Object} params - 订单参数
      * @param {string} params.tokenId - 代币ID
-     * @param {number} params.price - 单价（美元）
-     * @param {number} params.quantity - 数量
+     * @param {number} params.price - 单价（美元），按市场 tick size 对齐
+     * @param {number} params.quantity - 数量（份额），不能低于市场最小份额
      * @param {number} params.side - 买卖方向（0=买，1=卖）
+     * @param {string} params.orderType - GTC / GTD / IOC / FOK，默认设置了 expiration 时为 GTD，否则为 GTC
+     * @param {number} params.expiration - 过期时间（Unix 秒），只有 GTD 可以设置
+     * @param {boolean} params.postOnly - 只挂单，会立即成交时拒绝
+     * @param {OrderBook} params.orderbook - 当前订单簿，postOnly 时用于检查是否会立即成交
+     * @param {Object} params.market - 市场（读取 tick size、最小份额和手续费率）
      */
     async createLimitOrder(params) {
-        if (!this.wallet) {
-            await this.initializeWallet();
-        }
+        const { tokenId, price, quantity, side, expiration = 0, postOnly = false, orderbook = null, market } = params;
+        const orderType = params.orderType || getDefaultLimitOrderType(expiration);
 
-        const { tokenId, price, quantity, side, makerAmount, takerAmount } = params;
+        const builder = await this.getOrderBuilder(market);
+        return builder.buildLimitOrder({ tokenId, price, quantity, side, orderType, expiration: Number(expiration || 0), postOnly, orderbook });
+    }
 
-        // 计算 makerAmount: 美分单价 * 购买数量，然后换算成 USDC
-        if (!makerAmount) {
-            makerAmount = Math.floor(price * 100 * quantity * 10000); // 转换为 USDC 微单位
+    /**
+     * postOnly 订单没有传入订单簿时获取当前订单簿，用于下单前检查是否会立即成交
+     */
+    async resolvePostOnlyOrderbook(params) {
+        if (!params.postOnly || params.orderbook) {
+            return params.orderbook || null;
         }
 
-        // 计算 takerAmount: 100美分 * 数量，然后换算成 USDC
-        if (!takerAmount) {
-            takerAmount = Math.floor(100 * quantity * 10000); // 转换为 USDC 微单位
+        const orderbook = await this.getOrderbook(params.marketSlug);
+        if (!orderbook) {
+            throw new Error(`无法获取订单簿，postOnly 订单未提交: ${params.marketSlug}`);
         }
+        return orderbook;
+    }
 
-        const order = {
-            salt: this.generateSalt(),
-            maker: this.walletAddress,
-            signer: this.walletAddress,
-            taker: '0x0000000000000000000000000000000000000000',
-            tokenId: tokenId,
-            makerAmount: makerAmount.toString(), // 签名时用字符串
-            takerAmount: takerAmount.toString(), // 签名时用字符串
-            expiration: '0',
-            nonce: 0,
-            feeRateBps: '300',
-            side: side,
-            signatureType: 0,
-            price: price // 保留价格信息用于显示
+    /**
+     * 签名订单并组装 POST /orders 请求体
+     * @param {Object} order - createLimitOrder / createMarketOrder 生成的订单
+     * @param {string} orderType - GTC / GTD / IOC / FOK
+     * @param {string} marketSlug - 市场标识
+     * @param {Object} options
+     * @param {boolean} options.postOnly - 只挂单不吃单
+     */
+    async prepareOrderRequest(order, orderType, marketSlug, { postOnly = false } = {}) {
+        const signature = await this.signOrder(order);
+
+        const orderForAPI = {
+            ...order,
+            makerAmount: parseInt(order.makerAmount),
+            takerAmount: parseInt(order.takerAmount),
+            feeRateBps: parseInt(order.feeRateBps),
+            signature: signature
         };
 
-        return order;
+        return {
+            order: orderForAPI,
+            ownerId: this.userId,
+            orderType,
+            marketSlug,
+            ...(postOnly ? { postOnly: true } : {})
+        };
     }
 
     /**
@@ -713,7 +752,10 @@ Nonce: ${nonce}`;
      * @param {string} params.tokenId - 代币ID
      * @param {number} params.usdcAmount - USDC金额（微单位）
      * @param {number} params.side - 买卖方向（0=买，1=卖）
+     * @param {string} params.orderType - FOK（默认，全部成交否则拒绝）或 IOC（成交能成交的部分）
      * @param {string} params.marketSlug - 市场标识
+     * @param {Object} params.market - 市场（可选，用于下单前校验）
+     * @param {Object} params.metadata - 附带信息（可选），订单跟踪事件中原样返回
      * @param {boolean} params.confirmRealOrder - 必须明确确认这是真实订单
      */
     async placeMarketOrder(params) {
@@ -732,24 +774,8 @@ Nonce: ${nonce}`;
             // 1. 创建市价单
             const order = await this.createMarketOrder(params);
 
-            // 2. 签名订单
-            const signature = await this.signOrder(order);
-
-            // 3. 准备 API 请求数据
-            const orderForAPI = {
-                ...order,
-                makerAmount: parseInt(order.makerAmount),
-                takerAmount: parseInt(order.takerAmount),
-                feeRateBps: parseInt(order.feeRateBps),
-                signature: signature
-            };
-
-            const requestData = {
-                order: orderForAPI,
-                ownerId: this.userId,
-                orderType: 'FOK', // Fill or Kill for market orders
-                marketSlug: params.marketSlug
-            };
+            // 2-3. 签名订单并准备 API 请求数据
+            const requestData = await this.prepareOrderRequest(order, params.orderType || OrderType.FOK, params.marketSlug);
 
             // 4. 发送请求
             const response = await this.request({
@@ -760,6 +786,7 @@ Nonce: ${nonce}`;
                 useProxy: true,
             });
 
+            this.trackSubmittedOrder(requestData, response.data, params.metadata);
             return response;
         } catch (error) {
             console.error('❌ 市价单下单失败:', error.message);
@@ -774,7 +801,13 @@ Nonce: ${nonce}`;
      * @param {number} params.price - 单价（美元）
      * @param {number} params.quantity - 数量
      * @param {number} params.side - 买卖方向（0=买，1=卖）
+     * @param {string} params.orderType - GTC / GTD / IOC / FOK，默认设置了 expiration 时为 GTD，否则为 GTC
+     * @param {number} params.expiration - GTD 过期时间（Unix 秒）
+     * @param {boolean} params.postOnly - 只挂单，下单前对照当前订单簿检查是否会立即成交
+     * @param {OrderBook} params.orderbook - 当前订单簿（可选，postOnly 时不传则自动获取）
      * @param {string} params.marketSlug - 市场标识
+     * @param {Object} params.market - 市场（可选，用于下单前校验）
+     * @param {Object} params.metadata - 附带信息（可选），订单跟踪事件中原样返回
      * @param {boolean} params.confirmRealOrder - 必须明确确认这是真实订单
      */
     async placeLimitOrder(params) {
@@ -790,27 +823,13 @@ Nonce: ${nonce}`;
                 await this.initializeWallet();
             }
 
-            // 1. 创建限价单
-            const order = await this.createLimitOrder(params);
+            // 1. 创建限价单（postOnly 时对照当前订单簿检查）
+            const orderbook = await this.resolvePostOnlyOrderbook(params);
+            const orderType = params.orderType || getDefaultLimitOrderType(params.expiration);
+            const order = await this.createLimitOrder({ ...params, orderType, orderbook });
 
-            // 2. 签名订单
-            const signature = await this.signOrder(order);
-
-            // 3. 准备 API 请求数据
-            const orderForAPI = {
-                ...order,
-                makerAmount: parseInt(order.makerAmount),
-                takerAmount: parseInt(order.takerAmount),
-                feeRateBps: parseInt(order.feeRateBps),
-                signature: signature
-            };
-
-            const requestData = {
-                order: orderForAPI,
-                ownerId: this.userId,
-                orderType: 'GTC', // Good Till Cancelled for limit orders
-                marketSlug: params.marketSlug
-            };
+            // 2-3. 签名订单并准备 API 请求数据
+            const requestData = await this.prepareOrderRequest(order, orderType, params.marketSlug, { postOnly: params.postOnly });
 
             // 4. 发送请求
             const response = await this.request({
@@ -821,16 +840,67 @@ Nonce: ${nonce}`;
                 useProxy: true,
             });
 
+            this.trackSubmittedOrder(requestData, response.data, params.metadata);
             return response;
         } catch (error) {
             throw error;
         }
     }
 
-    async approve(spender, amount) {
+    /**
+     * 把已提交的订单交给订单跟踪器（已通过 OrderTracker.registerClient 注册时）
+     * @param {Object} requestData - prepareOrderRequest 返回的请求体
+     * @param {Object} responseData - 服务端返回的数据
+     * @param {Object} metadata - 调用方附带的信息，跟踪事件中原样返回
+     */
+    trackSubmittedOrder(requestData, responseData, metadata = {}) {
+        if (!this.orderTracker) {
+            return;
+        }
+        this.orderTracker.track(this.accountId, { request: requestData, response: responseData, metadata });
+    }
+
+    /**
+     * 获取交易管理器（必要时初始化钱包）
+     */
+    async getTransactionManager() {
         if (!this.wallet) {
             await this.initializeWallet();
         }
+        return this.transactions;
+    }
+
+    /**
+     * 确保 spender 有足够的 USDC 授权，额度足够时不发送交易
+     * @param {string} spender - 被授权地址
+     * @param {string|number|bigint} amount - 需要的额度（最小单位）
+     * @param {Object} options
+     * @param {string} options.policy - max / exact，默认使用配置
+     * @returns {Object} { approved, allowance, result }
+     */
+    async ensureUsdcAllowance(spender, amount, options = {}) {
+        await this.getTransactionManager();
+        return this.approvals.ensureAllowance(spender, amount, options);
+    }
+
+    /**
+     * 确保 operator 已获得条件代币授权，已授权时不发送交易
+     * @param {string} operator - 被授权地址
+     * @returns {Object} { approved, result }
+     */
+    async ensureConditionalTokenApproval(operator) {
+        await this.getTransactionManager();
+        return this.approvals.ensureApprovalForAll(operator);
+    }
+
+    /**
+     * USDC 授权（直接发送，不检查当前额度）
+     * @param {string} spender - 被授权地址
+     * @param {string|number} amount - 授权额度（最小单位）
+     * @returns {Object} 交易结果
+     */
+    async approve(spender, amount) {
+        const transactions = await this.getTransactionManager();
 
         const erc20Abi = [
             "function approve(address spender, uint256 amount) public returns (bool)"
@@ -838,14 +908,17 @@ Nonce: ${nonce}`;
 
         const tokenAddress = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
         const tokenContract = new ethers.Contract(tokenAddress, erc20Abi, this.wallet);
-        const tx = await tokenContract.approve(spender, amount);
-        return tx;
+        const result = await transactions.sendContractCall(tokenContract, 'approve', [spender, amount], { label: 'USDC 授权' });
+        this.approvals.invalidate(spender);
+        return result;
     }
 
+    /**
+     * 授权 operator 操作本账户的条件代币
+     * @returns {Object} 交易结果
+     */
     async setApproval(operator) {
-        if (!this.wallet) {
-            await this.initializeWallet()
-        }
+        const transactions = await this.getTransactionManager();
 
         // ERC721/1155 ABI片段，只需setApprovalForAll方法
         const abi = [
@@ -857,16 +930,17 @@ Nonce: ${nonce}`;
 
         const approved = true;
 
-        const tx = await contract.setApprovalForAll(operator, approved);
-        return tx;
+        const result = await transactions.sendContractCall(contract, 'setApprovalForAll', [operator, approved], { label: '条件代币授权' });
+        this.approvals.invalidate(operator);
+        return result;
     }
 
+    /**
+     * 赎回已结算市场的仓位
+     * @returns {Object} 交易结果
+     */
     async claimPosition(conditionId) {
-        // throw new Error('禁止调用');
-
-        if (!this.wallet) {
-            await this.initializeWallet();
-        }
+        const transactions = await this.getTransactionManager();
 
         const abi = [
             "function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)"
@@ -879,46 +953,61 @@ Nonce: ${nonce}`;
         const parentCollectionId = "0x0000000000000000000000000000000000000000000000000000000000000000";
         const indexSets = [1, 2];
 
-        const tx = await contract.redeemPositions(
+        const result = await transactions.sendContractCall(contract, 'redeemPositions', [
             collateralToken,
             parentCollectionId,
             conditionId,
             indexSets
-        );
+        ], { label: 'claim' });
 
-        console.log('✅ claim交易已经发送, 哈希: ', tx.hash);
+        console.log('✅ claim交易已确认, 哈希: ', result.hash);
 
-        const receipt = await tx.wait();
+        return result;
+    }
 
-        return receipt;
+    /**
+     * 获取 AMM 报价引擎
+     */
+    getAmmQuoteEngine() {
+        if (!this.ammQuotes) {
+            this.ammQuotes = new AmmQuoteEngine(rpcManager.getProvider());
+        }
+        return this.ammQuotes;
     }
 
     /**
      * Hourly市场下单方法 - 通过合约地址直接下单
+     * 未指定 minOutcomeTokensToBuy 时按合约 calcBuyAmount 报价并扣除滑点
      * @param {Object} params - 订单参数
      * @param {string} params.contractAddress - 合约地址
-     * @param {string|number} params.investmentAmount - 投资金额（最小单位）
-     * @param {string|number} params.pricePerToken - 单价（最小单位）
+     * @param {string|number|bigint} params.investmentAmount - 投资金额（最小单位）
      * @param {number} params.outcomeIndex - 方向（0或1）
+     * @param {number} params.slippage - 可接受滑点（小数），默认使用 AMM_DEFAULT_SLIPPAGE
+     * @param {string|number|bigint} params.minOutcomeTokensToBuy - 最少获得份额（可选，指定后不再报价）
+     * @param {number} params.maxPricePerToken - 报价均价上限（可选，超过时不下单）
      * @param {boolean} params.confirmRealOrder - 必须明确确认这是真实订单
+     * @returns {Object} 交易结果，附带下单前的报价 quote
      */
     async placeHourlyOrder(params) {
-        // throw new Error('禁止调用');
-    
         // 安全检查：必须明确确认这是真实订单
         if (!params.confirmRealOrder) {
             throw new Error('安全检查：您必须设置 confirmRealOrder=true 来下真实订单。这可以防止测试过程中的意外订单下单。');
         }
 
         try {
-            if (!this.wallet) {
-                await this.initializeWallet();
-            }
+            const transactions = await this.getTransactionManager();
 
-            const { contractAddress, investmentAmount, pricePerToken, outcomeIndex, slippage } = params;
+            const { contractAddress, investmentAmount, outcomeIndex, slippage, maxPricePerToken } = params;
 
-            // 计算最少获得的token数量，向下取整
-            const minOutcomeTokensToBuy = Math.floor(Number(investmentAmount) / Number(pricePerToken) * ( 1 - (slippage || 0)));
+            let quote = null;
+            let minOutcomeTokensToBuy = params.minOutcomeTokensToBuy;
+            if (minOutcomeTokensToBuy === undefined) {
+                quote = await this.getAmmQuoteEngine().quoteBuy(contractAddress, investmentAmount, outcomeIndex, { slippage });
+                if (maxPricePerToken && quote.avgPrice > maxPricePerToken) {
+                    throw new Error(`报价均价 ${quote.avgPrice.toFixed(4)} 高于上限 ${maxPricePerToken}（价格冲击 ${(quote.priceImpact * 100).toFixed(2)}%）`);
+                }
+                minOutcomeTokensToBuy = quote.minOutcomeTokensToBuy;
+            }
     
             // 合约ABI - 只包含buy方法
             const abi = [
@@ -928,66 +1017,71 @@ Nonce: ${nonce}`;
             // 创建合约实例
             const contract = new ethers.Contract(contractAddress, abi, this.wallet);
 
-            // 调用合约的buy方法
-            const tx = await contract.buy(
+            // 调用合约的buy方法并等待确认
+            const result = await transactions.sendContractCall(contract, 'buy', [
                 investmentAmount,
                 outcomeIndex,
                 minOutcomeTokensToBuy
-            );
+            ], { label: 'Hourly 买入' });
 
-            // 等待交易确认
-            // const receipt = await tx.wait();
-
-            return tx;
+            // 买入通过 transferFrom 扣款，同步扣减缓存的授权额度
+            this.approvals.recordSpend(contractAddress, investmentAmount);
+            return { ...result, quote };
 
         } catch (error) {
+            if (error instanceof TransactionError) {
+                throw error;
+            }
             throw new Error(`Hourly市场订单失败: ${error.message}`);
         }
     }
 
     /**
      * Hourly市场卖出方法 - 通过合约地址直接下单
+     * 未指定 returnAmount 时按持有份额报价可取回的最大金额；
+     * 只指定 returnAmount 时按合约 calcSellAmount 报价并加上滑点作为卖出上限
      * @param {Object} params - 订单参数
      * @param {string} params.contractAddress - 合约地址
-     * @param {string|number} params.pricePerToken - 单价（最小单位）
      * @param {number} params.outcomeIndex - 方向（0或1）
-     * @param {number} params.maxOutcomeTokensToSell - 卖出份额
+     * @param {string|number|bigint} params.returnAmount - 取回金额（最小单位，可选）
+     * @param {string|number|bigint} params.maxOutcomeTokensToSell - 最多卖出份额（未指定 returnAmount 时为持有份额）
+     * @param {number} params.slippage - 可接受滑点（小数），默认使用 AMM_DEFAULT_SLIPPAGE
      * @param {boolean} params.confirmRealOrder - 必须明确确认这是真实订单
+     * @returns {Object} 交易结果，附带下单前的报价 quote
      */
     async sellByContract(params) {
-        // throw new Error('禁止调用');
-
         // 安全检查：必须明确确认这是真实订单
         if (!params.confirmRealOrder) {
             throw new Error('安全检查：您必须设置 confirmRealOrder=true 来下真实订单。这可以防止测试过程中的意外订单下单。');
         }
 
-        try {
-            if (!this.wallet) {
-                await this.initializeWallet();
-            }
-
-            const { contractAddress, pricePerToken, outcomeIndex, maxOutcomeTokensToSell } = params;
+        const transactions = await this.getTransactionManager();
 
-            // 计算最少获得的token数量，向下取整
-            const returnAmount = params.returnAmount ? params.returnAmount : Math.floor(Number(pricePerToken) * Number(maxOutcomeTokensToSell))
+        const { contractAddress, outcomeIndex, slippage } = params;
+        let { returnAmount, maxOutcomeTokensToSell } = params;
 
-            const abi = [
-                "function sell(uint256 returnAmount, uint256 outcomeIndex, uint256 maxOutcomeTokensToSell) external"
-            ];
+        let quote = null;
+        if (!returnAmount) {
+            quote = await this.getAmmQuoteEngine().quoteSellAll(contractAddress, maxOutcomeTokensToSell, outcomeIndex, { slippage });
+            returnAmount = quote.returnAmount;
+            maxOutcomeTokensToSell = quote.maxOutcomeTokensToSell;
+        } else if (!maxOutcomeTokensToSell) {
+            quote = await this.getAmmQuoteEngine().quoteSell(contractAddress, returnAmount, outcomeIndex, { slippage });
+            maxOutcomeTokensToSell = quote.maxOutcomeTokensToSell;
+        }
 
-            const contract = new ethers.Contract(contractAddress, abi, this.wallet);
+        const abi = [
+            "function sell(uint256 returnAmount, uint256 outcomeIndex, uint256 maxOutcomeTokensToSell) external"
+        ];
 
-            const tx = await contract.sell(
-                returnAmount, 
-                outcomeIndex, 
-                maxOutcomeTokensToSell
-            );
-            return tx
+        const contract = new ethers.Contract(contractAddress, abi, this.wallet);
 
-        } catch (error) {
-            throw error
-        }
+        const result = await transactions.sendContractCall(contract, 'sell', [
+            returnAmount, 
+            outcomeIndex, 
+            maxOutcomeTokensToSell
+        ], { label: 'Hourly 卖出' });
+        return { ...result, quote };
     }
 
     /**
@@ -999,6 +1093,8 @@ Nonce: ${nonce}`;
         const confirmRealOrder = orderData.confirmRealOrder;
         const order = orderData.order;
         const marketSlug = orderData.marketSlug;
+        const market = orderData.market;
+        const { orderType, postOnly, orderbook } = orderData;
         const side = order.side;
         const tokenId = order.tokenId;
 
@@ -1013,20 +1109,14 @@ Nonce: ${nonce}`;
                 usdcAmount: parseInt(order.makerAmount),
                 side,
                 marketSlug,
+                market,
+                orderType,
             });
         } else {
-            let price = order.price;
-            if (!price) {
-                const makerAmount = parseInt(order.makerAmount);
-                const takerAmount = parseInt(order.takerAmount);
-                price = (makerAmount / 1000000) / (takerAmount / 1000000) / 100; // 转换为美元价格
-            }
-
-            let quantity = order.quantity;
-            if (!quantity) {
-                const takerAmount = parseInt(order.takerAmount);
-                quantity = takerAmount / 1000000; // 转换为USDC数量
-            }
+            // 没有显示字段时从金额反推单价和份额
+            const terms = getLimitOrderTerms(order);
+            const price = order.price ?? terms.price;
+            const quantity = order.quantity ?? terms.quantity;
 
             return await this.placeLimitOrder({
                 confirmRealOrder,
@@ -1035,6 +1125,11 @@ Nonce: ${nonce}`;
                 quantity,
                 side,
                 marketSlug,
+                market,
+                expiration: order.expiration,
+                orderType,
+                postOnly,
+                orderbook,
             });
         }
     }
@@ -1059,8 +1154,249 @@ Nonce: ${nonce}`;
         }
     }
 
+    /**
+     * 批量下单
+     * 先在本地构建并并发签名全部订单（校验失败的订单不提交），再通过 /orders/batch 一次提交；
+     * 服务端没有批量接口时退回并发单笔下单，此时不保证全部成功或全部失败
+     * @param {Array<Object>} orders - 每项为 createLimitOrder / createMarketOrder 的参数，另加
+     *   type ('limit' | 'market'，默认 limit)、marketSlug、orderType (默认限价 GTC/GTD、市价 FOK)、postOnly、metadata
+     * @param {Object} options
+     * @param {boolean} options.confirmRealOrder - 必须明确确认这是真实订单
+     * @returns {Object} { success, batched, submitted, failed, results: [{ index, success, orderId, data, error }] }
+     */
+    async placeOrdersBatch(orders, { confirmRealOrder = false, useProxy = true } = {}) {
+        // 安全检查：必须明确确认这是真实订单
+        if (!confirmRealOrder) {
+            throw new Error('安全检查：您必须设置 confirmRealOrder=true 来下真实订单。这可以防止测试过程中的意外订单下单。');
+        }
+        if (!Array.isArray(orders) || orders.length === 0) {
+            return summarizeBatch([], false);
+        }
+
+        await this.ensureAuthenticated();
+        if (!this.wallet) {
+            await this.initializeWallet();
+        }
+
+        // postOnly 订单按市场只获取一次订单簿
+        const postOnlySlugs = [...new Set(orders.filter(params => params.postOnly && !params.orderbook).map(params => params.marketSlug))];
+        const orderbooks = postOnlySlugs.length > 0 ? await this.getMultipleOrderbooks(postOnlySlugs, useProxy) : {};
+
+        // 1. 构建并并发签名
+        const prepared = await Promise.allSettled(orders.map(async (params) => {
+            if (params.type === 'market') {
+                const order = await this.createMarketOrder(params);
+                return this.prepareOrderRequest(order, params.orderType || OrderType.FOK, params.marketSlug);
+            }
+
+            const orderbook = params.orderbook || orderbooks[params.marketSlug] || null;
+            if (params.postOnly && !orderbook) {
+                throw new Error(`无法获取订单簿，postOnly 订单未提交: ${params.marketSlug}`);
+            }
+            const orderType = params.orderType || getDefaultLimitOrderType(params.expiration);
+            const order = await this.createLimitOrder({ ...params, orderType, orderbook });
+            return this.prepareOrderRequest(order, orderType, params.marketSlug, { postOnly: params.postOnly });
+        }));
+
+        const results = new Array(orders.length);
+        const pending = [];
+        prepared.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                pending.push({ index, requestData: result.value });
+            } else {
+                results[index] = { index, success: false, error: result.reason.message, reason: result.reason.reason || null };
+            }
+        });
+
+        if (pending.length === 0) {
+            return summarizeBatch(results, false);
+        }
+
+        // 2. 优先使用批量接口
+        let batched = false;
+        if (this.batchSupport.placeOrders !== false) {
+            try {
+                const response = await this.request({
+                    method: 'post',
+                    url: '/orders/batch',
+                    data: { orders: pending.map(item => item.requestData) },
+                    needAuth: true,
+                    useProxy,
+                });
+                this.batchSupport.placeOrders = true;
+                batched = true;
+
+                const items = response.data?.results || [];
+                pending.forEach(({ index, requestData }, position) => {
+                    results[index] = toOrderResult(index, items[position]);
+                    if (results[index].success) {
+                        this.trackSubmittedOrder(requestData, items[position], orders[index].metadata);
+                    }
+                });
+            } catch (error) {
+                if (!isRouteUnsupported(error)) {
+                    // 请求可能已经到达服务端，不能再逐笔重发，否则可能重复下单
+                    pending.forEach(({ index }) => {
+                        results[index] = { index, success: false, error: error.message };
+                    });
+                    return summarizeBatch(results, true);
+                }
+                this.batchSupport.placeOrders = false;
+                console.warn('⚠️ 服务端不支持批量下单接口，改为并发单笔下单');
+            }
+        }
+
+        // 3. 退回并发单笔下单
+        if (!batched) {
+            const settled = await Promise.allSettled(pending.map(({ requestData }) => this.request({
+                method: 'post',
+                url: '/orders',
+                data: requestData,
+                needAuth: true,
+                useProxy,
+            })));
+
+            settled.forEach((result, position) => {
+                const { index, requestData } = pending[position];
+                results[index] = result.status === 'fulfilled'
+                    ? toOrderResult(index, result.value.data)
+                    : { index, success: false, error: result.reason.message };
+                if (results[index].success) {
+                    this.trackSubmittedOrder(requestData, result.value.data, orders[index].metadata);
+                }
+            });
+        }
+
+        return summarizeBatch(results, batched);
+    }
+
+    /**
+     * 批量撤单
+     * 服务端没有批量接口时退回并发单笔撤单
+     * @param {Array<string>} orderIds - 订单ID列表
+     * @returns {Object} { success, batched, submitted, failed, results: [{ orderId, success, error }] }
+     */
+    async cancelOrdersBatch(orderIds, useProxy = true) {
+        if (!Array.isArray(orderIds) || orderIds.length === 0) {
+            return summarizeBatch([], false);
+        }
+
+        await this.ensureAuthenticated();
+
+        if (this.batchSupport.cancelOrders !== false) {
+            try {
+                const response = await this.request({
+                    method: 'post',
+                    url: '/orders/cancel-batch',
+                    data: { orderIds },
+                    needAuth: true,
+                    useProxy,
+                });
+                this.batchSupport.cancelOrders = true;
+
+                // 没有逐单结果时视为全部撤销成功
+                const items = response.data?.results;
+                const results = orderIds.map((orderId) => {
+                    const item = Array.isArray(items) ? items.find(entry => String(entry.orderId) === String(orderId)) : null;
+                    if (!item) {
+                        return { orderId, success: !Array.isArray(items), ...(Array.isArray(items) ? { error: '批量撤单响应缺少该订单' } : {}) };
+                    }
+                    return { orderId, success: item.success !== false, ...(item.success === false ? { error: item.message } : {}) };
+                });
+                return summarizeBatch(results, true);
+            } catch (error) {
+                if (!isRouteUnsupported(error)) {
+                    // 撤单是幂等的，批量接口失败时逐笔重试
+                    console.warn(`⚠️ 批量撤单失败，改为逐笔撤单: ${error.message}`);
+                } else {
+                    this.batchSupport.cancelOrders = false;
+                    console.warn('⚠️ 服务端不支持批量撤单接口，改为并发单笔撤单');
+                }
+            }
+        }
+
+        const settled = await Promise.allSettled(orderIds.map(orderId => this.request({
+            method: 'delete',
+            url: `/orders/${orderId}`,
+            needAuth: true,
+            useProxy,
+        })));
+
+        const results = settled.map((result, index) => ({
+            orderId: orderIds[index],
+            success: result.status === 'fulfilled' && result.value.success,
+            ...(result.status === 'rejected' ? { error: result.reason.message } : {})
+        }));
+        return summarizeBatch(results, false);
+    }
+
+    /**
+     * 撤销某个市场的全部挂单
+     * @param {string} marketSlug - 市场标识
+     */
+    async cancelAllOrdersForMarket(marketSlug, useProxy = true) {
+        if (!marketSlug) {
+            throw new Error('撤销市场全部挂单需要指定 marketSlug');
+        }
+        return this.cancelAllOrdersByRoute(marketSlug, useProxy);
+    }
+
+    /**
+     * 撤销账户的全部挂单
+     */
+    async cancelAllOrders(useProxy = true) {
+        return this.cancelAllOrdersByRoute(null, useProxy);
+    }
+
+    /**
+     * 通过 DELETE /orders/all[/:slug] 撤单，服务端不支持时查询挂单后批量撤销
+     * @returns {Object} { success, batched, canceled: [orderId], failed: [{ orderId, error }] }
+     */
+    async cancelAllOrdersByRoute(marketSlug, useProxy) {
+        await this.ensureAuthenticated();
+
+        if (this.batchSupport.cancelAll !== false) {
+            try {
+                const response = await this.request({
+                    method: 'delete',
+                    url: marketSlug ? `/orders/all/${marketSlug}` : '/orders/all',
+                    needAuth: true,
+                    useProxy,
+                });
+                this.batchSupport.cancelAll = true;
+
+                return {
+                    success: response.success,
+                    batched: true,
+                    canceled: response.data?.canceled || [],
+                    failed: []
+                };
+            } catch (error) {
+                if (!isRouteUnsupported(error)) {
+                    throw error;
+                }
+                this.batchSupport.cancelAll = false;
+                console.warn('⚠️ 服务端不支持撤销全部挂单接口，改为查询挂单后批量撤单');
+            }
+        }
+
+        const { orders } = await this.getActiveOrders();
+        const orderIds = orders
+            .filter(order => !marketSlug || order.market?.slug === marketSlug)
+            .map(order => order.id);
+
+        const batch = await this.cancelOrdersBatch(orderIds, useProxy);
+        return {
+            success: batch.success,
+            batched: false,
+            canceled: batch.results.filter(result => result.success).map(result => result.orderId),
+            failed: batch.results.filter(result => !result.success).map(({ orderId, error }) => ({ orderId, error }))
+        };
+    }
+
     /**
      * 获取订单信息
+     * @returns {Object|null} 订单数据，订单不存在（404）时返回 null
      */
     async getOrder(orderId, useProxy = true) {
         try {
@@ -1073,7 +1409,11 @@ Nonce: ${nonce}`;
             })
             return response.data;
         } catch (error) {
-            return null;
+            // 只有服务端明确返回订单不存在时返回 null，网络、认证等错误交给调用方处理
+            if (error?.status === 404) {
+                return null;
+            }
+            throw error;
         }
     }
 
@@ -1146,9 +1486,7 @@ Nonce: ${nonce}`;
         }
 
         try {
-            if (!this.wallet) {
-                await this.initializeWallet();
-            }
+            const transactions = await this.getTransactionManager();
 
             const abi = [
                 "function splitPosition(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount) external",
@@ -1163,30 +1501,27 @@ Nonce: ${nonce}`;
             // 将 USDC 数量转换为 wei（6位小数）
             const amount = ethers.parseUnits(usdcAmount.toString(), 6);
 
-            // 执行 split 交易
-            const tx = await contract.splitPosition(
+            // 执行 split 交易并等待确认
+            const result = await transactions.sendContractCall(contract, 'splitPosition', [
                 collateralToken,
                 parentCollectionId,
                 conditionId,
                 partition,
                 amount
-            );
-
-            // 等待交易确认
-            const receipt = await tx.wait();
+            ], { label: 'split' });
 
             return {
-                success: true,
-                transactionHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
+                ...result,
+                transactionHash: result.hash,
                 conditionId,
-                usdcAmount,
-                receipt
+                usdcAmount
             };
 
         } catch (error) {
             console.error('❌ Split 操作失败:', error.message);
+            if (error instanceof TransactionError) {
+                throw error;
+            }
             throw new Error(`Split 操作失败: ${error.message}`);
         }
     }
@@ -1204,9 +1539,7 @@ Nonce: ${nonce}`;
         }
 
         try {
-            if (!this.wallet) {
-                await this.initializeWallet();
-            }
+            const transactions = await this.getTransactionManager();
 
             const abi = [
                 "function mergePositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount) external"
@@ -1221,29 +1554,26 @@ Nonce: ${nonce}`;
             // 将代币数量转换为 wei（6位小数）
             const amount = ethers.parseUnits(tokenAmount.toString(), 6);
 
-            // 执行 merge 交易
-            const tx = await contract.mergePositions(
+            // 执行 merge 交易并等待确认
+            const result = await transactions.sendContractCall(contract, 'mergePositions', [
                 collateralToken,
                 parentCollectionId,
                 conditionId,
                 partition,
                 amount
-            );
-
-            // 等待交易确认
-            const receipt = await tx.wait();
+            ], { label: 'merge' });
 
             return {
-                success: true,
-                transactionHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
+                ...result,
+                transactionHash: result.hash,
                 conditionId,
-                tokenAmount,
-                receipt
+                tokenAmount
             };
         } catch (error) {
             console.error('❌ Merge 操作失败:', error.message);
+            if (error instanceof TransactionError) {
+                throw error;
+            }
             throw new Error(`Merge 操作失败: ${error.message}`);
         }
     }
@@ -1265,6 +1595,78 @@ Nonce: ${nonce}`;
         return balance;
 
     }
+
+    /**
+     * ETH 余额（wei）
+     */
+    async getEthBalance() {
+        if (!this.wallet) {
+            await this.initializeWallet();
+        }
+        return this.wallet.provider.getBalance(this.walletAddress);
+    }
+
+    /**
+     * 转出 USDC
+     * @param {string} to - 收款地址
+     * @param {bigint|string|number} amount - 金额（最小单位）
+     * @returns {Object} 交易结果
+     */
+    async transferUsdc(to, amount) {
+        const transactions = await this.getTransactionManager();
+
+        const erc20Abi = [
+            "function transfer(address to, uint256 amount) returns (bool)"
+        ];
+
+        const tokenContract = new ethers.Contract('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', erc20Abi, this.wallet);
+        return transactions.sendContractCall(tokenContract, 'transfer', [to, amount], { label: 'USDC 转账' });
+    }
+
+    /**
+     * 转出 ETH
+     * @param {string} to - 收款地址
+     * @param {bigint|string|number} amount - 金额（wei）
+     * @returns {Object} 交易结果
+     */
+    async transferEth(to, amount) {
+        const transactions = await this.getTransactionManager();
+        return transactions.send({ to, value: BigInt(amount) }, { label: 'ETH 转账' });
+    }
+}
+
+/**
+ * 404 / 405 表示服务端没有该接口
+ */
+function isRouteUnsupported(error) {
+    return error?.status === 404 || error?.status === 405;
+}
+
+/**
+ * 单个下单结果
+ */
+function toOrderResult(index, item) {
+    if (!item) {
+        return { index, success: false, error: '批量下单响应缺少该订单结果' };
+    }
+    if (item.success === false) {
+        return { index, success: false, error: item.message || '订单被拒绝', data: item };
+    }
+    return { index, success: true, orderId: item.order?.id ?? null, data: item };
+}
+
+/**
+ * 汇总批量操作结果
+ */
+function summarizeBatch(results, batched) {
+    const submitted = results.filter(result => result.success).length;
+    return {
+        success: submitted === results.length,
+        batched,
+        submitted,
+        failed: results.length - submitted,
+        results
+    };
 }
 
 export default LimitlessApiClient;
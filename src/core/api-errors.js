@@ -0,0 +1,215 @@
+/**
+ * API 错误分类
+ * 将请求失败归类为可重试 / 不可重试，并计算退避延迟
+ */
+
+import { config } from './config.js';
+
+/**
+ * 错误类型枚举
+ */
+export const ApiErrorType = {
+    TIMEOUT: 'timeout',                 // 请求超时
+    RATE_LIMIT: 'rate_limit',           // 429 限流
+    SERVER: 'server',                   // 5xx 服务端错误
+    PROXY: 'proxy',                     // 代理连接失败
+    NETWORK: 'network',                 // 直连网络错误
+    AUTH: 'auth',                       // 401/403 认证失败
+    VALIDATION: 'validation',           // 4xx 参数校验失败
+    ORDER_REJECTED: 'order_rejected',   // 订单被拒绝
+    UNKNOWN: 'unknown'                  // 未知错误
+};
+
+// 可重试的错误类型
+const RETRYABLE_TYPES = new Set([
+    ApiErrorType.TIMEOUT,
+    ApiErrorType.RATE_LIMIT,
+    ApiErrorType.SERVER,
+    ApiErrorType.PROXY,
+    ApiErrorType.NETWORK
+]);
+
+// 请求可能已到达服务端的错误类型，非幂等请求不能盲目重试
+const MAYBE_APPLIED_TYPES = new Set([
+    ApiErrorType.TIMEOUT,
+    ApiErrorType.SERVER
+]);
+
+// 网络错误码
+const CONNECTION_ERROR_CODES = new Set([
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'EPIPE',
+    'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+// 建立连接前就失败的错误码，请求一定没有发出；其余网络错误（ECONNRESET、EPIPE 等）发生时请求可能已到达服务端
+const PRE_CONNECT_ERROR_CODES = new Set([
+    'ECONNREFUSED',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+/**
+ * API 请求错误
+ * message 保持为服务端返回内容（JSON 字符串），兼容现有的日志和错误匹配
+ */
+export class ApiError extends Error {
+    constructor(message, { type = ApiErrorType.UNKNOWN, status = null, data = null, retryAfter = null, proxyId = null, maybeApplied = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.data = data;
+        this.retryAfter = retryAfter; // 毫秒
+        this.proxyId = proxyId;
+        this.retryable = RETRYABLE_TYPES.has(type);
+        // 请求是否可能已被服务端处理，未指定时按错误类型判断
+        this.maybeApplied = maybeApplied ?? MAYBE_APPLIED_TYPES.has(type);
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+
+    /**
+     * 是否由代理引起（需要上报给代理管理器）
+     */
+    isProxyFault() {
+        return this.type === ApiErrorType.PROXY || (this.proxyId !== null && this.type === ApiErrorType.TIMEOUT);
+    }
+
+    /**
+     * 判断当前请求是否可以重试
+     * @param {boolean} idempotent - 请求是否幂等
+     */
+    canRetry(idempotent) {
+        if (!this.retryable) {
+            return false;
+        }
+        return idempotent || !this.maybeApplied;
+    }
+}
+
+/**
+ * 解析 Retry-After 头（秒数或 HTTP 日期），返回毫秒
+ */
+export function parseRetryAfter(headerValue) {
+    if (headerValue === undefined || headerValue === null || headerValue === '') {
+        return null;
+    }
+
+    const seconds = Number(headerValue);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(headerValue);
+    if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * 判断 4xx 响应是否为订单拒绝
+ */
+function isOrderRejection(url, method) {
+    return method?.toLowerCase() === 'post' && /^\/orders/.test(url || '');
+}
+
+/**
+ * 将 axios 错误归类为 ApiError
+ * @param {Error} error - 原始错误
+ * @param {Object} context - 请求上下文 { url, method, proxyId }
+ */
+export function classifyApiError(error, context = {}) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    const { url, method, proxyId = null } = context;
+    const response = error.response;
+
+    // 有响应：按状态码分类
+    if (response) {
+        const status = response.status;
+        const data = response.data;
+        const message = data ? JSON.stringify(data) : `HTTP ${status}`;
+        const base = { status, data, proxyId, cause: error };
+
+        if (status === 429) {
+            return new ApiError(message, {
+                ...base,
+                type: ApiErrorType.RATE_LIMIT,
+                retryAfter: parseRetryAfter(response.headers?.['retry-after'])
+            });
+        }
+        if (status === 407) {
+            return new ApiError(message, { ...base, type: ApiErrorType.PROXY });
+        }
+        if (status >= 500) {
+            return new ApiError(message, {
+                ...base,
+                type: ApiErrorType.SERVER,
+                retryAfter: parseRetryAfter(response.headers?.['retry-after'])
+            });
+        }
+        if (status === 401 || status === 403) {
+            return new ApiError(message, { ...base, type: ApiErrorType.AUTH });
+        }
+        if (status >= 400) {
+            const type = isOrderRejection(url, method) ? ApiErrorType.ORDER_REJECTED : ApiErrorType.VALIDATION;
+            return new ApiError(message, { ...base, type });
+        }
+        return new ApiError(message, base);
+    }
+
+    // 无响应：超时或连接错误
+    if (error.code === 'ECONNABORTED' || error.code === 'ERR_CANCELED' || error.name === 'CanceledError') {
+        return new ApiError('Request timeout', { type: ApiErrorType.TIMEOUT, proxyId, cause: error });
+    }
+
+    if (CONNECTION_ERROR_CODES.has(error.code)) {
+        const type = proxyId !== null ? ApiErrorType.PROXY : ApiErrorType.NETWORK;
+        const maybeApplied = !PRE_CONNECT_ERROR_CODES.has(error.code);
+        return new ApiError(error.message, { type, proxyId, maybeApplied, cause: error });
+    }
+
+    return new ApiError(error.message || String(error), { proxyId, cause: error });
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避 + 随机抖动）
+ * @param {number} attempt - 已失败次数（从 1 开始）
+ * @param {number|null} retryAfter - 服务端要求的等待时间（毫秒）
+ */
+export function getRetryDelay(attempt, retryAfter = null) {
+    const { RETRY_BASE_DELAY, RETRY_MAX_DELAY } = config.API;
+
+    const exponential = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    // 一半固定，一半随机，避免多个账户同时重试
+    const delay = exponential / 2 + Math.random() * exponential / 2;
+
+    if (retryAfter !== null) {
+        return Math.round(Math.max(delay, retryAfter));
+    }
+
+    return Math.round(delay);
+}
+
+export default {
+    ApiErrorType,
+    ApiError,
+    parseRetryAfter,
+    classifyApiError,
+    getRetryDelay
+};
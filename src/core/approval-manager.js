@@ -0,0 +1,235 @@
+/**
+ * 授权管理器 - 管理单个钱包的 USDC 授权和条件代币授权
+ * 读取并缓存链上的 USDC allowance 与 ERC-1155 isApprovedForAll，
+ * 只有额度不足或未授权时才发送授权交易
+ */
+
+import { ethers } from 'ethers';
+
+import { config } from './config.js';
+
+export const ApprovalPolicy = {
+    MAX: 'max',     // 首次授权最大额度，之后不再授权
+    EXACT: 'exact'  // 每次只授权本次需要的额度
+};
+
+const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const CONDITIONAL_TOKENS_ADDRESS = '0xC9c98965297Bc527861c898329Ee280632B76e18';
+
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) public returns (bool)'
+];
+
+const ERC1155_ABI = [
+    'function isApprovedForAll(address account, address operator) view returns (bool)',
+    'function setApprovalForAll(address operator, bool approved) external'
+];
+
+export class ApprovalManager {
+    /**
+     * @param {ethers.Signer} signer - 已连接 provider 的签名者
+     * @param {TransactionManager} transactions - 同一钱包的交易管理器
+     * @param {Object} options
+     * @param {string} options.accountId - 账户ID（用于日志）
+     * @param {string} options.policy - 默认授权策略 max / exact
+     * @param {number} options.cacheTtl - 缓存有效期（毫秒），过期后重新读取链上状态
+     */
+    constructor(signer, transactions, options = {}) {
+        this.signer = signer;
+        this.transactions = transactions;
+        this.accountId = options.accountId || null;
+        this.policy = options.policy ?? config.APPROVAL.POLICY;
+        this.cacheTtl = options.cacheTtl ?? config.APPROVAL.CACHE_TTL;
+
+        this.usdc = new ethers.Contract(USDC_ADDRESS, ERC20_ABI, signer);
+        this.conditionalTokens = new ethers.Contract(CONDITIONAL_TOKENS_ADDRESS, ERC1155_ABI, signer);
+
+        this.allowances = new Map();        // spender -> { amount: bigint, checkedAt }
+        this.operatorApprovals = new Map(); // operator -> { approved: boolean, checkedAt }
+        // 同一 spender / operator 的检查和授权依次执行，后到的调用直接使用前一次授权后的缓存
+        this.locks = new Map();
+
+        this.approvalStats = {
+            checks: 0,
+            skipped: 0,
+            approvals: 0
+        };
+    }
+
+    /**
+     * 确保 spender 至少有 amount 的 USDC 授权额度
+     * @param {string} spender - 被授权地址
+     * @param {bigint|string|number} amount - 需要的额度（最小单位）
+     * @param {Object} options
+     * @param {string} options.policy - 覆盖默认授权策略
+     * @returns {Object} { approved: 是否发送了授权交易, allowance, result: 交易结果 }
+     */
+    async ensureAllowance(spender, amount, { policy = this.policy } = {}) {
+        const required = BigInt(amount);
+        const key = `allowance:${spender.toLowerCase()}`;
+
+        return this.withLock(key, async () => {
+            this.approvalStats.checks++;
+
+            let allowance = this.getCached(this.allowances, spender)?.amount;
+            if (allowance === undefined || allowance < required) {
+                // 缓存不足时以链上为准（可能已在其他地方授权）
+                allowance = await this.getAllowance(spender, { refresh: true });
+            }
+            if (allowance >= required) {
+                this.approvalStats.skipped++;
+                return { approved: false, allowance, result: null };
+            }
+
+            const approveAmount = policy === ApprovalPolicy.MAX ? ethers.MaxUint256 : required;
+            console.log(`🔓 [${this.accountId}] USDC 授权不足 (${allowance} < ${required})，授权 ${policy === ApprovalPolicy.MAX ? '最大额度' : approveAmount.toString()} 给 ${spender}`);
+
+            try {
+                const result = await this.transactions.sendContractCall(this.usdc, 'approve', [spender, approveAmount], { label: 'USDC 授权' });
+                this.approvalStats.approvals++;
+                this.setCached(this.allowances, spender, { amount: approveAmount });
+                return { approved: true, allowance: approveAmount, result };
+            } catch (error) {
+                this.allowances.delete(spender.toLowerCase());
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 确保 operator 已获得条件代币的 setApprovalForAll 授权
+     * @param {string} operator - 被授权地址
+     * @returns {Object} { approved: 是否发送了授权交易, result: 交易结果 }
+     */
+    async ensureApprovalForAll(operator) {
+        const key = `operator:${operator.toLowerCase()}`;
+
+        return this.withLock(key, async () => {
+            this.approvalStats.checks++;
+
+            let approved = this.getCached(this.operatorApprovals, operator)?.approved;
+            if (!approved) {
+                approved = await this.isApprovedForAll(operator, { refresh: true });
+            }
+            if (approved) {
+                this.approvalStats.skipped++;
+                return { approved: false, result: null };
+            }
+
+            console.log(`🔓 [${this.accountId}] 条件代币未授权，授权给 ${operator}`);
+
+            try {
+                const result = await this.transactions.sendContractCall(this.conditionalTokens, 'setApprovalForAll', [operator, true], { label: '条件代币授权' });
+                this.approvalStats.approvals++;
+                this.setCached(this.operatorApprovals, operator, { approved: true });
+                return { approved: true, result };
+            } catch (error) {
+                this.operatorApprovals.delete(operator.toLowerCase());
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 读取 USDC 授权额度
+     * @param {string} spender - 被授权地址
+     * @param {Object} options
+     * @param {boolean} options.refresh - 忽略缓存
+     */
+    async getAllowance(spender, { refresh = false } = {}) {
+        const cached = !refresh && this.getCached(this.allowances, spender);
+        if (cached) {
+            return cached.amount;
+        }
+
+        const owner = await this.signer.getAddress();
+        const amount = await this.usdc.allowance(owner, spender);
+        this.setCached(this.allowances, spender, { amount });
+        return amount;
+    }
+
+    /**
+     * 读取条件代币授权状态
+     * @param {string} operator - 被授权地址
+     * @param {Object} options
+     * @param {boolean} options.refresh - 忽略缓存
+     */
+    async isApprovedForAll(operator, { refresh = false } = {}) {
+        const cached = !refresh && this.getCached(this.operatorApprovals, operator);
+        if (cached) {
+            return cached.approved;
+        }
+
+        const owner = await this.signer.getAddress();
+        const approved = await this.conditionalTokens.isApprovedForAll(owner, operator);
+        this.setCached(this.operatorApprovals, operator, { approved });
+        return approved;
+    }
+
+    /**
+     * 记录已消耗的授权额度（合约通过 transferFrom 扣款后调用）
+     * @param {string} spender - 被授权地址
+     * @param {bigint|string|number} amount - 消耗的额度（最小单位）
+     */
+    recordSpend(spender, amount) {
+        const cached = this.getCached(this.allowances, spender);
+        if (!cached || cached.amount === ethers.MaxUint256) {
+            return;
+        }
+
+        const spent = BigInt(amount);
+        this.setCached(this.allowances, spender, {
+            amount: cached.amount > spent ? cached.amount - spent : 0n
+        });
+    }
+
+    /**
+     * 清除缓存，下次使用时重新读取链上状态
+     */
+    invalidate(address = null) {
+        if (!address) {
+            this.allowances.clear();
+            this.operatorApprovals.clear();
+            return;
+        }
+        this.allowances.delete(address.toLowerCase());
+        this.operatorApprovals.delete(address.toLowerCase());
+    }
+
+    getCached(cache, address) {
+        const entry = cache.get(address.toLowerCase());
+        if (!entry || Date.now() - entry.checkedAt > this.cacheTtl) {
+            return null;
+        }
+        return entry;
+    }
+
+    setCached(cache, address, value) {
+        cache.set(address.toLowerCase(), { ...value, checkedAt: Date.now() });
+    }
+
+    async withLock(key, fn) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const run = previous.then(fn);
+        const tail = run.catch(() => {});
+        this.locks.set(key, tail);
+        tail.then(() => {
+            if (this.locks.get(key) === tail) {
+                this.locks.delete(key);
+            }
+        });
+        return run;
+    }
+
+    getStats() {
+        return {
+            ...this.approvalStats,
+            policy: this.policy,
+            cachedAllowances: this.allowances.size,
+            cachedOperators: this.operatorApprovals.size
+        };
+    }
+}
+
+export default ApprovalManager;
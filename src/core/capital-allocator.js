@@ -0,0 +1,201 @@
+/**
+ * 资金分配器
+ * 组合策略用它在子策略之间分配 USDC：子策略下单前申请资金，仓位结束后释放
+ *
+ * 批准规则：
+ *   1. 子策略已占用资金 + 申请金额不超过它的预算
+ *   2. 设置了总资金时，所有子策略占用的资金不超过总资金，并且为优先级更高的子策略保留其预算中尚未使用的部分
+ *   3. 同一市场同一时间只持有一个方向：优先级不低于申请方的子策略已持有相反结果时拒绝，
+ *      只有优先级更低的子策略持有相反结果时优先级高的子策略胜出（批准，已有仓位不受影响）
+ * 市场到期后，占用的资金由 releaseExpired 自动释放（结算后由赎回服务取回）
+ */
+
+export const CapitalRejectReason = {
+    BUDGET: 'budget',     // 超出子策略预算
+    CAPITAL: 'capital',   // 总资金不足（或需要留给优先级更高的子策略）
+    CONFLICT: 'conflict', // 优先级不低于申请方的子策略持有同一市场的相反结果
+    UNKNOWN: 'unknown'    // 子策略未注册
+};
+
+export class CapitalAllocator {
+    /**
+     * @param {Object} options
+     * @param {number} options.totalCapital - 所有子策略共用的总资金（USDC），0 表示只按各自预算限制
+     */
+    constructor({ totalCapital = 0 } = {}) {
+        this.totalCapital = totalCapital;
+
+        this.members = new Map(); // 子策略名 -> { budget, priority, committed, reservations: Map(ref -> 占用) }
+
+        this.allocatorStats = {
+            approved: 0,
+            rejected: {
+                [CapitalRejectReason.BUDGET]: 0,
+                [CapitalRejectReason.CAPITAL]: 0,
+                [CapitalRejectReason.CONFLICT]: 0,
+                [CapitalRejectReason.UNKNOWN]: 0
+            },
+            released: 0,
+            expired: 0,
+            overrides: 0 // 优先级更高、无视低优先级子策略的相反持仓批准的申请
+        };
+    }
+
+    /**
+     * 注册子策略
+     * @param {string} name - 子策略名（组合内唯一）
+     * @param {Object} options
+     * @param {number} options.budget - 预算（USDC）
+     * @param {number} options.priority - 优先级（StrategyPriority），数值越大越优先
+     */
+    register(name, { budget, priority }) {
+        this.members.set(name, { budget, priority, committed: 0, reservations: new Map() });
+    }
+
+    /**
+     * 申请资金
+     * @param {string} name - 子策略名
+     * @param {Object} request
+     * @param {string} request.ref - 占用标识（通常是仓位ID），释放时使用
+     * @param {number} request.amount - 金额（USDC）
+     * @param {Object} request.market - 市场
+     * @param {string} request.outcome - 买入的结果 YES / NO
+     * @param {string} request.accountId - 下单账户
+     * @returns {Object} { approved, reason, message, overridden }，overridden 为持有相反结果的低优先级子策略
+     */
+    reserve(name, { ref, amount, market, outcome, accountId = null }) {
+        const member = this.members.get(name);
+        if (!member) {
+            return this.reject(CapitalRejectReason.UNKNOWN, `子策略 ${name} 未注册`);
+        }
+
+        if (member.committed + amount > member.budget) {
+            return this.reject(CapitalRejectReason.BUDGET, `预算 ${member.budget} USDC，已占用 ${member.committed.toFixed(2)} USDC`);
+        }
+
+        const available = this.getAvailable(name);
+        if (available !== null && amount > available) {
+            return this.reject(CapitalRejectReason.CAPITAL, `可用资金 ${available.toFixed(2)} USDC（已为优先级更高的子策略保留预算）`);
+        }
+
+        const holders = this.findOppositeHolders(name, market.slug, outcome);
+        const blocking = holders.find(holder => holder.priority >= member.priority);
+        if (blocking) {
+            return this.reject(CapitalRejectReason.CONFLICT, `${blocking.name}（优先级 ${blocking.priority}）持有该市场的相反结果`);
+        }
+
+        member.reservations.set(ref, { amount, market, outcome, accountId, time: Date.now() });
+        member.committed += amount;
+        this.allocatorStats.approved++;
+
+        const overridden = holders.map(holder => holder.name);
+        if (overridden.length > 0) {
+            this.allocatorStats.overrides++;
+            return { approved: true, reason: null, message: `优先于 ${overridden.join('、')} 持有的相反结果`, overridden };
+        }
+        return { approved: true, reason: null, message: null, overridden };
+    }
+
+    reject(reason, message) {
+        this.allocatorStats.rejected[reason]++;
+        return { approved: false, reason, message };
+    }
+
+    /**
+     * 总资金中可供该子策略使用的部分，未设置总资金时为 null
+     */
+    getAvailable(name) {
+        if (!(this.totalCapital > 0)) {
+            return null;
+        }
+
+        const member = this.members.get(name);
+        let committed = 0;
+        let reservedForHigher = 0;
+        for (const other of this.members.values()) {
+            committed += other.committed;
+            if (other.priority > member.priority) {
+                reservedForHigher += Math.max(other.budget - other.committed, 0);
+            }
+        }
+        return Math.max(this.totalCapital - committed - reservedForHigher, 0);
+    }
+
+    /**
+     * 持有同一市场相反结果的其他子策略
+     * @returns {Array<Object>} [{ name, priority }]
+     */
+    findOppositeHolders(name, slug, outcome) {
+        const holders = [];
+        for (const [otherName, other] of this.members) {
+            if (otherName === name) {
+                continue;
+            }
+            const holds = [...other.reservations.values()].some(reservation =>
+                reservation.market.slug === slug && reservation.outcome !== outcome
+            );
+            if (holds) {
+                holders.push({ name: otherName, priority: other.priority });
+            }
+        }
+        return holders;
+    }
+
+    /**
+     * 释放资金
+     * @returns {Object|null} 被释放的占用
+     */
+    release(name, ref) {
+        const member = this.members.get(name);
+        const reservation = member?.reservations.get(ref);
+        if (!reservation) {
+            return null;
+        }
+
+        member.reservations.delete(ref);
+        member.committed = Math.max(member.committed - reservation.amount, 0);
+        this.allocatorStats.released++;
+        return reservation;
+    }
+
+    /**
+     * 释放已到期市场的占用
+     * @returns {number} 释放的占用数
+     */
+    releaseExpired() {
+        let count = 0;
+        for (const [name, member] of this.members) {
+            for (const [ref, reservation] of [...member.reservations]) {
+                if (reservation.market.isExpired()) {
+                    this.release(name, ref);
+                    count++;
+                }
+            }
+        }
+        this.allocatorStats.expired += count;
+        return count;
+    }
+
+    getStats() {
+        const members = {};
+        for (const [name, member] of this.members) {
+            members[name] = {
+                budget: member.budget,
+                priority: member.priority,
+                committed: member.committed,
+                reservations: member.reservations.size,
+                available: Math.min(this.getAvailable(name) ?? Infinity, Math.max(member.budget - member.committed, 0))
+            };
+        }
+
+        return {
+            ...this.allocatorStats,
+            rejected: { ...this.allocatorStats.rejected },
+            totalCapital: this.totalCapital,
+            committed: Object.values(members).reduce((sum, member) => sum + member.committed, 0),
+            members
+        };
+    }
+}
+
+export default CapitalAllocator;
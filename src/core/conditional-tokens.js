@@ -0,0 +1,78 @@
+/**
+ * 条件代币（CTF，ERC-1155）只读工具
+ * 由 conditionId 推导 YES/NO 的 positionId，批量读取账户持有的份额
+ */
+
+import { ethers } from 'ethers';
+
+export const CONDITIONAL_TOKENS_ADDRESS = '0xC9c98965297Bc527861c898329Ee280632B76e18';
+export const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+
+// indexSet: 1 = YES（outcome 0），2 = NO（outcome 1）
+export const OUTCOME_INDEX_SETS = [1n, 2n];
+
+export const CONDITIONAL_TOKENS_ABI = [
+    'function payoutDenominator(bytes32 conditionId) view returns (uint256)',
+    'function payoutNumerators(bytes32 conditionId, uint256 index) view returns (uint256)',
+    'function getCollectionId(bytes32 parentCollectionId, bytes32 conditionId, uint256 indexSet) view returns (bytes32)',
+    'function getPositionId(address collateralToken, bytes32 collectionId) pure returns (uint256)',
+    'function balanceOf(address owner, uint256 id) view returns (uint256)',
+    'function balanceOfBatch(address[] owners, uint256[] ids) view returns (uint256[])',
+    'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)',
+    'event PayoutRedemption(address indexed redeemer, address indexed collateralToken, bytes32 indexed parentCollectionId, bytes32 conditionId, uint256[] indexSets, uint256 payout)'
+];
+
+// 每次 balanceOfBatch 最多查询的 positionId 数量
+const BATCH_LIMIT = 200;
+
+// conditionId -> [yesPositionId, noPositionId]，只与条件和抵押品有关，永久缓存
+const positionIdCache = new Map();
+
+export function getConditionalTokensContract(runner) {
+    return new ethers.Contract(CONDITIONAL_TOKENS_ADDRESS, CONDITIONAL_TOKENS_ABI, runner);
+}
+
+/**
+ * 由 conditionId 计算 YES/NO 的 positionId
+ * @param {ethers.Contract} conditionalTokens - CTF 合约
+ * @param {string} conditionId - 条件ID
+ * @returns {Array<bigint>} [yesPositionId, noPositionId]
+ */
+export async function getPositionIds(conditionalTokens, conditionId) {
+    const key = conditionId.toLowerCase();
+    if (!positionIdCache.has(key)) {
+        const positionIds = await Promise.all(OUTCOME_INDEX_SETS.map(async indexSet => {
+            const collectionId = await conditionalTokens.getCollectionId(ethers.ZeroHash, conditionId, indexSet);
+            return conditionalTokens.getPositionId(USDC_ADDRESS, collectionId);
+        }));
+        positionIdCache.set(key, positionIds);
+    }
+    return positionIdCache.get(key);
+}
+
+/**
+ * 批量读取账户在多个条件上的 YES/NO 份额
+ * @param {ethers.Contract} conditionalTokens - CTF 合约
+ * @param {string} owner - 账户地址
+ * @param {Array<string>} conditionIds - 条件ID列表
+ * @returns {Map<string, {yes: bigint, no: bigint}>} conditionId -> 份额（最小单位）
+ */
+export async function readPositionBalances(conditionalTokens, owner, conditionIds) {
+    const idsByCondition = await Promise.all(conditionIds.map(conditionId => getPositionIds(conditionalTokens, conditionId)));
+    const positionIds = idsByCondition.flat();
+
+    const balances = [];
+    for (let i = 0; i < positionIds.length; i += BATCH_LIMIT) {
+        const chunk = positionIds.slice(i, i + BATCH_LIMIT);
+        balances.push(...await conditionalTokens.balanceOfBatch(chunk.map(() => owner), chunk));
+    }
+
+    const result = new Map();
+    conditionIds.forEach((conditionId, index) => {
+        result.set(conditionId, {
+            yes: balances[index * 2],
+            no: balances[index * 2 + 1]
+        });
+    });
+    return result;
+}
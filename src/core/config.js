@@ -2,14 +2,140 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * 解析环境变量为数字，提供默认值
+ */
+function parseNumber(envValue, defaultValue) {
+    const parsed = parseFloat(envValue);
+    return isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * 解析逗号分隔的环境变量为数组，提供默认值
+ */
+function parseList(envValue, defaultValue) {
+    if (!envValue) {
+        return defaultValue;
+    }
+    return envValue.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 解析环境变量为布尔值，提供默认值
+ */
+function parseBoolean(envValue, defaultValue) {
+    if (envValue === undefined || envValue === null) {
+        return defaultValue;
+    }
+    return envValue.toLowerCase() === 'true';
+}
+
 export const config = {
     API: {
         BASE_URL: process.env.API_BASE_URL || 'https://api.limitless.exchange',
-        TIMEOUT: process.env.API_TIMEOUT,
+        TIMEOUT: parseNumber(process.env.API_TIMEOUT, 15000),
+
+        // 重试策略
+        MAX_RETRIES: parseNumber(process.env.API_MAX_RETRIES, 3), // 可重试错误的最大重试次数
+        RETRY_BASE_DELAY: parseNumber(process.env.API_RETRY_BASE_DELAY, 500), // 退避基础延迟 (毫秒)
+        RETRY_MAX_DELAY: parseNumber(process.env.API_RETRY_MAX_DELAY, 8000), // 单次退避最大延迟 (毫秒)
+
+        // 会话管理
+        SESSION_TTL: parseNumber(process.env.API_SESSION_TTL, 3600000), // cookie 未声明过期时间时的默认有效期 (毫秒)
+        SESSION_REFRESH_MARGIN: parseNumber(process.env.API_SESSION_REFRESH_MARGIN, 300000), // 过期前提前续登的时间 (毫秒)
+    },
+    STREAM: {
+        URL: process.env.MARKET_STREAM_URL || '', // 为空时只使用 REST 轮询
+        RECONNECT_BASE_DELAY: parseNumber(process.env.MARKET_STREAM_RECONNECT_BASE_DELAY, 1000), // 重连退避基础延迟 (毫秒)
+        RECONNECT_MAX_DELAY: parseNumber(process.env.MARKET_STREAM_RECONNECT_MAX_DELAY, 30000), // 重连退避最大延迟 (毫秒)
+        HEARTBEAT_INTERVAL: parseNumber(process.env.MARKET_STREAM_HEARTBEAT_INTERVAL, 15000), // 心跳间隔 (毫秒)
+        STALE_TIMEOUT: parseNumber(process.env.MARKET_STREAM_STALE_TIMEOUT, 45000), // 无消息超过该时间视为连接失效 (毫秒)
+        RESYNC_INTERVAL: parseNumber(process.env.MARKET_STREAM_RESYNC_INTERVAL, 300000), // 推送正常时 REST 全量同步间隔 (毫秒)
+    },
+    PYTH: {
+        HERMES_URL: process.env.PYTH_HERMES_URL || 'https://hermes.pyth.network', // 离线调试可指向 npm run pyth:stand-in
+        USE_PROXY: parseBoolean(process.env.PYTH_USE_PROXY, false), // 是否通过代理访问 Hermes
+        MAX_PRICE_AGE: parseNumber(process.env.PYTH_MAX_PRICE_AGE, 60000), // 价格发布超过该时间视为过期 (毫秒)
+        STREAM_RECONNECT_BASE_DELAY: parseNumber(process.env.PYTH_STREAM_RECONNECT_BASE_DELAY, 1000), // 推送重连退避基础延迟 (毫秒)
+        STREAM_RECONNECT_MAX_DELAY: parseNumber(process.env.PYTH_STREAM_RECONNECT_MAX_DELAY, 30000), // 推送重连退避最大延迟 (毫秒)
+        STREAM_STALE_TIMEOUT: parseNumber(process.env.PYTH_STREAM_STALE_TIMEOUT, 30000), // 推送无消息超过该时间视为连接失效 (毫秒)
+    },
+    ORDERBOOK: {
+        STALE_AFTER: parseNumber(process.env.ORDERBOOK_STALE_AFTER, 30000), // 订单簿超过该时间视为过期，需要重新获取 (毫秒)
+        MAX_REFRESH_PER_SCAN: parseNumber(process.env.ORDERBOOK_MAX_REFRESH_PER_SCAN, 20), // 推送不可用时每轮最多轮询的订单簿数量，其余留到下一轮
+    },
+    ORDER: {
+        // 市场 settings 中没有对应字段时使用的默认值
+        TICK_SIZE: parseNumber(process.env.ORDER_TICK_SIZE, 0.001), // 价格最小变动单位
+        MIN_SIZE: parseNumber(process.env.ORDER_MIN_SIZE, 0), // 最小下单份额
+        DEFAULT_FEE_RATE_BPS: parseNumber(process.env.ORDER_DEFAULT_FEE_RATE_BPS, 300), // 手续费率 (基点)
+    },
+    ORDER_TRACKER: {
+        POLL_INTERVAL: parseNumber(process.env.ORDER_TRACKER_POLL_INTERVAL, 5000), // 订单对账间隔 (毫秒)
+        HISTORY_LIMIT: parseNumber(process.env.ORDER_TRACKER_HISTORY_LIMIT, 1000), // 保留的已结束订单数量
+        MAX_MISSES: parseNumber(process.env.ORDER_TRACKER_MAX_MISSES, 3), // 连续查询不到订单多少次后视为已撤销
+    },
+    TX: {
+        CONFIRM_TIMEOUT: parseNumber(process.env.TX_CONFIRM_TIMEOUT, 120000), // 交易确认超时 (毫秒)
+        POLL_INTERVAL: parseNumber(process.env.TX_POLL_INTERVAL, 2000), // 查询收据间隔 (毫秒)
+        BUMP_INTERVAL: parseNumber(process.env.TX_BUMP_INTERVAL, 20000), // 超过该时间未打包则提高手续费重发 (毫秒)
+        FEE_BUMP_PERCENT: parseNumber(process.env.TX_FEE_BUMP_PERCENT, 15), // 每次重发提高的手续费比例 (%)，节点要求至少 10
+        MAX_FEE_GWEI: parseNumber(process.env.TX_MAX_FEE_GWEI, 1), // maxFeePerGas 上限 (gwei)
+        MAX_PRIORITY_FEE_GWEI: parseNumber(process.env.TX_MAX_PRIORITY_FEE_GWEI, 0.1), // maxPriorityFeePerGas 上限 (gwei)
+        GAS_LIMIT_MULTIPLIER: parseNumber(process.env.TX_GAS_LIMIT_MULTIPLIER, 1.2), // gas 预估值的放大倍数
+        CANCEL_ON_TIMEOUT: parseBoolean(process.env.TX_CANCEL_ON_TIMEOUT, true), // 超时后用零值自转账替换卡住的交易
+    },
+    APPROVAL: {
+        POLICY: process.env.APPROVAL_POLICY || 'exact', // max: 首次授权最大额度 | exact: 按需授权本次额度
+        CACHE_TTL: parseNumber(process.env.APPROVAL_CACHE_TTL, 300000), // 授权状态缓存有效期 (毫秒)
+    },
+    REDEMPTION: {
+        ENABLED: parseBoolean(process.env.REDEMPTION_ENABLED, true), // 自动赎回已结算市场的仓位
+        INTERVAL: parseNumber(process.env.REDEMPTION_INTERVAL, 300000), // 扫描间隔 (毫秒)
+        BATCH_SIZE: parseNumber(process.env.REDEMPTION_BATCH_SIZE, 10), // 每个账户每轮最多赎回的市场数量
+        MAX_GAS_PER_RUN: parseNumber(process.env.REDEMPTION_MAX_GAS_PER_RUN, 3000000), // 每轮赎回的 gas 预算，超出部分下一轮处理
+        MIN_VALUE: parseNumber(process.env.REDEMPTION_MIN_VALUE, 0), // 可赎回金额低于该值 (USDC) 时暂不赎回
+    },
+    POSITIONS: {
+        REFRESH_INTERVAL: parseNumber(process.env.POSITIONS_REFRESH_INTERVAL, 10000), // 刷新 API 持仓的间隔 (毫秒)
+        RECONCILE_INTERVAL: parseNumber(process.env.POSITIONS_RECONCILE_INTERVAL, 30000), // 与链上余额对账的间隔 (毫秒)
+        TOLERANCE: parseNumber(process.env.POSITIONS_TOLERANCE, 0.01), // 允许的份额差异 (股)
+    },
+    TREASURY: {
+        ACCOUNT_ID: process.env.TREASURY_ACCOUNT_ID || null, // 作为资金钱包的托管账户ID
+        PRIVATE_KEY: process.env.TREASURY_PRIVATE_KEY || null, // 资金钱包私钥（未配置 TREASURY_ACCOUNT_ID 时使用）
+        USDC_FLOOR: parseNumber(process.env.TREASURY_USDC_FLOOR, 10), // 账户 USDC 低于该值时补足
+        USDC_TARGET: parseNumber(process.env.TREASURY_USDC_TARGET, 50), // 补足后的 USDC 余额
+        USDC_CEILING: parseNumber(process.env.TREASURY_USDC_CEILING, 0), // 账户 USDC 超出该值的部分归集 (0 不归集)
+        ETH_FLOOR: parseNumber(process.env.TREASURY_ETH_FLOOR, 0.0005), // 账户 ETH 低于该值时补足
+        ETH_TARGET: parseNumber(process.env.TREASURY_ETH_TARGET, 0.002), // 补足后的 ETH 余额
+        ETH_CEILING: parseNumber(process.env.TREASURY_ETH_CEILING, 0), // 账户 ETH 超出该值的部分归集 (0 不归集)
+    },
+    SIGNER: {
+        TYPE: process.env.SIGNER_TYPE || 'local', // local: 加密存储中的私钥 | keystore: JSON keystore 文件 | remote: 远程签名服务
+        KEYSTORE_DIR: process.env.SIGNER_KEYSTORE_DIR || '.kiro/keystores', // keystore 目录，文件名为 <账户ID>.json
+        KEYSTORE_PASSWORD: process.env.SIGNER_KEYSTORE_PASSWORD || null, // keystore 解密密码
+        REMOTE_URL: process.env.SIGNER_REMOTE_URL || null, // 远程签名服务地址
+        REMOTE_TOKEN: process.env.SIGNER_REMOTE_TOKEN || null, // 远程签名服务访问令牌
+        REMOTE_TIMEOUT: parseNumber(process.env.SIGNER_REMOTE_TIMEOUT, 10000), // 远程签名请求超时 (毫秒)
+    },
+    AMM: {
+        DEFAULT_SLIPPAGE: parseNumber(process.env.AMM_DEFAULT_SLIPPAGE, 0.01), // AMM 报价未指定滑点时使用 (小数)
     },
     RPC_URL: process.env.RPC_URL || 'https://mainnet.base.org',
+    RPC: {
+        URLS: parseList(process.env.RPC_URLS, [process.env.RPC_URL || 'https://mainnet.base.org']), // 读取节点，逗号分隔，未配置时使用 RPC_URL
+        SEND_URLS: parseList(process.env.RPC_SEND_URLS, []), // 发送交易的节点（如私有节点），为空时使用读取节点
+        SEND_FALLBACK: parseBoolean(process.env.RPC_SEND_FALLBACK, true), // 发送节点全部不可用时改用读取节点
+        CHAIN_ID: parseNumber(process.env.RPC_CHAIN_ID, 8453), // Base 主网
+        TIMEOUT: parseNumber(process.env.RPC_TIMEOUT, 10000), // 单次请求超时 (毫秒)
+        HEALTH_CHECK_INTERVAL: parseNumber(process.env.RPC_HEALTH_CHECK_INTERVAL, 30000), // 健康检查间隔 (毫秒)
+        MAX_BLOCK_LAG: parseNumber(process.env.RPC_MAX_BLOCK_LAG, 5), // 落后最高区块超过该值视为不健康
+        FAILURE_THRESHOLD: parseNumber(process.env.RPC_FAILURE_THRESHOLD, 3), // 连续失败多少次后暂停使用节点
+        COOLDOWN: parseNumber(process.env.RPC_COOLDOWN, 60000), // 节点暂停使用时长 (毫秒)
+    },
 };
 
 export async function initializeConfig() {
     return Promise.resolve();
-}
\ No newline at end of file
+}
@@ -0,0 +1,185 @@
+/**
+ * 小时行权价市场公允价值模型
+ * 把结算价视为对数正态分布：P(S_T > K) = N(d2)，d2 = (ln(S/K) - σ²τ/2) / (σ√τ)
+ * 置信区间同时考虑 Pyth 报价的 conf 和波动率估计的误差；
+ * 波动率由 Pyth 推送价格的已实现波动率估计，样本不足时使用各标的的默认值
+ */
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+export const StrikeComparator = {
+    ABOVE: 'above',
+    BELOW: 'below'
+};
+
+// 样本不足时使用的年化波动率
+export const DEFAULT_VOLATILITY = {
+    'BTC/USD': 0.5,
+    'ETH/USD': 0.65,
+    'SOL/USD': 0.8,
+    'DOGE/USD': 0.9,
+    'XRP/USD': 0.8
+};
+
+/**
+ * 标准正态分布累积函数（Abramowitz-Stegun 7.1.26，误差 < 1.5e-7）
+ */
+export function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * 到期时价格高于行权价的概率
+ * @param {Object} params
+ * @param {number} params.spot - 现价
+ * @param {number} params.strike - 行权价
+ * @param {number} params.timeToExpiry - 距到期时间（毫秒）
+ * @param {number} params.volatility - 年化波动率
+ * @returns {number}
+ */
+export function probabilityAbove({ spot, strike, timeToExpiry, volatility }) {
+    const stdDev = volatility * Math.sqrt(Math.max(timeToExpiry, 0) / YEAR_MS);
+    if (!(stdDev > 0)) {
+        // 已到期或没有波动：结果已确定
+        return spot > strike ? 1 : spot < strike ? 0 : 0.5;
+    }
+
+    const d2 = (Math.log(spot / strike) - stdDev * stdDev / 2) / stdDev;
+    return normalCdf(d2);
+}
+
+/**
+ * 估算 YES 的公允概率和置信区间
+ * @param {Object} params
+ * @param {number} params.spot - 现价
+ * @param {number} params.spotConf - 现价置信区间（Pyth conf）
+ * @param {number} params.strike - 行权价
+ * @param {string} params.comparator - above / below
+ * @param {number} params.timeToExpiry - 距到期时间（毫秒）
+ * @param {number} params.volatility - 年化波动率
+ * @param {number} params.volatilityUncertainty - 波动率估计的相对误差（小数）
+ * @returns {Object} { probability, low, high }
+ */
+export function estimateFairValue({
+    spot,
+    spotConf = 0,
+    strike,
+    comparator = StrikeComparator.ABOVE,
+    timeToExpiry,
+    volatility,
+    volatilityUncertainty = 0
+}) {
+    if (!(spot > 0) || !(strike > 0)) {
+        throw new Error(`现价或行权价无效: spot=${spot}, strike=${strike}`);
+    }
+    if (!(volatility >= 0)) {
+        throw new Error(`波动率无效: ${volatility}`);
+    }
+
+    const probabilityAt = (s, v) => probabilityAbove({ spot: s, strike, timeToExpiry, volatility: v });
+
+    // 现价和波动率各取区间两端，组合出概率的上下界
+    const spots = [Math.max(spot - spotConf, Number.EPSILON), spot + spotConf];
+    const volatilities = [volatility * Math.max(1 - volatilityUncertainty, 0), volatility * (1 + volatilityUncertainty)];
+    const scenarios = spots.flatMap(s => volatilities.map(v => probabilityAt(s, v)));
+
+    const probability = probabilityAt(spot, volatility);
+    const low = Math.min(probability, ...scenarios);
+    const high = Math.max(probability, ...scenarios);
+
+    if (comparator === StrikeComparator.BELOW) {
+        return { probability: 1 - probability, low: 1 - high, high: 1 - low };
+    }
+    return { probability, low, high };
+}
+
+/**
+ * 已实现波动率（年化），按相邻样本的时间间隔加权，适用于不等间隔的推送价格
+ * @param {Array<{time: number, price: number}>} samples - 按时间升序，time 为毫秒
+ * @returns {number|null} 样本不足时返回 null
+ */
+export function realizedVolatility(samples) {
+    let sumSquares = 0;
+    let elapsed = 0;
+
+    for (let i = 1; i < samples.length; i++) {
+        const dt = samples[i].time - samples[i - 1].time;
+        if (dt <= 0) {
+            continue;
+        }
+        const logReturn = Math.log(samples[i].price / samples[i - 1].price);
+        sumSquares += logReturn * logReturn;
+        elapsed += dt;
+    }
+
+    if (elapsed === 0) {
+        return null;
+    }
+    return Math.sqrt(sumSquares / (elapsed / YEAR_MS));
+}
+
+/**
+ * 按交易对维护滚动窗口内的价格样本
+ */
+export class VolatilityTracker {
+    /**
+     * @param {Object} options
+     * @param {number} options.window - 样本窗口（毫秒）
+     * @param {number} options.minSamples - 使用已实现波动率所需的最少样本数
+     * @param {Object} options.defaults - 交易对 -> 默认年化波动率
+     */
+    constructor({ window = 3600000, minSamples = 30, defaults = DEFAULT_VOLATILITY } = {}) {
+        this.window = window;
+        this.minSamples = minSamples;
+        this.defaults = defaults;
+        this.samples = new Map(); // 交易对 -> [{ time, price }]
+    }
+
+    /**
+     * 记录价格，发布时间不晚于上一个样本的价格会被忽略
+     */
+    add(symbol, price, time) {
+        let samples = this.samples.get(symbol);
+        if (!samples) {
+            samples = [];
+            this.samples.set(symbol, samples);
+        }
+
+        const last = samples[samples.length - 1];
+        if (last && time <= last.time) {
+            return;
+        }
+        samples.push({ time, price });
+
+        const cutoff = time - this.window;
+        while (samples.length && samples[0].time < cutoff) {
+            samples.shift();
+        }
+    }
+
+    /**
+     * 订阅 PythPriceStream 的推送价格
+     */
+    track(stream) {
+        stream.on('price', (price) => this.add(price.symbol, price.price, price.timestamp));
+    }
+
+    /**
+     * @returns {Object|null} { volatility, samples, source: 'realized' | 'default' }，没有默认值时返回 null
+     */
+    get(symbol) {
+        const samples = this.samples.get(symbol) || [];
+        if (samples.length >= this.minSamples) {
+            const volatility = realizedVolatility(samples);
+            if (volatility !== null) {
+                return { volatility, samples: samples.length, source: 'realized' };
+            }
+        }
+
+        const fallback = this.defaults[symbol];
+        return fallback === undefined ? null : { volatility: fallback, samples: samples.length, source: 'default' };
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * 市场条款解析
+ * 从 title、metadata、tags、categories 中提取结构化字段：标的（映射到 Pyth 价格 ID）、行权价、比较方向、结算周期、结算时间。
+ * 优先使用 metadata 中的字段，再从标题解析；识别到部分行权价条款但不完整、或与到期时间矛盾的市场记入 issues，供报告使用
+ */
+
+import { MarketCadence, inferCadence } from './market.js';
+import { StrikeComparator } from './fair-value.js';
+import { getKnownPriceId } from './pyth-client.js';
+
+// 标的代码 -> 标题中可能出现的名称
+const ASSET_NAMES = {
+    BTC: ['btc', 'bitcoin', 'xbt'],
+    ETH: ['eth', 'ethereum', 'ether'],
+    SOL: ['sol', 'solana'],
+    DOGE: ['doge', 'dogecoin'],
+    XRP: ['xrp', 'ripple']
+};
+
+export const SUPPORTED_ASSETS = Object.keys(ASSET_NAMES);
+
+const ASSET_NAME_PATTERN = new RegExp(`\\b(${Object.values(ASSET_NAMES).flat().join('|')})\\b`, 'i');
+const TICKER_PATTERN = /\$([A-Za-z][A-Za-z0-9]{1,9})\b/;
+
+// 比较词后紧跟行权价，如 "above $65,532.71"、"> 108k"
+const STRIKE_NUMBER = '\\$?\\s*(\\d[\\d,]*(?:\\.\\d+)?)\\s*([km])?(?![\\w.])';
+const COMPARATOR_PATTERNS = [
+    [new RegExp(`(?:>=|≥|>|\\b(?:above|over|higher than|greater than|at least)\\b)\\s*${STRIKE_NUMBER}`, 'i'), StrikeComparator.ABOVE],
+    [new RegExp(`(?:<=|≤|<|\\b(?:below|under|lower than|less than|at most)\\b)\\s*${STRIKE_NUMBER}`, 'i'), StrikeComparator.BELOW]
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const TITLE_DATE_PATTERN = new RegExp(`\\b(${MONTHS.join('|')})[a-z]*\\.?\\s+(\\d{1,2})\\b`, 'i');
+const TITLE_TIME_PATTERN = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*UTC\b/i;
+
+// 元数据缺失时按存续时长推断结算周期（毫秒）
+const CADENCE_BY_LIFETIME = [
+    [90 * 60 * 1000, MarketCadence.HOURLY],
+    [36 * 60 * 60 * 1000, MarketCadence.DAILY],
+    [8 * 24 * 60 * 60 * 1000, MarketCadence.WEEKLY],
+    [32 * 24 * 60 * 60 * 1000, MarketCadence.MONTHLY]
+];
+
+export class MarketTerms {
+    /**
+     * @param {Object} fields
+     * @param {string} fields.asset - 标的代码，如 BTC
+     * @param {string} fields.symbol - Pyth 交易对，如 BTC/USD
+     * @param {string} fields.priceId - Pyth 价格 ID
+     * @param {number} fields.strike - 行权价
+     * @param {string} fields.comparator - StrikeComparator
+     * @param {string} fields.cadence - MarketCadence
+     * @param {number} fields.settlementTime - 结算时间（毫秒）
+     * @param {Array<{field: string, message: string}>} fields.issues - 解析问题
+     */
+    constructor({ asset = null, symbol = null, priceId = null, strike = null, comparator = null, cadence = MarketCadence.UNKNOWN, settlementTime = null, issues = [] }) {
+        this.asset = asset;
+        this.symbol = symbol;
+        this.priceId = priceId;
+        this.strike = strike;
+        this.comparator = comparator;
+        this.cadence = cadence;
+        this.settlementTime = settlementTime;
+        this.issues = issues;
+    }
+
+    /**
+     * 标的、行权价、方向齐全且有 Pyth 价格，可以用公允价值模型定价
+     */
+    get isStrikeMarket() {
+        return !!(this.priceId && this.strike && this.comparator);
+    }
+
+    get isHourly() {
+        return this.cadence === MarketCadence.HOURLY;
+    }
+
+    /**
+     * 识别到部分行权价条款或存在矛盾，需要人工确认
+     */
+    get isUnparseable() {
+        return this.issues.length > 0;
+    }
+
+    toJSON() {
+        const { issues, ...fields } = this;
+        return { ...fields, issues };
+    }
+}
+
+/**
+ * 解析市场条款
+ * @param {Object} market - Market 实例或接口返回的市场数据
+ * @returns {MarketTerms}
+ */
+export function parseMarketTerms(market) {
+    const metadata = market.metadata || {};
+    const title = market.title || '';
+    const issues = [];
+    const addIssue = (field, message) => issues.push({ field, message });
+
+    const asset = parseAsset(metadata, title);
+    const titleStrike = parseStrike(title);
+    const metadataStrike = parseOptionalNumber(metadata.strike ?? metadata.strikePrice);
+    const metadataComparator = parseComparator(metadata.comparator ?? metadata.direction);
+
+    const strike = metadataStrike ?? titleStrike?.strike ?? null;
+    const comparator = metadataComparator ?? titleStrike?.comparator ?? null;
+
+    if (metadataStrike && titleStrike && Math.abs(metadataStrike - titleStrike.strike) > metadataStrike * 1e-6) {
+        addIssue('strike', `metadata 行权价 ${metadataStrike} 与标题 ${titleStrike.strike} 不一致`);
+    }
+
+    // 只要识别到任意一项行权价条款，其余缺失的项都算解析失败
+    const symbol = asset ? `${asset}/USD` : null;
+    const priceId = metadata.priceFeedId || (symbol && getKnownPriceId(symbol)) || null;
+    if (asset || strike || comparator) {
+        if (!asset) addIssue('asset', '未识别标的');
+        if (asset && !priceId) addIssue('priceId', `没有 ${symbol} 的 Pyth 价格 ID`);
+        if (!strike) addIssue('strike', '未找到行权价');
+        if (!comparator) addIssue('comparator', '未找到比较方向 (above / below)');
+    }
+
+    const settlementTime = parseOptionalNumber(metadata.settlementTime ?? market.expirationTimestamp) ?? null;
+    if (settlementTime) {
+        const mismatch = checkTitleTime(title, settlementTime);
+        if (mismatch) {
+            addIssue('settlementTime', mismatch);
+        }
+    }
+
+    const cadence = parseCadence(market, settlementTime);
+    if (cadence === MarketCadence.UNKNOWN && (asset || strike)) {
+        addIssue('cadence', '无法判断结算周期');
+    }
+
+    return new MarketTerms({ asset, symbol, priceId, strike, comparator, cadence, settlementTime, issues });
+}
+
+/**
+ * 批量解析并分类
+ * @param {Array<Object>} markets
+ * @returns {Object} { strike: [{market, terms}], other: [{market, terms}], unparseable: [{market, terms}] }
+ */
+export function parseMarkets(markets) {
+    const result = { strike: [], other: [], unparseable: [] };
+
+    for (const market of markets) {
+        const terms = parseMarketTerms(market);
+        if (terms.isUnparseable) {
+            result.unparseable.push({ market, terms });
+        } else if (terms.isStrikeMarket) {
+            result.strike.push({ market, terms });
+        } else {
+            result.other.push({ market, terms });
+        }
+    }
+
+    return result;
+}
+
+function parseAsset(metadata, title) {
+    const fromMetadata = metadata.asset ?? metadata.ticker ?? metadata.underlying;
+    if (fromMetadata) {
+        return String(fromMetadata).toUpperCase().replace(/^\$/, '').split('/')[0];
+    }
+
+    // "$BTC above ..." 形式的代码，未知代码也返回，由调用方报告缺少价格 ID
+    const ticker = title.match(TICKER_PATTERN);
+    if (ticker && !/^\d/.test(ticker[1])) {
+        return findAsset(ticker[1]) || ticker[1].toUpperCase();
+    }
+
+    const name = title.match(ASSET_NAME_PATTERN);
+    return name ? findAsset(name[1]) : null;
+}
+
+function findAsset(name) {
+    const lower = name.toLowerCase();
+    return Object.keys(ASSET_NAMES).find(asset => ASSET_NAMES[asset].includes(lower)) || null;
+}
+
+/**
+ * 取标题中最先出现的 比较词 + 行权价
+ */
+function parseStrike(title) {
+    let best = null;
+    for (const [pattern, comparator] of COMPARATOR_PATTERNS) {
+        const match = title.match(pattern);
+        if (match && (!best || match.index < best.index)) {
+            const multiplier = { k: 1e3, m: 1e6 }[match[2]?.toLowerCase()] || 1;
+            best = { index: match.index, comparator, strike: parseFloat(match[1].replace(/,/g, '')) * multiplier };
+        }
+    }
+    return best && best.strike > 0 ? { strike: best.strike, comparator: best.comparator } : null;
+}
+
+function parseComparator(value) {
+    const text = String(value || '').toLowerCase();
+    if (['above', 'over', 'gt', 'gte', '>', '>='].includes(text)) return StrikeComparator.ABOVE;
+    if (['below', 'under', 'lt', 'lte', '<', '<='].includes(text)) return StrikeComparator.BELOW;
+    return null;
+}
+
+/**
+ * 结算周期：元数据 / 标签 / 分类 / 标题关键词，都没有时按存续时长推断
+ */
+function parseCadence(market, settlementTime) {
+    const cadence = market.cadence && market.cadence !== MarketCadence.UNKNOWN ? market.cadence : inferCadence(market);
+    if (cadence !== MarketCadence.UNKNOWN) {
+        return cadence;
+    }
+
+    const createdAt = market.createdAt ? new Date(market.createdAt).getTime() : NaN;
+    if (!settlementTime || !Number.isFinite(createdAt)) {
+        return MarketCadence.UNKNOWN;
+    }
+
+    const lifetime = settlementTime - createdAt;
+    const match = CADENCE_BY_LIFETIME.find(([maxLifetime]) => lifetime > 0 && lifetime <= maxLifetime);
+    return match ? match[1] : MarketCadence.UNKNOWN;
+}
+
+/**
+ * 标题中的日期 / 时间（UTC）与到期时间不一致时返回说明
+ */
+function checkTitleTime(title, settlementTime) {
+    const settlement = new Date(settlementTime);
+
+    const date = title.match(TITLE_DATE_PATTERN);
+    if (date) {
+        const month = MONTHS.indexOf(date[1].slice(0, 3).toLowerCase());
+        const day = parseInt(date[2]);
+        if (month !== settlement.getUTCMonth() || day !== settlement.getUTCDate()) {
+            return `标题日期 ${date[0]} 与到期时间 ${settlement.toISOString()} 不一致`;
+        }
+    }
+
+    const time = title.match(TITLE_TIME_PATTERN);
+    if (time) {
+        let hour = parseInt(time[1]) % (time[3] ? 12 : 24);
+        if (time[3]?.toLowerCase() === 'pm') {
+            hour += 12;
+        }
+        const minute = parseInt(time[2] || '0');
+        if (hour !== settlement.getUTCHours() || minute !== settlement.getUTCMinutes()) {
+            return `标题时间 ${time[0]} 与到期时间 ${settlement.toISOString()} 不一致`;
+        }
+    }
+
+    return null;
+}
+
+function parseOptionalNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const parsed = Number(String(value).replace(/,/g, ''));
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+}
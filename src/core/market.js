@@ -0,0 +1,368 @@
+/**
+ * 市场领域模型
+ * 统一 /markets/active 接口返回的三种结构：
+ *   1. 单一订单簿市场（直接带 tokens）
+ *   2. 分组市场（markets[] 子数组，每个子市场带 tokens）
+ *   3. AMM 市场（只有合约地址 address）
+ * 构建时校验必需字段，接口结构变化时抛出 MarketValidationError 而不是在下游读到 undefined
+ */
+
+import Decimal from 'decimal.js';
+import { ethers } from 'ethers';
+
+export const MarketVenue = {
+    CLOB: 'clob', // 订单簿，通过 /orders 下单
+    AMM: 'amm'    // 合约做市，通过合约地址下单
+};
+
+export const MarketCadence = {
+    HOURLY: 'hourly',
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly',
+    UNKNOWN: 'unknown'
+};
+
+export const Outcome = {
+    YES: 'YES',
+    NO: 'NO'
+};
+
+/**
+ * 市场数据校验错误
+ */
+export class MarketValidationError extends Error {
+    constructor(message, { slug = null, field = null } = {}) {
+        super(slug ? `市场 ${slug}: ${message}` : message);
+        this.name = 'MarketValidationError';
+        this.slug = slug;
+        this.field = field;
+    }
+}
+
+export class Market {
+    /**
+     * @param {Object} fields - 已归一化的市场字段，一般通过 Market.fromApi() 构建
+     */
+    constructor(fields) {
+        this.id = fields.id;
+        this.slug = fields.slug;
+        this.title = fields.title;
+        this.conditionId = fields.conditionId;
+        this.venue = fields.venue;
+
+        // CLOB 市场的 YES/NO tokenId，AMM 市场为 null
+        this.tokens = fields.tokens || null;
+        // AMM 市场的合约地址，CLOB 市场为 null
+        this.address = fields.address || null;
+
+        // 分组市场的父级信息
+        this.parentSlug = fields.parentSlug || null;
+        this.parentTitle = fields.parentTitle || null;
+
+        this.category = fields.category || null;
+        this.categories = fields.categories || [];
+        this.tags = fields.tags || [];
+        this.cadence = fields.cadence || MarketCadence.UNKNOWN;
+        this.metadata = fields.metadata || {};
+
+        this.prices = fields.prices || null;
+        this.tradePrices = fields.tradePrices;
+        this.volume = fields.volume;
+        this.liquidity = fields.liquidity;
+
+        this.isRewardable = !!fields.isRewardable;
+        this.settings = fields.settings || null;
+
+        this.expired = !!fields.expired;
+        this.expirationTimestamp = fields.expirationTimestamp;
+        this.createdAt = fields.createdAt || null;
+
+        this.validate();
+
+        // 校验通过后再转换，到期时间无效时抛出 MarketValidationError 而不是 RangeError
+        this.endDate = new Date(this.expirationTimestamp).toISOString();
+    }
+
+    /**
+     * 从接口返回的列表项构建市场（分组市场展开为多个子市场）
+     * @param {Object} item - /markets/active/:categoryId 返回的列表项
+     * @param {Object} options
+     * @param {string} options.category - 分类名称
+     * @param {Function} options.onInvalid - 分组市场中无效的子市场被跳过时调用，参数为 MarketValidationError
+     * @returns {Array<Market>}
+     */
+    static listFromApi(item, { category = null, onInvalid = null } = {}) {
+        if (!item || typeof item !== 'object') {
+            throw new MarketValidationError('列表项不是对象');
+        }
+
+        // 分组市场：展开子市场，继承父级的分类、标签和到期时间
+        if (Array.isArray(item.markets)) {
+            if (item.markets.length === 0) {
+                throw new MarketValidationError('分组市场没有子市场', { slug: item.slug, field: 'markets' });
+            }
+
+            // 单个子市场无效时只跳过该子市场，不影响同组的其他子市场
+            const markets = [];
+            for (const subMarket of item.markets) {
+                try {
+                    markets.push(Market.fromApi({
+                        ...subMarket,
+                        title: `${item.title} ${subMarket?.title}`,
+                        tags: item.tags,
+                        categories: item.categories,
+                        expired: item.expired,
+                        expirationTimestamp: item.expirationTimestamp,
+                        metadata: item.metadata,
+                        createdAt: subMarket?.createdAt ?? item.createdAt
+                    }, { category, parent: item }));
+                } catch (error) {
+                    if (!(error instanceof MarketValidationError)) {
+                        throw error;
+                    }
+                    onInvalid?.(error);
+                }
+            }
+            return markets;
+        }
+
+        return [Market.fromApi(item, { category })];
+    }
+
+    /**
+     * 从接口返回的单个市场构建
+     * @param {Object} item - 单一市场、分组子市场或 AMM 市场
+     * @param {Object} options
+     * @param {string} options.category - 分类名称
+     * @param {Object} options.parent - 分组市场的父级
+     */
+    static fromApi(item, { category = null, parent = null } = {}) {
+        const slug = item?.slug;
+
+        let venue;
+        if (item.tokens) {
+            venue = MarketVenue.CLOB;
+        } else if (item.address) {
+            venue = MarketVenue.AMM;
+        } else {
+            throw new MarketValidationError('无法识别的市场结构（既没有 tokens 也没有 address）', { slug, field: 'tokens' });
+        }
+
+        const categories = normalizeCategories(item.categories);
+
+        return new Market({
+            id: item.conditionId,
+            slug,
+            title: item.title,
+            conditionId: item.conditionId,
+            venue,
+            tokens: venue === MarketVenue.CLOB ? normalizeTokens(item.tokens, slug) : null,
+            address: venue === MarketVenue.AMM ? item.address : null,
+            parentSlug: parent?.slug,
+            parentTitle: parent?.title,
+            category: category || categories[0] || null,
+            categories,
+            tags: item.tags || [],
+            cadence: inferCadence({ ...item, category }),
+            metadata: item.metadata,
+            prices: item.prices ? normalizePrices(item.prices, slug) : null,
+            tradePrices: item.tradePrices,
+            volume: parseOptionalNumber(item.volumeFormatted ?? item.volume),
+            liquidity: parseOptionalNumber(item.liquidityFormatted ?? item.liquidity),
+            isRewardable: item.isRewardable,
+            settings: item.settings,
+            expired: item.expired,
+            expirationTimestamp: Number(item.expirationTimestamp),
+            createdAt: item.createdAt
+        });
+    }
+
+    /**
+     * 校验必需字段
+     */
+    validate() {
+        const fail = (field, message) => {
+            throw new MarketValidationError(message, { slug: this.slug, field });
+        };
+
+        if (!this.slug || typeof this.slug !== 'string') {
+            fail('slug', '缺少 slug');
+        }
+        if (!this.title) {
+            fail('title', '缺少 title');
+        }
+        if (!this.conditionId) {
+            fail('conditionId', '缺少 conditionId');
+        }
+        if (!Number.isFinite(this.expirationTimestamp) || this.expirationTimestamp <= 0 || Number.isNaN(new Date(this.expirationTimestamp).getTime())) {
+            fail('expirationTimestamp', `expirationTimestamp 无效: ${this.expirationTimestamp}`);
+        }
+        if (!Object.values(MarketVenue).includes(this.venue)) {
+            fail('venue', `未知的交易场所: ${this.venue}`);
+        }
+        if (this.venue === MarketVenue.CLOB && (!this.tokens?.yes || !this.tokens?.no)) {
+            fail('tokens', '订单簿市场缺少 YES/NO tokenId');
+        }
+        if (this.venue === MarketVenue.AMM && !ethers.isAddress(this.address)) {
+            fail('address', `AMM 市场合约地址无效: ${this.address}`);
+        }
+        if (this.prices && (!Number.isFinite(this.prices.YES) || !Number.isFinite(this.prices.NO))) {
+            fail('prices', '价格不是数字');
+        }
+    }
+
+    get isClob() {
+        return this.venue === MarketVenue.CLOB;
+    }
+
+    get isAmm() {
+        return this.venue === MarketVenue.AMM;
+    }
+
+    get yesTokenId() {
+        return this.tokens?.yes || null;
+    }
+
+    get noTokenId() {
+        return this.tokens?.no || null;
+    }
+
+    /**
+     * 结果方向对应的 tokenId
+     * @param {string} outcome - 'YES' 或 'NO'
+     */
+    getTokenId(outcome) {
+        if (!this.isClob) {
+            throw new Error(`AMM 市场没有 tokenId: ${this.slug}`);
+        }
+        return outcome === Outcome.NO ? this.tokens.no : this.tokens.yes;
+    }
+
+    /**
+     * tokenId 对应的结果方向，不属于该市场时返回 null
+     */
+    getOutcomeForToken(tokenId) {
+        if (!this.tokens) {
+            return null;
+        }
+        if (String(tokenId) === this.tokens.yes) {
+            return Outcome.YES;
+        }
+        if (String(tokenId) === this.tokens.no) {
+            return Outcome.NO;
+        }
+        return null;
+    }
+
+    /**
+     * 是否属于分组市场
+     */
+    get isGrouped() {
+        return !!this.parentSlug;
+    }
+
+    /**
+     * LP 奖励设置
+     */
+    get rewards() {
+        const settings = this.settings || {};
+        return {
+            isRewardable: this.isRewardable,
+            dailyReward: parseOptionalNumber(settings.dailyReward) ?? 0,
+            maxSpread: parseOptionalNumber(settings.maxSpread) ?? null,
+            minSize: parseOptionalNumber(settings.minSize) ?? null
+        };
+    }
+
+    /**
+     * 距离到期的时间（毫秒）
+     */
+    getTimeToExpiry(now = Date.now()) {
+        return this.expirationTimestamp - now;
+    }
+
+    /**
+     * 是否已到期
+     */
+    isExpired(now = Date.now()) {
+        return this.expired || this.getTimeToExpiry(now) <= 0;
+    }
+
+    /**
+     * 序列化（状态持久化、日志），不包含订单簿等运行时数据
+     */
+    toJSON() {
+        const { orderbook, ...fields } = this;
+        return fields;
+    }
+}
+
+/**
+ * 归一化价格（接口可能返回百分比，或 [yes, no] 数组）
+ */
+export function normalizePrices(prices, slug = null) {
+    const [yes, no] = Array.isArray(prices) ? prices : [prices?.YES, prices?.NO];
+    if (yes === undefined || yes === null || no === undefined || no === null) {
+        throw new MarketValidationError(`价格结构无效: ${JSON.stringify(prices)}`, { slug, field: 'prices' });
+    }
+
+    const yesPrice = new Decimal(yes);
+    const noPrice = new Decimal(no);
+
+    return {
+        YES: yesPrice.gt(1) ? yesPrice.div(100).toNumber() : yesPrice.toNumber(),
+        NO: noPrice.gt(1) ? noPrice.div(100).toNumber() : noPrice.toNumber(),
+    };
+}
+
+function normalizeTokens(tokens, slug) {
+    const yes = tokens?.yes ?? tokens?.YES;
+    const no = tokens?.no ?? tokens?.NO;
+    if (!yes || !no) {
+        throw new MarketValidationError(`tokens 结构无效: ${JSON.stringify(tokens)}`, { slug, field: 'tokens' });
+    }
+    return { yes: String(yes), no: String(no) };
+}
+
+function normalizeCategories(categories) {
+    if (!Array.isArray(categories)) {
+        return [];
+    }
+    return categories
+        .map(category => typeof category === 'string' ? category : category?.name)
+        .filter(Boolean);
+}
+
+/**
+ * 推断结算周期：元数据 > 标签/分类 > 标题关键词
+ */
+export function inferCadence(item) {
+    const candidates = [
+        item.metadata?.cadence,
+        ...(item.tags || []),
+        ...normalizeCategories(item.categories),
+        item.category,
+        item.title
+    ];
+
+    for (const candidate of candidates) {
+        const text = String(candidate || '').toLowerCase();
+        if (text.includes('hourly') || text.includes('每小时')) return MarketCadence.HOURLY;
+        if (text.includes('daily') || text.includes('每日')) return MarketCadence.DAILY;
+        if (text.includes('weekly') || text.includes('每周')) return MarketCadence.WEEKLY;
+        if (text.includes('monthly') || text.includes('每月')) return MarketCadence.MONTHLY;
+    }
+
+    return MarketCadence.UNKNOWN;
+}
+
+function parseOptionalNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+export default Market;
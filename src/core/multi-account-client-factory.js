@@ -20,8 +20,8 @@ class MultiAccountClientFactory {
         }
 
         // 验证账户配置
-        if (!accountConfig.privateKey) {
-            throw new Error(`账户 ${accountId} 缺少私钥配置`);
+        if (!accountConfig.privateKey && !accountConfig.signer) {
+            throw new Error(`账户 ${accountId} 缺少私钥或签名配置`);
         }
 
         console.log(`🔧 为账户 ${accountId} 创建API客户端...`);
@@ -30,6 +30,7 @@ class MultiAccountClientFactory {
         const client = new LimitlessApiClient({
             id: accountId,
             privateKey: accountConfig.privateKey,
+            signer: accountConfig.signer,
             name: accountConfig.name || accountId
         });
 
@@ -114,12 +115,13 @@ class MultiAccountClientFactory {
         const results = [];
         for (const [accountId, client] of this.clients.entries()) {
             try {
-                const loginResult = await client.performLogin();
+                // 通过会话管理器登录：会话仍有效时不重复登录，并与其他请求触发的登录共享同一次请求
+                await client.ensureAuthenticated();
                 results.push({ 
                     accountId, 
-                    success: loginResult.success,
-                    walletAddress: loginResult.walletAddress,
-                    userId: loginResult.userId
+                    success: true,
+                    walletAddress: client.walletAddress,
+                    userId: client.userId
                 });
             } catch (error) {
                 console.error(`❌ 账户 ${accountId} 登录失败: ${error.message}`);
@@ -0,0 +1,496 @@
+/**
+ * 订单构建器
+ * 把价格和数量换算成精确的 USDC / 份额最小单位（均为 6 位小数），
+ * 按市场的 tick size 对齐价格、校验最小下单份额和手续费率，生成可直接签名的 EIP-712 订单
+ *
+ * 金额约定（与 CTF Exchange 一致）：
+ *   买单 makerAmount = 支付的 USDC，takerAmount = 得到的份额
+ *   卖单 makerAmount = 卖出的份额，takerAmount = 得到的 USDC
+ *   市价单 takerAmount = 1，买入时 makerAmount 为花费的 USDC，卖出时为卖出的份额
+ *
+ * 订单类型：
+ *   GTC 一直有效直到撤单；GTD 到 expiration 自动失效；IOC 立即成交能成交的部分，剩余撤销；
+ *   FOK 必须全部立即成交，否则整单拒绝。postOnly 只能用于 GTC / GTD，会立即成交时拒绝
+ *
+ * 校验失败在提交前抛出 OrderValidationError，不再等服务端返回 400
+ */
+
+import crypto from 'crypto';
+import Decimal from 'decimal.js';
+import { ethers } from 'ethers';
+
+import { config } from './config.js';
+import { ApiErrorType } from './api-errors.js';
+
+// USDC 和 CTF 份额都是 6 位小数
+export const UNIT_DECIMALS = 6;
+const UNIT = new Decimal(10).pow(UNIT_DECIMALS);
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+export const OrderSide = {
+    BUY: 0,
+    SELL: 1
+};
+
+export const SignatureType = {
+    EOA: 0
+};
+
+export const OrderType = {
+    GTC: 'GTC', // Good Till Cancelled
+    GTD: 'GTD', // Good Till Date
+    IOC: 'IOC', // Immediate Or Cancel
+    FOK: 'FOK'  // Fill Or Kill
+};
+
+// 限价单和市价单各自允许的订单类型
+const LIMIT_ORDER_TYPES = new Set([OrderType.GTC, OrderType.GTD, OrderType.IOC, OrderType.FOK]);
+const MARKET_ORDER_TYPES = new Set([OrderType.FOK, OrderType.IOC]);
+const POST_ONLY_ORDER_TYPES = new Set([OrderType.GTC, OrderType.GTD]);
+
+// EIP-712 类型定义
+export const ORDER_TYPES = {
+    Order: [
+        { name: 'salt', type: 'uint256' },
+        { name: 'maker', type: 'address' },
+        { name: 'signer', type: 'address' },
+        { name: 'taker', type: 'address' },
+        { name: 'tokenId', type: 'uint256' },
+        { name: 'makerAmount', type: 'uint256' },
+        { name: 'takerAmount', type: 'uint256' },
+        { name: 'expiration', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'feeRateBps', type: 'uint256' },
+        { name: 'side', type: 'uint8' },
+        { name: 'signatureType', type: 'uint8' }
+    ]
+};
+
+/**
+ * 订单拒绝原因
+ */
+export const OrderRejectReason = {
+    INVALID_SIDE: 'invalid_side',
+    INVALID_TOKEN: 'invalid_token',
+    INVALID_ADDRESS: 'invalid_address',
+    INVALID_PRICE: 'invalid_price',
+    INVALID_SIZE: 'invalid_size',
+    BELOW_MIN_SIZE: 'below_min_size',
+    INVALID_AMOUNT: 'invalid_amount',
+    INVALID_FEE: 'invalid_fee',
+    INVALID_EXPIRATION: 'invalid_expiration',
+    INVALID_TICK_SIZE: 'invalid_tick_size',
+    INVALID_ORDER_TYPE: 'invalid_order_type',
+    POST_ONLY_WOULD_CROSS: 'post_only_would_cross'
+};
+
+/**
+ * 下单前校验错误
+ * type 与 ApiError 保持一致，调用方可以统一按 type / retryable 处理
+ */
+export class OrderValidationError extends Error {
+    constructor(message, { reason, field = null, details = null } = {}) {
+        super(message);
+        this.name = 'OrderValidationError';
+        this.type = ApiErrorType.VALIDATION;
+        this.reason = reason;
+        this.field = field;
+        this.details = details;
+        this.retryable = false;
+    }
+}
+
+/**
+ * 从市场设置读取下单约束，缺失时使用配置默认值
+ * @param {Object} market - Market 实例或带 settings 的原始市场数据
+ * @returns {Object} { tickSize, minSize, feeRateBps }
+ */
+export function getOrderConstraints(market = null) {
+    const settings = market?.settings || {};
+    const pick = (value, fallback) => value !== undefined && value !== null && value !== '' ? value : fallback;
+
+    return {
+        tickSize: new Decimal(pick(settings.tickSize, config.ORDER.TICK_SIZE)),
+        minSize: new Decimal(pick(settings.minSize, config.ORDER.MIN_SIZE)),
+        feeRateBps: Number(pick(settings.feeRateBps, config.ORDER.DEFAULT_FEE_RATE_BPS))
+    };
+}
+
+/**
+ * 生成订单 salt
+ * 使用加密随机数；接口以 JSON 数字传递 salt，因此限制在 53 位安全整数范围内
+ */
+export function generateSalt() {
+    const value = crypto.randomBytes(8).readBigUInt64BE() & ((1n << 53n) - 1n);
+    return Number(value);
+}
+
+/**
+ * 限价单默认订单类型：设置了过期时间为 GTD，否则为 GTC
+ */
+export function getDefaultLimitOrderType(expiration = 0) {
+    return Number(expiration || 0) > 0 ? OrderType.GTD : OrderType.GTC;
+}
+
+/**
+ * 数值转换为最小单位（向下取整）
+ */
+export function toBaseUnits(value) {
+    return new Decimal(value).times(UNIT).floor();
+}
+
+/**
+ * 最小单位转换为数值
+ */
+export function fromBaseUnits(units) {
+    return new Decimal(units.toString()).div(UNIT);
+}
+
+export class OrderBuilder {
+    /**
+     * @param {Object} options
+     * @param {string} options.maker - 下单地址
+     * @param {string} options.signer - 签名地址，默认与 maker 相同
+     * @param {Object} options.market - 市场（读取 tick size、最小份额、手续费率）
+     * @param {number|string} options.tickSize - 覆盖市场的 tick size
+     * @param {number|string} options.minSize - 覆盖市场的最小下单份额
+     * @param {number} options.feeRateBps - 覆盖市场的手续费率
+     */
+    constructor({ maker, signer = maker, market = null, tickSize, minSize, feeRateBps } = {}) {
+        const constraints = getOrderConstraints(market);
+
+        this.maker = maker;
+        this.signer = signer;
+        this.market = market;
+        this.tickSize = tickSize !== undefined ? new Decimal(tickSize) : constraints.tickSize;
+        this.minSize = minSize !== undefined ? new Decimal(minSize) : constraints.minSize;
+        this.feeRateBps = feeRateBps !== undefined ? Number(feeRateBps) : constraints.feeRateBps;
+
+        this.validateConstraints();
+    }
+
+    /**
+     * 校验构建器本身的参数
+     */
+    validateConstraints() {
+        if (!ethers.isAddress(this.maker)) {
+            throw new OrderValidationError(`maker 地址无效: ${this.maker}`, { reason: OrderRejectReason.INVALID_ADDRESS, field: 'maker' });
+        }
+        if (!ethers.isAddress(this.signer)) {
+            throw new OrderValidationError(`signer 地址无效: ${this.signer}`, { reason: OrderRejectReason.INVALID_ADDRESS, field: 'signer' });
+        }
+        // tick size 必须是 1 / 整数，这样对齐后的价格乘以整手份额才是整数个最小单位
+        if (!this.tickSize.gt(0) || !this.tickSize.lt(1) || !new Decimal(1).div(this.tickSize).isInteger()) {
+            throw new OrderValidationError(`tick size 无效: ${this.tickSize}`, { reason: OrderRejectReason.INVALID_TICK_SIZE, field: 'tickSize' });
+        }
+        if (this.minSize.isNegative()) {
+            throw new OrderValidationError(`最小下单份额无效: ${this.minSize}`, { reason: OrderRejectReason.INVALID_SIZE, field: 'minSize' });
+        }
+        if (!Number.isInteger(this.feeRateBps) || this.feeRateBps < 0 || this.feeRateBps > 10000) {
+            throw new OrderValidationError(`手续费率无效: ${this.feeRateBps}`, { reason: OrderRejectReason.INVALID_FEE, field: 'feeRateBps' });
+        }
+    }
+
+    /**
+     * 按 tick size 对齐价格
+     * 买单向下取整（不多付），卖单向上取整（不少收）
+     */
+    snapPrice(price, side) {
+        const value = new Decimal(price);
+        const rounding = side === OrderSide.BUY ? Decimal.ROUND_FLOOR : Decimal.ROUND_CEIL;
+        return value.div(this.tickSize).toDecimalPlaces(0, rounding).times(this.tickSize);
+    }
+
+    /**
+     * 份额按整手向下取整
+     * 一手 = 1 / tickSize 个最小单位，保证 价格 × 份额 恰好是整数个 USDC 最小单位
+     */
+    snapSizeUnits(quantity) {
+        const lot = new Decimal(1).div(this.tickSize);
+        return toBaseUnits(quantity).div(lot).floor().times(lot);
+    }
+
+    /**
+     * 构建限价单
+     * @param {Object} params
+     * @param {string} params.tokenId - 代币ID
+     * @param {number|string} params.price - 单价（0-1 美元）
+     * @param {number|string} params.quantity - 份额
+     * @param {number} params.side - OrderSide.BUY / OrderSide.SELL
+     * @param {string} params.orderType - OrderType，默认有 expiration 时为 GTD，否则为 GTC
+     * @param {number} params.expiration - 过期时间（Unix 秒），只有 GTD 可以设置，0 表示不过期
+     * @param {boolean} params.postOnly - 只挂单不吃单
+     * @param {OrderBook} params.orderbook - 当前订单簿，postOnly 时用于检查是否会立即成交
+     * @param {number} params.nonce - 订单 nonce
+     * @returns {Object} 可签名的订单（金额为字符串），附带 price / quantity 用于显示
+     */
+    buildLimitOrder({ tokenId, price, quantity, side, orderType, expiration = 0, postOnly = false, orderbook = null, nonce = 0 }) {
+        this.validateSide(side);
+        this.validateTokenId(tokenId);
+        const expirationSeconds = this.validateExpiration(expiration);
+        const type = orderType || getDefaultLimitOrderType(expirationSeconds);
+        this.validateOrderType(type, { expirationSeconds, postOnly, allowed: LIMIT_ORDER_TYPES });
+
+        const rawPrice = this.parsePositive(price, 'price', OrderRejectReason.INVALID_PRICE);
+        const snappedPrice = this.snapPrice(rawPrice, side);
+        if (!snappedPrice.gt(0) || !snappedPrice.lt(1)) {
+            throw new OrderValidationError(`价格 ${rawPrice} 按 tick ${this.tickSize} 对齐后为 ${snappedPrice}，超出 (0, 1) 范围`, {
+                reason: OrderRejectReason.INVALID_PRICE,
+                field: 'price',
+                details: { price: rawPrice.toString(), snappedPrice: snappedPrice.toString(), tickSize: this.tickSize.toString() }
+            });
+        }
+
+        const rawQuantity = this.parsePositive(quantity, 'quantity', OrderRejectReason.INVALID_SIZE);
+        const sizeUnits = this.snapSizeUnits(rawQuantity);
+        const size = fromBaseUnits(sizeUnits);
+        if (!sizeUnits.gt(0) || size.lt(this.minSize)) {
+            throw new OrderValidationError(`下单份额 ${size} 低于市场最小份额 ${this.minSize}`, {
+                reason: OrderRejectReason.BELOW_MIN_SIZE,
+                field: 'quantity',
+                details: { quantity: rawQuantity.toString(), size: size.toString(), minSize: this.minSize.toString() }
+            });
+        }
+
+        if (postOnly && orderbook) {
+            this.assertPostOnly({ tokenId, price: snappedPrice, side, orderbook });
+        }
+
+        const usdcUnits = sizeUnits.times(snappedPrice);
+        const [makerAmount, takerAmount] = side === OrderSide.BUY
+            ? [usdcUnits, sizeUnits]
+            : [sizeUnits, usdcUnits];
+
+        const order = {
+            ...this.baseOrder({ tokenId, side, nonce }),
+            makerAmount: makerAmount.toFixed(0),
+            takerAmount: takerAmount.toFixed(0),
+            expiration: String(expirationSeconds)
+        };
+        this.validate(order);
+
+        return {
+            ...order,
+            price: snappedPrice.toNumber(), // 保留价格信息用于显示，签名时不包含
+            quantity: size.toNumber()
+        };
+    }
+
+    /**
+     * 构建市价单
+     * @param {Object} params
+     * @param {string} params.tokenId - 代币ID
+     * @param {number} params.side - OrderSide.BUY / OrderSide.SELL
+     * @param {number|string} params.usdcAmount - 买入花费的 USDC（买单）
+     * @param {number|string} params.shares - 卖出的份额（卖单）
+     * @param {string} params.orderType - FOK（默认）或 IOC
+     * @param {number} params.nonce - 订单 nonce
+     */
+    buildMarketOrder({ tokenId, side, usdcAmount, shares, orderType = OrderType.FOK, nonce = 0 }) {
+        this.validateSide(side);
+        this.validateTokenId(tokenId);
+        this.validateOrderType(orderType, { expirationSeconds: 0, postOnly: false, allowed: MARKET_ORDER_TYPES });
+
+        let makerAmount;
+        if (side === OrderSide.BUY) {
+            const amount = this.parsePositive(usdcAmount, 'usdcAmount', OrderRejectReason.INVALID_AMOUNT);
+            makerAmount = toBaseUnits(amount);
+        } else {
+            const amount = this.parsePositive(shares, 'shares', OrderRejectReason.INVALID_SIZE);
+            if (amount.lt(this.minSize)) {
+                throw new OrderValidationError(`卖出份额 ${amount} 低于市场最小份额 ${this.minSize}`, {
+                    reason: OrderRejectReason.BELOW_MIN_SIZE,
+                    field: 'shares',
+                    details: { shares: amount.toString(), minSize: this.minSize.toString() }
+                });
+            }
+            makerAmount = toBaseUnits(amount);
+        }
+
+        if (!makerAmount.gt(0)) {
+            throw new OrderValidationError('市价单金额换算后为 0', { reason: OrderRejectReason.INVALID_AMOUNT, field: 'makerAmount' });
+        }
+
+        const order = {
+            ...this.baseOrder({ tokenId, side, nonce }),
+            makerAmount: makerAmount.toFixed(0),
+            takerAmount: '1',
+            expiration: '0'
+        };
+        this.validate(order);
+
+        return order;
+    }
+
+    /**
+     * 订单公共字段
+     */
+    baseOrder({ tokenId, side, nonce }) {
+        return {
+            salt: generateSalt(),
+            maker: this.maker,
+            signer: this.signer,
+            taker: ZERO_ADDRESS,
+            tokenId: String(tokenId),
+            nonce,
+            feeRateBps: String(this.feeRateBps),
+            side,
+            signatureType: SignatureType.EOA
+        };
+    }
+
+    /**
+     * 校验订单能否按 EIP-712 类型编码
+     */
+    validate(order) {
+        try {
+            ethers.TypedDataEncoder.from(ORDER_TYPES).hash(toTypedOrder(order));
+        } catch (error) {
+            throw new OrderValidationError(`订单无法按 EIP-712 编码: ${error.message}`, {
+                reason: OrderRejectReason.INVALID_AMOUNT,
+                details: { order }
+            });
+        }
+    }
+
+    /**
+     * 校验订单类型与过期时间、postOnly 的组合
+     */
+    validateOrderType(orderType, { expirationSeconds, postOnly, allowed }) {
+        if (!allowed.has(orderType)) {
+            throw new OrderValidationError(`不支持的订单类型: ${orderType}（可选 ${[...allowed].join(' / ')}）`, {
+                reason: OrderRejectReason.INVALID_ORDER_TYPE,
+                field: 'orderType'
+            });
+        }
+        if (orderType === OrderType.GTD && expirationSeconds === 0) {
+            throw new OrderValidationError('GTD 订单必须设置过期时间', { reason: OrderRejectReason.INVALID_EXPIRATION, field: 'expiration' });
+        }
+        if (orderType !== OrderType.GTD && expirationSeconds > 0) {
+            throw new OrderValidationError(`${orderType} 订单不能设置过期时间，请使用 GTD`, { reason: OrderRejectReason.INVALID_EXPIRATION, field: 'expiration' });
+        }
+        if (postOnly && !POST_ONLY_ORDER_TYPES.has(orderType)) {
+            throw new OrderValidationError(`postOnly 只能用于 GTC / GTD 订单，当前为 ${orderType}`, {
+                reason: OrderRejectReason.INVALID_ORDER_TYPE,
+                field: 'postOnly'
+            });
+        }
+    }
+
+    /**
+     * 检查 postOnly 订单是否会立即成交
+     * 订单簿以 YES 计价，NO 代币的订单先换算到 NO 方向再比较
+     * @param {Object} params
+     * @param {string} params.tokenId - 代币ID
+     * @param {Decimal|number} params.price - 对齐后的价格
+     * @param {number} params.side - OrderSide
+     * @param {OrderBook} params.orderbook - 当前订单簿
+     */
+    assertPostOnly({ tokenId, price, side, orderbook }) {
+        const outcome = this.market?.getOutcomeForToken?.(tokenId)
+            ?? (orderbook.tokenId && String(orderbook.tokenId) === String(tokenId) ? orderbook.outcome : null);
+        if (!outcome) {
+            throw new OrderValidationError(`无法确定 tokenId ${tokenId} 对应的结果方向，不能检查 postOnly`, {
+                reason: OrderRejectReason.INVALID_TOKEN,
+                field: 'tokenId'
+            });
+        }
+
+        const book = orderbook.forOutcome(outcome);
+        const value = new Decimal(price);
+        const crossing = side === OrderSide.BUY
+            ? book.bestAskPrice !== null && value.gte(book.bestAskPrice)
+            : book.bestBidPrice !== null && value.lte(book.bestBidPrice);
+
+        if (crossing) {
+            const against = side === OrderSide.BUY ? `卖一 ${book.bestAskPrice}` : `买一 ${book.bestBidPrice}`;
+            throw new OrderValidationError(`postOnly 订单价格 ${value} 会与${against} 立即成交`, {
+                reason: OrderRejectReason.POST_ONLY_WOULD_CROSS,
+                field: 'price',
+                details: { outcome, price: value.toNumber(), bestBid: book.bestBidPrice, bestAsk: book.bestAskPrice }
+            });
+        }
+    }
+
+    validateSide(side) {
+        if (side !== OrderSide.BUY && side !== OrderSide.SELL) {
+            throw new OrderValidationError(`交易方向无效: ${side}（0=买，1=卖）`, { reason: OrderRejectReason.INVALID_SIDE, field: 'side' });
+        }
+    }
+
+    validateTokenId(tokenId) {
+        if (tokenId === undefined || tokenId === null || !/^\d+$/.test(String(tokenId))) {
+            throw new OrderValidationError(`tokenId 无效: ${tokenId}`, { reason: OrderRejectReason.INVALID_TOKEN, field: 'tokenId' });
+        }
+    }
+
+    validateExpiration(expiration) {
+        const seconds = Number(expiration || 0);
+        if (!Number.isInteger(seconds) || seconds < 0) {
+            throw new OrderValidationError(`过期时间无效: ${expiration}`, { reason: OrderRejectReason.INVALID_EXPIRATION, field: 'expiration' });
+        }
+        if (seconds > 0 && seconds * 1000 <= Date.now()) {
+            throw new OrderValidationError(`过期时间已经过去: ${new Date(seconds * 1000).toISOString()}`, {
+                reason: OrderRejectReason.INVALID_EXPIRATION,
+                field: 'expiration'
+            });
+        }
+        return seconds;
+    }
+
+    /**
+     * 解析正数参数
+     */
+    parsePositive(value, field, reason) {
+        let parsed;
+        try {
+            parsed = new Decimal(value);
+        } catch (error) {
+            throw new OrderValidationError(`${field} 不是有效数字: ${value}`, { reason, field });
+        }
+        if (!parsed.isFinite() || !parsed.gt(0)) {
+            throw new OrderValidationError(`${field} 必须大于 0: ${value}`, { reason, field });
+        }
+        return parsed;
+    }
+}
+
+/**
+ * 转换为签名用的订单对象（移除 price / quantity 等显示字段）
+ */
+export function toTypedOrder(order) {
+    return {
+        salt: BigInt(order.salt),
+        maker: order.maker,
+        signer: order.signer,
+        taker: order.taker,
+        tokenId: BigInt(order.tokenId),
+        makerAmount: BigInt(order.makerAmount),
+        takerAmount: BigInt(order.takerAmount),
+        expiration: BigInt(order.expiration),
+        nonce: BigInt(order.nonce),
+        feeRateBps: BigInt(order.feeRateBps),
+        side: Number(order.side),
+        signatureType: Number(order.signatureType)
+    };
+}
+
+/**
+ * 从限价单金额反推单价和份额
+ * @returns {Object} { price, quantity }
+ */
+export function getLimitOrderTerms(order) {
+    const makerAmount = new Decimal(order.makerAmount);
+    const takerAmount = new Decimal(order.takerAmount);
+    const [usdcUnits, sizeUnits] = Number(order.side) === OrderSide.BUY
+        ? [makerAmount, takerAmount]
+        : [takerAmount, makerAmount];
+
+    return {
+        price: usdcUnits.div(sizeUnits).toNumber(),
+        quantity: fromBaseUnits(sizeUnits).toNumber()
+    };
+}
+
+export default OrderBuilder;
@@ -0,0 +1,332 @@
+/**
+ * 订单簿模型
+ * 由 /markets/:slug/orderbook 接口或实时推送构建，统一价格精度和排序，
+ * 提供最优报价、中间价、价差、累计深度以及按金额/份额估算成交均价（VWAP）
+ *
+ * 价格以 YES 计价（0-1），数量单位为份额；NO 方向通过 forOutcome('NO') 换算
+ */
+
+import Decimal from 'decimal.js';
+
+import { config } from './config.js';
+
+export const BookSide = {
+    BID: 'bid',
+    ASK: 'ask'
+};
+
+export class OrderBook {
+    /**
+     * @param {Object} data
+     * @param {string} data.slug - 市场标识
+     * @param {string} data.tokenId - 订单簿对应的 tokenId（YES）
+     * @param {Array} data.bids - 买盘 [{ price, size }]
+     * @param {Array} data.asks - 卖盘 [{ price, size }]
+     * @param {number} data.lastTradePrice - 最新成交价
+     * @param {number} data.adjustedMidpoint - 接口给出的中间价
+     * @param {number} data.maxSpread - LP 奖励允许的最大价差
+     * @param {number} data.minSize - LP 奖励要求的最小挂单份额
+     * @param {number} data.timestamp - 服务端时间戳（毫秒），没有时使用 fetchedAt
+     * @param {number} data.fetchedAt - 本地获取时间（毫秒）
+     * @param {string} data.outcome - 'YES' 或 'NO'
+     */
+    constructor(data = {}) {
+        this.slug = data.slug || null;
+        this.tokenId = data.tokenId || null;
+        this.outcome = data.outcome || 'YES';
+        this.bids = normalizeLevels(data.bids, BookSide.BID);
+        this.asks = normalizeLevels(data.asks, BookSide.ASK);
+        this.lastTradePrice = normalizePrice(data.lastTradePrice);
+        this.adjustedMidpoint = normalizePrice(data.adjustedMidpoint);
+        this.maxSpread = data.maxSpread !== undefined && data.maxSpread !== null ? Number(data.maxSpread) : null;
+        this.minSize = data.minSize !== undefined && data.minSize !== null ? Number(data.minSize) : null;
+        this.fetchedAt = data.fetchedAt || Date.now();
+        this.timestamp = data.timestamp ? Number(data.timestamp) : this.fetchedAt;
+    }
+
+    /**
+     * 从接口返回数据构建订单簿
+     * @param {string} slug - 市场标识
+     * @param {Object} payload - 接口返回的原始订单簿
+     * @param {number} fetchedAt - 发起请求的时间
+     */
+    static fromApi(slug, payload, fetchedAt = Date.now()) {
+        if (!payload || typeof payload !== 'object') {
+            return null;
+        }
+        if (payload instanceof OrderBook) {
+            return payload;
+        }
+
+        return new OrderBook({ ...payload, slug, fetchedAt });
+    }
+
+    get bestBid() {
+        return this.bids[0] || null;
+    }
+
+    get bestAsk() {
+        return this.asks[0] || null;
+    }
+
+    get bestBidPrice() {
+        return this.bestBid ? this.bestBid.price : null;
+    }
+
+    get bestAskPrice() {
+        return this.bestAsk ? this.bestAsk.price : null;
+    }
+
+    /**
+     * 中间价：双边都有报价时取最优买卖价均值，否则退回接口中间价或最新成交价
+     */
+    get mid() {
+        if (this.bestBid && this.bestAsk) {
+            return new Decimal(this.bestBid.price).plus(this.bestAsk.price).div(2).toNumber();
+        }
+        return this.adjustedMidpoint ?? this.lastTradePrice ?? null;
+    }
+
+    /**
+     * 买卖价差，单边缺失时为 null
+     */
+    get spread() {
+        if (!this.bestBid || !this.bestAsk) {
+            return null;
+        }
+        return new Decimal(this.bestAsk.price).minus(this.bestBid.price).toNumber();
+    }
+
+    isEmpty() {
+        return this.bids.length === 0 && this.asks.length === 0;
+    }
+
+    /**
+     * 是否双边都有报价
+     */
+    isTwoSided() {
+        return this.bids.length > 0 && this.asks.length > 0;
+    }
+
+    /**
+     * 订单簿数据年龄（毫秒）
+     */
+    getAge(now = Date.now()) {
+        return now - Math.min(this.timestamp, this.fetchedAt);
+    }
+
+    /**
+     * 是否过期
+     * @param {number} maxAge - 最大允许年龄（毫秒），默认取 ORDERBOOK_STALE_AFTER
+     */
+    isStale(maxAge = config.ORDERBOOK.STALE_AFTER, now = Date.now()) {
+        return this.getAge(now) > maxAge;
+    }
+
+    /**
+     * 累计深度
+     * @param {string} side - BookSide.BID 或 BookSide.ASK
+     * @param {Object} options
+     * @param {number} options.levels - 最多返回的档位数
+     * @param {number} options.maxDistance - 只统计距离中间价不超过该值的档位
+     * @returns {Array} [{ price, size, cumulativeSize, cumulativeNotional }]
+     */
+    getDepth(side, { levels = Infinity, maxDistance = Infinity } = {}) {
+        const book = side === BookSide.BID ? this.bids : this.asks;
+        const mid = this.mid;
+
+        let cumulativeSize = new Decimal(0);
+        let cumulativeNotional = new Decimal(0);
+        const depth = [];
+
+        for (const level of book) {
+            if (depth.length >= levels) break;
+            if (mid !== null && Math.abs(level.price - mid) > maxDistance + 1e-9) break;
+
+            cumulativeSize = cumulativeSize.plus(level.size);
+            cumulativeNotional = cumulativeNotional.plus(new Decimal(level.price).times(level.size));
+            depth.push({
+                price: level.price,
+                size: level.size,
+                cumulativeSize: cumulativeSize.toNumber(),
+                cumulativeNotional: cumulativeNotional.toNumber()
+            });
+        }
+
+        return depth;
+    }
+
+    /**
+     * 某一侧在中间价附近的总份额
+     */
+    getDepthWithin(side, maxDistance) {
+        const depth = this.getDepth(side, { maxDistance });
+        return depth.length ? depth[depth.length - 1].cumulativeSize : 0;
+    }
+
+    /**
+     * 估算吃单买入的成交情况（逐档吃卖盘）
+     * @param {Object} target - { usdc } 花费金额 或 { shares } 买入份额
+     * @returns {Object} 成交估算，见 walk()
+     */
+    quoteBuy(target) {
+        return this.walk(this.asks, target);
+    }
+
+    /**
+     * 估算吃单卖出的成交情况（逐档吃买盘）
+     * @param {Object} target - { usdc } 目标收入 或 { shares } 卖出份额
+     */
+    quoteSell(target) {
+        return this.walk(this.bids, target);
+    }
+
+    /**
+     * 逐档模拟成交
+     * @returns {Object} {
+     *   shares, notional, avgPrice (VWAP), worstPrice, levelsUsed,
+     *   complete (是否足额成交), slippage (均价相对最优价的偏离)
+     * }
+     */
+    walk(levels, { usdc, shares } = {}) {
+        if ((usdc === undefined) === (shares === undefined)) {
+            throw new Error('报价估算需要指定 usdc 或 shares 其中之一');
+        }
+
+        const byNotional = usdc !== undefined;
+        let remaining = new Decimal(byNotional ? usdc : shares);
+        let filledShares = new Decimal(0);
+        let notional = new Decimal(0);
+        let worstPrice = null;
+        let levelsUsed = 0;
+
+        for (const level of levels) {
+            if (remaining.lte(0)) break;
+
+            const price = new Decimal(level.price);
+            const levelShares = new Decimal(level.size);
+            const takeShares = byNotional
+                ? Decimal.min(levelShares, remaining.div(price))
+                : Decimal.min(levelShares, remaining);
+
+            filledShares = filledShares.plus(takeShares);
+            notional = notional.plus(takeShares.times(price));
+            remaining = remaining.minus(byNotional ? takeShares.times(price) : takeShares);
+            worstPrice = level.price;
+            levelsUsed++;
+        }
+
+        const bestPrice = levels.length ? levels[0].price : null;
+        const avgPrice = filledShares.gt(0) ? notional.div(filledShares).toNumber() : null;
+
+        return {
+            shares: filledShares.toNumber(),
+            notional: notional.toNumber(),
+            avgPrice,
+            worstPrice,
+            bestPrice,
+            levelsUsed,
+            complete: remaining.lte(new Decimal('1e-9')),
+            slippage: avgPrice !== null && bestPrice !== null ? Math.abs(avgPrice - bestPrice) : null
+        };
+    }
+
+    /**
+     * 按金额买入的预期成交均价，深度不足时返回 null
+     */
+    getExpectedBuyPrice(usdc) {
+        const quote = this.quoteBuy({ usdc });
+        return quote.complete ? quote.avgPrice : null;
+    }
+
+    /**
+     * 按份额卖出的预期成交均价，深度不足时返回 null
+     */
+    getExpectedSellPrice(shares) {
+        const quote = this.quoteSell({ shares });
+        return quote.complete ? quote.avgPrice : null;
+    }
+
+    /**
+     * 换算到指定结果方向的订单簿
+     * NO 的买盘来自 YES 卖盘（价格 1-p），NO 的卖盘来自 YES 买盘
+     * @param {string} outcome - 'YES' 或 'NO'
+     */
+    forOutcome(outcome) {
+        if (outcome === this.outcome) {
+            return this;
+        }
+
+        const invert = (levels) => levels.map(level => ({
+            price: new Decimal(1).minus(level.price).toNumber(),
+            size: level.size
+        }));
+
+        return new OrderBook({
+            slug: this.slug,
+            tokenId: null,
+            outcome,
+            bids: invert(this.asks),
+            asks: invert(this.bids),
+            lastTradePrice: this.lastTradePrice !== null ? new Decimal(1).minus(this.lastTradePrice).toNumber() : null,
+            adjustedMidpoint: this.adjustedMidpoint !== null ? new Decimal(1).minus(this.adjustedMidpoint).toNumber() : null,
+            maxSpread: this.maxSpread,
+            minSize: this.minSize,
+            timestamp: this.timestamp,
+            fetchedAt: this.fetchedAt
+        });
+    }
+
+    /**
+     * 摘要信息（日志用）
+     */
+    getSummary() {
+        return {
+            slug: this.slug,
+            bestBid: this.bestBidPrice,
+            bestAsk: this.bestAskPrice,
+            mid: this.mid,
+            spread: this.spread,
+            bidLevels: this.bids.length,
+            askLevels: this.asks.length,
+            age: this.getAge()
+        };
+    }
+}
+
+/**
+ * 归一化价格（接口可能返回百分比或字符串）
+ */
+function normalizePrice(price) {
+    if (price === undefined || price === null || price === '') {
+        return null;
+    }
+
+    const value = new Decimal(price);
+    return value.gt(1) ? value.div(100).toNumber() : value.toNumber();
+}
+
+/**
+ * 归一化档位：解析数值、合并同价档位、去掉空档，买盘价格降序、卖盘价格升序
+ */
+function normalizeLevels(levels, side) {
+    if (!Array.isArray(levels)) {
+        return [];
+    }
+
+    const merged = new Map();
+    for (const level of levels) {
+        const price = normalizePrice(level?.price);
+        const size = Number(level?.size);
+        if (price === null || !(price > 0 && price < 1) || !(size > 0)) {
+            continue;
+        }
+        merged.set(price, new Decimal(merged.get(price) || 0).plus(size).toNumber());
+    }
+
+    const sorted = Array.from(merged.entries()).map(([price, size]) => ({ price, size }));
+    sorted.sort((a, b) => side === BookSide.BID ? b.price - a.price : a.price - b.price);
+    return sorted;
+}
+
+export default OrderBook;
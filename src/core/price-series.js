@@ -0,0 +1,132 @@
+/**
+ * 市场成交价格序列
+ * 从 /markets/:slug 返回的 feedEvents 解析成交，按时间窗口保存 YES 计价的成交价，
+ * 供趋势类策略计算涨跌幅和均线
+ */
+
+import { Outcome } from './market.js';
+
+const TRADE_EVENT_TYPE = 'NEW_TRADE';
+
+/**
+ * 解析成交事件
+ * 事件格式: { timestamp, eventType: 'NEW_TRADE', data: { contracts, tradeAmountUSD, outcome, strategy: 'Buy' | 'Sell' } }
+ * 卖出时 tradeAmountUSD 为负数
+ * @param {Object} event - feedEvents 中的一项
+ * @returns {Object|null} { key, time, outcome, side: 'buy' | 'sell', size, amount, price, yesPrice }，不是成交或数据无效时为 null
+ */
+export function parseTradeEvent(event) {
+    if (event?.eventType !== TRADE_EVENT_TYPE || !event.data) {
+        return null;
+    }
+
+    const { contracts, tradeAmountUSD, outcome, strategy } = event.data;
+    const time = new Date(event.timestamp).getTime();
+    const size = Number(contracts);
+    const amount = Math.abs(Number(tradeAmountUSD));
+    const normalizedOutcome = String(outcome || '').toUpperCase();
+
+    if (!Number.isFinite(time) || !(size > 0) || !(amount > 0) || !Object.values(Outcome).includes(normalizedOutcome)) {
+        return null;
+    }
+
+    const price = amount / size;
+    if (!(price > 0 && price < 1)) {
+        return null;
+    }
+
+    const side = String(strategy || '').toLowerCase() === 'sell' || Number(tradeAmountUSD) < 0 ? 'sell' : 'buy';
+
+    return {
+        // 接口没有成交 ID，用时间和成交内容去重
+        key: event.id ?? `${event.timestamp}|${normalizedOutcome}|${side}|${contracts}|${tradeAmountUSD}`,
+        time,
+        outcome: normalizedOutcome,
+        side,
+        size,
+        amount,
+        price,
+        yesPrice: normalizedOutcome === Outcome.YES ? price : 1 - price
+    };
+}
+
+/**
+ * 单个市场的成交价格序列（YES 计价，按时间升序）
+ */
+export class PriceSeries {
+    /**
+     * @param {Object} options
+     * @param {number} options.window - 保留的时间窗口（毫秒）
+     */
+    constructor({ window = 3600000 } = {}) {
+        this.window = window;
+        this.points = []; // [{ time, price, size, amount }]
+    }
+
+    /**
+     * 加入一笔成交，feedEvents 按时间倒序返回，这里按时间插入
+     */
+    add({ time, price, size = 0, amount = 0 }) {
+        const point = { time, price, size, amount };
+        let index = this.points.length;
+        while (index > 0 && this.points[index - 1].time > time) {
+            index--;
+        }
+        this.points.splice(index, 0, point);
+        this.prune();
+    }
+
+    /**
+     * 丢弃窗口之外的旧成交（以最新成交时间为准）
+     */
+    prune() {
+        const cutoff = this.latest.time - this.window;
+        while (this.points.length && this.points[0].time < cutoff) {
+            this.points.shift();
+        }
+    }
+
+    get length() {
+        return this.points.length;
+    }
+
+    get latest() {
+        return this.points[this.points.length - 1] || null;
+    }
+
+    get earliest() {
+        return this.points[0] || null;
+    }
+
+    /**
+     * 指定时间之后（含）的成交
+     */
+    since(time) {
+        return this.points.filter(point => point.time >= time);
+    }
+
+    /**
+     * 指定时间点的价格：该时间之前（含）的最后一笔成交，序列没有覆盖到该时间时为 null
+     */
+    priceAt(time) {
+        let result = null;
+        for (const point of this.points) {
+            if (point.time > time) {
+                break;
+            }
+            result = point.price;
+        }
+        return result;
+    }
+
+    /**
+     * 最近 period 毫秒内成交价的简单均值，没有成交时为 null
+     */
+    movingAverage(period, now = Date.now()) {
+        const points = this.since(now - period);
+        if (points.length === 0) {
+            return null;
+        }
+        return points.reduce((sum, point) => sum + point.price, 0) / points.length;
+    }
+}
@@ -1,18 +1,160 @@
+/**
+ * Pyth 价格客户端（Hermes API）
+ * 按交易对符号查询最新价格、指定时间的历史价格（用于核对小时行权价市场的结算），
+ * 价格按 expo 换算成实际数值，并检查发布时间防止使用过期价格；实时推送见 services/pyth-price-stream.js
+ */
+
 import axios from 'axios';
+import Decimal from 'decimal.js';
 
 import { config } from './config.js';
 import proxyManager from '../managers/proxy-manager.js';
 
+export const PythErrorCode = {
+    UNKNOWN_SYMBOL: 'unknown_symbol',   // 无法找到交易对对应的价格 ID
+    NOT_FOUND: 'not_found',             // Hermes 没有该价格 ID 或该时间点的数据
+    STALE_PRICE: 'stale_price',         // 价格发布时间超过允许的最大延迟
+    REQUEST_FAILED: 'request_failed'    // 网络错误或服务端错误
+};
+
+export class PythError extends Error {
+    constructor(message, code, { status = null, symbol = null } = {}) {
+        super(message);
+        this.name = 'PythError';
+        this.code = code;
+        this.status = status;
+        this.symbol = symbol;
+    }
+}
+
+// 常用交易对的价格 ID，其它交易对通过 /v2/price_feeds 查询
+const KNOWN_PRICE_IDS = {
+    'BTC/USD': '0xe62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43',
+    'ETH/USD': '0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace',
+    'DOGE/USD': '0xdcef50dd0a4cd2dcc17e45df1676dcb336a11a61c69df7a0299b0150c672d25c',
+    'SOL/USD': '0xef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
+    'XRP/USD': '0xec5d399846a9209f3fe5881d70aae9268c94339ff9817e8d18ff19fa05eea1c8'
+};
+
+/**
+ * 内置价格 ID 表中的价格 ID，不在表中时返回 null（不访问网络）
+ */
+export function getKnownPriceId(symbol) {
+    return KNOWN_PRICE_IDS[normalizeSymbol(symbol)] || null;
+}
+
+/**
+ * 统一交易对写法：'btc' / 'BTC' / 'Crypto.BTC/USD' -> 'BTC/USD'
+ */
+export function normalizeSymbol(symbol) {
+    const value = String(symbol).trim().toUpperCase().replace(/^CRYPTO\./, '');
+    return value.includes('/') ? value : `${value}/USD`;
+}
+
+/**
+ * 统一价格 ID 写法（Hermes 返回的 ID 不带 0x 前缀）
+ */
+export function normalizePriceId(id) {
+    const value = String(id).toLowerCase();
+    return value.startsWith('0x') ? value : `0x${value}`;
+}
+
+/**
+ * 按 expo 换算：price * 10^expo
+ */
+export function applyExpo(value, expo) {
+    return new Decimal(value.toString()).mul(Decimal.pow(10, expo)).toNumber();
+}
+
+/**
+ * 单个价格点
+ */
+export class PythPrice {
+    /**
+     * @param {Object} data
+     * @param {string} data.id - 价格 ID（0x 前缀）
+     * @param {string} data.symbol - 交易对，如 BTC/USD
+     * @param {bigint} data.rawPrice - 原始价格（未换算）
+     * @param {bigint} data.rawConf - 原始置信区间（未换算）
+     * @param {number} data.expo - 指数
+     * @param {number} data.publishTime - 发布时间（秒）
+     * @param {bigint} data.rawEmaPrice - 原始 EMA 价格（可选）
+     */
+    constructor({ id, symbol = null, rawPrice, rawConf, expo, publishTime, rawEmaPrice = null }) {
+        this.id = normalizePriceId(id);
+        this.symbol = symbol;
+        this.rawPrice = rawPrice;
+        this.rawConf = rawConf;
+        this.expo = expo;
+        this.publishTime = publishTime;
+        this.rawEmaPrice = rawEmaPrice;
+
+        this.price = applyExpo(rawPrice, expo);
+        this.conf = applyExpo(rawConf, expo);
+        this.emaPrice = rawEmaPrice === null ? null : applyExpo(rawEmaPrice, expo);
+    }
+
+    /**
+     * 由 Hermes parsed 条目创建
+     */
+    static fromParsed(entry, symbol = null) {
+        return new PythPrice({
+            id: entry.id,
+            symbol,
+            rawPrice: BigInt(entry.price.price),
+            rawConf: BigInt(entry.price.conf),
+            expo: Number(entry.price.expo),
+            publishTime: Number(entry.price.publish_time),
+            rawEmaPrice: entry.ema_price ? BigInt(entry.ema_price.price) : null
+        });
+    }
+
+    /**
+     * 发布时间（毫秒）
+     */
+    get timestamp() {
+        return this.publishTime * 1000;
+    }
+
+    /**
+     * 距发布已过去的时间（毫秒）
+     */
+    getAge(now = Date.now()) {
+        return now - this.timestamp;
+    }
+
+    isStale(maxAge = config.PYTH.MAX_PRICE_AGE, now = Date.now()) {
+        return this.getAge(now) > maxAge;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            symbol: this.symbol,
+            price: this.price,
+            conf: this.conf,
+            emaPrice: this.emaPrice,
+            expo: this.expo,
+            publishTime: this.publishTime
+        };
+    }
+}
+
 class PythClient {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseURL - Hermes 地址
+     * @param {number} options.maxPriceAge - 默认允许的最大价格延迟（毫秒）
+     * @param {boolean} options.useProxy - 是否通过代理访问
+     */
+    constructor(options = {}) {
         this.proxyManager = proxyManager;
-        this.symbolIds = {
-            'BTC/USD': '0xe62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43',
-            'ETH/USD': '0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace',
-            'DOGE/USD': '0xdcef50dd0a4cd2dcc17e45df1676dcb336a11a61c69df7a0299b0150c672d25c',
-            'SOL/USD': '0xef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
-            'XRP/USD': '0xec5d399846a9209f3fe5881d70aae9268c94339ff9817e8d18ff19fa05eea1c8',
-        }
+        this.baseURL = options.baseURL ?? config.PYTH.HERMES_URL;
+        this.maxPriceAge = options.maxPriceAge ?? config.PYTH.MAX_PRICE_AGE;
+        this.useProxy = options.useProxy ?? config.PYTH.USE_PROXY;
+
+        this.symbolIds = new Map(Object.entries(KNOWN_PRICE_IDS)); // 交易对 -> 价格 ID
+        this.idSymbols = new Map([...this.symbolIds].map(([symbol, id]) => [id, symbol])); // 价格 ID -> 交易对
     }
 
     async request(options) {
@@ -21,25 +163,23 @@ class PythClient {
             url,
             data = null,
             params = null,
-            useProxy = false,
             headers = {}
         } = options;
 
-        // 组装 headers
-        const mergedHeaders = { ...headers };
-
         // 组装 axios 配置
-        let axiosConfig = {
-            baseURL: 'https://hermes.pyth.network',
+        const axiosConfig = {
+            baseURL: this.baseURL,
             timeout: config.API.TIMEOUT,
             method,
             url,
-            headers: mergedHeaders,
+            headers: { ...headers },
+            // Hermes 的数组参数格式为 ids[]=a&ids[]=b
+            paramsSerializer: { indexes: false },
             ...(data ? { data } : {}),
             ...(params ? { params } : {})
         };
 
-        if (useProxy) {
+        if (this.useProxy) {
             const proxyConfig = await this.proxyManager.createProxyConfig();
             if (proxyConfig.httpsAgent) {
                 axiosConfig.httpsAgent = proxyConfig.httpsAgent;
@@ -47,43 +187,158 @@ class PythClient {
             }
         }
 
-        const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Request timeout')), config.API.TIMEOUT)
-        );
-
         try {
-            const response = await Promise.race([
-                axios.request(axiosConfig),
-                timeoutPromise,
-            ])
-
-            return { 
-                success: response.status == 200,
-                data: response.data,
-            }
+            const response = await axios.request(axiosConfig);
+            return response.data;
         } catch (error) {
-            throw new Error(error.response?.data?.message || error.message);
+            const status = error.response?.status ?? null;
+            const body = error.response?.data;
+            const message = (typeof body === 'string' ? body : body?.message) || error.message;
+            throw new PythError(`Pyth 请求失败 (${url}): ${message}`, status === 404 ? PythErrorCode.NOT_FOUND : PythErrorCode.REQUEST_FAILED, { status });
         }
     }
 
+    /**
+     * 查询交易对的价格 ID（先查内置表，再查 Hermes）
+     * @param {string} symbol - 交易对，如 BTC/USD、btc
+     * @returns {Promise<string>} 价格 ID
+     */
     async getIds(symbol) {
-        return this.symbolIds.get(symbol)
+        const normalized = normalizeSymbol(symbol);
+        if (this.symbolIds.has(normalized)) {
+            return this.symbolIds.get(normalized);
+        }
+
+        const [base] = normalized.split('/');
+        const feeds = await this.request({
+            url: '/v2/price_feeds',
+            params: { query: base, asset_type: 'crypto' }
+        });
+
+        const feed = (feeds || []).find(item => normalizeSymbol(item.attributes?.symbol || '') === normalized);
+        if (!feed) {
+            throw new PythError(`未找到 ${normalized} 的 Pyth 价格 ID`, PythErrorCode.UNKNOWN_SYMBOL, { symbol: normalized });
+        }
+
+        const id = normalizePriceId(feed.id);
+        this.symbolIds.set(normalized, id);
+        this.idSymbols.set(id, normalized);
+        return id;
     }
 
+    /**
+     * 批量读取最新价格
+     * @param {Array<string>} ids - 价格 ID 列表
+     * @returns {Promise<Array<PythPrice>>}
+     */
     async getLatestPriceFeed(ids) {
-        const params = {};
-        params['ids[]'] = ids;
+        const data = await this.request({
+            url: '/v2/updates/price/latest',
+            params: { 'ids[]': ids, parsed: true }
+        });
+        return this.parseUpdates(data);
+    }
 
-        try {
-            return await this.request({
-                method: 'get',
-                url: '/api/latest_price_feeds',
-                params,
-            });
-        } catch(e) {
-            return null
+    /**
+     * 读取交易对最新价格，超过 maxAge 未更新时抛出 STALE_PRICE
+     * @param {string} symbol - 交易对
+     * @param {Object} options
+     * @param {number} options.maxAge - 允许的最大价格延迟（毫秒），默认 PYTH_MAX_PRICE_AGE
+     * @returns {Promise<PythPrice>}
+     */
+    async getLatestPrice(symbol, { maxAge = this.maxPriceAge } = {}) {
+        const prices = await this.getLatestPrices([symbol], { maxAge });
+        return prices.get(normalizeSymbol(symbol));
+    }
+
+    /**
+     * 批量读取多个交易对的最新价格
+     * @returns {Promise<Map<string, PythPrice>>} 交易对 -> 价格
+     */
+    async getLatestPrices(symbols, { maxAge = this.maxPriceAge } = {}) {
+        const normalized = symbols.map(normalizeSymbol);
+        const ids = await Promise.all(normalized.map(symbol => this.getIds(symbol)));
+        const prices = await this.getLatestPriceFeed(ids);
+
+        const result = new Map();
+        for (const symbol of normalized) {
+            const price = prices.find(item => item.symbol === symbol);
+            if (!price) {
+                throw new PythError(`Hermes 未返回 ${symbol} 的价格`, PythErrorCode.NOT_FOUND, { symbol });
+            }
+            this.assertFresh(price, maxAge);
+            result.set(symbol, price);
         }
+        return result;
+    }
+
+    /**
+     * 读取指定时间的价格（发布时间不早于该时间的第一个价格点）
+     * @param {string} symbol - 交易对
+     * @param {number} timestamp - 时间（毫秒）
+     * @param {Object} options
+     * @param {number} options.maxDelay - 价格点最多比请求时间晚多少（毫秒），超过视为数据缺失
+     * @returns {Promise<PythPrice>}
+     */
+    async getPriceAt(symbol, timestamp, { maxDelay = this.maxPriceAge } = {}) {
+        const normalized = normalizeSymbol(symbol);
+        const id = await this.getIds(normalized);
+        const publishTime = Math.floor(timestamp / 1000);
+
+        const data = await this.request({
+            url: `/v2/updates/price/${publishTime}`,
+            params: { 'ids[]': [id], parsed: true }
+        });
+
+        const price = this.parseUpdates(data).find(item => item.id === id);
+        if (!price) {
+            throw new PythError(`Hermes 未返回 ${normalized} 在 ${new Date(timestamp).toISOString()} 的价格`, PythErrorCode.NOT_FOUND, { symbol: normalized });
+        }
+        if (price.timestamp - publishTime * 1000 > maxDelay) {
+            throw new PythError(
+                `${normalized} 在 ${new Date(timestamp).toISOString()} 附近没有价格，最近的价格发布于 ${new Date(price.timestamp).toISOString()}`,
+                PythErrorCode.NOT_FOUND,
+                { symbol: normalized }
+            );
+        }
+        return price;
+    }
+
+    /**
+     * 核对行权价市场的结算：指定时间的价格是否高于行权价
+     * @param {string} symbol - 交易对
+     * @param {number} strike - 行权价
+     * @param {number} timestamp - 结算时间（毫秒）
+     * @returns {Promise<Object>} { price, strike, above }
+     */
+    async checkStrike(symbol, strike, timestamp, options = {}) {
+        const price = await this.getPriceAt(symbol, timestamp, options);
+        return { price, strike, above: price.price > strike };
+    }
+
+    parseUpdates(data) {
+        return (data?.parsed || []).map(entry => {
+            const id = normalizePriceId(entry.id);
+            return PythPrice.fromParsed(entry, this.idSymbols.get(id) || null);
+        });
+    }
+
+    assertFresh(price, maxAge) {
+        if (maxAge && price.isStale(maxAge)) {
+            throw new PythError(
+                `${price.symbol || price.id} 价格已过期：发布于 ${Math.round(price.getAge() / 1000)} 秒前`,
+                PythErrorCode.STALE_PRICE,
+                { symbol: price.symbol }
+            );
+        }
+    }
+
+    /**
+     * 由价格 ID 反查交易对
+     */
+    getSymbol(id) {
+        return this.idSymbols.get(normalizePriceId(id)) || null;
     }
 }
 
-export default PythClient;
\ No newline at end of file
+export default PythClient;
@@ -0,0 +1,221 @@
+/**
+ * 会话管理器 - 管理单个账户的登录会话
+ * 跟踪 limitless_session cookie 的过期时间，过期前自动续登，
+ * 并保证同一时间只有一个登录请求在进行
+ */
+
+import { EventEmitter } from 'events';
+import { config } from './config.js';
+
+const SESSION_COOKIE_NAME = 'limitless_session';
+
+// 登录后至少间隔这么久才续登，避免 cookie 有效期短于提前量时反复登录
+const MIN_REFRESH_DELAY = 5000;
+
+class SessionManager extends EventEmitter {
+    /**
+     * @param {Function} loginFn - 执行登录的函数，返回 { userId }
+     * @param {Object} options - 配置
+     * @param {string} options.accountId - 账户ID（用于日志）
+     */
+    constructor(loginFn, options = {}) {
+        super();
+        this.loginFn = loginFn;
+        this.accountId = options.accountId || null;
+        this.ttl = options.ttl ?? config.API.SESSION_TTL;
+        this.refreshMargin = options.refreshMargin ?? config.API.SESSION_REFRESH_MARGIN;
+
+        this.cookie = null;
+        this.userId = null;
+        this.expiresAt = null;
+        this.issuedAt = null;
+        this.lastLoginAt = null;
+        this.loginCount = 0;
+        this.lastError = null;
+
+        // 进行中的登录（single-flight）
+        this.loginPromise = null;
+        this.refreshTimer = null;
+    }
+
+    /**
+     * 从 set-cookie 响应头中提取会话 cookie 和过期时间
+     * @param {Array<string>} setCookieHeaders - set-cookie 头
+     */
+    updateFromSetCookie(setCookieHeaders) {
+        if (!setCookieHeaders) {
+            return false;
+        }
+
+        const sessionCookie = setCookieHeaders.find(cookie => cookie.startsWith(`${SESSION_COOKIE_NAME}=`));
+        if (!sessionCookie) {
+            return false;
+        }
+
+        const [pair, ...attributes] = sessionCookie.split(';').map(part => part.trim());
+        this.cookie = pair;
+        this.issuedAt = Date.now();
+        this.expiresAt = this.parseExpiry(attributes);
+        return true;
+    }
+
+    /**
+     * 解析 cookie 属性中的过期时间，未提供时使用默认有效期
+     */
+    parseExpiry(attributes) {
+        const now = Date.now();
+
+        for (const attribute of attributes) {
+            const [name, value] = attribute.split('=');
+            if (name.toLowerCase() === 'max-age') {
+                const seconds = Number(value);
+                if (!isNaN(seconds)) {
+                    return now + seconds * 1000;
+                }
+            }
+        }
+
+        for (const attribute of attributes) {
+            const index = attribute.indexOf('=');
+            if (attribute.slice(0, index).toLowerCase() === 'expires') {
+                const date = Date.parse(attribute.slice(index + 1));
+                if (!isNaN(date)) {
+                    return date;
+                }
+            }
+        }
+
+        return now + this.ttl;
+    }
+
+    /**
+     * 会话是否有效（未过期且未进入续登窗口）
+     */
+    isValid() {
+        if (!this.cookie || !this.userId || !this.expiresAt) {
+            return false;
+        }
+        return Date.now() < this.getRefreshAt();
+    }
+
+    /**
+     * 续登时间：过期前 refreshMargin
+     * 有效期不超过两倍提前量时改为在有效期过半时续登，并且不早于签发后 MIN_REFRESH_DELAY
+     */
+    getRefreshAt() {
+        const lifetime = this.expiresAt - this.issuedAt;
+        const margin = Math.min(this.refreshMargin, lifetime / 2);
+        return Math.max(this.expiresAt - margin, this.issuedAt + MIN_REFRESH_DELAY);
+    }
+
+    /**
+     * 确保会话有效，必要时登录
+     */
+    async ensureValid() {
+        if (this.isValid()) {
+            return;
+        }
+        await this.refresh();
+    }
+
+    /**
+     * 重新登录 - 并发调用共享同一个登录请求
+     */
+    async refresh() {
+        if (this.loginPromise) {
+            return this.loginPromise;
+        }
+
+        this.loginPromise = (async () => {
+            try {
+                // 以本次登录返回的 cookie 为准
+                this.expiresAt = null;
+                const result = await this.loginFn();
+
+                this.userId = result?.userId ?? this.userId;
+                if (!this.expiresAt) {
+                    this.issuedAt = Date.now();
+                    this.expiresAt = this.issuedAt + this.ttl;
+                }
+                this.lastLoginAt = Date.now();
+                this.loginCount++;
+                this.lastError = null;
+
+                this.scheduleRefresh();
+                this.emit('loggedIn', this.getState());
+                return result;
+            } catch (error) {
+                this.lastError = error.message;
+                this.emit('loginFailed', { accountId: this.accountId, error });
+                throw error;
+            } finally {
+                this.loginPromise = null;
+            }
+        })();
+
+        return this.loginPromise;
+    }
+
+    /**
+     * 在过期前安排自动续登
+     */
+    scheduleRefresh() {
+        this.clearRefreshTimer();
+
+        const delay = this.getRefreshAt() - Date.now();
+        if (delay <= 0) {
+            return;
+        }
+
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refresh().catch(error => {
+                console.error(`❌ 账户 ${this.accountId} 会话续登失败: ${error.message}`);
+            });
+        }, delay);
+
+        // 不阻止进程退出
+        this.refreshTimer.unref?.();
+    }
+
+    /**
+     * 清除续登定时器
+     */
+    clearRefreshTimer() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    /**
+     * 使当前会话失效（如收到 401）
+     */
+    invalidate() {
+        this.clearRefreshTimer();
+        this.cookie = null;
+        this.expiresAt = null;
+        this.emit('invalidated', { accountId: this.accountId });
+    }
+
+    /**
+     * 获取会话状态
+     */
+    getState() {
+        return {
+            accountId: this.accountId,
+            userId: this.userId,
+            isAuthenticated: this.isValid(),
+            hasCookie: !!this.cookie,
+            expiresAt: this.expiresAt,
+            expiresIn: this.expiresAt ? Math.max(0, this.expiresAt - Date.now()) : null,
+            lastLoginAt: this.lastLoginAt,
+            loginCount: this.loginCount,
+            isLoggingIn: !!this.loginPromise,
+            lastError: this.lastError
+        };
+    }
+}
+
+export default SessionManager;
+export { SessionManager, SESSION_COOKIE_NAME };
@@ -0,0 +1,232 @@
+/**
+ * 签名器 - 把私钥和交易进程分开
+ * 所有签名器都是 ethers Signer（getAddress / signMessage / signTypedData / signTransaction），
+ * 登录、订单签名、交易管理器和合约调用都不关心私钥放在哪里：
+ *   local    - 私钥在本进程内存中（从加密存储读取）
+ *   keystore - ethers JSON keystore 文件，启动时用密码解密
+ *   remote   - 远程签名服务，本进程只持有访问令牌，服务端按白名单策略审核每个签名请求
+ */
+
+import fs from 'fs/promises';
+import axios from 'axios';
+import { ethers } from 'ethers';
+
+export const SignerType = {
+    LOCAL: 'local',
+    KEYSTORE: 'keystore',
+    REMOTE: 'remote'
+};
+
+export class SignerError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {Object} details
+     * @param {number} details.status - 签名服务返回的 HTTP 状态码（403 表示被策略拒绝）
+     * @param {string} details.code - 签名服务返回的错误码
+     */
+    constructor(message, { status = null, code = null } = {}) {
+        super(message);
+        this.name = 'SignerError';
+        this.status = status;
+        this.code = code;
+    }
+
+    get rejected() {
+        return this.status === 403;
+    }
+}
+
+/**
+ * 远程签名器
+ * 协议（JSON over HTTP，Authorization: Bearer <token>）：
+ *   GET  /keys/:keyId                    -> { address }
+ *   POST /keys/:keyId/sign-message       { message: 0x十六进制 }               -> { signature }
+ *   POST /keys/:keyId/sign-typed-data    { typedData: eth_signTypedData_v4 载荷 } -> { signature }
+ *   POST /keys/:keyId/sign-transaction   { transaction: 未签名的序列化交易 }      -> { signedTransaction }
+ * 失败时返回 { message, code }，403 表示请求不符合服务端策略
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - 签名服务地址
+     * @param {string} options.keyId - 服务端的密钥标识（默认与账户ID相同）
+     * @param {string} options.token - 访问令牌
+     * @param {number} options.timeout - 请求超时（毫秒）
+     * @param {string} options.address - 已知地址（可选，不填时首次使用向服务端查询）
+     * @param {ethers.Provider} provider
+     */
+    constructor(options, provider = null) {
+        super(provider);
+
+        if (!options?.url || !options?.keyId) {
+            throw new Error('远程签名器缺少 url 或 keyId');
+        }
+
+        this.options = options;
+        this.url = options.url.replace(/\/+$/, '');
+        this.keyId = options.keyId;
+        this.address = options.address ? ethers.getAddress(options.address) : null;
+        this.http = axios.create({
+            timeout: options.timeout ?? 10000,
+            headers: options.token ? { Authorization: `Bearer ${options.token}` } : {}
+        });
+    }
+
+    connect(provider) {
+        return new RemoteSigner({ ...this.options, address: this.address }, provider);
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            const { address } = await this.call('get', '');
+            this.address = ethers.getAddress(address);
+        }
+        return this.address;
+    }
+
+    async signMessage(message) {
+        const address = await this.getAddress();
+        const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+        const { signature } = await this.call('post', '/sign-message', { message: ethers.hexlify(data) });
+
+        this.verifySigner(ethers.verifyMessage(data, signature), address);
+        return signature;
+    }
+
+    async signTypedData(domain, types, value) {
+        const address = await this.getAddress();
+        const resolved = await ethers.TypedDataEncoder.resolveNames(domain, types, value, async (name) => {
+            if (!this.provider) {
+                throw new Error(`无法解析 ENS 名称 ${name}：签名器未连接 provider`);
+            }
+            return (await this.provider.resolveName(name)) || ethers.ZeroAddress;
+        });
+
+        const typedData = ethers.TypedDataEncoder.getPayload(resolved.domain, types, resolved.value);
+        const { signature } = await this.call('post', '/sign-typed-data', { typedData });
+
+        this.verifySigner(ethers.verifyTypedData(resolved.domain, types, resolved.value, signature), address);
+        return signature;
+    }
+
+    async signTransaction(tx) {
+        const address = await this.getAddress();
+
+        // 与 ethers.Wallet 相同：解析地址，from 必须是本账户
+        tx = ethers.copyRequest(tx);
+        const { to, from } = await ethers.resolveProperties({
+            to: tx.to ? ethers.resolveAddress(tx.to, this) : undefined,
+            from: tx.from ? ethers.resolveAddress(tx.from, this) : undefined
+        });
+        if (to != null) {
+            tx.to = to;
+        }
+        if (from != null) {
+            if (ethers.getAddress(from) !== address) {
+                throw new Error(`交易 from ${from} 与签名账户 ${address} 不一致`);
+            }
+            delete tx.from;
+        }
+
+        const unsigned = ethers.Transaction.from(tx);
+        const { signedTransaction } = await this.call('post', '/sign-transaction', { transaction: unsigned.unsignedSerialized });
+
+        const signed = ethers.Transaction.from(signedTransaction);
+        if (signed.unsignedHash !== unsigned.unsignedHash) {
+            throw new SignerError('签名服务返回的交易内容与请求不一致');
+        }
+        this.verifySigner(signed.from, address);
+        return signed.serialized;
+    }
+
+    /**
+     * 防止服务端用错密钥：签名恢复出的地址必须是本账户
+     */
+    verifySigner(recovered, address) {
+        if (ethers.getAddress(recovered) !== address) {
+            throw new SignerError(`签名服务返回的签名不属于 ${address}`);
+        }
+    }
+
+    async call(method, path, data = undefined) {
+        const url = `${this.url}/keys/${encodeURIComponent(this.keyId)}${path}`;
+        try {
+            const response = await this.http.request({ method, url, data });
+            return response.data;
+        } catch (error) {
+            const status = error.response?.status ?? null;
+            const body = error.response?.data;
+            const reason = body?.message || error.message;
+            throw new SignerError(
+                status === 403 ? `签名请求被拒绝: ${reason}` : `远程签名失败 (${this.keyId}): ${reason}`,
+                { status, code: body?.code || error.code || null }
+            );
+        }
+    }
+}
+
+/**
+ * 按签名配置创建签名器
+ * @param {Object|ethers.AbstractSigner} signerConfig - 签名配置，或已创建的签名器
+ * @param {string} signerConfig.type - SignerType
+ * @param {string} signerConfig.privateKey - local：私钥
+ * @param {string} signerConfig.path - keystore：JSON keystore 文件路径
+ * @param {string} signerConfig.password - keystore：解密密码
+ * @param {string} signerConfig.url - remote：签名服务地址
+ * @param {string} signerConfig.keyId - remote：服务端密钥标识
+ * @param {string} signerConfig.token - remote：访问令牌
+ * @param {number} signerConfig.timeout - remote：请求超时（毫秒）
+ * @param {ethers.Provider} provider - 签名器连接的 provider
+ * @returns {Promise<ethers.AbstractSigner>} 已确定地址的签名器（可直接读取 .address）
+ */
+export async function createSigner(signerConfig, provider = null) {
+    // 已创建的签名器直接复用（避免重复解密 keystore）
+    if (signerConfig instanceof ethers.AbstractSigner) {
+        return provider ? signerConfig.connect(provider) : signerConfig;
+    }
+
+    const type = signerConfig?.type || SignerType.LOCAL;
+
+    switch (type) {
+        case SignerType.LOCAL: {
+            if (!signerConfig?.privateKey) {
+                throw new Error('本地签名器缺少私钥');
+            }
+            return new ethers.Wallet(signerConfig.privateKey, provider);
+        }
+
+        case SignerType.KEYSTORE: {
+            if (!signerConfig.path) {
+                throw new Error('keystore 签名器缺少文件路径');
+            }
+            if (signerConfig.password == null) {
+                throw new Error(`keystore ${signerConfig.path} 缺少解密密码`);
+            }
+            const json = await fs.readFile(signerConfig.path, 'utf8');
+            const wallet = await ethers.Wallet.fromEncryptedJson(json, signerConfig.password);
+            return wallet.connect(provider);
+        }
+
+        case SignerType.REMOTE: {
+            const signer = new RemoteSigner(signerConfig, provider);
+            await signer.getAddress();
+            return signer;
+        }
+
+        default:
+            throw new Error(`未知的签名器类型: ${type}`);
+    }
+}
+
+/**
+ * 签名配置中可以写入状态文件的部分（去掉私钥、密码和令牌）
+ */
+export function toPublicSignerConfig(signerConfig) {
+    if (!signerConfig) {
+        return null;
+    }
+    const { privateKey, password, token, ...rest } = signerConfig;
+    return rest;
+}
+
+export default createSigner;
@@ -0,0 +1,420 @@
+/**
+ * 链上交易管理器 - 管理单个钱包的交易发送
+ * 同一钱包的交易排队执行：本地分配 nonce，按 EIP-1559 估算手续费（带上限），
+ * 长时间未打包时提高手续费重发同一 nonce，超时后用零值自转账替换卡住的交易，
+ * 回滚时解码原因，统一返回交易结果
+ */
+
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+
+import { config } from './config.js';
+import { sleep } from '../utils/common.js';
+
+export const TransactionStatus = {
+    CONFIRMED: 'confirmed',   // 已打包且执行成功
+    REVERTED: 'reverted',     // 已打包但执行失败，或预估时即会回滚
+    TIMEOUT: 'timeout',       // 超时未打包
+    FAILED: 'failed'          // 未能发送（余额不足、RPC 错误等）
+};
+
+/**
+ * 交易失败
+ * result 为统一的交易结果，revertReason 为解码后的回滚原因
+ */
+export class TransactionError extends Error {
+    constructor(message, result) {
+        super(message);
+        this.name = 'TransactionError';
+        this.status = result.status;
+        this.hash = result.hash;
+        this.nonce = result.nonce;
+        this.revertReason = result.revertReason;
+        this.result = result;
+    }
+}
+
+// 发送失败时需要重新同步 nonce 的错误
+const NONCE_ERROR_CODES = new Set(['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'TRANSACTION_REPLACED']);
+
+/**
+ * 解码回滚原因
+ * @param {Error} error - ethers 抛出的 CALL_EXCEPTION 等错误
+ * @param {ethers.Interface} iface - 目标合约接口（用于解码自定义错误）
+ */
+export function decodeRevertReason(error, iface = null) {
+    if (!error) {
+        return null;
+    }
+    if (error.reason) {
+        return error.reason;
+    }
+
+    // 自定义错误
+    const data = error.data ?? error.info?.error?.data ?? null;
+    if (iface && typeof data === 'string' && data.length >= 10) {
+        try {
+            const parsed = iface.parseError(data);
+            if (parsed) {
+                return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+            }
+        } catch {
+            // 不是该合约声明的错误
+        }
+    }
+
+    if (error.revert) {
+        return `${error.revert.name}(${error.revert.args.map(String).join(', ')})`;
+    }
+    if (typeof data === 'string' && data !== '0x') {
+        return `未知错误数据 ${data.substring(0, 10)}`;
+    }
+    return error.shortMessage || error.message || null;
+}
+
+export class TransactionManager extends EventEmitter {
+    /**
+     * @param {ethers.Signer} signer - 已连接 provider 的签名者
+     * @param {Object} options
+     * @param {string} options.accountId - 账户ID（用于日志）
+     */
+    constructor(signer, options = {}) {
+        super();
+
+        this.signer = signer;
+        this.accountId = options.accountId || null;
+
+        this.confirmTimeout = options.confirmTimeout ?? config.TX.CONFIRM_TIMEOUT;
+        this.bumpInterval = options.bumpInterval ?? config.TX.BUMP_INTERVAL;
+        this.pollInterval = options.pollInterval ?? config.TX.POLL_INTERVAL;
+        this.feeBumpPercent = options.feeBumpPercent ?? config.TX.FEE_BUMP_PERCENT;
+        this.maxFeePerGas = ethers.parseUnits(String(options.maxFeeGwei ?? config.TX.MAX_FEE_GWEI), 'gwei');
+        this.maxPriorityFeePerGas = ethers.parseUnits(String(options.maxPriorityFeeGwei ?? config.TX.MAX_PRIORITY_FEE_GWEI), 'gwei');
+        this.gasLimitMultiplier = options.gasLimitMultiplier ?? config.TX.GAS_LIMIT_MULTIPLIER;
+        this.cancelOnTimeout = options.cancelOnTimeout ?? config.TX.CANCEL_ON_TIMEOUT;
+
+        // 下一个可用 nonce，null 时从链上 pending 状态重新读取
+        this.nextNonce = null;
+        // 交易队列：上一笔交易结束（打包、回滚或超时）后才发送下一笔
+        this.queue = Promise.resolve();
+        this.pendingCount = 0;
+
+        this.txStats = {
+            sent: 0,
+            confirmed: 0,
+            reverted: 0,
+            timedOut: 0,
+            failed: 0,
+            replacements: 0
+        };
+    }
+
+    get provider() {
+        return this.signer.provider;
+    }
+
+    /**
+     * 调用合约方法
+     * @param {ethers.Contract} contract - 合约实例
+     * @param {string} method - 方法名
+     * @param {Array} args - 参数
+     * @param {Object} options - 同 send()
+     */
+    async sendContractCall(contract, method, args = [], options = {}) {
+        const data = contract.interface.encodeFunctionData(method, args);
+        return this.send({
+            to: await contract.getAddress(),
+            data,
+            value: options.value ?? 0n
+        }, {
+            label: options.label ?? method,
+            iface: contract.interface
+        });
+    }
+
+    /**
+     * 排队发送交易并等待结果
+     * @param {Object} request - { to, data, value }
+     * @param {Object} options
+     * @param {string} options.label - 交易说明（用于日志）
+     * @param {ethers.Interface} options.iface - 目标合约接口（用于解码回滚原因）
+     * @returns {Object} 交易结果 { success, status, label, hash, nonce, replacedHashes, blockNumber, gasUsed, effectiveGasPrice, fee, receipt }
+     * @throws {TransactionError} 回滚、超时或发送失败
+     */
+    send(request, options = {}) {
+        this.pendingCount++;
+        const run = this.queue.then(() => this.execute(request, options)).finally(() => {
+            this.pendingCount--;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async execute(request, { label = 'transaction', iface = null } = {}) {
+        const result = {
+            success: false,
+            status: TransactionStatus.FAILED,
+            label,
+            hash: null,
+            nonce: null,
+            replacedHashes: [],
+            blockNumber: null,
+            gasUsed: null,
+            effectiveGasPrice: null,
+            fee: null,
+            revertReason: null,
+            receipt: null
+        };
+
+        const from = await this.signer.getAddress();
+        const tx = { ...request, from };
+
+        // 1. 预估 gas：会回滚的交易不发送，也不占用 nonce
+        let gasLimit;
+        try {
+            const estimated = await this.signer.estimateGas(tx);
+            gasLimit = estimated * BigInt(Math.round(this.gasLimitMultiplier * 100)) / 100n;
+        } catch (error) {
+            return this.fail(result, error.code === 'CALL_EXCEPTION' ? TransactionStatus.REVERTED : TransactionStatus.FAILED, error, iface);
+        }
+
+        // 2. 分配 nonce 并发送
+        let fees;
+        let sent;
+        try {
+            fees = await this.getFees();
+            sent = await this.broadcast({ ...tx, gasLimit, ...fees });
+        } catch (error) {
+            return this.fail(result, TransactionStatus.FAILED, error, iface);
+        }
+
+        result.hash = sent.hash;
+        result.nonce = sent.nonce;
+        this.txStats.sent++;
+        console.log(`📤 [${this.accountId}] ${label} 已发送 (nonce ${sent.nonce}): ${sent.hash}`);
+        this.emit('sent', { accountId: this.accountId, label, hash: sent.hash, nonce: sent.nonce });
+
+        // 3. 等待打包，期间按间隔提高手续费重发
+        const { receipt, fees: lastFees } = await this.waitForReceipt(result, { ...tx, gasLimit }, fees);
+
+        if (!receipt) {
+            this.nextNonce = null;
+            if (this.cancelOnTimeout) {
+                await this.cancelNonce(result.nonce, lastFees);
+            }
+            this.txStats.timedOut++;
+            result.status = TransactionStatus.TIMEOUT;
+            const error = new TransactionError(`${label} 超过 ${this.confirmTimeout / 1000} 秒未打包 (nonce ${result.nonce})`, result);
+            this.emit('timeout', result);
+            throw error;
+        }
+
+        result.hash = receipt.hash;
+        result.replacedHashes = result.replacedHashes.filter(hash => hash !== receipt.hash);
+        result.receipt = receipt;
+        result.blockNumber = receipt.blockNumber;
+        result.gasUsed = receipt.gasUsed.toString();
+        result.effectiveGasPrice = (receipt.gasPrice ?? 0n).toString();
+        result.fee = (receipt.gasUsed * (receipt.gasPrice ?? 0n)).toString();
+
+        if (receipt.status !== 1) {
+            result.revertReason = await this.getRevertReason({ ...tx, gasLimit }, receipt.blockNumber, iface);
+            this.txStats.reverted++;
+            result.status = TransactionStatus.REVERTED;
+            this.emit('reverted', result);
+            throw new TransactionError(`${label} 执行回滚: ${result.revertReason || '未知原因'} (${receipt.hash})`, result);
+        }
+
+        this.txStats.confirmed++;
+        result.success = true;
+        result.status = TransactionStatus.CONFIRMED;
+        console.log(`✅ [${this.accountId}] ${label} 已确认，区块 ${receipt.blockNumber}`);
+        this.emit('confirmed', result);
+        return result;
+    }
+
+    /**
+     * 使用本地 nonce 发送，nonce 与链上不一致时重新同步后再试一次
+     */
+    async broadcast(tx) {
+        for (let attempt = 1; ; attempt++) {
+            if (this.nextNonce === null) {
+                this.nextNonce = await this.provider.getTransactionCount(tx.from, 'pending');
+            }
+
+            const nonce = this.nextNonce;
+            try {
+                const sent = await this.signer.sendTransaction({ ...tx, nonce, type: 2 });
+                this.nextNonce = nonce + 1;
+                return sent;
+            } catch (error) {
+                this.nextNonce = null;
+                if (attempt >= 2 || !NONCE_ERROR_CODES.has(error.code)) {
+                    throw error;
+                }
+                console.warn(`⚠️ [${this.accountId}] nonce ${nonce} 已被占用，重新同步后重发`);
+            }
+        }
+    }
+
+    /**
+     * 轮询收据，超过 bumpInterval 未打包时提高手续费重发同一 nonce
+     * @returns {Object} { receipt, fees }，超时时 receipt 为 null，fees 为最后一次发送使用的手续费
+     */
+    async waitForReceipt(result, tx, initialFees) {
+        const startedAt = Date.now();
+        let lastSentAt = startedAt;
+        let fees = initialFees;
+        const hashes = [result.hash];
+
+        while (Date.now() - startedAt < this.confirmTimeout) {
+            await sleep(this.pollInterval);
+
+            for (const hash of hashes) {
+                const receipt = await this.provider.getTransactionReceipt(hash).catch(() => null);
+                if (receipt) {
+                    result.replacedHashes = hashes.slice();
+                    return { receipt, fees };
+                }
+            }
+
+            if (Date.now() - lastSentAt < this.bumpInterval) {
+                continue;
+            }
+
+            // 查询手续费失败时按上次的手续费提高，交易已发出，不能在这里抛出
+            const bumped = this.bumpFees(fees, await this.getFees().catch(() => fees));
+            if (!bumped) {
+                continue; // 已到手续费上限，只能继续等待
+            }
+
+            try {
+                const replacement = await this.signer.sendTransaction({ ...tx, ...bumped, nonce: result.nonce, type: 2 });
+                hashes.push(replacement.hash);
+                fees = bumped;
+                this.txStats.replacements++;
+                console.warn(`⏫ [${this.accountId}] ${result.label} 未打包，提高手续费重发 (nonce ${result.nonce}): ${replacement.hash}`);
+                this.emit('replaced', { accountId: this.accountId, label: result.label, nonce: result.nonce, hash: replacement.hash });
+            } catch (error) {
+                // 原交易可能刚好被打包（nonce 已用），下一轮查询收据
+                console.warn(`⚠️ [${this.accountId}] 重发失败 (nonce ${result.nonce}): ${error.shortMessage || error.message}`);
+            }
+            lastSentAt = Date.now();
+        }
+
+        result.replacedHashes = hashes.slice();
+        return { receipt: null, fees };
+    }
+
+    /**
+     * 用零值自转账替换卡住的交易，释放 nonce
+     * @param {number} nonce - 卡住的 nonce
+     * @param {Object} fees - 该 nonce 最后一次发送使用的手续费，替换交易需要更高
+     */
+    async cancelNonce(nonce, fees) {
+        const bumped = this.bumpFees(fees, await this.getFees().catch(() => fees));
+        if (!bumped) {
+            console.warn(`⚠️ [${this.accountId}] 手续费已达上限，无法替换 nonce ${nonce} 的交易`);
+            return null;
+        }
+
+        try {
+            const from = await this.signer.getAddress();
+            const cancel = await this.signer.sendTransaction({ to: from, value: 0n, gasLimit: 21000n, ...bumped, nonce, type: 2 });
+            this.txStats.replacements++;
+            console.warn(`🚫 [${this.accountId}] 已发送替换交易取消 nonce ${nonce}: ${cancel.hash}`);
+            this.emit('cancelled', { accountId: this.accountId, nonce, hash: cancel.hash });
+            return cancel.hash;
+        } catch (error) {
+            console.warn(`⚠️ [${this.accountId}] 取消 nonce ${nonce} 失败: ${error.shortMessage || error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 当前 EIP-1559 手续费，不超过配置上限
+     */
+    async getFees() {
+        const feeData = await this.provider.getFeeData();
+        const priority = minBigInt(feeData.maxPriorityFeePerGas ?? 0n, this.maxPriorityFeePerGas);
+        const maxFee = minBigInt(feeData.maxFeePerGas ?? feeData.gasPrice ?? this.maxFeePerGas, this.maxFeePerGas);
+        return {
+            maxFeePerGas: maxFee > priority ? maxFee : priority,
+            maxPriorityFeePerGas: priority
+        };
+    }
+
+    /**
+     * 重发所需的手续费：至少比上次高 feeBumpPercent，且不低于当前网络费用
+     * @returns {Object|null} 已达上限无法提高时返回 null
+     */
+    bumpFees(previous, current) {
+        const factor = BigInt(100 + this.feeBumpPercent);
+        const priority = minBigInt(
+            maxBigInt(previous.maxPriorityFeePerGas * factor / 100n, current.maxPriorityFeePerGas),
+            this.maxPriorityFeePerGas
+        );
+        const maxFee = minBigInt(
+            maxBigInt(previous.maxFeePerGas * factor / 100n, current.maxFeePerGas),
+            this.maxFeePerGas
+        );
+
+        // 节点要求替换交易两项费用都要提高
+        if (priority <= previous.maxPriorityFeePerGas || maxFee <= previous.maxFeePerGas) {
+            return null;
+        }
+        return {
+            maxFeePerGas: maxFee > priority ? maxFee : priority,
+            maxPriorityFeePerGas: priority
+        };
+    }
+
+    /**
+     * 在回滚所在区块重放调用以获取回滚原因
+     */
+    async getRevertReason(tx, blockNumber, iface) {
+        try {
+            await this.provider.call({ ...tx, blockTag: blockNumber });
+            return null;
+        } catch (error) {
+            return decodeRevertReason(error, iface);
+        }
+    }
+
+    fail(result, status, error, iface) {
+        result.status = status;
+        result.revertReason = status === TransactionStatus.REVERTED ? decodeRevertReason(error, iface) : null;
+        if (status === TransactionStatus.REVERTED) {
+            this.txStats.reverted++;
+        } else {
+            this.txStats.failed++;
+        }
+
+        const reason = result.revertReason || error.shortMessage || error.message;
+        const message = status === TransactionStatus.REVERTED
+            ? `${result.label} 预估时回滚: ${reason}`
+            : `${result.label} 发送失败: ${reason}`;
+        const txError = new TransactionError(message, result);
+        txError.cause = error;
+        this.emit(status, result);
+        throw txError;
+    }
+
+    getStats() {
+        return {
+            ...this.txStats,
+            pending: this.pendingCount,
+            nextNonce: this.nextNonce
+        };
+    }
+}
+
+function minBigInt(a, b) {
+    return a < b ? a : b;
+}
+
+function maxBigInt(a, b) {
+    return a > b ? a : b;
+}
+
+export default TransactionManager;
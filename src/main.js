@@ -1,9 +1,15 @@
 import AccountManager from './managers/account-manager.js';
 import LimitlessApiClient from './core/api-client.js';
+import { config } from './core/config.js';
 import { generalStrategyConfig } from './config/strategy-config.js';
 import { globals } from './coordinators/globals.js';
 import StateManager from './managers/state-manager.js';
 import StrategyManager from './managers/strategy-manager.js';
+import MarketStore from './services/market-store.js';
+import MarketDataStream from './services/market-data-stream.js';
+import OrderTracker from './services/order-tracker.js';
+import RedemptionService from './services/redemption-service.js';
+import PositionReconciler from './services/position-reconciler.js';
 
 class GlobalMain {
     constructor() {
@@ -11,58 +17,202 @@ class GlobalMain {
         this.accountManager = new AccountManager(this.stateManager);
         this.strategyManager = new StrategyManager();
         this.globalApiClient = new LimitlessApiClient();
+
+        // 市场数据：REST 快照 + 实时推送增量
+        this.marketStore = new MarketStore();
+        this.marketStream = new MarketDataStream();
+        this.lastMarketSync = 0;
+        this.marketSync = null; // 进行中的市场同步
+
+        // 订单生命周期：策略通过 globals.orderTracker 的事件获知成交
+        this.orderTracker = new OrderTracker();
+        globals.orderTracker = this.orderTracker;
+
+        // 已结算市场的仓位自动赎回
+        this.redemptionService = new RedemptionService();
+        globals.redemptionService = this.redemptionService;
+
+        // API 持仓与链上余额对账，有差异的仓位在 globals.posistions 中标记
+        this.positionReconciler = new PositionReconciler();
+        globals.positionReconciler = this.positionReconciler;
+        this.updatingPositions = false;
     }
 
     async initialize() {
         await this.stateManager.initialize();
         await this.accountManager.initialize();
         await this.strategyManager.initialize();
+        await this.orderTracker.initialize();
+        await this.redemptionService.initialize();
 
         await this.updateGlobalAccounts();
         setInterval(() => this.updateGlobalAccounts(), 1_000);
+        this.orderTracker.start();
 
         await this.updatePositions(true);
         setInterval(() => this.updateGlobalAccounts(), 10_000);
 
         await this.updateGlobalMarkets();
         setInterval(() => this.updateGlobalMarkets(), generalStrategyConfig.marketScanInterval);
+        this.startMarketStream();
 
-        setInterval(() => this.updatePositions, 1_000);
-        // setInterval(() => this.claimAccountPostitions(), 60_000);
+        setInterval(() => this.updatePositions(), config.POSITIONS.REFRESH_INTERVAL);
+
+        if (config.REDEMPTION.ENABLED) {
+            this.redemptionService.start();
+        }
 
         await this.strategyManager.initializeStrategies();
         await this.strategyManager.startAll();
     }
 
-    async updateGlobalMarkets() {
+    /**
+     * 同步市场，定时扫描和重连补齐共用同一个进行中的同步
+     */
+    updateGlobalMarkets() {
+        if (!this.marketSync) {
+            this.marketSync = this.syncMarkets().finally(() => {
+                this.marketSync = null;
+            });
+        }
+        return this.marketSync;
+    }
+
+    async syncMarkets() {
+        // 推送正常时只需低频全量同步（用于发现新市场），断线时回退到每轮轮询
+        const skipRest = this.marketStream.isHealthy() &&
+            Date.now() - this.lastMarketSync < config.STREAM.RESYNC_INTERVAL;
+
+        if (!skipRest) {
+            try {
+                const fetchedAt = Date.now();
+                const markets = await this.globalApiClient.getMarkets();
+                if (markets.length) {
+                    this.marketStore.replaceAll(markets, fetchedAt);
+                    this.lastMarketSync = fetchedAt;
+
+                    if (this.marketStream.isEnabled()) {
+                        this.marketStream.syncSubscriptions(this.marketStore.getSlugs());
+                    }
+                }
+            } catch (err) {
+                console.error('Failed to update markets:', err);
+            }
+        }
+
+        this.marketStore.pruneExpired();
+
+        // 推送不可用时轮询订单簿，策略按真实深度定价；每轮限量，最久未更新的优先，避免断线期间一次请求全部市场
+        if (!this.marketStream.isHealthy()) {
+            await this.refreshOrderbooks(this.marketStore.getStaleOrderbookSlugs(
+                config.ORDERBOOK.STALE_AFTER,
+                config.ORDERBOOK.MAX_REFRESH_PER_SCAN
+            ));
+        }
+
+        globals.markets = this.marketStore.getMarkets();
+    }
+
+    /**
+     * 通过 REST 刷新订单簿
+     * @param {Array<string>} slugs - 需要刷新的市场
+     */
+    async refreshOrderbooks(slugs) {
+        if (!slugs.length) {
+            return;
+        }
+
         try {
-            const markets = await this.globalApiClient.getMarkets();
-            if (markets.length) {
-                globals.markets = markets;
+            const orderbooks = await this.globalApiClient.getMultipleOrderbooks(slugs);
+            for (const [slug, orderbook] of Object.entries(orderbooks)) {
+                this.marketStore.applyOrderbookUpdate(slug, orderbook, false);
             }
         } catch (err) {
-            console.error('Failed to update markets:', err);
+            console.error('Failed to refresh orderbooks:', err.message);
         }
+    }
 
-        const now = new Date();
-        globals.markets = globals.markets.filter(market =>
-            !market.expired &&
-            new Date(market.endDate) > now
-        );
+    /**
+     * 启动实时行情推送，未配置时只使用 REST 轮询
+     */
+    startMarketStream() {
+        if (!this.marketStream.isEnabled()) {
+            console.log('📡 未配置实时行情推送，使用 REST 轮询');
+            return;
+        }
+
+        this.marketStream.on('price', ({ slug, data }) => {
+            this.marketStore.applyPriceUpdate(slug, data);
+        });
+
+        this.marketStream.on('orderbook', ({ slug, data }) => {
+            this.marketStore.applyOrderbookUpdate(slug, data);
+        });
+
+        this.marketStream.on('resync', ({ slugs, reason }) => {
+            this.resyncMarkets(slugs, reason).catch(err => {
+                console.error('Failed to resync markets:', err.message);
+            });
+        });
+
+        this.marketStream.subscribe(this.marketStore.getSlugs());
+        this.marketStream.connect();
+    }
+
+    /**
+     * 推送数据不完整时通过 REST 补齐
+     * @param {Array<string>} slugs - 需要补齐的市场
+     * @param {string} reason - 'gap' 丢包 | 'reconnect' 重连
+     */
+    async resyncMarkets(slugs, reason) {
+        if (reason === 'reconnect') {
+            // 断线期间可能错过任意市场的更新，直接做一次全量同步
+            // 正在进行的同步可能在重连前已经拉取过市场，结束后仍需再同步一次
+            const reconnectedAt = Date.now();
+            const joined = !!this.marketSync;
+            this.lastMarketSync = 0;
+            await this.updateGlobalMarkets();
+            if (joined && this.lastMarketSync < reconnectedAt) {
+                this.lastMarketSync = 0;
+                await this.updateGlobalMarkets();
+            }
+            return;
+        }
+
+        await this.refreshOrderbooks(slugs);
     }
 
+    /**
+     * 刷新持仓并与链上余额对账，上一轮未结束时跳过
+     */
     async updatePositions(raiseException) {
+        if (this.updatingPositions) {
+            return;
+        }
+        this.updatingPositions = true;
+
+        try {
+            await this.refreshPositions(raiseException);
+        } finally {
+            this.updatingPositions = false;
+        }
+    }
+
+    async refreshPositions(raiseException) {
         const globalPositions = []
 
         try {
             for (const account of globals.accounts) {
                 const resp = await account.apiClient.getPortfolioPositions();
                 if (resp.success) {
+                    await this.reconcilePositions(account, resp.data);
+
                     const positions = resp.data.amm;
                     for (const position of positions) {
                         globalPositions.push({
                             account,
                             position,
+                            discrepancy: this.positionReconciler.hasDiscrepancy(account.id, position.market.conditionId),
                         })
                     }
                 }
@@ -76,37 +226,26 @@ class GlobalMain {
         globals.posistions = globalPositions
     }
 
+    /**
+     * 按间隔用链上余额核对 API 持仓，读取失败时不影响持仓刷新
+     */
+    async reconcilePositions(account, portfolio) {
+        try {
+            await this.positionReconciler.reconcile(account, portfolio);
+        } catch (err) {
+            console.error(`Failed to reconcile positions (${account.id}):`, err.message);
+        }
+    }
+
     async updateGlobalAccounts() {
         await this.accountManager.loadAccountsFromState();
         globals.accounts = this.accountManager.getActiveAccounts();
-    }
 
-    // async claimAccountPostitions() {
-    //     const now = new Date();
-    //     const minutes = now.getMinutes();
-
-    //     // 检查是否在20-40分钟之间
-    //     if (minutes >= 20 && minutes <= 40) {
-    //         for (const account of globals.accounts) {
-    //             try {
-    //                 const resp = await account.apiClient.getPortfolioPositions();
-    //                 if (resp.success) {
-    //                     const positions = resp.data.amm;
-    //                     for (const position of positions) {
-    //                         const market = position.market;
-    //                         const isMarketClosed = market.closed;
-    //                         const conditionId = market.conditionId;
-    //                         if (isMarketClosed) {
-    //                             await account.apiClient.claimPosition(conditionId);
-    //                         }
-    //                     }
-    //                 }
-    //             } catch (error)  {
-    //                 console.error(error.message)
-    //             }
-    //         }
-    //     }
-    // }
+        for (const account of globals.accounts) {
+            this.orderTracker.registerClient(account.id, account.apiClient);
+            this.redemptionService.registerClient(account.id, account.apiClient);
+        }
+    }
 }
 
 
@@ -2,11 +2,14 @@
  * 账户管理器 - 管理多个交易账户和策略分配
  */
 
+import path from 'path';
 import { EventEmitter } from 'events';
 import { ethers } from 'ethers';
-import { config } from '../core/config.js';
 import KeyManager from './key-manager.js';
 import LimitlessApiClient from '../core/api-client.js';
+import { config } from '../core/config.js';
+import { createSigner, SignerType, toPublicSignerConfig } from '../core/signers.js';
+import rpcManager from './rpc-manager.js';
 
 class AccountManager extends EventEmitter {
     constructor(stateManager) {
@@ -55,18 +58,27 @@ class AccountManager extends EventEmitter {
                 await this.initialize();
             }
 
+            // keystore / 远程签名的账户不在本地保存私钥
+            const externalSigner = accountConfig.signer && accountConfig.signer.type !== SignerType.LOCAL
+                ? toPublicSignerConfig(accountConfig.signer)
+                : null;
+
             // 验证私钥
-            if (!accountConfig.privateKey) {
-                throw new Error(`账户 ${accountId} 缺少私钥`);
-            }
+            if (!externalSigner) {
+                if (!accountConfig.privateKey) {
+                    throw new Error(`账户 ${accountId} 缺少私钥`);
+                }
 
-            if (!this.keyManager.validatePrivateKey(accountConfig.privateKey)) {
-                throw new Error(`账户 ${accountId} 私钥格式无效`);
+                if (!this.keyManager.validatePrivateKey(accountConfig.privateKey)) {
+                    throw new Error(`账户 ${accountId} 私钥格式无效`);
+                }
             }
 
-            // 创建钱包实例并从私钥派生地址
-            const provider = new ethers.JsonRpcProvider(config.RPC_URL);
-            const wallet = new ethers.Wallet(accountConfig.privateKey, provider);
+            // 创建钱包实例并派生地址
+            const provider = rpcManager.getProvider();
+            const wallet = externalSigner
+                ? await createSigner(await this.resolveSignerConfig(accountId, { signer: externalSigner }), provider)
+                : new ethers.Wallet(accountConfig.privateKey, provider);
             const walletAddress = await wallet.getAddress();
 
             // 存储账户配置（不包含私钥）
@@ -78,6 +90,7 @@ class AccountManager extends EventEmitter {
                 strategies: accountConfig.strategies || [], // 分配的策略列表
                 isActive: accountConfig.isActive !== undefined ? accountConfig.isActive : true,
                 createdAt: accountConfig.createdAt || Date.now(),
+                ...(externalSigner ? { signer: externalSigner } : {}),
                 wallet: wallet,
                 provider: provider
             };
@@ -86,7 +99,9 @@ class AccountManager extends EventEmitter {
             this.accountStrategies.set(accountId, accountConfig.strategies);
 
             // 分别保存私钥和账户状态
-            await this.keyManager.addAccountKey(accountId, accountConfig.privateKey);
+            if (!externalSigner) {
+                await this.keyManager.addAccountKey(accountId, accountConfig.privateKey);
+            }
 
             // 保存账户状态到状态管理器（不包含敏感信息）
             if (this.stateManager) {
@@ -305,6 +320,53 @@ class AccountManager extends EventEmitter {
         return await this.keyManager.getAccountKey(accountId);
     }
 
+    /**
+     * 获取账户的签名配置
+     * @param {string} accountId - 账户ID
+     */
+    async getAccountSignerConfig(accountId) {
+        const account = this.accounts.get(accountId);
+        if (!account) {
+            throw new Error(`账户不存在: ${accountId}`);
+        }
+
+        return await this.resolveSignerConfig(accountId, account);
+    }
+
+    /**
+     * 解析账户的签名配置
+     * 账户状态中的 signer 优先于全局 SIGNER_TYPE；本地私钥从加密存储读取，keystore 密码和远程访问令牌从环境变量读取
+     * @param {string} accountId - 账户ID
+     * @param {Object} accountData - 账户状态（可包含 signer: { type, path, url, keyId }）
+     * @returns {Object|null} createSigner 的参数，本地私钥不存在时为 null
+     */
+    async resolveSignerConfig(accountId, accountData = {}) {
+        const signer = { type: config.SIGNER.TYPE, ...accountData.signer };
+
+        switch (signer.type) {
+            case SignerType.LOCAL: {
+                const privateKey = await this.keyManager.getAccountKey(accountId);
+                return privateKey ? { type: SignerType.LOCAL, privateKey } : null;
+            }
+            case SignerType.KEYSTORE:
+                return {
+                    ...signer,
+                    path: signer.path || path.join(config.SIGNER.KEYSTORE_DIR, `${accountId}.json`),
+                    password: config.SIGNER.KEYSTORE_PASSWORD
+                };
+            case SignerType.REMOTE:
+                return {
+                    ...signer,
+                    url: signer.url || config.SIGNER.REMOTE_URL,
+                    keyId: signer.keyId || accountId,
+                    token: config.SIGNER.REMOTE_TOKEN,
+                    timeout: config.SIGNER.REMOTE_TIMEOUT
+                };
+            default:
+                throw new Error(`未知的签名器类型: ${signer.type}`);
+        }
+    }
+
     /**
      * 从状态文件加载账户（不包含私钥）
      */
@@ -319,17 +381,17 @@ class AccountManager extends EventEmitter {
             const accountsData = await this.stateManager.loadRawAccounts()
             for (const [accountId, accountData] of Object.entries(accountsData)) {
                 try {
-                    // 从密钥管理器获取私钥
-                    const privateKey = await this.keyManager.getAccountKey(accountId);
-                    
-                    if (!privateKey) {
+                    // 解析签名配置（本地私钥从密钥管理器获取）
+                    const signerConfig = await this.resolveSignerConfig(accountId, accountData);
+
+                    if (!signerConfig) {
                         console.warn(`⚠️ 账户 ${accountId} 的私钥未找到，跳过加载`);
                         continue;
                     }
 
                     // 创建钱包实例
-                    const provider = new ethers.JsonRpcProvider(config.RPC_URL);
-                    const wallet = new ethers.Wallet(privateKey, provider);
+                    const provider = rpcManager.getProvider();
+                    const wallet = await createSigner(signerConfig, provider);
 
                     // 存储账户配置
                     const account = {
@@ -338,9 +400,9 @@ class AccountManager extends EventEmitter {
                         provider: provider,
                     };
 
-                    if (!this.accounts.get(accountId) || this.accounts.get(accountId).wallet.privateKey != account.wallet.privateKey) {
-                        account.apiClient = new LimitlessApiClient({ id: accountId, privateKey });
-                        await account.apiClient.performLogin();
+                    if (!this.accounts.get(accountId) || this.accounts.get(accountId).wallet.address !== account.wallet.address) {
+                        account.apiClient = new LimitlessApiClient({ id: accountId, signer: wallet });
+                        await account.apiClient.ensureAuthenticated();
                     } else {
                         account.apiClient = this.accounts.get(accountId).apiClient;
                     }
@@ -450,6 +512,8 @@ class AccountManager extends EventEmitter {
                 privateKey: '***', // 隐藏私钥
                 wallet: undefined, // 移除钱包对象
                 provider: undefined, // 移除provider对象
+                apiClient: undefined, // 移除apiClient对象
+                session: account.apiClient ? account.apiClient.getSessionState() : null, // 登录会话状态
                 strategyStatuses
             });
         }
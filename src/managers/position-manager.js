@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { config } from '../core/config.js';
+import rpcManager from './rpc-manager.js';
 
 /**
  * 仓位管理器 - 处理 USDC 与 YES/NO 代币之间的转换
@@ -38,7 +39,7 @@ class PositionManager {
 
         try {
             console.log('🔧 初始化仓位管理器...');
-            this.provider = new ethers.JsonRpcProvider(config.RPC_URL);
+            this.provider = rpcManager.getProvider();
             this.wallet = new ethers.Wallet(config.AUTH.PRIVATE_KEY, this.provider);
             this.contract = new ethers.Contract(this.contractAddress, this.abi, this.wallet);
             
@@ -64,8 +64,9 @@ class ProxyManager {
 
     /**
      * 获取随机代理
+     * @param {Array<number>} excludeIds - 优先排除的代理ID（如本次请求已失败的代理）
      */
-    async getRandomProxy() {
+    async getRandomProxy(excludeIds = []) {
         await this.ensureLoaded();
 
         if (this.proxies.length === 0) {
@@ -73,13 +74,21 @@ class ProxyManager {
         }
 
         // 过滤出活跃的代理
-        const activeProxies = this.proxies.filter(proxy => proxy.isActive);
+        let activeProxies = this.proxies.filter(proxy => proxy.isActive);
 
         if (activeProxies.length === 0) {
             console.warn('⚠️ 没有可用的活跃代理');
             return null;
         }
 
+        // 排除指定代理，全部被排除时退回到所有活跃代理
+        if (excludeIds.length > 0) {
+            const remaining = activeProxies.filter(proxy => !excludeIds.includes(proxy.id));
+            if (remaining.length > 0) {
+                activeProxies = remaining;
+            }
+        }
+
         // 随机选择一个代理
         const randomIndex = Math.floor(Math.random() * activeProxies.length);
         const selectedProxy = activeProxies[randomIndex];
@@ -134,6 +143,16 @@ class ProxyManager {
         }
     }
 
+    /**
+     * 标记代理请求成功 - 错误计数只统计连续失败
+     */
+    markProxySuccess(proxyId) {
+        const proxy = this.proxies.find(p => p.id === proxyId);
+        if (proxy) {
+            proxy.errorCount = 0;
+        }
+    }
+
     /**
      * 重置代理错误计数
      */
@@ -184,9 +203,10 @@ class ProxyManager {
 
     /**
      * 创建带代理的axios配置
+     * @param {Array<number>} excludeIds - 优先排除的代理ID
      */
-    async createProxyConfig() {
-        const proxy = await this.getRandomProxy();
+    async createProxyConfig(excludeIds = []) {
+        const proxy = await this.getRandomProxy(excludeIds);
 
         if (!proxy) {
             return {};
@@ -0,0 +1,294 @@
+/**
+ * RPC 管理器 - 所有钱包和合约共用的链上 provider
+ * 支持配置多个 RPC 节点：定时健康检查（出块高度、延迟），按延迟选择节点，
+ * 请求因网络或节点错误失败时自动切换到下一个节点；
+ * 可以为发送交易单独配置私有节点，读取走公共节点
+ */
+
+import { ethers } from 'ethers';
+
+import { config } from '../core/config.js';
+
+// 与节点无关的错误（合约回滚、余额不足、nonce 冲突等），换节点重试也不会成功
+const NON_RETRYABLE_CODES = new Set([
+    'CALL_EXCEPTION',
+    'INSUFFICIENT_FUNDS',
+    'NONCE_EXPIRED',
+    'REPLACEMENT_UNDERPRICED',
+    'TRANSACTION_REPLACED',
+    'INVALID_ARGUMENT',
+    'ACTION_REJECTED'
+]);
+
+export const RpcRole = {
+    READ: 'read',
+    SEND: 'send'
+};
+
+/**
+ * 共享 provider：请求交给 RpcManager 选择节点执行
+ */
+export class FailoverProvider extends ethers.AbstractProvider {
+    constructor(manager, network) {
+        super(network);
+        this.manager = manager;
+        this.network = network;
+    }
+
+    async _detectNetwork() {
+        return this.network;
+    }
+
+    async _perform(req) {
+        return this.manager.perform(req);
+    }
+}
+
+class RpcManager {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.urls - 读取节点
+     * @param {Array<string>} options.sendUrls - 发送交易的节点，为空时使用读取节点
+     * @param {boolean} options.sendFallback - 发送节点全部不可用时是否改用读取节点
+     * @param {number} options.chainId - 链ID
+     * @param {number} options.timeout - 单次请求超时（毫秒）
+     * @param {number} options.healthCheckInterval - 健康检查间隔（毫秒）
+     * @param {number} options.maxBlockLag - 落后最高出块高度超过该值视为不健康
+     * @param {number} options.failureThreshold - 连续失败多少次后暂停使用
+     * @param {number} options.cooldown - 暂停使用的时长（毫秒）
+     */
+    constructor(options = {}) {
+        this.options = {
+            urls: options.urls ?? config.RPC.URLS,
+            sendUrls: options.sendUrls ?? config.RPC.SEND_URLS,
+            sendFallback: options.sendFallback ?? config.RPC.SEND_FALLBACK,
+            chainId: options.chainId ?? config.RPC.CHAIN_ID,
+            timeout: options.timeout ?? config.RPC.TIMEOUT,
+            healthCheckInterval: options.healthCheckInterval ?? config.RPC.HEALTH_CHECK_INTERVAL,
+            maxBlockLag: options.maxBlockLag ?? config.RPC.MAX_BLOCK_LAG,
+            failureThreshold: options.failureThreshold ?? config.RPC.FAILURE_THRESHOLD,
+            cooldown: options.cooldown ?? config.RPC.COOLDOWN
+        };
+
+        this.network = ethers.Network.from(this.options.chainId);
+        this.endpoints = [
+            ...this.options.urls.map((url, index) => this.createEndpoint(url, RpcRole.READ, index)),
+            ...this.options.sendUrls.map((url, index) => this.createEndpoint(url, RpcRole.SEND, index))
+        ];
+
+        this.provider = null;
+        this.healthTimer = null;
+        this.primary = new Map(); // role -> 当前首选节点，用于记录切换
+    }
+
+    /**
+     * 获取共享 provider，首次调用时开始健康检查
+     * @returns {FailoverProvider}
+     */
+    getProvider() {
+        if (!this.provider) {
+            if (!this.endpoints.some(endpoint => endpoint.role === RpcRole.READ)) {
+                throw new Error('未配置 RPC 节点 (RPC_URLS / RPC_URL)');
+            }
+            this.provider = new FailoverProvider(this, this.network);
+            this.startHealthChecks();
+        }
+        return this.provider;
+    }
+
+    createEndpoint(url, role, index) {
+        const request = new ethers.FetchRequest(url);
+        request.timeout = this.options.timeout;
+
+        return {
+            url,
+            name: this.describeUrl(url),
+            role,
+            index,
+            provider: new ethers.JsonRpcProvider(request, this.network, { staticNetwork: this.network }),
+            healthy: true,
+            latency: null,        // 延迟的指数移动平均（毫秒）
+            blockNumber: null,
+            failures: 0,          // 连续失败次数
+            unhealthyUntil: 0,
+            lastError: null,
+            lastCheckedAt: null,
+            requests: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * 执行 provider 请求：按顺序尝试节点，节点错误时切换到下一个
+     * @param {Object} req - ethers PerformActionRequest
+     */
+    async perform(req) {
+        const role = this.getRole(req);
+        const endpoints = this.getCandidates(role);
+
+        let lastError = null;
+        for (const endpoint of endpoints) {
+            const startedAt = Date.now();
+            try {
+                const result = await endpoint.provider._perform(req);
+                this.recordSuccess(endpoint, Date.now() - startedAt);
+                return result;
+            } catch (error) {
+                if (req.method === 'broadcastTransaction' && /already known|known transaction/i.test(error.message)) {
+                    // 之前超时的节点实际已收到交易，换节点重发时会返回该错误
+                    this.recordSuccess(endpoint, Date.now() - startedAt);
+                    return ethers.Transaction.from(req.signedTransaction).hash;
+                }
+                if (NON_RETRYABLE_CODES.has(error.code)) {
+                    this.recordSuccess(endpoint, Date.now() - startedAt);
+                    throw error;
+                }
+                this.recordFailure(endpoint, error);
+                lastError = error;
+            }
+        }
+
+        throw lastError || new Error(`没有可用的 RPC 节点 (${role})`);
+    }
+
+    /**
+     * 发送交易和查询 pending nonce 走发送节点（私有节点的交易不会出现在公共节点的 pending 中）
+     */
+    getRole(req) {
+        const hasSendEndpoints = this.endpoints.some(endpoint => endpoint.role === RpcRole.SEND);
+        if (!hasSendEndpoints) {
+            return RpcRole.READ;
+        }
+        if (req.method === 'broadcastTransaction' || (req.method === 'getTransactionCount' && req.blockTag === 'pending')) {
+            return RpcRole.SEND;
+        }
+        return RpcRole.READ;
+    }
+
+    /**
+     * 按健康状态和延迟排序的候选节点，不健康的节点排在最后作为兜底
+     */
+    getCandidates(role) {
+        const now = Date.now();
+        const isAvailable = endpoint => endpoint.healthy && endpoint.unhealthyUntil <= now;
+        const byLatency = (a, b) => (a.latency ?? 0) - (b.latency ?? 0) || a.index - b.index;
+
+        const endpoints = this.endpoints.filter(endpoint => endpoint.role === role);
+        const available = endpoints.filter(isAvailable).sort(byLatency);
+        const unavailable = endpoints.filter(endpoint => !isAvailable(endpoint));
+        const ordered = [...available, ...unavailable];
+
+        // 发送节点全部失败后再尝试读取节点
+        if (role === RpcRole.SEND && this.options.sendFallback) {
+            ordered.push(...this.getCandidates(RpcRole.READ));
+        }
+
+        if (ordered.length && this.primary.get(role) !== ordered[0]) {
+            if (this.primary.has(role)) {
+                console.log(`🔀 RPC ${role} 节点切换到 ${ordered[0].name}`);
+            }
+            this.primary.set(role, ordered[0]);
+        }
+        return ordered;
+    }
+
+    recordSuccess(endpoint, latency) {
+        endpoint.requests++;
+        endpoint.failures = 0;
+        endpoint.latency = endpoint.latency === null ? latency : Math.round(endpoint.latency * 0.8 + latency * 0.2);
+    }
+
+    recordFailure(endpoint, error) {
+        endpoint.requests++;
+        endpoint.errors++;
+        endpoint.failures++;
+        endpoint.lastError = error.message;
+
+        if (endpoint.failures >= this.options.failureThreshold && endpoint.unhealthyUntil <= Date.now()) {
+            endpoint.unhealthyUntil = Date.now() + this.options.cooldown;
+            console.warn(`⚠️ RPC 节点 ${endpoint.name} 连续失败 ${endpoint.failures} 次，暂停使用 ${this.options.cooldown / 1000} 秒: ${error.message}`);
+        }
+    }
+
+    /**
+     * 检查所有节点的出块高度和延迟
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            const startedAt = Date.now();
+            try {
+                endpoint.blockNumber = Number(await endpoint.provider.send('eth_blockNumber', []));
+                endpoint.lastCheckedAt = Date.now();
+                this.recordSuccess(endpoint, Date.now() - startedAt);
+            } catch (error) {
+                endpoint.lastCheckedAt = Date.now();
+                endpoint.healthy = false;
+                this.recordFailure(endpoint, error);
+            }
+        }));
+
+        const bestBlock = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber ?? 0));
+        for (const endpoint of this.endpoints) {
+            if (endpoint.failures > 0) {
+                continue;
+            }
+            const healthy = bestBlock - endpoint.blockNumber <= this.options.maxBlockLag;
+            if (endpoint.healthy && !healthy) {
+                console.warn(`⚠️ RPC 节点 ${endpoint.name} 落后 ${bestBlock - endpoint.blockNumber} 个区块`);
+            }
+            endpoint.healthy = healthy;
+        }
+    }
+
+    startHealthChecks() {
+        if (this.healthTimer || this.options.healthCheckInterval <= 0) {
+            return;
+        }
+
+        const check = () => this.checkHealth().catch(error => {
+            console.error('❌ RPC 健康检查失败:', error.message);
+        });
+        check();
+        this.healthTimer = setInterval(check, this.options.healthCheckInterval);
+        // 健康检查不阻止进程退出（命令行工具执行完即可结束）
+        this.healthTimer.unref();
+    }
+
+    stop() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    /**
+     * 日志中只显示节点域名，避免泄露 URL 中的 API Key
+     */
+    describeUrl(url) {
+        try {
+            return new URL(url).host;
+        } catch {
+            return url;
+        }
+    }
+
+    getStats() {
+        return this.endpoints.map(endpoint => ({
+            name: endpoint.name,
+            role: endpoint.role,
+            healthy: endpoint.healthy && endpoint.unhealthyUntil <= Date.now(),
+            latency: endpoint.latency,
+            blockNumber: endpoint.blockNumber,
+            requests: endpoint.requests,
+            errors: endpoint.errors,
+            lastError: endpoint.lastError,
+            lastCheckedAt: endpoint.lastCheckedAt
+        }));
+    }
+}
+
+// 创建全局 RPC 管理器实例
+const rpcManager = new RpcManager();
+
+export default rpcManager;
+export { RpcManager };
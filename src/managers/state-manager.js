@@ -97,7 +97,16 @@ class StateManager extends EventEmitter {
      * 加载账户原始数据
      */
     async loadRawAccounts() {
-        const data = await fs.readFile(this.accountsFile, 'utf8')
+        let data;
+        try {
+            data = await fs.readFile(this.accountsFile, 'utf8')
+        } catch (error) {
+            // 首次运行还没有账户文件
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
         const rawAccounts = JSON.parse(data);
         return rawAccounts
     }
@@ -4,10 +4,15 @@
  */
 
 import { EventEmitter } from 'events';
-import { validateConfigs, printConfigSummary, generalStrategyConfig } from '../config/strategy-config.js';
+import { validateConfigs, printConfigSummary, generalStrategyConfig, multiStrategyConfig } from '../config/strategy-config.js';
 import LPMakingStrategy from '../strategies/lp-making.js';
 import HourlyArbitrageStrategy from '../strategies/hourly-arbitrage.js';
 import PriceArbitrageStrategy from '../strategies/price-arbitrage.js';
+import SpreadMakingStrategy from '../strategies/spread-making.js';
+import MomentumStrategy from '../strategies/momentum.js';
+import MeanReversionStrategy from '../strategies/mean-reversion.js';
+import VolumeSpikeStrategy from '../strategies/volume-spike.js';
+import MultiStrategy from '../strategies/multi-strategy.js';
 
 export class StrategyManager extends EventEmitter {
     constructor() {
@@ -106,6 +111,79 @@ export class StrategyManager extends EventEmitter {
         } catch (error) {
             console.error('❌ 价格套利策略初始化失败:', error.message);
         }
+
+        // 初始化价差做市策略
+        try {
+            const spreadMakingStrategy = new SpreadMakingStrategy();
+            await spreadMakingStrategy.initialize();
+            this.strategies.set('spreadMaking', spreadMakingStrategy);
+
+            // 监听策略事件
+            this.setupStrategyEventListeners(spreadMakingStrategy, '价差做市');
+
+            console.log('✅ 价差做市策略初始化完成');
+        } catch (error) {
+            console.error('❌ 价差做市策略初始化失败:', error.message);
+        }
+
+        // 初始化动量策略
+        try {
+            const momentumStrategy = new MomentumStrategy();
+            await momentumStrategy.initialize();
+            this.strategies.set('momentum', momentumStrategy);
+
+            // 监听策略事件
+            this.setupStrategyEventListeners(momentumStrategy, '动量');
+
+            console.log('✅ 动量策略初始化完成');
+        } catch (error) {
+            console.error('❌ 动量策略初始化失败:', error.message);
+        }
+
+        // 初始化均值回归策略
+        try {
+            const meanReversionStrategy = new MeanReversionStrategy();
+            await meanReversionStrategy.initialize();
+            this.strategies.set('meanReversion', meanReversionStrategy);
+
+            // 监听策略事件
+            this.setupStrategyEventListeners(meanReversionStrategy, '均值回归');
+
+            console.log('✅ 均值回归策略初始化完成');
+        } catch (error) {
+            console.error('❌ 均值回归策略初始化失败:', error.message);
+        }
+
+        // 初始化成交量异动策略（widen / pull 时调整价差做市策略的报价）
+        try {
+            const volumeSpikeStrategy = new VolumeSpikeStrategy();
+            await volumeSpikeStrategy.initialize();
+            volumeSpikeStrategy.setQuoteTarget(this.strategies.get('spreadMaking') || null);
+            this.strategies.set('volumeSpike', volumeSpikeStrategy);
+
+            // 监听策略事件
+            this.setupStrategyEventListeners(volumeSpikeStrategy, '成交量异动');
+
+            console.log('✅ 成交量异动策略初始化完成');
+        } catch (error) {
+            console.error('❌ 成交量异动策略初始化失败:', error.message);
+        }
+
+        // 初始化组合策略（只在启用时创建，子策略由组合策略创建）
+        if (multiStrategyConfig.enabled) {
+            try {
+                const multiStrategy = new MultiStrategy();
+                await multiStrategy.initialize();
+                this.strategies.set('multiStrategy', multiStrategy);
+
+                // 监听策略事件
+                this.setupStrategyEventListeners(multiStrategy, '组合');
+
+                console.log('✅ 组合策略初始化完成');
+            } catch (error) {
+                console.error('❌ 组合策略初始化失败:', error.message);
+            }
+        }
         
         console.log(`📊 共初始化 ${this.strategies.size} 个策略`);
     }
@@ -0,0 +1,297 @@
+/**
+ * 资金管理器 - 在资金钱包和各交易账户之间调拨 USDC / ETH
+ * 余额低于下限的账户从资金钱包补足到目标值，余额高于上限的部分归集回资金钱包；
+ * 先生成调拨计划供预览，确认后依次发送，每笔转账都记录到状态目录
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ethers } from 'ethers';
+
+import { config } from '../core/config.js';
+import LimitlessApiClient from '../core/api-client.js';
+import { SignerType } from '../core/signers.js';
+
+export const TransferType = {
+    FUND: 'fund',   // 资金钱包 -> 账户
+    SWEEP: 'sweep'  // 账户 -> 资金钱包
+};
+
+export const Asset = {
+    USDC: 'USDC',
+    ETH: 'ETH'
+};
+
+const USDC_DECIMALS = 6;
+
+export class TreasuryManager {
+    /**
+     * @param {AccountManager} accountManager - 已加载账户的账户管理器
+     * @param {Object} options
+     * @param {string} options.fundingAccountId - 作为资金钱包的托管账户ID
+     * @param {string} options.fundingPrivateKey - 资金钱包私钥（未指定 fundingAccountId 时使用）
+     * @param {number} options.usdcFloor - USDC 下限，低于时补足
+     * @param {number} options.usdcTarget - USDC 补足后的目标余额
+     * @param {number} options.usdcCeiling - USDC 上限，超出部分归集（0 表示不归集）
+     * @param {number} options.ethFloor - ETH 下限
+     * @param {number} options.ethTarget - ETH 补足后的目标余额
+     * @param {number} options.ethCeiling - ETH 上限（0 表示不归集）
+     * @param {string} options.logFile - 转账记录文件
+     */
+    constructor(accountManager, options = {}) {
+        this.accountManager = accountManager;
+        this.fundingAccountId = options.fundingAccountId ?? config.TREASURY.ACCOUNT_ID;
+        this.fundingPrivateKey = options.fundingPrivateKey ?? config.TREASURY.PRIVATE_KEY;
+        this.logFile = options.logFile ?? path.join('.kiro/state', 'treasury-transfers.json');
+
+        this.limits = {
+            [Asset.USDC]: {
+                floor: ethers.parseUnits(String(options.usdcFloor ?? config.TREASURY.USDC_FLOOR), USDC_DECIMALS),
+                target: ethers.parseUnits(String(options.usdcTarget ?? config.TREASURY.USDC_TARGET), USDC_DECIMALS),
+                ceiling: ethers.parseUnits(String(options.usdcCeiling ?? config.TREASURY.USDC_CEILING), USDC_DECIMALS)
+            },
+            [Asset.ETH]: {
+                floor: ethers.parseEther(String(options.ethFloor ?? config.TREASURY.ETH_FLOOR)),
+                target: ethers.parseEther(String(options.ethTarget ?? config.TREASURY.ETH_TARGET)),
+                ceiling: ethers.parseEther(String(options.ethCeiling ?? config.TREASURY.ETH_CEILING))
+            }
+        };
+        this.validateLimits();
+
+        this.fundingClient = null;
+    }
+
+    validateLimits() {
+        for (const [asset, { floor, target, ceiling }] of Object.entries(this.limits)) {
+            if (target < floor) {
+                throw new Error(`${asset} 目标余额不能低于下限`);
+            }
+            if (ceiling > 0n && ceiling <= target) {
+                throw new Error(`${asset} 上限必须高于目标余额（或设为 0 关闭归集）`);
+            }
+        }
+    }
+
+    /**
+     * 资金钱包客户端（只用于链上操作，不登录交易所）
+     */
+    async getFundingClient() {
+        if (this.fundingClient) {
+            return this.fundingClient;
+        }
+
+        // 托管账户沿用其签名配置（可以是 keystore 或远程签名）
+        let signer = this.fundingPrivateKey ? { type: SignerType.LOCAL, privateKey: this.fundingPrivateKey } : null;
+        if (this.fundingAccountId) {
+            signer = await this.accountManager.getAccountSignerConfig(this.fundingAccountId);
+        }
+        if (!signer) {
+            throw new Error('未配置资金钱包 (TREASURY_ACCOUNT_ID 或 TREASURY_PRIVATE_KEY)');
+        }
+
+        this.fundingClient = new LimitlessApiClient({ id: this.fundingAccountId || 'treasury', signer });
+        await this.fundingClient.initializeWallet();
+        return this.fundingClient;
+    }
+
+    /**
+     * 参与调拨的账户（排除资金钱包本身）
+     * @param {Array<string>} accountIds - 只处理这些账户（可选）
+     */
+    getManagedAccounts(accountIds = null) {
+        return this.accountManager.getAllAccounts().filter(account =>
+            account.id !== this.fundingAccountId &&
+            account.apiClient &&
+            (!accountIds || accountIds.includes(account.id))
+        );
+    }
+
+    /**
+     * 读取资金钱包和各账户的 USDC / ETH 余额
+     */
+    async getBalances(accountIds = null) {
+        const fundingClient = await this.getFundingClient();
+        const funding = await this.readBalance(fundingClient, fundingClient.accountId);
+
+        const accounts = [];
+        for (const account of this.getManagedAccounts(accountIds)) {
+            try {
+                accounts.push(await this.readBalance(account.apiClient, account.id));
+            } catch (error) {
+                accounts.push({ accountId: account.id, address: null, error: error.message });
+            }
+        }
+
+        return { funding, accounts };
+    }
+
+    async readBalance(apiClient, accountId) {
+        const [usdc, eth] = await Promise.all([apiClient.getUsdcBalance(), apiClient.getEthBalance()]);
+        return { accountId, address: apiClient.getWalletAddress(), usdc, eth };
+    }
+
+    /**
+     * 生成调拨计划（不发送交易）
+     * 顺序：先补 ETH（归集 USDC 需要 gas），再补 USDC，最后归集
+     * @param {Object} options
+     * @param {boolean} options.fund - 是否补足低于下限的账户
+     * @param {boolean} options.sweep - 是否归集高于上限的部分
+     * @param {Array<string>} options.accountIds - 只处理这些账户（可选）
+     * @returns {Object} { funding, transfers, skipped }
+     */
+    async plan({ fund = true, sweep = true, accountIds = null } = {}) {
+        const { funding, accounts } = await this.getBalances(accountIds);
+
+        const transfers = [];
+        const skipped = [];
+        // 资金钱包自己也要留出 gas
+        const ethReserve = this.limits[Asset.ETH].floor;
+        const available = {
+            [Asset.USDC]: funding.usdc,
+            [Asset.ETH]: funding.eth > ethReserve ? funding.eth - ethReserve : 0n
+        };
+
+        const addFunding = (asset, account) => {
+            const { floor, target } = this.limits[asset];
+            const balance = account[asset.toLowerCase()];
+            if (balance >= floor) {
+                return;
+            }
+
+            const amount = target - balance;
+            if (amount > available[asset]) {
+                skipped.push({ accountId: account.accountId, asset, amount, reason: '资金钱包余额不足' });
+                return;
+            }
+            available[asset] -= amount;
+            transfers.push(this.createTransfer(TransferType.FUND, asset, funding.address, account, amount, balance));
+        };
+
+        const addSweep = (asset, account) => {
+            const { ceiling } = this.limits[asset];
+            const balance = account[asset.toLowerCase()];
+            if (ceiling === 0n || balance <= ceiling) {
+                return;
+            }
+            transfers.push(this.createTransfer(TransferType.SWEEP, asset, account.address, { ...account, address: funding.address }, balance - ceiling, balance));
+        };
+
+        const readable = accounts.filter(account => {
+            if (account.error) {
+                skipped.push({ accountId: account.accountId, reason: `读取余额失败: ${account.error}` });
+                return false;
+            }
+            return true;
+        });
+
+        if (fund) {
+            readable.forEach(account => addFunding(Asset.ETH, account));
+            readable.forEach(account => addFunding(Asset.USDC, account));
+        }
+        if (sweep) {
+            readable.forEach(account => addSweep(Asset.USDC, account));
+            readable.forEach(account => addSweep(Asset.ETH, account));
+        }
+
+        return { funding, accounts: readable, transfers, skipped };
+    }
+
+    createTransfer(type, asset, from, account, amount, balanceBefore) {
+        return {
+            type,
+            asset,
+            accountId: account.accountId,
+            from,
+            to: account.address,
+            amount,
+            balanceBefore
+        };
+    }
+
+    /**
+     * 依次执行调拨计划，单笔失败不影响后续转账
+     * @param {Object} plan - plan() 的返回值
+     * @returns {Array} 每笔转账的执行记录
+     */
+    async execute(plan) {
+        const fundingClient = await this.getFundingClient();
+        const records = [];
+
+        for (const transfer of plan.transfers) {
+            const sender = transfer.type === TransferType.FUND
+                ? fundingClient
+                : this.accountManager.getAccount(transfer.accountId).apiClient;
+
+            const record = {
+                ...transfer,
+                amount: transfer.amount.toString(),
+                balanceBefore: transfer.balanceBefore.toString(),
+                formattedAmount: formatAmount(transfer.asset, transfer.amount),
+                status: 'pending',
+                hash: null,
+                error: null,
+                timestamp: Date.now()
+            };
+
+            try {
+                const result = transfer.asset === Asset.USDC
+                    ? await sender.transferUsdc(transfer.to, transfer.amount)
+                    : await sender.transferEth(transfer.to, transfer.amount);
+                record.status = 'confirmed';
+                record.hash = result.hash;
+                record.fee = result.fee;
+                console.log(`💸 ${describeTransfer(transfer)}: ${result.hash}`);
+            } catch (error) {
+                record.status = 'failed';
+                record.hash = error.result?.hash || null;
+                record.error = error.message;
+                console.error(`❌ ${describeTransfer(transfer)} 失败: ${error.message}`);
+            }
+
+            records.push(record);
+            await this.appendLog(record);
+        }
+
+        return records;
+    }
+
+    async appendLog(record) {
+        try {
+            const records = await this.getLog();
+            records.push(record);
+            await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+            await fs.writeFile(this.logFile, JSON.stringify({ transfers: records }, null, 2));
+        } catch (error) {
+            console.error('❌ 保存转账记录失败:', error.message);
+        }
+    }
+
+    /**
+     * 转账记录（按时间顺序）
+     */
+    async getLog() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.logFile, 'utf8'));
+            return data.transfers || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            return [];
+        }
+    }
+}
+
+/**
+ * 格式化金额（USDC 6 位小数，ETH 18 位小数）
+ */
+export function formatAmount(asset, amount) {
+    return asset === Asset.USDC ? ethers.formatUnits(amount, USDC_DECIMALS) : ethers.formatEther(amount);
+}
+
+export function describeTransfer(transfer) {
+    const direction = transfer.type === TransferType.FUND ? `资金钱包 -> ${transfer.accountId}` : `${transfer.accountId} -> 资金钱包`;
+    return `${transfer.type === TransferType.FUND ? '补足' : '归集'} ${formatAmount(transfer.asset, transfer.amount)} ${transfer.asset} (${direction})`;
+}
+
+export default TreasuryManager;
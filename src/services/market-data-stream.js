@@ -0,0 +1,333 @@
+/**
+ * 实时市场数据流客户端（WebSocket）
+ * 订阅价格和订单簿频道，断线自动重连并重新订阅，按序号检测丢包
+ *
+ * 消息协议（JSON）：
+ *   客户端 -> 服务端
+ *     { action: 'subscribe',   channels: ['prices', 'orderbook'], marketSlugs: [...] }
+ *     { action: 'unsubscribe', channels: ['prices', 'orderbook'], marketSlugs: [...] }
+ *     { action: 'ping' }
+ *   服务端 -> 客户端
+ *     { channel: 'prices',    marketSlug, seq, data: { prices: [yes, no] } }
+ *     { channel: 'orderbook', marketSlug, seq, data: { bids, asks } }
+ *     { type: 'pong' }
+ *
+ * seq 为每个市场递增的序号，不连续时触发 'gap' 事件，由调用方通过 REST 补齐
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+import { config } from '../core/config.js';
+
+export const StreamChannel = {
+    PRICES: 'prices',
+    ORDERBOOK: 'orderbook'
+};
+
+export const StreamState = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    CLOSED: 'closed'
+};
+
+export class MarketDataStream extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.url = options.url ?? config.STREAM.URL;
+        this.channels = options.channels || [StreamChannel.PRICES, StreamChannel.ORDERBOOK];
+        this.reconnectBaseDelay = options.reconnectBaseDelay ?? config.STREAM.RECONNECT_BASE_DELAY;
+        this.reconnectMaxDelay = options.reconnectMaxDelay ?? config.STREAM.RECONNECT_MAX_DELAY;
+        this.heartbeatInterval = options.heartbeatInterval ?? config.STREAM.HEARTBEAT_INTERVAL;
+        this.staleTimeout = options.staleTimeout ?? config.STREAM.STALE_TIMEOUT;
+
+        this.state = StreamState.IDLE;
+        this.socket = null;
+        this.subscriptions = new Set(); // 已订阅的市场 slug
+        this.sequences = new Map();     // slug -> 最后收到的 seq
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.lastMessageTime = null;
+
+        this.streamStats = {
+            connects: 0,
+            reconnects: 0,
+            messages: 0,
+            gaps: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * 是否配置了推送地址
+     */
+    isEnabled() {
+        return !!this.url;
+    }
+
+    /**
+     * 连接是否健康（已连接且最近收到过消息）
+     */
+    isHealthy() {
+        if (this.state !== StreamState.CONNECTED) {
+            return false;
+        }
+        return !this.lastMessageTime || Date.now() - this.lastMessageTime < this.staleTimeout;
+    }
+
+    /**
+     * 建立连接
+     */
+    connect() {
+        if (!this.isEnabled()) {
+            throw new Error('未配置 MARKET_STREAM_URL，无法启动实时行情');
+        }
+
+        if (this.state === StreamState.CONNECTING || this.state === StreamState.CONNECTED) {
+            return;
+        }
+
+        this.setState(this.reconnectAttempts > 0 ? StreamState.RECONNECTING : StreamState.CONNECTING);
+
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.on('open', () => this.handleOpen());
+        socket.on('message', (raw) => this.handleMessage(raw));
+        socket.on('error', (error) => {
+            this.streamStats.errors++;
+            console.error(`❌ 实时行情连接错误: ${error.message}`);
+            this.emit('streamError', error);
+        });
+        socket.on('close', (code) => this.handleClose(socket, code));
+    }
+
+    /**
+     * 关闭连接，不再重连
+     */
+    close() {
+        this.setState(StreamState.CLOSED);
+        this.clearTimers();
+
+        if (this.socket) {
+            this.socket.removeAllListeners('close');
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    /**
+     * 订阅市场
+     * @param {Array<string>} slugs - 市场标识列表
+     */
+    subscribe(slugs) {
+        const newSlugs = slugs.filter(slug => !this.subscriptions.has(slug));
+        if (newSlugs.length === 0) {
+            return;
+        }
+
+        newSlugs.forEach(slug => this.subscriptions.add(slug));
+        this.send({ action: 'subscribe', channels: this.channels, marketSlugs: newSlugs });
+    }
+
+    /**
+     * 取消订阅市场
+     * @param {Array<string>} slugs - 市场标识列表
+     */
+    unsubscribe(slugs) {
+        const existing = slugs.filter(slug => this.subscriptions.has(slug));
+        if (existing.length === 0) {
+            return;
+        }
+
+        existing.forEach(slug => {
+            this.subscriptions.delete(slug);
+            this.sequences.delete(slug);
+        });
+        this.send({ action: 'unsubscribe', channels: this.channels, marketSlugs: existing });
+    }
+
+    /**
+     * 同步订阅列表到指定市场集合
+     */
+    syncSubscriptions(slugs) {
+        const target = new Set(slugs);
+        this.unsubscribe([...this.subscriptions].filter(slug => !target.has(slug)));
+        this.subscribe(slugs);
+    }
+
+    /**
+     * 发送消息（未连接时丢弃，重连后会重新订阅）
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+            return true;
+        }
+        return false;
+    }
+
+    handleOpen() {
+        const isReconnect = this.streamStats.connects > 0;
+
+        this.streamStats.connects++;
+        if (isReconnect) {
+            this.streamStats.reconnects++;
+        }
+        this.reconnectAttempts = 0;
+        this.lastMessageTime = Date.now();
+        this.setState(StreamState.CONNECTED);
+        this.startHeartbeat();
+
+        console.log(`📡 实时行情已${isReconnect ? '重新' : ''}连接: ${this.url}`);
+
+        // 重新订阅，断线期间的更新需要通过 REST 补齐
+        if (this.subscriptions.size > 0) {
+            const slugs = [...this.subscriptions];
+            this.sequences.clear();
+            this.send({ action: 'subscribe', channels: this.channels, marketSlugs: slugs });
+
+            if (isReconnect) {
+                this.emit('resync', { slugs, reason: 'reconnect' });
+            }
+        }
+
+        this.emit('connected', { isReconnect });
+    }
+
+    handleMessage(raw) {
+        this.lastMessageTime = Date.now();
+        this.streamStats.messages++;
+
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            console.warn(`⚠️ 无法解析实时行情消息: ${error.message}`);
+            return;
+        }
+
+        if (message.type === 'pong') {
+            return;
+        }
+
+        const { channel, marketSlug, seq, data } = message;
+        if (!channel || !marketSlug || !this.subscriptions.has(marketSlug)) {
+            return;
+        }
+
+        // 序号检测：跳号说明中间有更新丢失
+        if (seq !== undefined) {
+            const lastSeq = this.sequences.get(marketSlug);
+            if (lastSeq !== undefined && seq <= lastSeq) {
+                return; // 重复或过期的消息
+            }
+            if (lastSeq !== undefined && seq !== lastSeq + 1) {
+                this.streamStats.gaps++;
+                console.warn(`⚠️ 实时行情丢包: ${marketSlug} 期望 seq ${lastSeq + 1}，收到 ${seq}`);
+                this.emit('gap', { slug: marketSlug, expected: lastSeq + 1, received: seq });
+                this.emit('resync', { slugs: [marketSlug], reason: 'gap' });
+            }
+            this.sequences.set(marketSlug, seq);
+        }
+
+        if (channel === StreamChannel.PRICES) {
+            this.emit('price', { slug: marketSlug, data });
+        } else if (channel === StreamChannel.ORDERBOOK) {
+            this.emit('orderbook', { slug: marketSlug, data });
+        }
+    }
+
+    handleClose(socket, code) {
+        if (socket !== this.socket) {
+            return;
+        }
+
+        this.socket = null;
+        this.stopHeartbeat();
+
+        if (this.state === StreamState.CLOSED) {
+            return;
+        }
+
+        console.warn(`⚠️ 实时行情连接断开 (code: ${code})，回退到 REST 轮询`);
+        this.emit('disconnected', { code });
+        this.scheduleReconnect();
+    }
+
+    /**
+     * 指数退避重连
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) {
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const exponential = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** (this.reconnectAttempts - 1));
+        const delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
+
+        this.setState(StreamState.RECONNECTING);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * 心跳：定期 ping，长时间无消息时主动断开触发重连
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        this.heartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageTime > this.staleTimeout) {
+                console.warn('⚠️ 实时行情长时间无消息，重新连接');
+                this.socket?.terminate();
+                return;
+            }
+            this.send({ action: 'ping' });
+        }, this.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    clearTimers() {
+        this.stopHeartbeat();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    setState(newState) {
+        const oldState = this.state;
+        this.state = newState;
+        this.emit('stateChanged', { oldState, newState });
+    }
+
+    /**
+     * 获取连接状态
+     */
+    getStatus() {
+        return {
+            url: this.url,
+            state: this.state,
+            healthy: this.isHealthy(),
+            subscriptions: this.subscriptions.size,
+            lastMessageTime: this.lastMessageTime,
+            stats: { ...this.streamStats }
+        };
+    }
+}
+
+export default MarketDataStream;
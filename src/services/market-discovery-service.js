@@ -1,16 +1,34 @@
 /**
  * 市场发现服务
  * 重构后作为通用的市场数据提供者
- * 具体的市场筛选逻辑移到各个策略类中实现
+ * 具体的市场筛选逻辑移到各个策略类中实现，这里只按交易场所、结算周期等模型字段做粗筛
  */
 
+import { Market, MarketVenue } from '../core/market.js';
+import { StrategyType } from '../strategies/strategy-types.js';
+
+/**
+ * 各策略可以处理的市场范围
+ * 做市、趋势和成交量异动策略通过订单簿下单，只能用订单簿市场；套利策略通过合约地址下单，只能用 AMM 市场
+ */
+const STRATEGY_MARKET_FILTERS = {
+    [StrategyType.LP_MAKING]: { venue: MarketVenue.CLOB, rewardableOnly: true },
+    [StrategyType.HOURLY_ARBITRAGE]: { venue: MarketVenue.AMM },
+    [StrategyType.PRICE_ARBITRAGE]: { venue: MarketVenue.AMM },
+    [StrategyType.SPREAD_MAKING]: { venue: MarketVenue.CLOB },
+    [StrategyType.MOMENTUM]: { venue: MarketVenue.CLOB },
+    [StrategyType.MEAN_REVERSION]: { venue: MarketVenue.CLOB },
+    [StrategyType.VOLUME_SPIKE]: { venue: MarketVenue.CLOB }
+};
+
 export class MarketDiscoveryService {
     constructor(apiClient) {
         this.apiClient = apiClient;
 
         this.discoveryStats = {
             totalFetches: 0,
-            lastFetchTime: null
+            lastFetchTime: null,
+            lastVenueCounts: null
         };
     }
 
@@ -33,9 +51,20 @@ export class MarketDiscoveryService {
             this.discoveryStats.totalFetches++;
             this.discoveryStats.lastFetchTime = Date.now();
 
-            console.log(`📊 获取到 ${markets.length} 个市场数据`);
+            // apiClient 已经构建好 Market，这里只防御性地丢弃非模型数据
+            const validMarkets = markets.filter(market => market instanceof Market);
+            if (validMarkets.length !== markets.length) {
+                console.warn(`⚠️ 丢弃 ${markets.length - validMarkets.length} 个非 Market 实例的市场数据`);
+            }
+
+            this.discoveryStats.lastVenueCounts = {
+                [MarketVenue.CLOB]: validMarkets.filter(market => market.isClob).length,
+                [MarketVenue.AMM]: validMarkets.filter(market => market.isAmm).length
+            };
 
-            return markets;
+            console.log(`📊 获取到 ${validMarkets.length} 个市场数据 (订单簿: ${this.discoveryStats.lastVenueCounts[MarketVenue.CLOB]}, AMM: ${this.discoveryStats.lastVenueCounts[MarketVenue.AMM]})`);
+
+            return validMarkets;
 
         } catch (error) {
             console.error('❌ 获取市场数据失败:', error.message);
@@ -58,11 +87,31 @@ export class MarketDiscoveryService {
             return [];
         }
 
-        console.log(`📊 为策略 ${strategyType} 提供 ${markets.length} 个市场数据`);
-        return markets;
-    }
+        const filtered = this.filterMarkets(markets, STRATEGY_MARKET_FILTERS[strategyType]);
 
+        console.log(`📊 为策略 ${strategyType} 提供 ${filtered.length}/${markets.length} 个市场数据`);
+        return filtered;
+    }
 
+    /**
+     * 按模型字段筛选市场
+     * @param {Array<Market>} markets - 市场列表
+     * @param {Object} filters
+     * @param {string} filters.venue - MarketVenue
+     * @param {string} filters.cadence - MarketCadence
+     * @param {string} filters.category - 分类名称
+     * @param {boolean} filters.rewardableOnly - 只保留有 LP 奖励的市场
+     * @returns {Array<Market>}
+     */
+    filterMarkets(markets, { venue, cadence, category, rewardableOnly = false } = {}) {
+        return markets.filter(market => {
+            if (venue && market.venue !== venue) return false;
+            if (cadence && market.cadence !== cadence) return false;
+            if (category && market.category !== category && !market.categories.includes(category)) return false;
+            if (rewardableOnly && !market.isRewardable) return false;
+            return true;
+        });
+    }
 
     /**
      * 获取发现统计
@@ -79,7 +128,8 @@ export class MarketDiscoveryService {
     resetStats() {
         this.discoveryStats = {
             totalFetches: 0,
-            lastFetchTime: null
+            lastFetchTime: null,
+            lastVenueCounts: null
         };
     }
 }
@@ -0,0 +1,171 @@
+/**
+ * 市场数据存储
+ * 内存中按 slug 保存市场数据，接收 REST 快照和实时推送的增量更新
+ * 市场对象与 globals.markets 共享引用，策略读取到的总是最新价格
+ */
+
+import { EventEmitter } from 'events';
+
+import OrderBook from '../core/orderbook.js';
+import { normalizePrices } from '../core/market.js';
+
+export class MarketStore extends EventEmitter {
+    constructor() {
+        super();
+        this.markets = new Map(); // slug -> 市场对象
+
+        this.storeStats = {
+            snapshots: 0,
+            priceUpdates: 0,
+            orderbookUpdates: 0,
+            lastSnapshotTime: null,
+            lastUpdateTime: null
+        };
+    }
+
+    /**
+     * 用 REST 快照替换市场列表
+     * 已存在的市场保留实时数据（orderbook、streamUpdatedAt），只刷新静态字段
+     * 订单簿带有自己的时间戳，由使用方判断是否过期，快照中没有订单簿时沿用已有的
+     * @param {Array} markets - getMarkets() 返回的市场列表
+     * @param {number} fetchedAt - 发起 REST 请求的时间
+     */
+    replaceAll(markets, fetchedAt = Date.now()) {
+        const next = new Map();
+
+        for (const market of markets) {
+            if (!market.slug) {
+                continue;
+            }
+
+            const existing = this.markets.get(market.slug);
+            if (existing && existing.streamUpdatedAt && existing.streamUpdatedAt > fetchedAt) {
+                // 推送数据比快照新，保留推送的价格
+                const { prices, orderbook, streamUpdatedAt } = existing;
+                Object.assign(existing, market, { prices, orderbook, streamUpdatedAt });
+                next.set(market.slug, existing);
+            } else {
+                if (existing?.orderbook && !market.orderbook) {
+                    market.orderbook = existing.orderbook;
+                }
+                next.set(market.slug, market);
+            }
+        }
+
+        const added = [...next.keys()].filter(slug => !this.markets.has(slug));
+        const removed = [...this.markets.keys()].filter(slug => !next.has(slug));
+
+        this.markets = next;
+        this.storeStats.snapshots++;
+        this.storeStats.lastSnapshotTime = Date.now();
+
+        this.emit('snapshot', { total: next.size, added, removed });
+        return { added, removed };
+    }
+
+    /**
+     * 应用价格推送
+     * @param {string} slug - 市场标识
+     * @param {Object} data - { prices: [yes, no] }
+     */
+    applyPriceUpdate(slug, data) {
+        const market = this.markets.get(slug);
+        if (!market || !data?.prices) {
+            return false;
+        }
+
+        market.prices = normalizePrices(data.prices);
+        market.streamUpdatedAt = Date.now();
+
+        this.storeStats.priceUpdates++;
+        this.storeStats.lastUpdateTime = market.streamUpdatedAt;
+
+        this.emit('priceUpdated', { slug, market });
+        return true;
+    }
+
+    /**
+     * 应用订单簿更新（整本替换）
+     * @param {string} slug - 市场标识
+     * @param {OrderBook|Object} orderbook - OrderBook 实例，或推送的原始数据 { bids, asks, ... }
+     * @param {boolean} fromStream - 是否来自实时推送
+     */
+    applyOrderbookUpdate(slug, orderbook, fromStream = true) {
+        const market = this.markets.get(slug);
+        const book = OrderBook.fromApi(slug, orderbook);
+        if (!market || !book) {
+            return false;
+        }
+
+        market.orderbook = book;
+        if (fromStream) {
+            market.streamUpdatedAt = Date.now();
+        }
+
+        this.storeStats.orderbookUpdates++;
+        this.storeStats.lastUpdateTime = Date.now();
+
+        this.emit('orderbookUpdated', { slug, market });
+        return true;
+    }
+
+    /**
+     * 移除已过期的市场
+     */
+    pruneExpired(now = new Date()) {
+        for (const [slug, market] of this.markets.entries()) {
+            if (market.expired || new Date(market.endDate) <= now) {
+                this.markets.delete(slug);
+            }
+        }
+    }
+
+    /**
+     * 获取单个市场
+     */
+    getMarket(slug) {
+        return this.markets.get(slug) || null;
+    }
+
+    /**
+     * 需要刷新订单簿的市场（有 tokens 的订单簿市场，且没有订单簿或已过期）
+     * 没有订单簿的排在最前，其余按数据年龄从大到小
+     * @param {number} maxAge - 订单簿最大允许年龄（毫秒）
+     * @param {number} limit - 最多返回的数量
+     */
+    getStaleOrderbookSlugs(maxAge, limit = Infinity) {
+        const now = Date.now();
+        return this.getMarkets()
+            .filter(market => market.tokens && (!market.orderbook || market.orderbook.isStale(maxAge, now)))
+            .map(market => ({ slug: market.slug, age: market.orderbook ? market.orderbook.getAge(now) : Infinity }))
+            .sort((a, b) => b.age - a.age)
+            .slice(0, limit)
+            .map(({ slug }) => slug);
+    }
+
+    /**
+     * 获取所有市场
+     */
+    getMarkets() {
+        return Array.from(this.markets.values());
+    }
+
+    /**
+     * 获取所有市场 slug
+     */
+    getSlugs() {
+        return Array.from(this.markets.keys());
+    }
+
+    /**
+     * 获取存储统计
+     */
+    getStats() {
+        return {
+            ...this.storeStats,
+            totalMarkets: this.markets.size
+        };
+    }
+}
+
+export default MarketStore;
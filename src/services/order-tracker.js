@@ -0,0 +1,443 @@
+/**
+ * 订单生命周期跟踪
+ * 记录每个账户提交的订单，定时轮询 getActiveOrders / getOrder 对账成交情况，
+ * 按状态变化发出事件，并把订单历史持久化到状态目录
+ *
+ * 事件（参数均为订单记录快照，附带本次新增成交 newlyFilled）：
+ *   submitted       - 订单已提交
+ *   partiallyFilled - 部分成交，订单仍在簿上
+ *   filled          - 完全成交（IOC / 市价单成交后剩余部分自动撤销也算作 filled）
+ *   cancelled       - 已撤销（filledSize 为撤销前已成交的份额）
+ *   expired         - GTD 订单到期失效
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import Decimal from 'decimal.js';
+
+import { config } from '../core/config.js';
+
+export const TrackedOrderStatus = {
+    OPEN: 'open',
+    FILLED: 'filled',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+};
+
+// 服务端订单状态 -> 跟踪状态
+const REMOTE_STATUS_MAP = {
+    LIVE: TrackedOrderStatus.OPEN,
+    OPEN: TrackedOrderStatus.OPEN,
+    MATCHED: TrackedOrderStatus.FILLED,
+    FILLED: TrackedOrderStatus.FILLED,
+    CANCELLED: TrackedOrderStatus.CANCELLED,
+    CANCELED: TrackedOrderStatus.CANCELLED,
+    EXPIRED: TrackedOrderStatus.EXPIRED
+};
+
+// 终态对应的事件名
+const FINAL_EVENTS = {
+    [TrackedOrderStatus.FILLED]: 'filled',
+    [TrackedOrderStatus.CANCELLED]: 'cancelled',
+    [TrackedOrderStatus.EXPIRED]: 'expired'
+};
+
+export class OrderTracker extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.pollInterval - 轮询间隔（毫秒）
+     * @param {number} options.historyLimit - 保留的已结束订单数量
+     * @param {number} options.maxMisses - 连续查询不到订单多少次后视为已撤销
+     * @param {string} options.historyFile - 订单历史文件
+     */
+    constructor(options = {}) {
+        super();
+
+        this.pollInterval = options.pollInterval ?? config.ORDER_TRACKER.POLL_INTERVAL;
+        this.historyLimit = options.historyLimit ?? config.ORDER_TRACKER.HISTORY_LIMIT;
+        this.maxMisses = options.maxMisses ?? config.ORDER_TRACKER.MAX_MISSES;
+        this.historyFile = options.historyFile ?? path.join('.kiro/state', 'order-history.json');
+
+        this.clients = new Map(); // accountId -> apiClient
+        this.orders = new Map();  // orderId -> 订单记录
+        this.pollTimer = null;
+        this.polling = false;
+        this.dirty = false;
+
+        this.trackerStats = {
+            tracked: 0,
+            polls: 0,
+            pollErrors: 0,
+            lastPollTime: null
+        };
+    }
+
+    /**
+     * 加载订单历史，未结束的订单在对应账户注册后继续跟踪
+     */
+    async initialize() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+            for (const record of data.orders || []) {
+                this.orders.set(record.orderId, record);
+            }
+            console.log(`📥 加载订单历史: ${this.orders.size} 个订单，其中 ${this.getOpenOrders().length} 个未结束`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ 加载订单历史失败:', error.message);
+            }
+        }
+    }
+
+    /**
+     * 注册账户的 API 客户端，客户端下单成功后会自动调用 track()
+     */
+    registerClient(accountId, apiClient) {
+        if (this.clients.get(accountId) === apiClient) {
+            return;
+        }
+        this.clients.set(accountId, apiClient);
+        apiClient.orderTracker = this;
+    }
+
+    unregisterClient(accountId) {
+        const apiClient = this.clients.get(accountId);
+        if (apiClient?.orderTracker === this) {
+            apiClient.orderTracker = null;
+        }
+        this.clients.delete(accountId);
+    }
+
+    /**
+     * 开始定时对账
+     */
+    start() {
+        if (this.pollTimer) {
+            return;
+        }
+        this.pollTimer = setInterval(() => {
+            this.poll().catch(error => {
+                console.error('❌ 订单对账失败:', error.message);
+            });
+        }, this.pollInterval);
+        console.log(`⏰ 订单跟踪已启动 (间隔: ${this.pollInterval / 1000}秒)`);
+    }
+
+    /**
+     * 停止对账并保存历史
+     */
+    async stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        await this.save();
+    }
+
+    /**
+     * 记录一个已提交的订单
+     * @param {string} accountId - 账户ID
+     * @param {Object} submission
+     * @param {Object} submission.request - POST /orders 请求体（order、orderType、marketSlug）
+     * @param {Object} submission.response - 服务端返回的数据
+     * @param {Object} submission.metadata - 调用方附带的信息（策略、仓位ID等），事件中原样返回
+     * @returns {Object|null} 订单记录，服务端没有返回订单ID时为 null
+     */
+    track(accountId, { request, response, metadata = {} }) {
+        const remote = response?.order || response || {};
+        const orderId = remote.id ?? remote.orderId ?? null;
+        if (!orderId) {
+            console.warn(`⚠️ 下单响应中没有订单ID，无法跟踪 (账户 ${accountId}, 市场 ${request?.marketSlug})`);
+            return null;
+        }
+
+        const order = request?.order || {};
+        const record = {
+            orderId: String(orderId),
+            accountId,
+            marketSlug: request?.marketSlug ?? remote.marketSlug ?? null,
+            tokenId: String(order.tokenId ?? remote.tokenId ?? ''),
+            side: Number(order.side ?? remote.side),
+            orderType: request?.orderType ?? remote.orderType ?? null,
+            postOnly: !!request?.postOnly,
+            price: order.price ?? remote.price ?? null,
+            size: order.quantity ?? remote.originalSize ?? null,
+            expiration: Number(order.expiration || 0),
+            status: TrackedOrderStatus.OPEN,
+            filledSize: 0,
+            avgFillPrice: null,
+            missCount: 0,
+            metadata,
+            submittedAt: Date.now(),
+            updatedAt: Date.now(),
+            closedAt: null
+        };
+
+        this.orders.set(record.orderId, record);
+        this.trackerStats.tracked++;
+        this.dirty = true;
+
+        // 延后处理下单响应中的成交，让调用方先拿到返回值、记录好自己的状态
+        setImmediate(() => {
+            this.emit('submitted', this.snapshot(record, 0));
+            this.reconcile(record, remote);
+        });
+
+        return record;
+    }
+
+    /**
+     * 对账一轮：每个账户查询一次挂单列表，不在列表里的订单逐个查询最终状态
+     */
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            const byAccount = new Map();
+            for (const record of this.getOpenOrders()) {
+                if (!byAccount.has(record.accountId)) {
+                    byAccount.set(record.accountId, []);
+                }
+                byAccount.get(record.accountId).push(record);
+            }
+
+            for (const [accountId, records] of byAccount.entries()) {
+                const apiClient = this.clients.get(accountId);
+                if (!apiClient) {
+                    continue;
+                }
+
+                try {
+                    await this.pollAccount(apiClient, records);
+                } catch (error) {
+                    this.trackerStats.pollErrors++;
+                    console.error(`❌ 账户 ${accountId} 订单对账失败: ${error.message}`);
+                }
+            }
+
+            this.trackerStats.polls++;
+            this.trackerStats.lastPollTime = Date.now();
+        } finally {
+            this.polling = false;
+        }
+
+        if (this.dirty) {
+            await this.save();
+        }
+    }
+
+    async pollAccount(apiClient, records) {
+        const { orders: liveOrders } = await apiClient.getActiveOrders();
+        const liveById = new Map(liveOrders.map(order => [String(order.id), order]));
+
+        for (const record of records) {
+            const live = liveById.get(record.orderId);
+            if (live) {
+                record.missCount = 0;
+                this.reconcile(record, live);
+                continue;
+            }
+
+            // 不在挂单列表中：已成交、已撤销或已过期，查询最终状态
+            // 只有服务端明确返回不存在才计为一次查询不到，其他错误直接抛出，本轮对账结束且不改变计数
+            const remote = await apiClient.getOrder(record.orderId);
+            if (remote) {
+                record.missCount = 0;
+                this.reconcile(record, remote);
+                continue;
+            }
+
+            record.missCount++;
+            this.dirty = true;
+            if (record.missCount >= this.maxMisses) {
+                console.warn(`⚠️ 订单 ${record.orderId} 连续 ${record.missCount} 次查询不到，视为已撤销`);
+                this.close(record, TrackedOrderStatus.CANCELLED, 0);
+            }
+        }
+    }
+
+    /**
+     * 根据服务端订单数据更新记录并发出事件
+     * @param {Object} record - 订单记录
+     * @param {Object} remote - 服务端订单数据
+     */
+    reconcile(record, remote) {
+        if (record.status !== TrackedOrderStatus.OPEN || !remote) {
+            return;
+        }
+
+        const fill = parseFill(remote);
+        const newlyFilled = fill.filledSize !== null
+            ? Math.max(0, new Decimal(fill.filledSize).minus(record.filledSize).toNumber())
+            : 0;
+
+        if (fill.filledSize !== null && fill.filledSize > record.filledSize) {
+            record.filledSize = fill.filledSize;
+            record.avgFillPrice = fill.avgFillPrice ?? record.avgFillPrice;
+            record.updatedAt = Date.now();
+            this.dirty = true;
+        }
+        if (record.size === null && fill.originalSize !== null) {
+            record.size = fill.originalSize;
+        }
+
+        const status = REMOTE_STATUS_MAP[String(remote.status || '').toUpperCase()] ?? TrackedOrderStatus.OPEN;
+        if (status === TrackedOrderStatus.OPEN) {
+            if (newlyFilled > 0) {
+                this.emit('partiallyFilled', this.snapshot(record, newlyFilled));
+            }
+            return;
+        }
+
+        this.close(record, status, newlyFilled);
+    }
+
+    /**
+     * 结束订单并发出终态事件
+     */
+    close(record, status, newlyFilled) {
+        record.status = status;
+        record.closedAt = Date.now();
+        record.updatedAt = record.closedAt;
+        this.dirty = true;
+
+        this.emit(FINAL_EVENTS[status], this.snapshot(record, newlyFilled));
+        this.pruneHistory();
+    }
+
+    /**
+     * 已结束的订单只保留最近 historyLimit 个
+     */
+    pruneHistory() {
+        const closed = [...this.orders.values()]
+            .filter(record => record.status !== TrackedOrderStatus.OPEN)
+            .sort((a, b) => a.closedAt - b.closedAt);
+
+        for (const record of closed.slice(0, Math.max(0, closed.length - this.historyLimit))) {
+            this.orders.delete(record.orderId);
+        }
+    }
+
+    snapshot(record, newlyFilled) {
+        return { ...record, metadata: { ...record.metadata }, newlyFilled };
+    }
+
+    /**
+     * 保存订单历史
+     */
+    async save() {
+        try {
+            await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+            await fs.writeFile(this.historyFile, JSON.stringify({ orders: [...this.orders.values()] }, null, 2));
+            this.dirty = false;
+        } catch (error) {
+            console.error('❌ 保存订单历史失败:', error.message);
+        }
+    }
+
+    getOrder(orderId) {
+        const record = this.orders.get(String(orderId));
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * 等待订单结束，用于撤单后确认最终成交份额
+     * 立即触发一轮对账，超时仍未结束或订单未被跟踪时返回 null
+     * @param {string} orderId - 订单ID
+     * @param {number} timeout - 超时时间（毫秒），默认两个轮询间隔
+     * @returns {Promise<Object|null>} 终态订单快照
+     */
+    waitForClose(orderId, timeout = this.pollInterval * 2) {
+        const id = String(orderId);
+        const record = this.orders.get(id);
+        if (!record) {
+            return Promise.resolve(null);
+        }
+        if (record.status !== TrackedOrderStatus.OPEN) {
+            return Promise.resolve(this.snapshot(record, 0));
+        }
+
+        return new Promise(resolve => {
+            const events = Object.values(FINAL_EVENTS);
+            const onClose = (order) => {
+                if (order.orderId === id) {
+                    finish(order);
+                }
+            };
+            const finish = (order) => {
+                clearTimeout(timer);
+                for (const event of events) {
+                    this.off(event, onClose);
+                }
+                resolve(order);
+            };
+            const timer = setTimeout(() => finish(null), timeout);
+
+            for (const event of events) {
+                this.on(event, onClose);
+            }
+            this.poll().catch(error => {
+                console.error(`❌ 订单对账失败: ${error.message}`);
+            });
+        });
+    }
+
+    /**
+     * 未结束的订单
+     * @param {string} accountId - 只返回该账户的订单（可选）
+     */
+    getOpenOrders(accountId = null) {
+        return [...this.orders.values()].filter(record =>
+            record.status === TrackedOrderStatus.OPEN && (!accountId || record.accountId === accountId)
+        );
+    }
+
+    /**
+     * 订单历史（按提交时间倒序）
+     * @param {Object} filters - { accountId, marketSlug, status }
+     */
+    getHistory({ accountId, marketSlug, status } = {}) {
+        return [...this.orders.values()]
+            .filter(record => !accountId || record.accountId === accountId)
+            .filter(record => !marketSlug || record.marketSlug === marketSlug)
+            .filter(record => !status || record.status === status)
+            .sort((a, b) => b.submittedAt - a.submittedAt)
+            .map(record => ({ ...record }));
+    }
+
+    getStats() {
+        return {
+            ...this.trackerStats,
+            openOrders: this.getOpenOrders().length,
+            totalOrders: this.orders.size,
+            accounts: this.clients.size
+        };
+    }
+}
+
+/**
+ * 从服务端订单数据中解析成交信息
+ * 优先使用 filledSize，没有时用 originalSize - remainingSize 推算
+ */
+function parseFill(remote) {
+    const toNumber = (value) => value === undefined || value === null || value === '' ? null : Number(value);
+
+    const originalSize = toNumber(remote.originalSize ?? remote.size);
+    const remainingSize = toNumber(remote.remainingSize);
+    let filledSize = toNumber(remote.filledSize ?? remote.sizeMatched);
+    if (filledSize === null && originalSize !== null && remainingSize !== null) {
+        filledSize = new Decimal(originalSize).minus(remainingSize).toNumber();
+    }
+
+    return {
+        originalSize,
+        filledSize,
+        avgFillPrice: toNumber(remote.avgFillPrice)
+    };
+}
+
+export default OrderTracker;
@@ -0,0 +1,203 @@
+/**
+ * 持仓对账 - 用链上 ERC-1155 余额核对 /portfolio/positions 返回的持仓
+ * API 的持仓可能落后于成交或结算，策略按错误的库存下单前应先检查差异
+ *
+ * 事件：
+ *   discrepancy - 发现新的差异 { accountId, conditionId, outcome, type, apiBalance, chainBalance, diff }
+ *   resolved    - 差异已消失（API 已追上链上状态）
+ */
+
+import { EventEmitter } from 'events';
+import Decimal from 'decimal.js';
+
+import { config } from '../core/config.js';
+import { getConditionalTokensContract, readPositionBalances } from '../core/conditional-tokens.js';
+import rpcManager from '../managers/rpc-manager.js';
+
+export const DiscrepancyType = {
+    API_OVERSTATED: 'api_overstated',   // API 显示的份额多于链上（已卖出/已赎回但 API 未更新）
+    API_UNDERSTATED: 'api_understated'  // 链上份额多于 API（成交尚未反映到 API）
+};
+
+const OUTCOMES = ['yes', 'no'];
+
+export class PositionReconciler extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.interval - 同一账户两次对账的最小间隔（毫秒）
+     * @param {number} options.tolerance - 允许的份额差异（股）
+     */
+    constructor(options = {}) {
+        super();
+
+        this.interval = options.interval ?? config.POSITIONS.RECONCILE_INTERVAL;
+        this.tolerance = BigInt(new Decimal(options.tolerance ?? config.POSITIONS.TOLERANCE).mul(1e6).floor().toString());
+
+        this.knownConditions = new Map(); // accountId -> Set<conditionId>，API 不再返回后仍继续核对
+        this.balances = new Map();        // accountId -> Map<conditionId, {yes, no}> 最近一次链上余额
+        this.discrepancies = new Map();   // accountId:conditionId:outcome -> 差异记录
+        this.lastReconciled = new Map();  // accountId -> 时间戳
+
+        this.reconcileStats = {
+            runs: 0,
+            errors: 0,
+            detected: 0,
+            resolved: 0,
+            lastRunTime: null
+        };
+    }
+
+    /**
+     * 对账单个账户
+     * @param {Object} account - 账户（需要 id 和 wallet）
+     * @param {Object} portfolio - /portfolio/positions 的返回数据 { amm, clob }
+     * @param {Object} options
+     * @param {boolean} options.force - 忽略对账间隔
+     * @returns {Array|null} 当前差异列表，未到对账间隔时为 null
+     */
+    async reconcile(account, portfolio, { force = false } = {}) {
+        const last = this.lastReconciled.get(account.id) || 0;
+        if (!force && Date.now() - last < this.interval) {
+            return null;
+        }
+        this.lastReconciled.set(account.id, Date.now());
+
+        const apiBalances = this.extractApiBalances(portfolio);
+        const known = this.knownConditions.get(account.id) || new Set();
+        const conditionIds = [...new Set([...apiBalances.keys(), ...known])];
+        if (!conditionIds.length) {
+            return [];
+        }
+
+        const owner = account.wallet?.address || account.apiClient?.getWalletAddress();
+        const conditionalTokens = getConditionalTokensContract(rpcManager.getProvider());
+
+        let chainBalances;
+        try {
+            chainBalances = await readPositionBalances(conditionalTokens, owner, conditionIds);
+        } catch (error) {
+            this.reconcileStats.errors++;
+            throw new Error(`读取链上持仓失败: ${error.message}`);
+        }
+
+        for (const conditionId of conditionIds) {
+            const api = apiBalances.get(conditionId) || { yes: 0n, no: 0n, title: null };
+            const chain = chainBalances.get(conditionId);
+
+            for (const outcome of OUTCOMES) {
+                this.compare(account.id, conditionId, outcome, api[outcome], chain[outcome], api.title);
+            }
+
+            if (chain.yes === 0n && chain.no === 0n && api.yes === 0n && api.no === 0n) {
+                known.delete(conditionId);
+            } else {
+                known.add(conditionId);
+            }
+        }
+
+        this.knownConditions.set(account.id, known);
+        this.balances.set(account.id, chainBalances);
+        this.reconcileStats.runs++;
+        this.reconcileStats.lastRunTime = Date.now();
+
+        return this.getDiscrepancies(account.id);
+    }
+
+    compare(accountId, conditionId, outcome, apiBalance, chainBalance, title) {
+        const key = `${accountId}:${conditionId.toLowerCase()}:${outcome}`;
+        const diff = chainBalance - apiBalance;
+        const existing = this.discrepancies.get(key);
+
+        if ((diff < 0n ? -diff : diff) <= this.tolerance) {
+            if (existing) {
+                this.discrepancies.delete(key);
+                this.reconcileStats.resolved++;
+                console.log(`✅ [${accountId}] 持仓差异已消失: ${title || conditionId} ${outcome.toUpperCase()}`);
+                this.emit('resolved', existing);
+            }
+            return;
+        }
+
+        const record = {
+            accountId,
+            conditionId,
+            outcome,
+            title,
+            type: diff < 0n ? DiscrepancyType.API_OVERSTATED : DiscrepancyType.API_UNDERSTATED,
+            apiBalance: apiBalance.toString(),
+            chainBalance: chainBalance.toString(),
+            diff: diff.toString(),
+            firstSeenAt: existing?.firstSeenAt || Date.now(),
+            lastSeenAt: Date.now()
+        };
+        this.discrepancies.set(key, record);
+
+        if (!existing || existing.diff !== record.diff) {
+            if (!existing) {
+                this.reconcileStats.detected++;
+            }
+            console.warn(`⚠️ [${accountId}] 持仓与链上不一致: ${title || conditionId} ${outcome.toUpperCase()} API ${Number(apiBalance) / 1e6} / 链上 ${Number(chainBalance) / 1e6}`);
+            this.emit('discrepancy', record);
+        }
+    }
+
+    /**
+     * 汇总 API 持仓为 conditionId -> {yes, no}（最小单位）
+     * AMM 持仓按 outcomeIndex 给出 outcomeTokenAmount（股），CLOB 持仓给出 tokensBalance（最小单位）
+     */
+    extractApiBalances(portfolio) {
+        const result = new Map();
+        const entryFor = (market) => {
+            if (!result.has(market.conditionId)) {
+                result.set(market.conditionId, { yes: 0n, no: 0n, title: market.title || null });
+            }
+            return result.get(market.conditionId);
+        };
+
+        for (const position of portfolio?.amm || []) {
+            if (!position.market?.conditionId) {
+                continue;
+            }
+            const entry = entryFor(position.market);
+            const amount = BigInt(new Decimal(position.outcomeTokenAmount || 0).mul(1e6).floor().toString());
+            entry[Number(position.outcomeIndex) === 0 ? 'yes' : 'no'] += amount;
+        }
+
+        for (const position of portfolio?.clob || []) {
+            if (!position.market?.conditionId) {
+                continue;
+            }
+            const entry = entryFor(position.market);
+            entry.yes += BigInt(position.tokensBalance?.yes || 0);
+            entry.no += BigInt(position.tokensBalance?.no || 0);
+        }
+
+        return result;
+    }
+
+    hasDiscrepancy(accountId, conditionId) {
+        const prefix = `${accountId}:${conditionId.toLowerCase()}:`;
+        return [...this.discrepancies.keys()].some(key => key.startsWith(prefix));
+    }
+
+    /**
+     * 最近一次读取的链上余额
+     * @returns {Object|null} { yes: bigint, no: bigint }
+     */
+    getOnchainBalance(accountId, conditionId) {
+        return this.balances.get(accountId)?.get(conditionId) || null;
+    }
+
+    getDiscrepancies(accountId = null) {
+        return [...this.discrepancies.values()].filter(record => !accountId || record.accountId === accountId);
+    }
+
+    getStats() {
+        return {
+            ...this.reconcileStats,
+            open: this.discrepancies.size
+        };
+    }
+}
+
+export default PositionReconciler;
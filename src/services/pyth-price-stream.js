@@ -0,0 +1,339 @@
+/**
+ * Pyth 实时价格推送（Hermes SSE）
+ * 订阅 /v2/updates/price/stream，断线或长时间无消息时指数退避重连，
+ * 缓存每个交易对的最新价格，读取时同样检查是否过期
+ *
+ * 事件：
+ *   price        - 新价格 PythPrice
+ *   connected    - 连接建立 { isReconnect }
+ *   disconnected - 连接断开 { reason }
+ *   streamError  - 连接或解析错误
+ */
+
+import { EventEmitter } from 'events';
+import axios from 'axios';
+
+import { config } from '../core/config.js';
+import PythClient, { PythError, PythErrorCode, normalizeSymbol } from '../core/pyth-client.js';
+import { StreamState } from './market-data-stream.js';
+
+export class PythPriceStream extends EventEmitter {
+    /**
+     * @param {PythClient} client - 用于解析价格 ID 和 Hermes 地址
+     * @param {Object} options
+     * @param {number} options.reconnectBaseDelay - 重连退避基础延迟（毫秒）
+     * @param {number} options.reconnectMaxDelay - 重连退避最大延迟（毫秒）
+     * @param {number} options.staleTimeout - 无消息超过该时间视为连接失效（毫秒）
+     */
+    constructor(client = new PythClient(), options = {}) {
+        super();
+
+        this.client = client;
+        this.reconnectBaseDelay = options.reconnectBaseDelay ?? config.PYTH.STREAM_RECONNECT_BASE_DELAY;
+        this.reconnectMaxDelay = options.reconnectMaxDelay ?? config.PYTH.STREAM_RECONNECT_MAX_DELAY;
+        this.staleTimeout = options.staleTimeout ?? config.PYTH.STREAM_STALE_TIMEOUT;
+
+        this.state = StreamState.IDLE;
+        this.symbols = new Set();   // 订阅的交易对
+        this.prices = new Map();    // 交易对 -> 最新 PythPrice
+        this.controller = null;     // 当前连接的 AbortController
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.watchdogTimer = null;
+        this.lastMessageTime = null;
+
+        this.streamStats = {
+            connects: 0,
+            reconnects: 0,
+            updates: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * 订阅交易对（SSE 不能在连接中追加订阅，已连接时会用新的列表重新连接）
+     * @param {Array<string>} symbols - 交易对列表
+     */
+    async subscribe(symbols) {
+        const added = symbols.map(normalizeSymbol).filter(symbol => !this.symbols.has(symbol));
+        if (added.length === 0) {
+            return;
+        }
+
+        // 先解析价格 ID，未知交易对直接报错，不影响已有订阅
+        await Promise.all(added.map(symbol => this.client.getIds(symbol)));
+        added.forEach(symbol => this.symbols.add(symbol));
+        await this.restart();
+    }
+
+    async unsubscribe(symbols) {
+        const removed = symbols.map(normalizeSymbol).filter(symbol => this.symbols.has(symbol));
+        if (removed.length === 0) {
+            return;
+        }
+
+        removed.forEach(symbol => {
+            this.symbols.delete(symbol);
+            this.prices.delete(symbol);
+        });
+        await this.restart();
+    }
+
+    /**
+     * 关闭连接，不再重连
+     */
+    close() {
+        this.setState(StreamState.CLOSED);
+        this.clearTimers();
+        this.abort();
+    }
+
+    async restart() {
+        if (this.state === StreamState.CLOSED) {
+            return;
+        }
+
+        this.abort();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.symbols.size === 0) {
+            this.setState(StreamState.IDLE);
+            return;
+        }
+        await this.connect();
+    }
+
+    async connect() {
+        const ids = await Promise.all([...this.symbols].map(symbol => this.client.getIds(symbol)));
+        const controller = new AbortController();
+        this.controller = controller;
+        this.setState(this.reconnectAttempts > 0 ? StreamState.RECONNECTING : StreamState.CONNECTING);
+
+        let response;
+        try {
+            response = await axios.request({
+                baseURL: this.client.baseURL,
+                url: '/v2/updates/price/stream',
+                params: { 'ids[]': ids, parsed: true },
+                paramsSerializer: { indexes: false },
+                headers: { Accept: 'text/event-stream' },
+                responseType: 'stream',
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (controller === this.controller) {
+                this.handleClose(controller, `连接失败: ${error.response?.status || error.message}`);
+            }
+            return;
+        }
+
+        if (controller !== this.controller) {
+            response.data.destroy();
+            return;
+        }
+
+        this.handleOpen();
+
+        let buffer = '';
+        response.data.setEncoding('utf8');
+        response.data.on('data', (chunk) => {
+            buffer += chunk;
+            // SSE 事件以空行分隔
+            let match;
+            while ((match = buffer.match(/\r?\n\r?\n/))) {
+                const event = buffer.slice(0, match.index);
+                buffer = buffer.slice(match.index + match[0].length);
+                this.handleEvent(event);
+            }
+        });
+        response.data.on('error', (error) => {
+            if (controller.signal.aborted) {
+                return;
+            }
+            this.streamStats.errors++;
+            this.emit('streamError', error);
+        });
+        response.data.on('close', () => this.handleClose(controller, '服务端关闭连接'));
+    }
+
+    handleOpen() {
+        const isReconnect = this.streamStats.connects > 0;
+
+        this.streamStats.connects++;
+        if (isReconnect) {
+            this.streamStats.reconnects++;
+        }
+        this.reconnectAttempts = 0;
+        this.lastMessageTime = Date.now();
+        this.setState(StreamState.CONNECTED);
+        this.startWatchdog();
+
+        console.log(`📡 Pyth 价格推送已${isReconnect ? '重新' : ''}连接: ${[...this.symbols].join(', ')}`);
+        this.emit('connected', { isReconnect });
+    }
+
+    handleEvent(event) {
+        this.lastMessageTime = Date.now();
+
+        const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+        if (!data) {
+            return;
+        }
+
+        let prices;
+        try {
+            prices = this.client.parseUpdates(JSON.parse(data));
+        } catch (error) {
+            this.streamStats.errors++;
+            console.warn(`⚠️ 无法解析 Pyth 推送: ${error.message}`);
+            this.emit('streamError', error);
+            return;
+        }
+
+        for (const price of prices) {
+            if (!price.symbol || !this.symbols.has(price.symbol)) {
+                continue;
+            }
+            const previous = this.prices.get(price.symbol);
+            if (previous && previous.publishTime > price.publishTime) {
+                continue; // 乱序的旧价格
+            }
+            this.prices.set(price.symbol, price);
+            this.streamStats.updates++;
+            this.emit('price', price);
+        }
+    }
+
+    handleClose(controller, reason) {
+        if (controller !== this.controller) {
+            return;
+        }
+
+        this.controller = null;
+        this.stopWatchdog();
+
+        if (this.state === StreamState.CLOSED) {
+            return;
+        }
+
+        console.warn(`⚠️ Pyth 价格推送断开 (${reason})`);
+        this.emit('disconnected', { reason });
+        this.scheduleReconnect();
+    }
+
+    /**
+     * 指数退避重连
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) {
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const exponential = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** (this.reconnectAttempts - 1));
+        const delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
+
+        this.setState(StreamState.RECONNECTING);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch(error => {
+                this.streamStats.errors++;
+                this.emit('streamError', error);
+                this.scheduleReconnect();
+            });
+        }, delay);
+    }
+
+    /**
+     * 长时间无消息时主动断开，触发重连
+     */
+    startWatchdog() {
+        this.stopWatchdog();
+
+        this.watchdogTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageTime > this.staleTimeout) {
+                console.warn('⚠️ Pyth 价格推送长时间无消息，重新连接');
+                const controller = this.controller;
+                controller?.abort();
+                this.handleClose(controller, '无消息超时');
+            }
+        }, Math.max(1000, Math.floor(this.staleTimeout / 2)));
+        this.watchdogTimer.unref?.();
+    }
+
+    stopWatchdog() {
+        if (this.watchdogTimer) {
+            clearInterval(this.watchdogTimer);
+            this.watchdogTimer = null;
+        }
+    }
+
+    clearTimers() {
+        this.stopWatchdog();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    /**
+     * 中止当前连接（不触发重连）
+     */
+    abort() {
+        const controller = this.controller;
+        if (controller) {
+            this.controller = null;
+            controller.abort();
+        }
+        this.stopWatchdog();
+    }
+
+    /**
+     * 读取推送缓存的最新价格
+     * @param {string} symbol - 交易对
+     * @param {Object} options
+     * @param {number} options.maxAge - 允许的最大价格延迟（毫秒）
+     * @returns {PythPrice}
+     */
+    getPrice(symbol, { maxAge = this.client.maxPriceAge } = {}) {
+        const normalized = normalizeSymbol(symbol);
+        const price = this.prices.get(normalized);
+        if (!price) {
+            throw new PythError(`尚未收到 ${normalized} 的推送价格`, PythErrorCode.NOT_FOUND, { symbol: normalized });
+        }
+        this.client.assertFresh(price, maxAge);
+        return price;
+    }
+
+    isHealthy() {
+        if (this.state !== StreamState.CONNECTED) {
+            return false;
+        }
+        return !this.lastMessageTime || Date.now() - this.lastMessageTime < this.staleTimeout;
+    }
+
+    setState(newState) {
+        const oldState = this.state;
+        this.state = newState;
+        this.emit('stateChanged', { oldState, newState });
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            healthy: this.isHealthy(),
+            symbols: [...this.symbols],
+            lastMessageTime: this.lastMessageTime,
+            stats: { ...this.streamStats }
+        };
+    }
+}
+
+export default PythPriceStream;
@@ -0,0 +1,474 @@
+/**
+ * 自动赎回服务
+ * 定时扫描每个账户的持仓，通过 CTF 的 payoutDenominator / payoutNumerators 判断条件是否已结算，
+ * 按持仓份额计算可赎回金额，跳过金额为 0 的仓位，在 gas 预算内分批调用 redeemPositions，
+ * 赎回记录持久化到状态目录，重启后不会重复赎回；发出的交易哈希随记录保存，重启后按收据确认结果
+ *
+ * 事件：
+ *   redeemed - 赎回成功 { accountId, conditionId, amount, hash, gasUsed }
+ *   failed   - 赎回失败 { accountId, conditionId, error }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+
+import { config } from '../core/config.js';
+import {
+    CONDITIONAL_TOKENS_ABI,
+    CONDITIONAL_TOKENS_ADDRESS,
+    OUTCOME_INDEX_SETS,
+    USDC_ADDRESS,
+    getConditionalTokensContract,
+    getPositionIds
+} from '../core/conditional-tokens.js';
+
+export const RedemptionStatus = {
+    PENDING: 'pending',   // 已发送交易，等待确认
+    REDEEMED: 'redeemed', // 已赎回
+    EMPTY: 'empty',       // 已结算但没有可赎回的份额
+    FAILED: 'failed'      // 赎回失败，下一轮重试
+};
+
+const conditionalTokensInterface = new ethers.Interface(CONDITIONAL_TOKENS_ABI);
+
+// ApiClient.claimPosition 发送赎回交易时使用的交易说明
+const CLAIM_LABEL = 'claim';
+
+export class RedemptionService extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.interval - 扫描间隔（毫秒）
+     * @param {number} options.batchSize - 每个账户每轮最多赎回的条件数量
+     * @param {number} options.maxGasPerRun - 每轮所有账户合计的 gas 预算
+     * @param {number} options.minValue - 低于该金额 (USDC) 的仓位暂不赎回
+     * @param {string} options.stateFile - 赎回记录文件
+     */
+    constructor(options = {}) {
+        super();
+
+        this.interval = options.interval ?? config.REDEMPTION.INTERVAL;
+        this.batchSize = options.batchSize ?? config.REDEMPTION.BATCH_SIZE;
+        this.maxGasPerRun = BigInt(options.maxGasPerRun ?? config.REDEMPTION.MAX_GAS_PER_RUN);
+        this.minValue = options.minValue ?? config.REDEMPTION.MIN_VALUE;
+        this.stateFile = options.stateFile ?? path.join('.kiro/state', 'redemptions.json');
+
+        this.clients = new Map();     // accountId -> apiClient
+        this.records = new Map();     // accountId:conditionId -> 赎回记录
+        this.timer = null;
+        this.running = false;
+
+        this.redemptionStats = {
+            runs: 0,
+            redeemed: 0,
+            failed: 0,
+            totalRedeemed: 0,
+            lastRunTime: null
+        };
+    }
+
+    /**
+     * 加载赎回记录
+     */
+    async initialize() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+            for (const record of data.records || []) {
+                this.records.set(this.getRecordKey(record.accountId, record.conditionId), record);
+            }
+            this.redemptionStats.redeemed = this.getHistory({ status: RedemptionStatus.REDEEMED }).length;
+            this.redemptionStats.totalRedeemed = this.getHistory({ status: RedemptionStatus.REDEEMED })
+                .reduce((sum, record) => sum + Number(record.amount), 0);
+            console.log(`📥 加载赎回记录: ${this.records.size} 条，已赎回 ${this.redemptionStats.totalRedeemed.toFixed(2)} USDC`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ 加载赎回记录失败:', error.message);
+            }
+        }
+    }
+
+    registerClient(accountId, apiClient) {
+        this.clients.set(accountId, apiClient);
+    }
+
+    unregisterClient(accountId) {
+        this.clients.delete(accountId);
+    }
+
+    /**
+     * 开始定时赎回
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.run().catch(error => {
+                console.error('❌ 自动赎回失败:', error.message);
+            });
+        }, this.interval);
+        console.log(`⏰ 自动赎回已启动 (间隔: ${this.interval / 1000}秒)`);
+    }
+
+    /**
+     * 停止定时赎回并保存记录
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        await this.save();
+    }
+
+    /**
+     * 扫描所有账户并赎回，上一轮未结束时跳过
+     * @returns {Object} { redeemed, failed, deferred, gasUsed }
+     */
+    async run() {
+        if (this.running) {
+            return null;
+        }
+        this.running = true;
+
+        const summary = { redeemed: 0, failed: 0, deferred: 0, gasUsed: 0n };
+        try {
+            for (const [accountId, apiClient] of this.clients) {
+                try {
+                    await this.redeemAccount(accountId, apiClient, summary);
+                } catch (error) {
+                    console.error(`❌ [${accountId}] 扫描可赎回仓位失败: ${error.message}`);
+                }
+            }
+
+            this.redemptionStats.runs++;
+            this.redemptionStats.lastRunTime = Date.now();
+            if (summary.redeemed || summary.failed) {
+                console.log(`💵 本轮赎回 ${summary.redeemed} 个，失败 ${summary.failed} 个，预算不足推迟 ${summary.deferred} 个，消耗 gas ${summary.gasUsed}`);
+            }
+            return summary;
+        } finally {
+            await this.save();
+            this.running = false;
+        }
+    }
+
+    /**
+     * 赎回单个账户已结算的仓位
+     */
+    async redeemAccount(accountId, apiClient, summary) {
+        const conditionIds = await this.getCandidateConditions(apiClient);
+        if (!conditionIds.length) {
+            return;
+        }
+
+        await apiClient.getTransactionManager();
+        const owner = apiClient.getWalletAddress();
+        const conditionalTokens = getConditionalTokensContract(apiClient.wallet);
+
+        let processed = 0;
+        for (const conditionId of conditionIds) {
+            if (!this.shouldCheck(accountId, conditionId)) {
+                continue;
+            }
+            // 之前发送过的交易可能在重启前已经上链，份额已清零，不能记为 empty
+            if (await this.resolveSent(accountId, apiClient.wallet.provider, conditionId)) {
+                continue;
+            }
+            if (processed >= this.batchSize) {
+                summary.deferred++;
+                continue;
+            }
+
+            const claim = await this.getClaimableAmount(conditionalTokens, owner, conditionId);
+            if (!claim) {
+                continue; // 尚未结算
+            }
+            if (claim.amount === 0n) {
+                this.updateRecord(accountId, conditionId, { status: RedemptionStatus.EMPTY, amount: '0' });
+                continue;
+            }
+            if (Number(claim.amount) / 1e6 < this.minValue) {
+                continue;
+            }
+
+            // 按预估 gas 检查本轮预算，超出时留到下一轮（每轮至少赎回一个，避免预算过小时永远无法赎回）
+            let gasEstimate;
+            try {
+                gasEstimate = await conditionalTokens.redeemPositions.estimateGas(USDC_ADDRESS, ethers.ZeroHash, conditionId, OUTCOME_INDEX_SETS);
+            } catch (error) {
+                // 单个条件预估失败（如会回滚）不影响该账户其他条件的赎回
+                this.recordFailure(accountId, conditionId, error, summary);
+                continue;
+            }
+            if (summary.gasUsed > 0n && summary.gasUsed + gasEstimate > this.maxGasPerRun) {
+                summary.deferred++;
+                continue;
+            }
+
+            processed++;
+            await this.redeem(accountId, apiClient, conditionId, claim, summary);
+        }
+    }
+
+    /**
+     * 发送赎回交易并记录结果
+     */
+    async redeem(accountId, apiClient, conditionId, claim, summary) {
+        // 先落盘 pending，重启后在确认超时内不会重复发送；保留之前尝试的哈希，超时的交易之后仍可能上链
+        this.updateRecord(accountId, conditionId, {
+            status: RedemptionStatus.PENDING,
+            expectedAmount: (Number(claim.amount) / 1e6).toString(),
+            attemptedAt: Date.now()
+        });
+        await this.save();
+
+        // 交易发出（包括提高手续费重发）后立即落盘哈希，重启后按哈希查收据确认结果
+        const transactions = await apiClient.getTransactionManager();
+        let saving = Promise.resolve();
+        const onSent = ({ label, hash }) => {
+            if (label !== CLAIM_LABEL) {
+                return;
+            }
+            this.addHashes(accountId, conditionId, [hash]);
+            saving = saving.then(() => this.save());
+        };
+        transactions.on('sent', onSent);
+        transactions.on('replaced', onSent);
+
+        try {
+            const result = await apiClient.claimPosition(conditionId);
+            await saving;
+            const payout = this.parsePayout(result.receipt, conditionId) ?? claim.amount;
+            const amount = (Number(payout) / 1e6).toString();
+
+            summary.redeemed++;
+            summary.gasUsed += BigInt(result.gasUsed || 0);
+            this.redemptionStats.redeemed++;
+            this.redemptionStats.totalRedeemed += Number(amount);
+
+            this.updateRecord(accountId, conditionId, {
+                status: RedemptionStatus.REDEEMED,
+                amount,
+                hash: result.hash,
+                gasUsed: result.gasUsed,
+                fee: result.fee,
+                redeemedAt: Date.now(),
+                error: null
+            });
+            console.log(`💵 [${accountId}] 赎回 ${conditionId}: ${amount} USDC`);
+            this.emit('redeemed', { accountId, conditionId, amount, hash: result.hash, gasUsed: result.gasUsed });
+        } catch (error) {
+            await saving;
+            summary.gasUsed += BigInt(error.result?.gasUsed || 0);
+
+            // 超时的交易之后仍可能上链，保留全部哈希供下一轮确认
+            this.addHashes(accountId, conditionId, [error.result?.hash, ...(error.result?.replacedHashes || [])]);
+            this.recordFailure(accountId, conditionId, error, summary);
+        } finally {
+            transactions.off('sent', onSent);
+            transactions.off('replaced', onSent);
+        }
+    }
+
+    /**
+     * 记录赎回失败，下一轮重试
+     */
+    recordFailure(accountId, conditionId, error, summary) {
+        summary.failed++;
+        this.redemptionStats.failed++;
+
+        const record = this.records.get(this.getRecordKey(accountId, conditionId));
+        this.updateRecord(accountId, conditionId, {
+            status: RedemptionStatus.FAILED,
+            attempts: (record?.attempts || 0) + 1,
+            hash: error.result?.hash || null,
+            error: error.shortMessage || error.message
+        });
+        console.error(`❌ [${accountId}] 赎回 ${conditionId} 失败: ${error.shortMessage || error.message}`);
+        this.emit('failed', { accountId, conditionId, error });
+    }
+
+    /**
+     * 按记录中的交易哈希确认之前发送的赎回是否已经上链
+     * pending / failed 记录的任一哈希有成功的收据且包含该条件的 PayoutRedemption 时记为已赎回
+     * @returns {boolean} 是否已确认赎回
+     */
+    async resolveSent(accountId, provider, conditionId) {
+        const record = this.records.get(this.getRecordKey(accountId, conditionId));
+        if (!record?.hashes?.length) {
+            return false;
+        }
+
+        for (const hash of record.hashes) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt?.status !== 1) {
+                continue;
+            }
+            const payout = this.parsePayout(receipt, conditionId);
+            if (payout === null) {
+                continue;
+            }
+
+            const amount = (Number(payout) / 1e6).toString();
+            const gasUsed = receipt.gasUsed.toString();
+            this.redemptionStats.redeemed++;
+            this.redemptionStats.totalRedeemed += Number(amount);
+
+            this.updateRecord(accountId, conditionId, {
+                status: RedemptionStatus.REDEEMED,
+                amount,
+                hash: receipt.hash,
+                gasUsed,
+                fee: (receipt.gasUsed * (receipt.gasPrice ?? 0n)).toString(),
+                redeemedAt: Date.now(),
+                error: null
+            });
+            console.log(`💵 [${accountId}] 确认之前发送的赎回 ${conditionId}: ${amount} USDC (${receipt.hash})`);
+            this.emit('redeemed', { accountId, conditionId, amount, hash: receipt.hash, gasUsed });
+            return true;
+        }
+        return false;
+    }
+
+    addHashes(accountId, conditionId, hashes) {
+        const record = this.records.get(this.getRecordKey(accountId, conditionId));
+        const merged = new Set(record?.hashes || []);
+        for (const hash of hashes) {
+            if (hash) {
+                merged.add(hash);
+            }
+        }
+        this.updateRecord(accountId, conditionId, { hashes: [...merged] });
+    }
+
+    /**
+     * 从持仓中找出已关闭或已到期市场的条件
+     */
+    async getCandidateConditions(apiClient) {
+        const response = await apiClient.getPortfolioPositions();
+        if (!response.success) {
+            return [];
+        }
+
+        const now = Date.now();
+        const conditionIds = new Set();
+        for (const position of [...(response.data.amm || []), ...(response.data.clob || [])]) {
+            const market = position.market;
+            if (!market?.conditionId) {
+                continue;
+            }
+            const expired = market.expirationTimestamp && Number(market.expirationTimestamp) <= now;
+            if (market.closed || expired) {
+                conditionIds.add(market.conditionId);
+            }
+        }
+        return [...conditionIds];
+    }
+
+    /**
+     * 计算可赎回金额
+     * @returns {Object|null} 未结算时为 null，否则 { amount: bigint, balances, payouts }
+     */
+    async getClaimableAmount(conditionalTokens, owner, conditionId) {
+        const denominator = await conditionalTokens.payoutDenominator(conditionId);
+        if (denominator === 0n) {
+            return null;
+        }
+
+        const [payouts, positionIds] = await Promise.all([
+            Promise.all(OUTCOME_INDEX_SETS.map((_, index) => conditionalTokens.payoutNumerators(conditionId, index))),
+            getPositionIds(conditionalTokens, conditionId)
+        ]);
+        const balances = await conditionalTokens.balanceOfBatch(positionIds.map(() => owner), positionIds);
+
+        const amount = balances.reduce((sum, balance, index) => sum + balance * payouts[index] / denominator, 0n);
+        return { amount, balances, payouts };
+    }
+
+    /**
+     * 从收据的 PayoutRedemption 事件读取实际赎回金额
+     * @param {string} conditionId - 指定时只取该条件的事件
+     */
+    parsePayout(receipt, conditionId = null) {
+        for (const log of receipt?.logs || []) {
+            if (log.address.toLowerCase() !== CONDITIONAL_TOKENS_ADDRESS.toLowerCase()) {
+                continue;
+            }
+            try {
+                const parsed = conditionalTokensInterface.parseLog(log);
+                if (parsed?.name === 'PayoutRedemption' && (!conditionId || parsed.args.conditionId.toLowerCase() === conditionId.toLowerCase())) {
+                    return parsed.args.payout;
+                }
+            } catch {
+                // 其他事件
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 已赎回或已确认为空的条件不再检查；pending 记录在确认超时前不重复发送
+     */
+    shouldCheck(accountId, conditionId) {
+        const record = this.records.get(this.getRecordKey(accountId, conditionId));
+        if (!record) {
+            return true;
+        }
+        if (record.status === RedemptionStatus.REDEEMED || record.status === RedemptionStatus.EMPTY) {
+            return false;
+        }
+        if (record.status === RedemptionStatus.PENDING) {
+            return Date.now() - record.attemptedAt > config.TX.CONFIRM_TIMEOUT * 2;
+        }
+        return true;
+    }
+
+    updateRecord(accountId, conditionId, changes) {
+        const key = this.getRecordKey(accountId, conditionId);
+        const record = {
+            accountId,
+            conditionId,
+            ...this.records.get(key),
+            ...changes,
+            updatedAt: Date.now()
+        };
+        this.records.set(key, record);
+        return record;
+    }
+
+    getRecordKey(accountId, conditionId) {
+        return `${accountId}:${conditionId.toLowerCase()}`;
+    }
+
+    async save() {
+        try {
+            await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+            await fs.writeFile(this.stateFile, JSON.stringify({ records: [...this.records.values()] }, null, 2));
+        } catch (error) {
+            console.error('❌ 保存赎回记录失败:', error.message);
+        }
+    }
+
+    /**
+     * 赎回记录（按更新时间倒序）
+     * @param {Object} filters - { accountId, status }
+     */
+    getHistory({ accountId, status } = {}) {
+        return [...this.records.values()]
+            .filter(record => (!accountId || record.accountId === accountId) && (!status || record.status === status))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    getStats() {
+        return {
+            ...this.redemptionStats,
+            accounts: this.clients.size,
+            records: this.records.size,
+            running: !!this.timer
+        };
+    }
+}
+
+export default RedemptionService;
@@ -0,0 +1,169 @@
+/**
+ * 市场成交流服务
+ * 定时拉取关注市场的 feedEvents（GET /markets/:slug），去重后按市场维护成交价格序列
+ * 首次拉取的市场会用接口返回的历史成交回填序列
+ *
+ * 事件：
+ *   trade   - 新成交 { slug, trade, backfill }，trade 为 parseTradeEvent 的结果，backfill 表示首次拉取回填的历史成交
+ *   updated - 市场本轮有新成交 { slug, added, series, backfill }
+ *   unwatched - 取消关注市场 { slug }，之后重新关注会再次回填
+ */
+
+import { EventEmitter } from 'events';
+
+import { PriceSeries, parseTradeEvent } from '../core/price-series.js';
+
+export class TradeFeedService extends EventEmitter {
+    /**
+     * @param {Object} apiClient - 用于拉取 feedEvents 的 API 客户端（公共接口，不需要认证）
+     * @param {Object} options
+     * @param {number} options.pollInterval - 拉取间隔（毫秒）
+     * @param {number} options.window - 每个市场保留的成交时间窗口（毫秒）
+     */
+    constructor(apiClient, { pollInterval = 15000, window = 3600000 } = {}) {
+        super();
+
+        this.apiClient = apiClient;
+        this.pollInterval = pollInterval;
+        this.window = window;
+
+        this.series = new Map(); // slug -> PriceSeries
+        this.seen = new Map();   // slug -> Map(成交 key -> 成交时间)
+        this.timer = null;
+        this.polling = false;
+
+        this.feedStats = {
+            polls: 0,
+            trades: 0,
+            errors: 0,
+            lastPollTime: null
+        };
+    }
+
+    /**
+     * 关注市场，下次拉取时回填历史成交
+     */
+    watch(slug) {
+        if (!this.series.has(slug)) {
+            this.series.set(slug, new PriceSeries({ window: this.window }));
+            this.seen.set(slug, null);
+        }
+    }
+
+    unwatch(slug) {
+        if (this.series.delete(slug)) {
+            this.seen.delete(slug);
+            this.emit('unwatched', { slug });
+        }
+    }
+
+    get watched() {
+        return [...this.series.keys()];
+    }
+
+    getSeries(slug) {
+        return this.series.get(slug) || null;
+    }
+
+    /**
+     * 开始定时拉取
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.poll().catch(error => {
+                console.error('❌ 拉取成交失败:', error.message);
+            });
+        }, this.pollInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 拉取全部关注市场，上一轮未结束时跳过
+     */
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            for (const slug of this.watched) {
+                try {
+                    const events = await this.apiClient.getMarketFeedEvents(slug);
+                    if (events) {
+                        this.ingest(slug, events);
+                    }
+                } catch (error) {
+                    this.feedStats.errors++;
+                    console.warn(`⚠️ 拉取市场成交失败 (${slug}): ${error.message}`);
+                }
+            }
+
+            this.feedStats.polls++;
+            this.feedStats.lastPollTime = Date.now();
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * 处理一个市场的 feedEvents
+     * @returns {number} 新增成交数
+     */
+    ingest(slug, events) {
+        const series = this.series.get(slug);
+        if (!series) {
+            return 0;
+        }
+
+        const backfill = this.seen.get(slug) === null;
+        const seen = this.seen.get(slug) || new Map();
+        this.seen.set(slug, seen);
+
+        // 窗口之外的成交不再计入，去重记录清理后接口仍返回的旧成交也不会被当作新成交
+        const since = (series.latest?.time ?? Date.now()) - this.window;
+        const trades = events
+            .map(parseTradeEvent)
+            .filter(trade => trade && trade.time >= since && !seen.has(trade.key))
+            .sort((a, b) => a.time - b.time);
+
+        for (const trade of trades) {
+            seen.set(trade.key, trade.time);
+            series.add({ time: trade.time, price: trade.yesPrice, size: trade.size, amount: trade.amount });
+            this.emit('trade', { slug, trade, backfill });
+        }
+
+        // 去重记录只需要覆盖窗口内的成交
+        const cutoff = (series.latest?.time ?? Date.now()) - this.window;
+        for (const [key, time] of seen) {
+            if (time < cutoff) {
+                seen.delete(key);
+            }
+        }
+
+        if (trades.length) {
+            this.feedStats.trades += trades.length;
+            this.emit('updated', { slug, added: trades.length, series, backfill });
+        }
+        return trades.length;
+    }
+
+    getStats() {
+        return {
+            ...this.feedStats,
+            markets: this.series.size,
+            running: !!this.timer
+        };
+    }
+}
+
+export default TradeFeedService;
@@ -0,0 +1,199 @@
+/**
+ * 成交量异动检测
+ * 按市场记录成交流，短窗口内的成交额或成交笔数超过基准的若干倍时触发 spike 事件
+ * 基准为短窗口之前 baselineWindow 内的成交，按短窗口长度折算
+ * 记录的成交覆盖整个基准窗口、且基准内有成交时才判断异动，刚开始关注或基准为空的市场不触发
+ *
+ * 成交来自 TradeFeedService 的 trade 事件：回填的历史成交只用于建立基准，不触发异动
+ *
+ * 事件：
+ *   spike - 成交异动 { slug, time, baselineCovered, volume, trades, baselineVolume, baselineTrades, volumeRatio, countRatio, netFlow, imbalance, lastPrice }
+ *           netFlow 为 YES 方向的净成交额（买 YES / 卖 NO 为正），imbalance = netFlow / volume
+ */
+
+import { EventEmitter } from 'events';
+
+import { Outcome } from '../core/market.js';
+
+export class VolumeSpikeDetector extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.window - 检测窗口（毫秒）
+     * @param {number} options.baselineWindow - 基准窗口（毫秒），紧接在检测窗口之前
+     * @param {number} options.volumeMultiple - 成交额超过基准的倍数
+     * @param {number} options.countMultiple - 成交笔数超过基准的倍数
+     * @param {number} options.minVolume - 检测窗口内的最小成交额（USDC）
+     * @param {number} options.minTrades - 检测窗口内的最少成交笔数
+     */
+    constructor({ window = 120000, baselineWindow = 1800000, volumeMultiple = 4, countMultiple = 4, minVolume = 50, minTrades = 3 } = {}) {
+        super();
+
+        this.window = window;
+        this.baselineWindow = baselineWindow;
+        this.volumeMultiple = volumeMultiple;
+        this.countMultiple = countMultiple;
+        this.minVolume = minVolume;
+        this.minTrades = minTrades;
+
+        this.trades = new Map();     // slug -> [{ time, amount, flow, price }]，按时间升序
+        this.historyStart = new Map(); // slug -> 记录到的最早成交时间，此后的成交都已记录
+        this.lastSpikes = new Map(); // slug -> 上次触发时间
+        this.feed = null;
+        this.feedHandlers = null;
+
+        this.detectorStats = {
+            trades: 0,
+            spikes: 0
+        };
+    }
+
+    /**
+     * 订阅成交流，取消关注的市场同时清除记录（重新关注时会再次回填）
+     * @param {TradeFeedService} feed
+     */
+    attach(feed) {
+        this.detach();
+
+        this.feed = feed;
+        this.feedHandlers = {
+            trade: ({ slug, trade, backfill }) => this.record(slug, trade, { backfill }),
+            unwatched: ({ slug }) => this.forget(slug)
+        };
+        for (const [event, handler] of Object.entries(this.feedHandlers)) {
+            feed.on(event, handler);
+        }
+    }
+
+    detach() {
+        if (!this.feed) {
+            return;
+        }
+
+        for (const [event, handler] of Object.entries(this.feedHandlers)) {
+            this.feed.off(event, handler);
+        }
+        this.feed = null;
+        this.feedHandlers = null;
+    }
+
+    /**
+     * 记录一笔成交，不是回填时检测异动
+     * @param {string} slug - 市场标识
+     * @param {Object} trade - parseTradeEvent 的结果
+     * @param {Object} options
+     * @param {boolean} options.backfill - 回填的历史成交
+     * @returns {Object|null} 本笔成交触发的异动
+     */
+    record(slug, trade, { backfill = false } = {}) {
+        if (!this.trades.has(slug)) {
+            this.trades.set(slug, []);
+        }
+        const trades = this.trades.get(slug);
+        this.historyStart.set(slug, Math.min(this.historyStart.get(slug) ?? Infinity, trade.time));
+
+        const direction = (trade.outcome === Outcome.YES) === (trade.side === 'buy') ? 1 : -1;
+        const point = { time: trade.time, amount: trade.amount, flow: direction * trade.amount, price: trade.yesPrice };
+
+        let index = trades.length;
+        while (index > 0 && trades[index - 1].time > point.time) {
+            index--;
+        }
+        trades.splice(index, 0, point);
+
+        // 只保留检测窗口和基准窗口内的成交
+        const cutoff = trades[trades.length - 1].time - this.window - this.baselineWindow;
+        while (trades.length > 0 && trades[0].time < cutoff) {
+            trades.shift();
+        }
+
+        this.detectorStats.trades++;
+        if (backfill) {
+            return null;
+        }
+
+        // 同一次异动在检测窗口内只触发一次
+        const now = trades[trades.length - 1].time;
+        const lastSpike = this.lastSpikes.get(slug);
+        if (lastSpike && now - lastSpike < this.window) {
+            return null;
+        }
+
+        const stats = this.evaluate(slug, now);
+        if (!stats?.isSpike) {
+            return null;
+        }
+
+        this.lastSpikes.set(slug, now);
+        this.detectorStats.spikes++;
+
+        const { isSpike, ...spike } = stats;
+        this.emit('spike', { slug, time: now, ...spike });
+        return spike;
+    }
+
+    /**
+     * 计算检测窗口和基准的成交统计
+     * @param {string} slug - 市场标识
+     * @param {number} now - 检测窗口的结束时间（毫秒）
+     */
+    evaluate(slug, now = Date.now()) {
+        const trades = this.trades.get(slug);
+        if (!trades || trades.length === 0) {
+            return null;
+        }
+
+        const windowStart = now - this.window;
+        const baselineStart = windowStart - this.baselineWindow;
+        const recent = trades.filter(point => point.time > windowStart && point.time <= now);
+        const baseline = trades.filter(point => point.time > baselineStart && point.time <= windowStart);
+
+        const volume = recent.reduce((sum, point) => sum + point.amount, 0);
+        const netFlow = recent.reduce((sum, point) => sum + point.flow, 0);
+
+        // 基准折算到一个检测窗口
+        const scale = this.window / this.baselineWindow;
+        const baselineVolume = baseline.reduce((sum, point) => sum + point.amount, 0) * scale;
+        const baselineTrades = baseline.length * scale;
+
+        // 基准为空时没有可比较的对象，倍数为 null
+        const volumeRatio = baselineVolume > 0 ? volume / baselineVolume : null;
+        const countRatio = baselineTrades > 0 ? recent.length / baselineTrades : null;
+        const baselineCovered = this.historyStart.get(slug) <= baselineStart;
+
+        const isSpike = baselineCovered
+            && volumeRatio !== null
+            && countRatio !== null
+            && recent.length >= this.minTrades
+            && volume >= this.minVolume
+            && (volumeRatio >= this.volumeMultiple || countRatio >= this.countMultiple);
+
+        return {
+            isSpike,
+            baselineCovered,
+            volume,
+            trades: recent.length,
+            baselineVolume,
+            baselineTrades,
+            volumeRatio,
+            countRatio,
+            netFlow,
+            imbalance: volume > 0 ? netFlow / volume : 0,
+            lastPrice: recent.length > 0 ? recent[recent.length - 1].price : null
+        };
+    }
+
+    forget(slug) {
+        this.trades.delete(slug);
+        this.historyStart.delete(slug);
+        this.lastSpikes.delete(slug);
+    }
+
+    getStats() {
+        return {
+            ...this.detectorStats,
+            markets: this.trades.size
+        };
+    }
+}
+
+export default VolumeSpikeDetector;
@@ -5,6 +5,8 @@
 
 import { EventEmitter } from 'events';
 import { generalStrategyConfig } from '../config/strategy-config.js';
+import { globals } from '../coordinators/globals.js';
+import { OrderBook } from '../core/orderbook.js';
 
 /**
  * 策略状态枚举
@@ -19,6 +21,17 @@ export const StrategyState = {
     ERROR: 'error'          // 错误状态
 };
 
+/**
+ * 订单在仓位中的用途，下单时放在 metadata.role，订单事件按它分发
+ */
+export const OrderRole = {
+    ENTRY: 'entry', // 开仓买入
+    EXIT: 'exit'    // 平仓卖出
+};
+
+// 策略关心的订单跟踪事件
+const ORDER_EVENTS = ['partiallyFilled', 'filled', 'cancelled', 'expired'];
+
 /**
  * 基础策略类
  * 所有具体策略都应继承此类
@@ -48,6 +61,12 @@ export class BaseStrategy extends EventEmitter {
         
         // 定时器管理
         this.timers = new Map();
+
+        // 作为组合策略的子策略运行时，由组合策略设置的资金分配器
+        this.capitalAllocator = null;
+
+        // 订单跟踪事件处理函数，停止时取消订阅
+        this.orderEventHandlers = null;
     }
     
     /**
@@ -270,6 +289,161 @@ export class BaseStrategy extends EventEmitter {
         return nowMinutes;
     }
     
+    /**
+     * 获取市场可用的订单簿（没有或已过期时返回 null）
+     */
+    getFreshOrderbook(market) {
+        const book = market.orderbook;
+        if (!(book instanceof OrderBook) || book.isStale()) {
+            return null;
+        }
+        return book;
+    }
+
+    /**
+     * 按指定金额吃单买入 YES / NO 的预期成交价格
+     * 有可用订单簿时按深度估算成交均价（VWAP），深度不足的一方为 null；
+     * 没有订单簿（例如 AMM 市场）时退回市场报价
+     * @param {Object} market - 市场
+     * @param {number} usdcAmount - 买入金额（USDC）
+     * @returns {Object|null} { YES, NO, source: 'orderbook' | 'prices' }
+     */
+    getExecutablePrices(market, usdcAmount) {
+        const book = this.getFreshOrderbook(market);
+        if (book) {
+            return {
+                YES: book.getExpectedBuyPrice(usdcAmount),
+                NO: book.forOutcome('NO').getExpectedBuyPrice(usdcAmount),
+                source: 'orderbook'
+            };
+        }
+
+        if (market.prices) {
+            return {
+                YES: market.prices.YES,
+                NO: market.prices.NO,
+                source: 'prices'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * 设置资金分配器（组合策略调用）
+     * @param {CapitalAllocator|null} allocator
+     */
+    setCapitalAllocator(allocator) {
+        this.capitalAllocator = allocator;
+    }
+
+    /**
+     * 下单前申请资金，单独运行（没有资金分配器）时总是批准
+     * @param {Object} request - { ref, amount, market, outcome, accountId }，见 CapitalAllocator.reserve
+     * @returns {boolean} 是否批准
+     */
+    reserveCapital(request) {
+        if (!this.capitalAllocator) {
+            return true;
+        }
+
+        const result = this.capitalAllocator.reserve(this.strategyType, request);
+        if (!result.approved) {
+            console.log(`⏭️ [${this.name}] 资金申请未批准 (${request.market.slug} ${request.outcome} ${request.amount} USDC): ${result.message}`);
+        } else if (result.message) {
+            console.log(`⚖️ [${this.name}] 资金申请已批准 (${request.market.slug} ${request.outcome} ${request.amount} USDC): ${result.message}`);
+        }
+        return result.approved;
+    }
+
+    /**
+     * 仓位结束或订单未成交时释放申请的资金
+     * @param {string} ref - 申请时的 ref
+     */
+    releaseCapital(ref) {
+        this.capitalAllocator?.release(this.strategyType, ref);
+    }
+
+    /**
+     * 订阅订单跟踪事件，只把本策略提交的订单（metadata.strategy）交给 handleOrderEvent
+     */
+    subscribeOrderEvents() {
+        const tracker = globals.orderTracker;
+        if (!tracker || this.orderEventHandlers) {
+            return;
+        }
+
+        this.orderEventHandlers = {};
+        for (const event of ORDER_EVENTS) {
+            this.orderEventHandlers[event] = (order) => {
+                if (order.metadata?.strategy !== this.strategyType) {
+                    return;
+                }
+                try {
+                    this.handleOrderEvent(event, order);
+                } catch (error) {
+                    this.handleError(`处理订单事件失败 (${event} ${order.orderId})`, error);
+                }
+            };
+            tracker.on(event, this.orderEventHandlers[event]);
+        }
+    }
+
+    unsubscribeOrderEvents() {
+        const tracker = globals.orderTracker;
+        if (!tracker || !this.orderEventHandlers) {
+            return;
+        }
+
+        for (const [event, handler] of Object.entries(this.orderEventHandlers)) {
+            tracker.off(event, handler);
+        }
+        this.orderEventHandlers = null;
+    }
+
+    /**
+     * 处理本策略的订单事件：按 metadata.positionId 找到仓位，按 metadata.role 交给 onEntryOrderEvent / onExitOrderEvent
+     * 不按仓位管理订单的策略直接重写本方法
+     * @param {string} event - partiallyFilled / filled / cancelled / expired
+     * @param {Object} order - 订单记录快照
+     */
+    handleOrderEvent(event, order) {
+        const { positionId, role } = order.metadata;
+        const position = this.getOrderPosition(positionId);
+        if (!position) {
+            return;
+        }
+
+        if (role === OrderRole.ENTRY) {
+            this.onEntryOrderEvent(event, order, positionId, position);
+        } else if (role === OrderRole.EXIT) {
+            this.onExitOrderEvent(event, order, positionId, position);
+        }
+    }
+
+    /**
+     * 订单所属的仓位 - 按仓位管理订单的子类实现
+     * @param {string} positionId - 下单时 metadata.positionId
+     * @returns {Object|null}
+     */
+    getOrderPosition(positionId) {
+        return null;
+    }
+
+    /**
+     * 开仓订单状态变化 - 子类实现
+     */
+    onEntryOrderEvent(event, order, positionId, position) {
+        // 子类实现
+    }
+
+    /**
+     * 平仓订单状态变化 - 子类实现
+     */
+    onExitOrderEvent(event, order, positionId, position) {
+        // 子类实现
+    }
+
     /**
      * 更新配置
      */
@@ -1,6 +1,7 @@
 /**
  * 每小时套利策略
- * 监控每小时结算市场，在结算前寻找套利机会
+ * 监控每小时结算市场，在结算前寻找套利机会；
+ * 用 Pyth 现价、行权价、剩余时间和已实现波动率估算公允概率，只在扣除手续费后仍有优势时买入
  */
 
 import Decimal from 'decimal.js';
@@ -10,6 +11,11 @@ import { StrategyType } from './strategy-types.js';
 import { hourlyArbitrageConfig } from '../config/strategy-config.js';
 import { globals } from '../coordinators/globals.js';
 import LimitlessApiClient from '../core/api-client.js';
+import PythClient from '../core/pyth-client.js';
+import { PythPriceStream } from '../services/pyth-price-stream.js';
+import { VolatilityTracker, estimateFairValue } from '../core/fair-value.js';
+import { SUPPORTED_ASSETS, parseMarketTerms } from '../core/market-parser.js';
+import { Outcome } from '../core/market.js';
 
 
 export class HourlyArbitrageStrategy extends BaseStrategy {
@@ -21,6 +27,13 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
         this.accountProved = new Map();
         this.markets = new Map();
 
+        this.pythClient = new PythClient();
+        this.priceStream = null;
+        this.volatility = new VolatilityTracker({
+            window: this.config.volatilityWindow,
+            minSamples: this.config.minVolatilitySamples
+        });
+
         // 策略特定统计
         this.strategyStats = {
             marketsScanned: 0,
@@ -48,8 +61,18 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
         console.log(`🚀 启动 ${this.name}...`);
         console.log(`   单次交易金额: ${this.config.arbitrageAmount} USDC`);
         console.log(`   价格区间: ${this.config.minPriceThreshold * 100}% - ${this.config.maxPriceThreshold * 100}%`);
+        console.log(`   最小优势: ${(this.config.minEdge * 100).toFixed(1)}% (手续费 ${(this.config.feeRate * 100).toFixed(1)}%)`);
         console.log(`   扫描间隔: ${this.config.scanInterval / 1000} 秒`);
 
+        // 订阅现价推送，同时为波动率估计积累样本；推送不可用时评估阶段改用 REST 查询
+        this.priceStream = new PythPriceStream(this.pythClient);
+        this.volatility.track(this.priceStream);
+        try {
+            await this.priceStream.subscribe(SUPPORTED_ASSETS);
+        } catch (error) {
+            console.warn(`⚠️ Pyth 价格推送订阅失败，改用 REST 查询: ${error.message}`);
+        }
+
         // 立即执行一次扫描
         await this.execute();
 
@@ -66,6 +89,11 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
      */
     async onStop() {
         console.log(`🛑 停止 ${this.name}...`);
+
+        if (this.priceStream) {
+            this.priceStream.close();
+            this.priceStream = null;
+        }
     }
 
     /**
@@ -94,8 +122,9 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
         // 检查每个市场
         for (const market of hourlyMarkets) {
             try {
-                // 检查是否为 hourly 市场
-                if (!this.isHourlyMarket(market)) {
+                // 只处理能定价的 hourly 行权价市场
+                const terms = parseMarketTerms(market);
+                if (!terms.isHourly || !terms.isStrikeMarket) {
                     continue;
                 }
 
@@ -107,7 +136,7 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
                 }
 
                 // 检查是否在设置的过期时间范围内
-                const timeToExpiry = new Date(market.endDate) - new Date();
+                const timeToExpiry = market.getTimeToExpiry();
                 const isInTimeRange = timeToExpiry < this.config.maxTimeToSettlement;
 
                 if (!isInTimeRange) {
@@ -129,7 +158,7 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
                 }
 
                 // 评估套利机会
-                const opportunity = await this.evaluateArbitrageOpportunity(market);
+                const opportunity = await this.evaluateArbitrageOpportunity(market, terms);
                 if (opportunity) {
                     opportunitiesFound++;
                     this.strategyStats.opportunitiesFound++;
@@ -162,13 +191,8 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
     filterHourlyMarkets(markets) {
         return markets.filter(market => {
             // 只做基础筛选，hourly 检查移到评估阶段
-            const isActive = !market.expired;
-            
-            // 基础时间检查 - 确保市场还没结束
-            const timeToExpiry = new Date(market.endDate) - new Date();
-            const hasTimeLeft = timeToExpiry > 0;
-
-            return isActive && hasTimeLeft;
+            // 通过合约地址下单，只处理 AMM 市场
+            return market.isAmm && !market.isExpired();
         });
     }
 
@@ -176,57 +200,86 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
      * 生成市场周期ID
      */
     getMarketCycleId(market) {
-        const endTime = new Date(market.endDate);
-        return `${market.id}_${endTime.getTime()}`;
+        return `${market.id}_${market.expirationTimestamp}`;
     }
 
     /**
-     * 评估套利机会 - 简化的三条件检查
-     * 1. 是否为 hourly 市场
-     * 2. 是否在设置的过期时间范围内  
-     * 3. YES或NO是否有一方价格位于设置的价格范围内
+     * 评估套利机会
+     * 1. 解析标的、行权价和方向
+     * 2. 用 Pyth 现价和波动率估算 YES 的公允概率及置信区间
+     * 3. 每一方的优势 = 公允概率下界 - 含手续费的买入成本，取价格在区间内且优势达到 minEdge 的一方
      */
-    async evaluateArbitrageOpportunity(market) {
+    async evaluateArbitrageOpportunity(market, terms = parseMarketTerms(market)) {
         try {
             console.log('🔍 开始评估套利机会:', market.title?.substring(0, 50) + '...');
 
-            const priceData = market.priceData;
-            const yesPrice = priceData.YES;
-            const noPrice = priceData.NO;
+            if (!terms.isStrikeMarket) {
+                console.log(`❌ 无法解析行权价条款: ${terms.issues.map(issue => issue.message).join('; ') || '不是行权价市场'}`);
+                return null;
+            }
 
-            const minPriceThreshold = this.config.minPriceThreshold;
-            const maxPriceThreshold = this.config.maxPriceThreshold;
+            // 按套利金额估算可成交价格，订单簿市场考虑深度
+            const priceData = this.getExecutablePrices(market, this.config.arbitrageAmount);
+            if (!priceData) {
+                console.log('❌ 没有可用的价格数据');
+                return null;
+            }
 
-            // 检查 YES 价格是否在范围内
-            const yesInRange = yesPrice >= minPriceThreshold && yesPrice <= maxPriceThreshold;
+            const spot = await this.getSpotPrice(terms.symbol);
+            const volatility = this.volatility.get(terms.symbol);
+            const timeToExpiry = market.getTimeToExpiry();
+            const fairValue = estimateFairValue({
+                spot: spot.price,
+                spotConf: spot.conf,
+                strike: terms.strike,
+                comparator: terms.comparator,
+                timeToExpiry,
+                volatility: volatility.volatility,
+                volatilityUncertainty: this.config.volatilityUncertainty
+            });
 
-            // 检查 NO 价格是否在范围内  
-            const noInRange = noPrice >= minPriceThreshold && noPrice <= maxPriceThreshold;
+            // 两边分别计算，按各自概率区间的下界计算优势
+            const sides = [
+                { outcomeIndex: 0, label: 'YES', price: priceData.YES, probability: fairValue.probability, low: fairValue.low, high: fairValue.high },
+                { outcomeIndex: 1, label: 'NO', price: priceData.NO, probability: 1 - fairValue.probability, low: 1 - fairValue.high, high: 1 - fairValue.low }
+            ].map(side => {
+                const cost = side.price / (1 - this.config.feeRate);
+                return {
+                    ...side,
+                    cost,
+                    edge: side.low - cost,
+                    inRange: side.price >= this.config.minPriceThreshold && side.price <= this.config.maxPriceThreshold
+                };
+            });
 
-            if (!yesInRange && !noInRange) {
-                console.log(`❌ YES 价格 ${yesPrice} 和 NO 价格 ${noPrice} 不在 ${minPriceThreshold} - ${maxPriceThreshold} 范围内`);
+            console.log(`📐 ${terms.symbol} 现价 ${spot.price} (±${spot.conf}) ${terms.comparator} ${terms.strike}，` +
+                `剩余 ${(timeToExpiry / 60000).toFixed(1)} 分钟，σ=${(volatility.volatility * 100).toFixed(1)}% (${volatility.source}, ${volatility.samples} 样本)`);
+            console.log(`   公允 YES ${fairValue.probability.toFixed(4)} [${fairValue.low.toFixed(4)}, ${fairValue.high.toFixed(4)}] | ` +
+                sides.map(side => `${side.label} ${side.price.toFixed(4)} (${priceData.source}) 成本 ${side.cost.toFixed(4)} 优势 ${(side.edge * 100).toFixed(2)}%`).join(' | '));
+
+            const best = sides
+                .filter(side => side.inRange && side.edge >= this.config.minEdge)
+                .sort((a, b) => b.edge - a.edge)[0];
+
+            if (!best) {
+                const inRange = sides.filter(side => side.inRange);
+                if (inRange.length === 0) {
+                    console.log(`❌ YES 价格 ${priceData.YES} 和 NO 价格 ${priceData.NO} 不在 ${this.config.minPriceThreshold} - ${this.config.maxPriceThreshold} 范围内`);
+                } else {
+                    console.log(`❌ 优势不足: ${inRange.map(side => `${side.label} ${(side.edge * 100).toFixed(2)}%`).join(', ')} < ${(this.config.minEdge * 100).toFixed(2)}%`);
+                }
                 return null;
             }
 
-            // 确定交易方向和价格
-            let outcomeIndex, pricePerToken;
-            if (yesInRange) {
-                outcomeIndex = 0;
-                pricePerToken = yesPrice;
-            } else {
-                outcomeIndex = 1;
-                pricePerToken = noPrice;
-            }
-
-            // 计算预期收益
-            // const expectedReturn = this.calculateExpectedReturn(price, side);
-            const expectedReturn = 0;
-
             return {
-                outcomeIndex,
-                pricePerToken,
+                outcomeIndex: best.outcomeIndex,
+                pricePerToken: best.price,
+                // 成交均价（含手续费）超过该价格时优势不足，不再下单
+                maxPricePerToken: Math.min(this.config.maxPriceThreshold, best.low - this.config.minEdge),
                 amount: this.config.arbitrageAmount,
-                expectedReturn,
+                expectedReturn: this.config.arbitrageAmount * (best.probability / best.cost - 1),
+                fairValue: { probability: best.probability, low: best.low, high: best.high },
+                edge: best.edge,
                 isArbitrageOpportunity: true
             };
 
@@ -237,44 +290,21 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
     }
 
     /**
-     * 检查是否为 hourly 市场
-     */
-    isHourlyMarket(market) {
-        // 检查标签
-        const hasHourlyTag = market.tags && 
-            market.tags.some(tag => tag.toLowerCase().includes('hourly'));
-        
-        // 检查结束时间是否在整点
-        const endTime = new Date(market.endDate);
-        const isHourlyPattern = endTime.getMinutes() === 0;
-        
-        // 检查标题是否包含 hourly 相关词汇
-        const title = market.title?.toLowerCase() || '';
-        const hasHourlyInTitle = title.includes('hourly') || 
-                                title.includes('hour') ||
-                                title.includes('每小时') ||
-                                title.includes('小时');
-
-        return hasHourlyTag || (isHourlyPattern && hasHourlyInTitle);
-    }
-
-    /**
-     * 计算预期收益
+     * 读取现价：优先用推送缓存，没有或过期时查询 Hermes
      */
-    calculateExpectedReturn(price, side) {
-        const investment = this.config.arbitrageAmount;
-
-        if (side === 'buy') {
-            // 买入YES，如果结算为YES，收益 = 投资额 / 价格 - 投资额
-            const potentialReturn = (investment / price) - investment;
-            const probability = price; // 市场价格反映概率
-            return potentialReturn * probability;
-        } else {
-            // 买入NO，如果结算为NO，收益 = 投资额 / (1-价格) - 投资额
-            const potentialReturn = (investment / (1 - price)) - investment;
-            const probability = 1 - price; // NO的概率
-            return potentialReturn * probability;
+    async getSpotPrice(symbol) {
+        const maxAge = this.config.maxSpotAge;
+        try {
+            if (this.priceStream) {
+                return this.priceStream.getPrice(symbol, { maxAge });
+            }
+        } catch (error) {
+            // 推送价格不可用，改用 REST
         }
+
+        const price = await this.pythClient.getLatestPrice(symbol, { maxAge });
+        this.volatility.add(price.symbol, price.price, price.timestamp);
+        return price;
     }
 
     async preExecuteArbitrageTrade(market, count) {
@@ -293,7 +323,8 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
 
             try {
                 this.markets.get(market.id).candidates.set(account.id, account.apiClient);
-                await account.apiClient.approve(market.address, this.config.arbitrageAmount * 1000000);
+                // 已有足够授权时不发送交易
+                await account.apiClient.ensureUsdcAllowance(market.address, this.config.arbitrageAmount * 1000000);
                 choosenCount += 1;
             } catch (error)  {
                 this.markets.get(market.id).candidates.delete(account.id);
@@ -320,16 +351,42 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
             for (const [accountId, apiClient] of candidates.entries()) {
                 try {
                     candidates.delete(accountId);
-                    await apiClient.placeHourlyOrder({
+
+                    // 按池子深度缩小下单金额，前一个账户买入后价格已变化，每个账户单独计算
+                    const investmentAmount = await apiClient.getAmmQuoteEngine().sizeBuy(
+                        market.address,
+                        opportunity.outcomeIndex,
+                        BigInt(Math.floor(this.config.arbitrageAmount * 1000000)),
+                        this.config.maxPriceImpact
+                    );
+                    if (investmentAmount < BigInt(Math.floor(this.config.minTradeAmount * 1000000))) {
+                        candidates.set(accountId, apiClient);
+                        console.log(`⚠️ 池子深度不足，价格冲击 ${this.config.maxPriceImpact * 100}% 内只能买入 ${Number(investmentAmount) / 1000000} USDC，跳过`);
+                        break;
+                    }
+
+                    // 组合策略中按预算申请资金，持仓到结算，市场到期后由资金分配器释放
+                    const capitalRef = `${positionId}_${accountId}`;
+                    const outcome = opportunity.outcomeIndex === 0 ? Outcome.YES : Outcome.NO;
+                    if (!this.reserveCapital({ ref: capitalRef, amount: Number(investmentAmount) / 1000000, market, outcome, accountId })) {
+                        candidates.set(accountId, apiClient);
+                        break;
+                    }
+
+                    // 成交均价（含手续费）不能超过保留最小优势的价格
+                    const result = await apiClient.placeHourlyOrder({
                         contractAddress: market.address,
-                        investmentAmount: this.config.arbitrageAmount * 1000000,
-                        pricePerToken: opportunity.pricePerToken,
+                        investmentAmount,
                         outcomeIndex: opportunity.outcomeIndex,
+                        slippage: this.config.slippage,
+                        maxPricePerToken: opportunity.maxPricePerToken,
                         confirmRealOrder: true,
                     })
+                    console.log(`   账户 ${accountId} 买入 ${Number(investmentAmount) / 1000000} USDC，均价 ${result.quote.avgPrice.toFixed(4)}，价格冲击 ${(result.quote.priceImpact * 100).toFixed(2)}%`);
 
                 } catch (error) {
                     candidates.set(accountId, apiClient);
+                    this.releaseCapital(`${positionId}_${accountId}`);
                     throw error
                 }
             }
@@ -349,6 +406,8 @@ export class HourlyArbitrageStrategy extends BaseStrategy {
             console.log(`   ├─ 市场: ${market.title.substring(0, 50)}...`);
             console.log(`   ├─ 执行时间: ${new Date().toLocaleString()}`);
             console.log(`   ├─ 投资金额: ${opportunity.amount} USDC`);
+            console.log(`   ├─ 公允概率: ${opportunity.fairValue.probability.toFixed(4)} [${opportunity.fairValue.low.toFixed(4)}, ${opportunity.fairValue.high.toFixed(4)}]`);
+            console.log(`   ├─ 优势: ${(opportunity.edge * 100).toFixed(2)}%`);
             console.log(`   ├─ 预期收益: ${opportunity.expectedReturn.toFixed(3)} USDC`);
             console.log(`   ├─ 预期收益率: ${((opportunity.expectedReturn / opportunity.amount) * 100).toFixed(2)}%`);
             console.log(`   └─ 结算倒计时: ${Math.round((new Date(market.endDate).getTime() - Date.now()) / 60000)} 分钟`);
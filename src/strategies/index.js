@@ -23,3 +23,9 @@ export { HourlyArbitrageStrategy } from './hourly-arbitrage.js';
 export { LPMakingStrategy } from './lp-making.js';
 export { NewMarketStrategy } from './new-market.js';
 export { PriceArbitrageStrategy } from './price-arbitrage.js';
+export { SpreadMakingStrategy } from './spread-making.js';
+export { TrendStrategy } from './trend-strategy.js';
+export { MomentumStrategy } from './momentum.js';
+export { MeanReversionStrategy } from './mean-reversion.js';
+export { VolumeSpikeStrategy } from './volume-spike.js';
+export { MultiStrategy } from './multi-strategy.js';
@@ -3,10 +3,12 @@
  * 在有奖励的市场提供流动性，获取LP奖励
  */
 
-import { BaseStrategy, StrategyState } from './base-strategy.js';
+import { BaseStrategy, StrategyState, OrderRole } from './base-strategy.js';
 import { StrategyType } from './strategy-types.js';
 import { lpMakingConfig } from '../config/strategy-config.js';
 import { globals } from '../coordinators/globals.js';
+import { OrderSide, OrderType, toBaseUnits } from '../core/order-builder.js';
+import { Outcome } from '../core/market.js';
 
 export class LPMakingStrategy extends BaseStrategy {
     constructor(config = {}) {
@@ -16,7 +18,7 @@ export class LPMakingStrategy extends BaseStrategy {
         
         // 仓位和订单管理
         this.activePositions = new Map();
-        this.limitOrders = new Map();
+        this.limitOrders = new Map(); // 交易所订单ID -> 限价单
         
         // 策略特定统计
         this.strategyStats = {
@@ -57,6 +59,9 @@ export class LPMakingStrategy extends BaseStrategy {
         console.log(`   最小市场评分: ${this.config.minMarketScore}`);
         console.log(`   最大并发市场: ${this.config.maxConcurrentMarkets}`);
         
+        // 仓位只在订单跟踪器确认成交后更新
+        this.subscribeOrderEvents();
+        
         // 立即寻找并执行一次
         await this.execute();
         
@@ -88,7 +93,12 @@ export class LPMakingStrategy extends BaseStrategy {
     async onStop() {
         console.log(`🛑 停止 ${this.name}...`);
         
-        // 清理状态
+        this.unsubscribeOrderEvents();
+        
+        // 清理状态，不再跟踪的仓位同时释放占用的资金
+        for (const positionId of this.activePositions.keys()) {
+            this.releaseCapital(positionId);
+        }
         this.activePositions.clear();
         this.limitOrders.clear();
     }
@@ -122,8 +132,21 @@ export class LPMakingStrategy extends BaseStrategy {
         };
     }
 
-    async getApiClient() {
-        return ''
+    /**
+     * 获取执行本策略的账户
+     */
+    getAccount(accountId = null) {
+        return globals.accounts.find(account =>
+            accountId ? account.id === accountId : account.strategies.includes(this.strategyType)
+        ) || null;
+    }
+
+    /**
+     * 获取下单用的 API 客户端
+     * @param {string} accountId - 仓位所属账户（不传时选择第一个执行本策略的账户）
+     */
+    getApiClient(accountId = null) {
+        return this.getAccount(accountId)?.apiClient || null;
     }
     
     /**
@@ -134,7 +157,8 @@ export class LPMakingStrategy extends BaseStrategy {
             console.log('🔍 寻找合适的LP做市市场...');
 
             const allMarkets = globals.markets;
-            const markets = allMarkets.filter(market => market.isRewardable);
+            // 只有订单簿市场可以挂单做市
+            const markets = allMarkets.filter(market => market.isRewardable && market.isClob);
             if (!markets || markets.length === 0) {
                 console.log('⚠️ 未发现有奖励的市场');
                 return null;
@@ -143,9 +167,11 @@ export class LPMakingStrategy extends BaseStrategy {
             const opportunities = [];
             
             // 评估每个市场
+            const heldMarketIds = new Set([...this.activePositions.values()].map(position => position.marketId));
+            
             for (const market of markets) {
-                // 跳过已有仓位的市场
-                if (this.activePositions.has(market.id)) {
+                // 跳过已有仓位的市场（包括等待成交的）
+                if (heldMarketIds.has(market.id)) {
                     continue;
                 }
                 
@@ -198,7 +224,7 @@ export class LPMakingStrategy extends BaseStrategy {
         }
 
         // 检查过期时间
-        const timeToExpiry = new Date(market.endDate) - new Date();
+        const timeToExpiry = market.getTimeToExpiry();
         if (timeToExpiry < 24 * 60 * 60 * 1000) { // 至少24小时
             return null;
         }
@@ -209,9 +235,9 @@ export class LPMakingStrategy extends BaseStrategy {
             return null;
         }
 
-        const { bestBid, bestAsk } = priceData;
-        const midPrice = (bestBid + bestAsk) / 2;
-        const spread = bestAsk - bestBid;
+        const { bestBid, bestAsk, orderbook } = priceData;
+        const midPrice = orderbook ? orderbook.mid : (bestBid + bestAsk) / 2;
+        const spread = orderbook ? orderbook.spread : bestAsk - bestBid;
 
         // LP策略偏好中等价格区间（避免极端价格）
         if (midPrice < 0.2 || midPrice > 0.8) {
@@ -230,12 +256,26 @@ export class LPMakingStrategy extends BaseStrategy {
         const side = midPrice > 0.5 ? 'sell' : 'buy'; // 价格高时卖出，价格低时买入
         const price = side === 'buy' ? bestBid : bestAsk;
 
+        // 初始购买按订单簿深度估算成交均价，深度不足时放弃该市场
+        let expectedFillPrice = side === 'buy' ? bestAsk : bestBid;
+        if (orderbook) {
+            const quote = side === 'buy'
+                ? orderbook.quoteBuy({ usdc: this.config.initialPurchase })
+                : orderbook.quoteSell({ usdc: this.config.initialPurchase });
+            if (!quote.complete) {
+                return null;
+            }
+            expectedFillPrice = quote.avgPrice;
+        }
+
         // 估算预期奖励
         const expectedReward = this.estimateExpectedReward(market, timeToExpiry);
 
         return {
             side: side,
             price: price,
+            expectedFillPrice: expectedFillPrice,
+            priceSource: priceData.dataSource,
             amount: this.config.initialPurchase,
             marketScore: marketScore,
             expectedReward: expectedReward,
@@ -271,29 +311,6 @@ export class LPMakingStrategy extends BaseStrategy {
         return Math.max(0, Math.min(100, score));
     }
 
-    /**
-     * 创建订单数据
-     */
-    createOrderData(market, opportunity, walletAddress, userId) {
-        return {
-            marketId: market.id,
-            tokenId: market.tokenId,
-            side: opportunity.side,
-            price: opportunity.price,
-            amount: opportunity.amount,
-            orderType: 'LIMIT',
-            walletAddress: walletAddress,
-            userId: userId,
-            timestamp: Date.now(),
-            conditionId: market.conditionId || market.id,
-            metadata: {
-                strategy: 'lp-making',
-                expectedReward: opportunity.expectedReward,
-                marketScore: opportunity.marketScore
-            }
-        };
-    }
-
     /**
      * 估算预期奖励
      */
@@ -311,6 +328,17 @@ export class LPMakingStrategy extends BaseStrategy {
      * 提取市场价格数据
      */
     extractPriceData(market) {
+        // 优先使用可用的订单簿
+        const book = this.getFreshOrderbook(market);
+        if (book && book.isTwoSided()) {
+            return {
+                bestBid: book.bestBidPrice,
+                bestAsk: book.bestAskPrice,
+                orderbook: book,
+                dataSource: 'orderbook'
+            };
+        }
+
         // 从交易价格中获取最新价格
         if (market.tradePrices && market.tradePrices.length > 0) {
             const latestPrice = market.tradePrices[market.tradePrices.length - 1];
@@ -321,18 +349,6 @@ export class LPMakingStrategy extends BaseStrategy {
             };
         }
         
-        // 从订单簿获取价格（如果有的话）
-        if (market.orderbook) {
-            const { bids, asks } = market.orderbook;
-            if (bids && bids.length > 0 && asks && asks.length > 0) {
-                return {
-                    bestBid: bids[0].price,
-                    bestAsk: asks[0].price,
-                    dataSource: 'orderbook'
-                };
-            }
-        }
-
         // 使用默认价格数据
         return {
             bestBid: 0.45,
@@ -343,6 +359,7 @@ export class LPMakingStrategy extends BaseStrategy {
     
     /**
      * 执行初始购买
+     * 只提交市价单，仓位在订单跟踪器确认成交后才转为已购买
      */
     async executeInitialPurchase(marketData) {
         const { market, opportunity } = marketData;
@@ -353,105 +370,219 @@ export class LPMakingStrategy extends BaseStrategy {
             console.log(`   市场: ${market.title.substring(0, 50)}...`);
             console.log(`   方向: ${opportunity.side.toUpperCase()}`);
             console.log(`   价格: ${opportunity.price.toFixed(4)}`);
+            console.log(`   预期成交均价: ${opportunity.expectedFillPrice.toFixed(4)} (${opportunity.priceSource})`);
             console.log(`   金额: ${this.config.initialPurchase} USDC`);
             
-            // 创建初始购买订单数据
-            const apiClient = await this.getApiClient()
-            const walletAddress = await apiClient.getWalletAddress();
-            const userId = await apiClient.getUserId();
-            
-            const orderData = this.createOrderData(
-                market,
-                {
-                    ...opportunity,
-                    amount: this.config.initialPurchase
-                },
-                walletAddress,
-                userId
-            );
-
-            // 打印详细的初始购买信息
-            console.log(`📋 初始购买订单详情:`);
-            console.log(`   ├─ 市场ID: ${market.id}`);
-            console.log(`   ├─ 代币ID: ${market.tokenId}`);
-            console.log(`   ├─ 交易方向: ${opportunity.side.toUpperCase()}`);
-            console.log(`   ├─ 订单价格: ${opportunity.price.toFixed(6)} (${(opportunity.price * 100).toFixed(2)}%)`);
-            console.log(`   ├─ 购买金额: ${this.config.initialPurchase} USDC`);
-            console.log(`   ├─ 预期份额: ${(this.config.initialPurchase / opportunity.price).toFixed(2)} 份`);
-            console.log(`   ├─ 钱包地址: ${walletAddress}`);
-            console.log(`   ├─ 用户ID: ${userId}`);
-            console.log(`   └─ 市场评分: ${opportunity.marketScore.toFixed(1)}/100`);
+            const account = this.getAccount();
+            if (!account) {
+                throw new Error('没有执行LP做市策略的账户');
+            }
+            if (!account.apiClient.orderTracker) {
+                throw new Error(`账户 ${account.id} 未注册订单跟踪，无法确认成交`);
+            }
             
-            // 打印订单数据结构
-            console.log(`📄 生成的订单数据:`);
-            console.log(`   ├─ 条件ID: ${orderData.conditionId || 'N/A'}`);
-            console.log(`   ├─ 订单类型: ${orderData.orderType || 'MARKET'}`);
-            console.log(`   ├─ 数量: ${orderData.amount || orderData.shares || 'N/A'}`);
-            console.log(`   └─ 时间戳: ${new Date(orderData.timestamp || Date.now()).toLocaleString()}`);
+            // 看多买入 YES，看空买入 NO（等价于卖出 YES）
+            const tokenId = this.getPositionTokenId(market, opportunity.side);
             
-            if (orderData.signature) {
-                console.log(`🔐 订单签名: ${orderData.signature.substring(0, 20)}...`);
+            if (!this.reserveCapital({ ref: positionId, amount: this.config.initialPurchase, market, outcome: this.getPositionOutcome(opportunity.side), accountId: account.id })) {
+                return false;
             }
             
-            // 计算目标止盈价格
-            const targetProfitPrice = this.calculateTargetProfitPrice(opportunity);
-            
-            // 记录仓位
+            // 先记录仓位，成交事件可能在下单返回后立即到达
             this.activePositions.set(positionId, {
                 marketId: market.id,
                 market: market,
+                accountId: account.id,
+                tokenId: tokenId,
                 opportunity: opportunity,
-                initialPrice: opportunity.price,
-                targetProfitPrice: targetProfitPrice,
-                status: 'purchased',
-                purchaseTime: Date.now(),
-                orderData: orderData,
+                initialPrice: null,
+                targetProfitPrice: null,
+                shares: 0,
+                sharesSold: 0,
+                status: 'pending_fill',
+                submitTime: Date.now(),
+                purchaseTime: null,
+                entryOrderId: null,
+                limitOrderId: null,
                 investment: this.config.initialPurchase
             });
             
-            this.strategyStats.positionsOpened++;
-            
-            // 打印初始购买执行结果
-            console.log(`✅ 初始购买执行成功!`);
-            console.log(`🎯 购买结果摘要:`);
-            console.log(`   ├─ 仓位ID: ${positionId}`);
-            console.log(`   ├─ 市场: ${market.title.substring(0, 50)}...`);
-            console.log(`   ├─ 执行时间: ${new Date().toLocaleString()}`);
-            console.log(`   ├─ 购买金额: ${this.config.initialPurchase} USDC`);
-            console.log(`   ├─ 购买方向: ${opportunity.side.toUpperCase()}`);
-            console.log(`   ├─ 购买价格: ${opportunity.price.toFixed(6)}`);
-            console.log(`   ├─ 预期份额: ${(this.config.initialPurchase / opportunity.price).toFixed(2)} 份`);
-            console.log(`   ├─ 目标止盈价: ${targetProfitPrice.toFixed(6)}`);
-            console.log(`   ├─ 目标收益率: ${(this.config.targetProfitRate * 100).toFixed(1)}%`);
-            console.log(`   └─ 预期日奖励: ${opportunity.expectedReward?.dailyReward?.toFixed(3) || 'N/A'} USDC`);
-            
-            // 发出购买完成事件
-            this.emit('purchaseCompleted', {
-                positionId,
+            const response = await account.apiClient.placeMarketOrder({
+                tokenId,
+                usdcAmount: toBaseUnits(this.config.initialPurchase),
+                side: OrderSide.BUY,
+                orderType: OrderType.FOK,
+                marketSlug: market.slug,
                 market,
-                opportunity,
-                orderData,
-                targetProfitPrice,
-                timestamp: Date.now()
+                metadata: { strategy: this.strategyType, positionId, role: OrderRole.ENTRY },
+                confirmRealOrder: true
             });
             
-            // 立即开始LP做市
-            await this.startLPMaking(positionId);
+            const entryOrderId = response.data?.order?.id ?? response.data?.id ?? null;
+            const position = this.activePositions.get(positionId);
+            if (position) {
+                position.entryOrderId = entryOrderId;
+            }
+            
+            // 打印初始购买提交结果
+            console.log(`📨 初始购买订单已提交，等待成交确认`);
+            console.log(`   ├─ 仓位ID: ${positionId}`);
+            console.log(`   ├─ 订单ID: ${entryOrderId || 'N/A'}`);
+            console.log(`   ├─ 账户: ${account.id}`);
+            console.log(`   ├─ 代币ID: ${tokenId}`);
+            console.log(`   ├─ 购买金额: ${this.config.initialPurchase} USDC`);
+            console.log(`   ├─ 预期份额: ${(this.config.initialPurchase / this.toOutcomePrice(opportunity.side, opportunity.expectedFillPrice)).toFixed(2)} 份`);
+            console.log(`   └─ 市场评分: ${opportunity.marketScore.toFixed(1)}/100`);
             
             return true;
             
         } catch (error) {
+            this.activePositions.delete(positionId);
+            this.releaseCapital(positionId);
             console.error(`❌ 初始购买失败 (ID: ${positionId}): ${error.message}`);
             this.emit('purchaseFailed', { positionId, market, error });
             return false;
         }
     }
     
+    /**
+     * 仓位持有的代币：看多持有 YES，看空持有 NO
+     */
+    getPositionTokenId(market, side) {
+        return side === 'buy' ? market.yesTokenId : market.noTokenId;
+    }
+    
+    getPositionOutcome(side) {
+        return side === 'buy' ? Outcome.YES : Outcome.NO;
+    }
+    
+    /**
+     * 策略内价格统一按 YES 计价，下单时换算为仓位代币的价格
+     */
+    toOutcomePrice(side, yesPrice) {
+        return side === 'buy' ? yesPrice : 1 - yesPrice;
+    }
+    
+    /**
+     * 订单所属的仓位（初始购买为 ENTRY，止盈限价单为 EXIT）
+     */
+    getOrderPosition(positionId) {
+        return this.activePositions.get(positionId);
+    }
+    
+    /**
+     * 初始购买订单状态变化
+     */
+    onEntryOrderEvent(event, order, positionId, position) {
+        if (position.status !== 'pending_fill') {
+            return;
+        }
+        
+        if (event === 'partiallyFilled') {
+            position.shares = order.filledSize;
+            return;
+        }
+        
+        if (order.filledSize <= 0) {
+            // 未成交（FOK 被拒或撤销），放弃该仓位
+            console.warn(`⚠️ 初始购买未成交 (ID: ${positionId}, 订单: ${order.orderId}, 状态: ${order.status})`);
+            this.activePositions.delete(positionId);
+            this.releaseCapital(positionId);
+            this.emit('purchaseFailed', { positionId, market: position.market, error: new Error(`初始购买订单${order.status}`) });
+            return;
+        }
+        
+        // 完全成交，或撤销/过期前部分成交：按实际成交份额建仓
+        const fillPrice = order.avgFillPrice ?? this.toOutcomePrice(position.opportunity.side, position.opportunity.expectedFillPrice);
+        position.shares = order.filledSize;
+        position.initialPrice = this.toOutcomePrice(position.opportunity.side, fillPrice);
+        position.targetProfitPrice = this.calculateTargetProfitPrice({
+            ...position.opportunity,
+            expectedFillPrice: position.initialPrice
+        });
+        position.status = 'purchased';
+        position.purchaseTime = Date.now();
+        
+        this.strategyStats.positionsOpened++;
+        
+        // 打印初始购买成交结果
+        console.log(`✅ 初始购买成交!`);
+        console.log(`🎯 购买结果摘要:`);
+        console.log(`   ├─ 仓位ID: ${positionId}`);
+        console.log(`   ├─ 市场: ${position.market.title.substring(0, 50)}...`);
+        console.log(`   ├─ 成交时间: ${new Date().toLocaleString()}`);
+        console.log(`   ├─ 购买方向: ${position.opportunity.side.toUpperCase()}`);
+        console.log(`   ├─ 成交份额: ${position.shares} 份`);
+        console.log(`   ├─ 成交均价: ${fillPrice.toFixed(6)} (YES 计价 ${position.initialPrice.toFixed(6)})`);
+        console.log(`   ├─ 目标止盈价: ${position.targetProfitPrice.toFixed(6)}`);
+        console.log(`   ├─ 目标收益率: ${(this.config.targetProfitRate * 100).toFixed(1)}%`);
+        console.log(`   └─ 预期日奖励: ${position.opportunity.expectedReward?.dailyReward?.toFixed(3) || 'N/A'} USDC`);
+        
+        // 发出购买完成事件
+        this.emit('purchaseCompleted', {
+            positionId,
+            market: position.market,
+            opportunity: position.opportunity,
+            order,
+            targetProfitPrice: position.targetProfitPrice,
+            timestamp: Date.now()
+        });
+        
+        // 成交后开始LP做市
+        this.startLPMaking(positionId).catch(error => {
+            this.handleError(`启动LP做市失败 (${positionId})`, error);
+        });
+    }
+    
+    /**
+     * 止盈限价单状态变化
+     */
+    onExitOrderEvent(event, order, positionId, position) {
+        position.sharesSold += order.newlyFilled;
+        
+        if (event === 'partiallyFilled') {
+            console.log(`📉 限价单部分成交 (${order.orderId}): ${order.filledSize}/${order.size} 份 @ ${order.avgFillPrice}`);
+            return;
+        }
+        
+        const limitOrder = this.limitOrders.get(order.orderId);
+        this.limitOrders.delete(order.orderId);
+        if (position.limitOrderId === order.orderId) {
+            position.limitOrderId = null;
+        }
+        
+        if (position.shares - position.sharesSold <= 0) {
+            // 全部卖出，仓位结束
+            this.activePositions.delete(positionId);
+            this.releaseCapital(positionId);
+            this.strategyStats.profitTaken++;
+            
+            console.log(`💰 仓位止盈完成 (ID: ${positionId}, 订单: ${order.orderId}, 均价: ${order.avgFillPrice})`);
+            this.emit('positionClosed', {
+                positionId,
+                market: position.market,
+                order,
+                timestamp: Date.now()
+            });
+            return;
+        }
+        
+        if (limitOrder && !limitOrder.cancelling && event !== 'filled') {
+            // 被外部撤销或过期，仓位回到持有状态，下次检查时重新挂单
+            console.warn(`⚠️ 限价单已${event === 'expired' ? '过期' : '撤销'} (${order.orderId})，剩余 ${position.shares - position.sharesSold} 份待重新挂单`);
+        }
+        if (!position.limitOrderId) {
+            position.status = 'purchased';
+        }
+    }
+    
     /**
      * 计算目标止盈价格
      */
     calculateTargetProfitPrice(opportunity) {
-        const { side, price } = opportunity;
+        // 止盈以预期成交均价为基准
+        const { side } = opportunity;
+        const price = opportunity.expectedFillPrice ?? opportunity.price;
         const profitRate = this.config.targetProfitRate;
         
         if (side === 'buy') {
@@ -476,12 +607,12 @@ export class LPMakingStrategy extends BaseStrategy {
             console.log(`📊 开始LP做市 (ID: ${positionId})`);
             
             // 创建限价订单
-            const limitOrderId = await this.createLimitOrder(position);
+            const limitOrderId = await this.createLimitOrder(position, positionId);
             
             // 更新仓位状态
             position.status = 'lp_making';
             position.limitOrderId = limitOrderId;
-            position.lpStartTime = Date.now();
+            position.lpStartTime = position.lpStartTime || Date.now();
             
             // 打印LP做市启动结果
             console.log(`✅ LP做市启动成功!`);
@@ -510,10 +641,10 @@ export class LPMakingStrategy extends BaseStrategy {
     
     /**
      * 创建限价订单
+     * 挂出持有份额的卖单，价格按 YES 计价计算后换算为持有代币的价格
      */
-    async createLimitOrder(position) {
+    async createLimitOrder(position, positionId) {
         const { market, opportunity, targetProfitPrice } = position;
-        const orderId = `limit_${market.id}_${Date.now()}`;
         
         try {
             // 计算限价订单价格（略偏离止盈价格，确保能获得奖励）
@@ -523,31 +654,16 @@ export class LPMakingStrategy extends BaseStrategy {
             console.log(`   价格: ${limitPrice.toFixed(4)} (目标止盈: ${targetProfitPrice.toFixed(4)})`);
             console.log(`   策略: 获得LP奖励同时等待止盈机会`);
             
-            // 创建限价订单数据
-            const apiClient = this.getApiClient()
-            const walletAddress = await apiClient.getWalletAddress();
-            const userId = await apiClient.getUserId();
+            const orderId = await this.submitLimitOrder(position, positionId, limitPrice, { postOnly: true });
             
-            const limitOrderData = this.createOrderData(
-                market,
-                {
-                    ...opportunity,
-                    price: limitPrice,
-                    amount: this.config.initialPurchase
-                },
-                walletAddress,
-                userId
-            );
-
             // 打印限价订单详细信息
             console.log(`📋 限价订单详情:`);
             console.log(`   ├─ 订单ID: ${orderId}`);
             console.log(`   ├─ 市场ID: ${market.id}`);
             console.log(`   ├─ 限价价格: ${limitPrice.toFixed(6)} (${(limitPrice * 100).toFixed(2)}%)`);
             console.log(`   ├─ 目标价格: ${targetProfitPrice.toFixed(6)} (${(targetProfitPrice * 100).toFixed(2)}%)`);
-            console.log(`   ├─ 订单金额: ${this.config.initialPurchase} USDC`);
-            console.log(`   ├─ 钱包地址: ${walletAddress}`);
-            console.log(`   ├─ 用户ID: ${userId}`);
+            console.log(`   ├─ 卖出份额: ${position.shares - position.sharesSold} 份`);
+            console.log(`   ├─ 账户: ${position.accountId}`);
             console.log(`   └─ 创建时间: ${new Date().toLocaleString()}`);
             
             // 打印LP做市策略说明
@@ -557,17 +673,12 @@ export class LPMakingStrategy extends BaseStrategy {
             console.log(`   ├─ 等待价格达到止盈目标`);
             console.log(`   └─ 动态调整订单价格以优化收益`);
             
-            if (limitOrderData.signature) {
-                console.log(`🔐 限价订单签名: ${limitOrderData.signature.substring(0, 20)}...`);
-            }
-            
             // 记录限价订单
             this.limitOrders.set(orderId, {
-                positionId: position.marketId,
+                positionId: positionId,
                 market: market,
                 price: limitPrice,
                 targetProfitPrice: targetProfitPrice,
-                orderData: limitOrderData,
                 createTime: Date.now(),
                 lastAdjustTime: Date.now(),
                 adjustmentCount: 0,
@@ -584,6 +695,127 @@ export class LPMakingStrategy extends BaseStrategy {
         }
     }
     
+    /**
+     * 提交仓位剩余份额的卖出限价单
+     * @param {Object} position - 仓位
+     * @param {string} positionId - 仓位ID
+     * @param {number} limitPrice - 限价（YES 计价）
+     * @param {Object} options
+     * @param {boolean} options.postOnly - 只挂单，止盈时需要吃单成交
+     * @returns {string} 交易所订单ID
+     */
+    async submitLimitOrder(position, positionId, limitPrice, { postOnly }) {
+        const apiClient = this.getApiClient(position.accountId);
+        if (!apiClient) {
+            throw new Error(`仓位账户不可用: ${position.accountId}`);
+        }
+        
+        const quantity = position.shares - position.sharesSold;
+        if (quantity <= 0) {
+            throw new Error(`仓位没有可卖出的份额: ${positionId}`);
+        }
+        
+        const response = await apiClient.placeLimitOrder({
+            tokenId: position.tokenId,
+            price: this.toOutcomePrice(position.opportunity.side, limitPrice),
+            quantity,
+            side: OrderSide.SELL,
+            orderType: OrderType.GTC,
+            postOnly,
+            marketSlug: position.market.slug,
+            market: position.market,
+            metadata: { strategy: this.strategyType, positionId, role: OrderRole.EXIT },
+            confirmRealOrder: true
+        });
+        
+        const orderId = response.data?.order?.id ?? response.data?.id;
+        if (!orderId) {
+            throw new Error('下单响应中没有订单ID');
+        }
+        return String(orderId);
+    }
+    
+    /**
+     * 撤销限价单并等待订单跟踪确认最终成交
+     * 终态事件会把撤销前的成交计入仓位并清理挂单记录，全部卖出时仓位结束
+     * 超时未确认时仓位进入 awaiting_fills，等终态事件到达后再重新挂单，避免按过期的份额下单
+     * @returns {boolean} 旧订单已结束且成交已计入仓位
+     */
+    async cancelLimitOrder(orderId, position) {
+        const limitOrder = this.limitOrders.get(orderId);
+        const apiClient = this.getApiClient(position.accountId);
+        if (limitOrder) {
+            limitOrder.cancelling = true;
+        }
+        
+        const cancelled = apiClient ? await apiClient.cancelOrder(orderId) : false;
+        if (!cancelled) {
+            if (limitOrder) {
+                limitOrder.cancelling = false;
+            }
+            return false;
+        }
+        
+        // 订单没有被跟踪时无法确认成交，按撤单成功处理
+        const tracker = globals.orderTracker;
+        const tracked = !!tracker?.getOrder(orderId);
+        if (tracked && await tracker.waitForClose(orderId)) {
+            return true;
+        }
+        
+        this.limitOrders.delete(orderId);
+        if (position.limitOrderId === orderId) {
+            position.limitOrderId = null;
+            position.status = tracked ? 'awaiting_fills' : 'purchased';
+        }
+        if (tracked) {
+            console.warn(`⚠️ 已撤销限价单但尚未确认最终成交 (${orderId})，确认后重新挂单`);
+        }
+        return !tracked;
+    }
+    
+    /**
+     * 撤销限价单并按新价格重新挂单
+     * 新订单按旧订单结束后的剩余份额下单
+     * @returns {string|null} 新订单ID，撤单失败、成交未确认或已全部卖出时为 null
+     */
+    async replaceLimitOrder(orderId, newPrice, { postOnly }) {
+        const limitOrder = this.limitOrders.get(orderId);
+        const position = limitOrder && this.activePositions.get(limitOrder.positionId);
+        if (!position) {
+            return null;
+        }
+        
+        if (!(await this.cancelLimitOrder(orderId, position))) {
+            if (this.limitOrders.has(orderId)) {
+                console.warn(`⚠️ 撤销限价单失败，保留原订单 (${orderId})`);
+            }
+            return null;
+        }
+        
+        // 撤销前已全部成交，仓位已结束
+        if (!this.activePositions.has(limitOrder.positionId)) {
+            return null;
+        }
+        
+        this.limitOrders.delete(orderId);
+        position.limitOrderId = null;
+        position.status = 'purchased';
+        
+        const newOrderId = await this.submitLimitOrder(position, limitOrder.positionId, newPrice, { postOnly });
+        this.limitOrders.set(newOrderId, {
+            ...limitOrder,
+            cancelling: false,
+            price: newPrice,
+            lastAdjustTime: Date.now(),
+            adjustmentCount: limitOrder.adjustmentCount + 1
+        });
+        position.limitOrderId = newOrderId;
+        position.status = 'lp_making';
+        
+        return newOrderId;
+    }
+    
     /**
      * 计算限价订单价格
      */
@@ -614,7 +846,8 @@ export class LPMakingStrategy extends BaseStrategy {
         
         let adjustedCount = 0;
         
-        for (const [orderId, limitOrder] of this.limitOrders.entries()) {
+        // 调整时会撤单重挂，遍历快照
+        for (const [orderId, limitOrder] of [...this.limitOrders.entries()]) {
             try {
                 const adjusted = await this.adjustSingleLimitOrder(orderId, limitOrder);
                 if (adjusted) {
@@ -697,16 +930,14 @@ export class LPMakingStrategy extends BaseStrategy {
         console.log(`   ├─ 调整次数: ${limitOrder.adjustmentCount + 1}`);
         console.log(`   └─ 状态: 止盈执行中`);
         
-        // 更新订单价格
-        limitOrder.price = currentOpportunity.price;
-        limitOrder.lastAdjustTime = Date.now();
-        limitOrder.adjustmentCount++;
-        limitOrder.status = 'profit_taking';
-        
-        this.strategyStats.profitTaken++;
+        // 按当前价格重新挂单（吃单成交），止盈在订单成交后计入
+        const newOrderId = await this.replaceLimitOrder(orderId, currentOpportunity.price, { postOnly: false });
+        if (!newOrderId) return;
+        this.limitOrders.get(newOrderId).status = 'profit_taking';
         
         this.emit('orderAdjustedForProfit', {
             orderId,
+            newOrderId,
             newPrice: currentOpportunity.price,
             targetProfitPrice: limitOrder.targetProfitPrice,
             timestamp: Date.now()
@@ -741,13 +972,13 @@ export class LPMakingStrategy extends BaseStrategy {
         console.log(`   ├─ 调整次数: ${limitOrder.adjustmentCount + 1}`);
         console.log(`   └─ 目的: 优化LP奖励获取`);
         
-        // 更新订单价格
-        limitOrder.price = newPrice;
-        limitOrder.lastAdjustTime = Date.now();
-        limitOrder.adjustmentCount++;
+        // 撤单后按新价格重新挂单
+        const newOrderId = await this.replaceLimitOrder(orderId, newPrice, { postOnly: true });
+        if (!newOrderId) return false;
         
         this.emit('orderAdjustedForReward', {
             orderId,
+            newOrderId,
             oldPrice: limitOrder.price,
             newPrice: newPrice,
             timestamp: Date.now()
@@ -768,11 +999,24 @@ export class LPMakingStrategy extends BaseStrategy {
         const now = Date.now();
         let cleanedCount = 0;
         
-        for (const [orderId, limitOrder] of this.limitOrders.entries()) {
+        for (const [orderId, limitOrder] of [...this.limitOrders.entries()]) {
             const orderAge = now - limitOrder.createTime;
             if (orderAge > this.config.maxOrderAge) {
                 console.log(`🗑️ 清理过期订单: ${orderId} (年龄: ${Math.round(orderAge / 60000)} 分钟)`);
+                const position = this.activePositions.get(limitOrder.positionId);
+                if (!position) {
+                    this.limitOrders.delete(orderId);
+                    cleanedCount++;
+                    continue;
+                }
+                if (!(await this.cancelLimitOrder(orderId, position))) {
+                    continue;
+                }
                 this.limitOrders.delete(orderId);
+                if (position.limitOrderId === orderId) {
+                    position.limitOrderId = null;
+                    position.status = 'purchased';
+                }
                 cleanedCount++;
             }
         }
@@ -780,6 +1024,13 @@ export class LPMakingStrategy extends BaseStrategy {
         if (cleanedCount > 0) {
             console.log(`🧹 清理了 ${cleanedCount} 个过期订单`);
         }
+        
+        // 已成交但没有挂单的仓位（订单被撤销、过期或超龄清理）重新挂单
+        for (const [positionId, position] of this.activePositions.entries()) {
+            if (position.status === 'purchased' && !position.limitOrderId) {
+                await this.startLPMaking(positionId);
+            }
+        }
     }
     
     /**
@@ -799,7 +1050,8 @@ export class LPMakingStrategy extends BaseStrategy {
                 side: pos.opportunity.side,
                 price: pos.opportunity.price.toFixed(4),
                 investment: pos.investment,
-                targetProfitPrice: pos.targetProfitPrice.toFixed(4),
+                targetProfitPrice: pos.targetProfitPrice?.toFixed(4) ?? 'N/A',
+                shares: pos.shares - pos.sharesSold,
                 status: pos.status,
                 lpDuration: pos.lpStartTime ? Math.round((Date.now() - pos.lpStartTime) / 60000) : 0
             })),
@@ -0,0 +1,55 @@
+/**
+ * 均值回归策略
+ * 最新 YES 成交价偏离均线超过阈值时反向开仓，等待价格回到均线附近：
+ * 高于均线买入 NO，低于均线买入 YES
+ */
+
+import { TrendStrategy } from './trend-strategy.js';
+import { StrategyType } from './strategy-types.js';
+import { meanReversionConfig } from '../config/strategy-config.js';
+import { Outcome } from '../core/market.js';
+
+export class MeanReversionStrategy extends TrendStrategy {
+    constructor(config = {}) {
+        super('均值回归策略', config);
+
+        this.strategyType = StrategyType.MEAN_REVERSION;
+    }
+
+    /**
+     * 获取默认配置 - 从环境变量加载
+     */
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            ...meanReversionConfig
+        };
+    }
+
+    /**
+     * 最新成交价相对 maWindow 均线的偏离
+     */
+    evaluateSignal(market, series, now) {
+        const { maWindow, entryDeviation, minTrades } = this.config;
+
+        if (series.since(now - maWindow).length < minTrades) {
+            return null;
+        }
+
+        const average = series.movingAverage(maWindow, now);
+        const latest = series.latest.price;
+        const deviation = latest - average;
+        if (Math.abs(deviation) < entryDeviation) {
+            return null;
+        }
+
+        const outcome = deviation > 0 ? Outcome.NO : Outcome.YES;
+        return {
+            outcome,
+            reason: `YES 价格 ${latest.toFixed(4)} 偏离 ${maWindow / 60000} 分钟均线 ${average.toFixed(4)} (${deviation > 0 ? '+' : ''}${deviation.toFixed(4)})，买入 ${outcome}`,
+            details: { average, latest, deviation }
+        };
+    }
+}
+
+export default MeanReversionStrategy;
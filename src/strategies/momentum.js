@@ -0,0 +1,63 @@
+/**
+ * 动量策略
+ * 最近一段时间内 YES 成交价变动超过阈值，且最近几笔成交都保持在变动后的价位时，顺势买入：
+ * 上涨买入 YES，下跌买入 NO
+ */
+
+import { TrendStrategy } from './trend-strategy.js';
+import { StrategyType } from './strategy-types.js';
+import { momentumConfig } from '../config/strategy-config.js';
+import { Outcome } from '../core/market.js';
+
+export class MomentumStrategy extends TrendStrategy {
+    constructor(config = {}) {
+        super('动量策略', config);
+
+        this.strategyType = StrategyType.MOMENTUM;
+    }
+
+    /**
+     * 获取默认配置 - 从环境变量加载
+     */
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            ...momentumConfig
+        };
+    }
+
+    /**
+     * 确认的价格变动
+     * 以 lookback 之前的最后一笔成交为基准价，序列没有覆盖到基准时间时不判断
+     */
+    evaluateSignal(market, series, now) {
+        const { lookback, minMove, minTrades, confirmTrades } = this.config;
+
+        const base = series.priceAt(now - lookback);
+        const recent = series.since(now - lookback);
+        if (base === null || recent.length < minTrades) {
+            return null;
+        }
+
+        const latest = series.latest.price;
+        const move = latest - base;
+        if (Math.abs(move) < minMove) {
+            return null;
+        }
+
+        // 最近几笔成交都在 基准价 ± minMove 之外，排除单笔成交造成的价格跳动
+        const direction = Math.sign(move);
+        const confirmed = recent.slice(-confirmTrades).every(point => (point.price - base) * direction >= minMove);
+        if (!confirmed) {
+            return null;
+        }
+
+        return {
+            outcome: direction > 0 ? Outcome.YES : Outcome.NO,
+            reason: `${lookback / 60000} 分钟内 YES 价格 ${base.toFixed(4)} → ${latest.toFixed(4)} (${move > 0 ? '+' : ''}${move.toFixed(4)})，最近 ${confirmTrades} 笔成交确认，买入 ${direction > 0 ? 'YES' : 'NO'}`,
+            details: { base, latest, move, trades: recent.length }
+        };
+    }
+}
+
+export default MomentumStrategy;
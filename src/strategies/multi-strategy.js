@@ -0,0 +1,208 @@
+/**
+ * 组合策略
+ * 在同一组账户上运行多个子策略，按预算和优先级分配 USDC：
+ *   - 子策略下单前向资金分配器申请资金，超出预算、总资金不足或与其他子策略方向冲突时放弃下单
+ *   - 同一市场同一时间只允许一个方向，优先级不低于自己的子策略持有相反结果时拒绝，优先级更高的子策略胜出
+ *   - 优先级高的子策略先启动，设置总资金时优先占用
+ * 子策略的执行仍由各自的定时器驱动，组合策略负责生命周期、资金和汇总统计
+ */
+
+import { BaseStrategy, StrategyState } from './base-strategy.js';
+import { StrategyType } from './strategy-types.js';
+import { multiStrategyConfig } from '../config/strategy-config.js';
+import { CapitalAllocator } from '../core/capital-allocator.js';
+import HourlyArbitrageStrategy from './hourly-arbitrage.js';
+import LPMakingStrategy from './lp-making.js';
+import MomentumStrategy from './momentum.js';
+import MeanReversionStrategy from './mean-reversion.js';
+import VolumeSpikeStrategy from './volume-spike.js';
+
+// 可以作为子策略的策略（下单前会申请资金）
+const CHILD_STRATEGIES = {
+    [StrategyType.HOURLY_ARBITRAGE]: HourlyArbitrageStrategy,
+    [StrategyType.LP_MAKING]: LPMakingStrategy,
+    [StrategyType.MOMENTUM]: MomentumStrategy,
+    [StrategyType.MEAN_REVERSION]: MeanReversionStrategy,
+    [StrategyType.VOLUME_SPIKE]: VolumeSpikeStrategy
+};
+
+export class MultiStrategy extends BaseStrategy {
+    /**
+     * @param {Object} config - 覆盖默认配置；config.children 为 [{ type, budget, priority }]
+     */
+    constructor(config = {}) {
+        super('组合策略', config);
+
+        this.strategyType = StrategyType.MULTI_STRATEGY;
+
+        this.allocator = new CapitalAllocator({ totalCapital: this.config.totalCapital });
+        this.children = []; // [{ strategy, budget, priority }]，按优先级从高到低
+    }
+
+    /**
+     * 获取默认配置 - 从环境变量加载
+     */
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            ...multiStrategyConfig
+        };
+    }
+
+    /**
+     * 创建并初始化子策略
+     */
+    async onInitialize() {
+        console.log(`🔧 初始化 ${this.name}...`);
+
+        const allocations = [...this.config.children].sort((a, b) => b.priority - a.priority);
+        for (const { type, budget, priority } of allocations) {
+            const ChildStrategy = CHILD_STRATEGIES[type];
+            if (!ChildStrategy) {
+                throw new Error(`不支持的子策略: ${type}`);
+            }
+
+            // 子策略是否运行由组合策略决定
+            const strategy = new ChildStrategy({ enabled: true });
+            strategy.setCapitalAllocator(this.allocator);
+            this.allocator.register(strategy.strategyType, { budget, priority });
+
+            // 子策略已经打印过错误，这里只转发给策略管理器
+            strategy.on('error', ({ message, error }) => {
+                this.emit('error', { message: `${strategy.name} ${message}`, error });
+            });
+
+            await strategy.initialize();
+            this.children.push({ strategy, budget, priority });
+
+            console.log(`   ├─ ${strategy.name}: 预算 ${budget} USDC，优先级 ${priority}`);
+        }
+
+        console.log(`✅ ${this.name} 初始化完成，共 ${this.children.length} 个子策略`);
+    }
+
+    /**
+     * 按优先级启动子策略，单个子策略启动失败不影响其他子策略
+     */
+    async onStart() {
+        console.log(`🚀 启动 ${this.name}...`);
+        console.log(`   总资金: ${this.config.totalCapital > 0 ? `${this.config.totalCapital} USDC` : '不限制'}`);
+
+        for (const { strategy } of this.children) {
+            try {
+                await strategy.start();
+            } catch (error) {
+                console.error(`❌ 子策略 ${strategy.name} 启动失败: ${error.message}`);
+            }
+        }
+
+        await this.execute();
+
+        this.setTimer('capitalCheck', () => {
+            this.execute().catch(error => {
+                this.handleError('资金检查失败', error);
+            });
+        }, this.config.executionInterval);
+    }
+
+    /**
+     * 停止全部子策略
+     */
+    async onStop() {
+        console.log(`🛑 停止 ${this.name}...`);
+
+        for (const { strategy } of this.children) {
+            try {
+                await strategy.stop();
+            } catch (error) {
+                console.error(`❌ 子策略 ${strategy.name} 停止失败: ${error.message}`);
+            }
+        }
+    }
+
+    async onPause() {
+        for (const { strategy } of this.children) {
+            await strategy.pause();
+        }
+    }
+
+    async onResume() {
+        for (const { strategy } of this.children) {
+            await strategy.resume();
+        }
+    }
+
+    /**
+     * 执行策略逻辑：释放已到期市场占用的资金
+     */
+    async onExecute() {
+        const released = this.allocator.releaseExpired();
+        if (released > 0) {
+            console.log(`💵 [${this.name}] 释放 ${released} 笔到期市场占用的资金`);
+        }
+
+        const capital = this.allocator.getStats();
+        return {
+            action: 'capital_checked',
+            released,
+            committed: capital.committed
+        };
+    }
+
+    /**
+     * 子策略的 strategyStats 中同名的数值字段相加
+     */
+    getCombinedStats() {
+        const combined = {
+            executionCount: 0,
+            successCount: 0,
+            errorCount: 0,
+            runningChildren: 0
+        };
+        const strategyStats = {};
+
+        for (const { strategy } of this.children) {
+            combined.executionCount += strategy.stats.executionCount;
+            combined.successCount += strategy.stats.successCount;
+            combined.errorCount += strategy.stats.errorCount;
+            if (strategy.state === StrategyState.RUNNING) {
+                combined.runningChildren++;
+            }
+
+            for (const [key, value] of Object.entries(strategy.strategyStats || {})) {
+                if (typeof value === 'number') {
+                    strategyStats[key] = (strategyStats[key] || 0) + value;
+                }
+            }
+        }
+
+        return { ...combined, strategyStats };
+    }
+
+    /**
+     * 获取策略状态
+     */
+    getStatus() {
+        const baseStatus = super.getStatus();
+        const capital = this.allocator.getStats();
+
+        return {
+            ...baseStatus,
+            strategyType: this.strategyType,
+            capital,
+            combinedStats: this.getCombinedStats(),
+            children: this.children.map(({ strategy, budget, priority }) => ({
+                name: strategy.name,
+                strategyType: strategy.strategyType,
+                state: strategy.state,
+                budget,
+                priority,
+                committed: capital.members[strategy.strategyType]?.committed ?? 0,
+                stats: { ...strategy.stats },
+                strategyStats: { ...strategy.strategyStats }
+            }))
+        };
+    }
+}
+
+export default MultiStrategy;
@@ -172,18 +172,21 @@ export class NewMarketStrategy extends BaseStrategy {
             }
             
             // 检查市场状态
-            if (market.expired) {
+            if (market.isExpired(now)) {
                 return false;
             }
             
             // 检查到期时间
-            const timeToExpiry = new Date(market.endDate).getTime() - now;
+            const timeToExpiry = market.getTimeToExpiry(now);
             if (timeToExpiry < this.config.minTimeToExpiry) {
                 return false;
             }
             
-            // 检查市场年龄（创建时间）
-            const marketAge = now - new Date(market.createdAt || market.startDate).getTime();
+            // 检查市场年龄（创建时间），没有创建时间的市场无法判断是否为新市场
+            if (!market.createdAt) {
+                return false;
+            }
+            const marketAge = now - new Date(market.createdAt).getTime();
             if (marketAge > this.config.maxMarketAge) {
                 return false;
             }
@@ -197,12 +200,12 @@ export class NewMarketStrategy extends BaseStrategy {
      */
     evaluateNewMarket(market) {
         // 检查基础条件
-        if (market.expired) {
+        if (market.isExpired()) {
             return null;
         }
 
         // 检查到期时间
-        const timeToExpiry = new Date(market.endDate) - new Date();
+        const timeToExpiry = market.getTimeToExpiry();
         if (timeToExpiry < this.config.minTimeToExpiry) {
             return null;
         }
@@ -247,7 +250,7 @@ export class NewMarketStrategy extends BaseStrategy {
         score += balanceScore;
 
         // 市场新鲜度评分
-        const marketAge = Date.now() - new Date(market.createdAt || market.startDate).getTime();
+        const marketAge = Date.now() - new Date(market.createdAt).getTime();
         const freshnessScore = Math.max(0, 10 - (marketAge / this.config.maxMarketAge) * 10);
         score += freshnessScore;
 
@@ -339,7 +342,7 @@ export class NewMarketStrategy extends BaseStrategy {
         console.log(`✅ 选择新市场进行Split:`);
         console.log(`   市场: ${best.market.title.substring(0, 60)}...`);
         console.log(`   评分: ${best.score.toFixed(1)}/100`);
-        console.log(`   创建时间: ${new Date(best.market.createdAt || best.market.startDate).toLocaleString()}`);
+        console.log(`   创建时间: ${new Date(best.market.createdAt).toLocaleString()}`);
         console.log(`   到期时间: ${new Date(best.market.endDate).toLocaleString()}`);
         
         return best;
@@ -9,6 +9,7 @@ import { BaseStrategy } from './base-strategy.js';
 import { StrategyType } from './strategy-types.js';
 import { priceArbitrageConfig } from '../config/strategy-config.js';
 import { globals } from '../coordinators/globals.js';
+import { parseMarketTerms } from '../core/market-parser.js';
 
 
 export class PriceArbitrageStrategy extends BaseStrategy {
@@ -99,12 +100,13 @@ export class PriceArbitrageStrategy extends BaseStrategy {
 
         // 检查每个市场
         for (const market of hourlyMarkets) {
-            const feedPrices = market.feedPrices
+            // 按套利金额估算可成交价格，订单簿市场考虑深度
+            const executablePrices = this.getExecutablePrices(market, this.config.arbitrageAmount);
             let opportunity = {};
 
             try {
                 // 检查是否为 hourly 市场
-                if (!this.isHourlyMarket(market)) {
+                if (!parseMarketTerms(market).isHourly) {
                     continue;
                 }
 
@@ -129,13 +131,13 @@ export class PriceArbitrageStrategy extends BaseStrategy {
                         await this.preExecuteArbitrageTrade(market, this.config.maxConcurrentPositions - candidateCount);
                     }
 
-                    if (!feedPrices) continue;
+                    if (!executablePrices || executablePrices.YES === null || executablePrices.NO === null) continue;
 
-                    if (feedPrices.YES >= 0.6) {
-                        opportunity.pricePerToken = feedPrices.NO;
+                    if (executablePrices.YES >= 0.6) {
+                        opportunity.pricePerToken = executablePrices.NO;
                         opportunity.outcomeIndex = 1;
-                    } else if (feedPrices.NO > 0.6) {
-                        opportunity.pricePerToken = feedPrices.YES;
+                    } else if (executablePrices.NO > 0.6) {
+                        opportunity.pricePerToken = executablePrices.YES;
                         opportunity.outcomeIndex = 0;
                     }
 
@@ -147,19 +149,19 @@ export class PriceArbitrageStrategy extends BaseStrategy {
                     continue;
                 }
 
-                if (!feedPrices) continue;
+                if (!executablePrices || executablePrices.YES === null || executablePrices.NO === null) continue;
 
-                if (feedPrices.YES >= 0.6) {
-                    opportunity.pricePerToken = feedPrices.NO;
+                if (executablePrices.YES >= 0.6) {
+                    opportunity.pricePerToken = executablePrices.NO;
                     opportunity.outcomeIndex = 1;
-                } else if (feedPrices.NO > 0.6) {
-                    opportunity.pricePerToken = feedPrices.YES;
+                } else if (executablePrices.NO > 0.6) {
+                    opportunity.pricePerToken = executablePrices.YES;
                     opportunity.outcomeIndex = 0;
-                } else if (feedPrices.NO > feedPrices.YES) {
-                    opportunity.pricePerToken = feedPrices.NO;
+                } else if (executablePrices.NO > executablePrices.YES) {
+                    opportunity.pricePerToken = executablePrices.NO;
                     opportunity.outcomeIndex = 1;
                 } else {
-                    opportunity.pricePerToken = feedPrices.YES;
+                    opportunity.pricePerToken = executablePrices.YES;
                     opportunity.outcomeIndex = 0;
                 }
 
@@ -187,13 +189,8 @@ export class PriceArbitrageStrategy extends BaseStrategy {
     filterHourlyMarkets(markets) {
         return markets.filter(market => {
             // 只做基础筛选，hourly 检查移到评估阶段
-            const isActive = !market.expired;
-            
-            // 基础时间检查 - 确保市场还没结束
-            const timeToExpiry = new Date(market.endDate) - new Date();
-            const hasTimeLeft = timeToExpiry > 0;
-
-            return isActive && hasTimeLeft;
+            // 通过合约地址下单，只处理 AMM 市场
+            return market.isAmm && !market.isExpired();
         });
     }
 
@@ -201,30 +198,7 @@ export class PriceArbitrageStrategy extends BaseStrategy {
      * 生成市场周期ID
      */
     getMarketCycleId(market) {
-        const endTime = new Date(market.endDate);
-        return `${market.conditionId}_${endTime.getTime()}`;
-    }
-
-    /**
-     * 检查是否为 hourly 市场
-     */
-    isHourlyMarket(market) {
-        // 检查标签
-        const hasHourlyTag = market.tags && 
-            market.tags.some(tag => tag.toLowerCase().includes('hourly'));
-        
-        // 检查结束时间是否在整点
-        const endTime = new Date(market.endDate);
-        const isHourlyPattern = endTime.getMinutes() === 0;
-        
-        // 检查标题是否包含 hourly 相关词汇
-        const title = market.title?.toLowerCase() || '';
-        const hasHourlyInTitle = title.includes('hourly') || 
-                                title.includes('hour') ||
-                                title.includes('每小时') ||
-                                title.includes('小时');
-
-        return hasHourlyTag || (isHourlyPattern && hasHourlyInTitle);
+        return `${market.conditionId}_${market.expirationTimestamp}`;
     }
 
     /**
@@ -262,9 +236,9 @@ export class PriceArbitrageStrategy extends BaseStrategy {
 
             try {
                 this.markets.get(market.conditionId).candidates.set(account.id, account.apiClient);
-                const approveTx = await account.apiClient.approve(market.address, this.config.arbitrageAmount * 1000000);
-                await approveTx.wait()
-                await apiClient.setApproval(market.address)
+                // 已有足够授权时不发送交易；交易管理器按账户排队发送，返回时已确认
+                await account.apiClient.ensureUsdcAllowance(market.address, this.config.arbitrageAmount * 1000000);
+                await account.apiClient.ensureConditionalTokenApproval(market.address);
                 choosenCount += 1;
             } catch (error)  {
                 this.markets.get(market.conditionId).candidates.delete(account.id);
@@ -291,6 +265,21 @@ export class PriceArbitrageStrategy extends BaseStrategy {
             }
 
             const candidateArray = Array.from(candidates.entries());
+
+            // 各账户并发买入同一个池子，按合计金额的价格冲击缩小每个账户的下单金额
+            const maxInvestment = BigInt(Math.floor(this.config.arbitrageAmount * 1000000));
+            const [, quoteClient] = candidateArray[0];
+            const totalInvestment = await quoteClient.getAmmQuoteEngine().sizeBuy(
+                market.address,
+                outcomeIndex,
+                maxInvestment * BigInt(candidateArray.length),
+                this.config.maxPriceImpact
+            );
+            const investmentAmount = totalInvestment / BigInt(candidateArray.length);
+            if (investmentAmount === 0n) {
+                console.warn(`⚠️ 池子深度不足，价格冲击 ${this.config.maxPriceImpact * 100}% 内无法买入`);
+                return false;
+            }
             candidates.clear(); // 清空，防止重复处理
 
             // 2. 记录失败账户
@@ -300,15 +289,14 @@ export class PriceArbitrageStrategy extends BaseStrategy {
             const promises = candidateArray.map(([accountId, apiClient]) =>
                 (async () => {
                     try {
-                        const tx = await apiClient.placeHourlyOrder({
+                        await apiClient.placeHourlyOrder({
                             contractAddress: market.address,
-                            investmentAmount: this.config.arbitrageAmount * 1000000,
-                            pricePerToken,
+                            investmentAmount,
                             outcomeIndex,
                             slippage,
+                            maxPricePerToken: pricePerToken * (1 + slippage),
                             confirmRealOrder: true,
                         });
-                        await tx.wait();
                         // 成功什么都不做
                     } catch (error) {
                         // 失败记录
@@ -348,18 +336,29 @@ export class PriceArbitrageStrategy extends BaseStrategy {
 
         const contractAddress = position.market.id
         const outcomeIndex = position.outcomeIndex
-        const outcomeTokenAmount = position.outcomeTokenAmount
-        const totalBuysCost = position.totalBuysCost
-        const returnAmount = Number(totalBuysCost) * 1.2 * 1000000
-        const maxOutcomeTokensToSell = Math.floor((Number(outcomeTokenAmount) * 1000000)).toString()
+        const outcomeTokenAmount = BigInt(Math.floor(Number(position.outcomeTokenAmount) * 1000000))
+        const totalBuysCost = Number(position.totalBuysCost)
 
         try {
+            // 按池子报价卖出全部份额能取回的金额，达到目标利润才卖
+            const quote = await account.apiClient.getAmmQuoteEngine().quoteSellAll(
+                contractAddress,
+                outcomeTokenAmount,
+                outcomeIndex,
+                { slippage: this.config.slippage }
+            );
+            const targetReturn = totalBuysCost * (1 + this.config.profit) * 1000000;
+            if (Number(quote.returnAmount) < targetReturn) {
+                return;
+            }
+
+            console.log(`💸 [${account.id}] 卖出 ${contractAddress}: 回款 ${Number(quote.returnAmount) / 1000000} USDC，成本 ${totalBuysCost} USDC`);
             await account.apiClient.sellByContract({
                 contractAddress,
                 confirmRealOrder: true,
-                returnAmount,
+                returnAmount: quote.returnAmount,
                 outcomeIndex,
-                maxOutcomeTokensToSell,
+                maxOutcomeTokensToSell: quote.maxOutcomeTokensToSell,
             });
         } catch (error) {
             console.error(error);
@@ -372,6 +371,7 @@ export class PriceArbitrageStrategy extends BaseStrategy {
             const targets = positions.filter(target => 
                 target.position.market.conditionId == marketConditionId &&
                 !target.position.market.closed &&
+                !target.discrepancy && // API 持仓与链上不一致时先不卖，等待对账
                 Number(target.position.totalSellsCost) == 0
             );
 
@@ -0,0 +1,539 @@
+/**
+ * 价差做市策略
+ * 在订单簿市场围绕中间价双边挂单，赚取买卖价差：
+ *   买价 = 中间价 - 宽度/2，卖价 = 中间价 + 宽度/2（YES 计价）
+ * 中间价偏离超过阈值时撤单重挂，净库存达到上限时停止增加库存一侧的报价，临近到期撤销全部报价
+ * 其他策略可以通过 guardMarket 临时加宽或撤下某个市场的报价（如成交量异动时）
+ */
+
+import { BaseStrategy } from './base-strategy.js';
+import { StrategyType } from './strategy-types.js';
+import { spreadMakingConfig } from '../config/strategy-config.js';
+import { globals } from '../coordinators/globals.js';
+import { OrderSide, OrderType } from '../core/order-builder.js';
+import { Outcome } from '../core/market.js';
+
+// 报价方向（YES 计价）
+const QuoteSide = {
+    BID: 'bid', // 买入 YES，或卖出持有的 NO
+    ASK: 'ask'  // 卖出持有的 YES，或买入 NO
+};
+
+// 临时保护报价的方式
+export const QuoteGuardAction = {
+    WIDEN: 'widen', // 加宽报价
+    PULL: 'pull'    // 撤下报价，保护期内不挂单
+};
+
+// 报价价格的上下限
+const MIN_QUOTE_PRICE = 0.01;
+const MAX_QUOTE_PRICE = 0.99;
+
+export class SpreadMakingStrategy extends BaseStrategy {
+    constructor(config = {}) {
+        super('价差做市策略', config);
+
+        this.strategyType = StrategyType.SPREAD_MAKING;
+
+        // 报价中的市场: slug -> { market, accountId, quotedMid, quotedWidth, quotes: { bid, ask }, inventory: { YES, NO } }
+        this.books = new Map();
+
+        // 临时保护: slug -> { action, widenBy, until, reason }
+        this.guards = new Map();
+
+        // 策略特定统计
+        this.strategyStats = {
+            marketsQuoted: 0,
+            quotesPlaced: 0,
+            requotes: 0,
+            fills: 0,
+            sharesBought: 0,
+            sharesSold: 0,
+            inventorySkips: 0,
+            expiryCancels: 0,
+            guards: 0
+        };
+    }
+
+    /**
+     * 获取默认配置 - 从环境变量加载
+     */
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            ...spreadMakingConfig
+        };
+    }
+
+    /**
+     * 初始化策略
+     */
+    async onInitialize() {
+        console.log(`🔧 初始化 ${this.name}...`);
+        console.log(`✅ ${this.name} 初始化完成`);
+    }
+
+    /**
+     * 启动策略
+     */
+    async onStart() {
+        console.log(`🚀 启动 ${this.name}...`);
+        console.log(`   每侧份额: ${this.config.quoteSize}`);
+        console.log(`   报价宽度: ${this.config.spreadWidth}`);
+        console.log(`   重新报价阈值: ${this.config.requoteThreshold}`);
+        console.log(`   库存上限: ${this.config.maxInventory} 份`);
+        console.log(`   最大市场数: ${this.config.maxMarkets}`);
+
+        // 库存只在订单跟踪器确认成交后更新
+        this.subscribeOrderEvents();
+
+        await this.execute();
+
+        this.setTimer('marketSelection', () => {
+            this.execute().catch(error => {
+                this.handleError('选择做市市场失败', error);
+            });
+        }, this.config.executionInterval);
+
+        this.setTimer('requote', () => {
+            this.refreshQuotes().catch(error => {
+                this.handleError('更新报价失败', error);
+            });
+        }, this.config.requoteInterval);
+    }
+
+    /**
+     * 停止策略，撤销全部报价
+     */
+    async onStop() {
+        console.log(`🛑 停止 ${this.name}...`);
+
+        for (const book of [...this.books.values()]) {
+            await this.cancelQuotes(book);
+        }
+
+        this.unsubscribeOrderEvents();
+        this.books.clear();
+        this.guards.clear();
+    }
+
+    /**
+     * 执行策略逻辑：补足报价市场
+     */
+    async onExecute() {
+        const available = this.config.maxMarkets - this.books.size;
+        if (available <= 0) {
+            return { action: 'skipped', reason: 'max_markets_reached', markets: this.books.size };
+        }
+
+        const candidates = this.findQuotableMarkets().slice(0, available);
+        if (candidates.length === 0) {
+            return { action: 'no_opportunity', markets: this.books.size };
+        }
+
+        const opened = [];
+        for (const market of candidates) {
+            const account = this.selectAccount();
+            if (!account) {
+                throw new Error('没有执行价差做市策略的账户');
+            }
+
+            const book = {
+                market,
+                accountId: account.id,
+                quotedMid: null,
+                quotedWidth: null,
+                quotes: { [QuoteSide.BID]: null, [QuoteSide.ASK]: null },
+                inventory: { [Outcome.YES]: 0, [Outcome.NO]: 0 },
+                startTime: Date.now(),
+                updating: false
+            };
+            this.books.set(market.slug, book);
+            this.strategyStats.marketsQuoted++;
+
+            console.log(`📏 开始价差做市: ${market.title.substring(0, 50)}...`);
+            console.log(`   ├─ 市场: ${market.slug}`);
+            console.log(`   ├─ 账户: ${account.id}`);
+            console.log(`   └─ 距到期: ${Math.round(market.getTimeToExpiry() / 60000)} 分钟`);
+
+            await this.updateBook(book, () => this.quoteMarket(book));
+            opened.push(market.slug);
+        }
+
+        return { action: 'markets_opened', markets: opened };
+    }
+
+    /**
+     * 可报价的订单簿市场：未到期、有新鲜的双边订单簿、中间价在配置范围内，按成交量排序
+     */
+    findQuotableMarkets() {
+        return globals.markets
+            .filter(market => market.isClob && !market.isExpired() && !this.books.has(market.slug))
+            .filter(market => market.getTimeToExpiry() > this.config.minTimeToExpiry)
+            .filter(market => {
+                const orderbook = this.getFreshOrderbook(market);
+                if (!orderbook?.isTwoSided()) {
+                    return false;
+                }
+                return orderbook.mid >= this.config.minMidPrice && orderbook.mid <= this.config.maxMidPrice;
+            })
+            .sort((a, b) => (b.volume || 0) - (a.volume || 0));
+    }
+
+    /**
+     * 报价市场最少的执行账户
+     */
+    selectAccount() {
+        const accounts = globals.accounts.filter(account => account.strategies.includes(this.strategyType));
+        if (accounts.length === 0) {
+            return null;
+        }
+
+        const load = (account) => [...this.books.values()].filter(book => book.accountId === account.id).length;
+        return accounts.reduce((best, account) => (load(account) < load(best) ? account : best));
+    }
+
+    getApiClient(accountId) {
+        return globals.accounts.find(account => account.id === accountId)?.apiClient || null;
+    }
+
+    /**
+     * 检查全部报价：临近到期或订单簿不可用时撤单，中间价偏离时重挂，补挂已成交 / 撤销的一侧
+     */
+    async refreshQuotes() {
+        for (const book of [...this.books.values()]) {
+            await this.updateBook(book, () => this.refreshBook(book));
+        }
+    }
+
+    /**
+     * 同一市场的报价更新串行执行，避免选择市场和定时检查同时补挂同一侧
+     */
+    async updateBook(book, update) {
+        if (book.updating) {
+            return;
+        }
+        book.updating = true;
+        try {
+            await update();
+        } finally {
+            book.updating = false;
+        }
+    }
+
+    async refreshBook(book) {
+        const { market } = book;
+
+        if (market.isExpired() || market.getTimeToExpiry() <= this.config.cancelBeforeExpiry) {
+            console.log(`⏰ 临近到期，撤销报价: ${market.slug}`);
+            if (await this.cancelQuotes(book)) {
+                this.books.delete(market.slug);
+                this.strategyStats.expiryCancels++;
+            }
+            return;
+        }
+
+        const orderbook = this.getFreshOrderbook(market);
+        if (!orderbook?.isTwoSided()) {
+            if (this.hasQuotes(book)) {
+                console.warn(`⚠️ 订单簿不可用，撤销报价: ${market.slug}`);
+                await this.cancelQuotes(book);
+            }
+            return;
+        }
+
+        const guard = this.getGuard(market.slug);
+        if (guard?.action === QuoteGuardAction.PULL) {
+            if (this.hasQuotes(book)) {
+                console.log(`🛡️ 保护期内撤下报价: ${market.slug} (${guard.reason})`);
+                await this.cancelQuotes(book);
+            }
+            return;
+        }
+
+        if (this.hasQuotes(book)) {
+            const width = this.getSpreadWidth(market.slug);
+            const moved = Math.abs(orderbook.mid - book.quotedMid) >= this.config.requoteThreshold;
+            if (moved || width !== book.quotedWidth) {
+                console.log(moved
+                    ? `🔄 中间价 ${book.quotedMid.toFixed(4)} → ${orderbook.mid.toFixed(4)}，重新报价: ${market.slug}`
+                    : `🔄 报价宽度 ${book.quotedWidth} → ${width}，重新报价: ${market.slug}`);
+                if (!(await this.cancelQuotes(book))) {
+                    return;
+                }
+                this.strategyStats.requotes++;
+            }
+        }
+
+        await this.quoteMarket(book);
+    }
+
+    hasQuotes(book) {
+        return !!(book.quotes[QuoteSide.BID] || book.quotes[QuoteSide.ASK]);
+    }
+
+    /**
+     * 临时加宽或撤下市场的报价，到期后自动恢复
+     * @param {string} slug - 市场标识
+     * @param {Object} options
+     * @param {string} options.action - QuoteGuardAction
+     * @param {number} options.duration - 保护时长（毫秒）
+     * @param {number} options.widenBy - 加宽时增加的报价宽度
+     * @param {string} options.reason - 日志中显示的原因
+     * @returns {boolean} 是否在报价该市场
+     */
+    async guardMarket(slug, { action, duration, widenBy = 0, reason = '' }) {
+        const book = this.books.get(slug);
+        if (!book) {
+            return false;
+        }
+
+        this.guards.set(slug, { action, widenBy, until: Date.now() + duration, reason });
+        this.strategyStats.guards++;
+
+        const label = action === QuoteGuardAction.PULL ? '撤下报价' : `报价宽度 +${widenBy}`;
+        console.log(`🛡️ ${label} ${Math.round(duration / 60000)} 分钟: ${slug}${reason ? ` (${reason})` : ''}`);
+
+        await this.updateBook(book, () => this.refreshBook(book));
+        return true;
+    }
+
+    /**
+     * 市场当前的保护，已过期的保护会被清除
+     */
+    getGuard(slug) {
+        const guard = this.guards.get(slug);
+        if (guard && guard.until <= Date.now()) {
+            this.guards.delete(slug);
+            console.log(`🛡️ 保护结束，恢复正常报价: ${slug}`);
+            return null;
+        }
+        return guard || null;
+    }
+
+    getSpreadWidth(slug) {
+        const guard = this.getGuard(slug);
+        return guard?.action === QuoteGuardAction.WIDEN ? this.config.spreadWidth + guard.widenBy : this.config.spreadWidth;
+    }
+
+    /**
+     * 正在报价的市场
+     */
+    getQuotedMarkets() {
+        return [...this.books.values()].map(book => book.market);
+    }
+
+    /**
+     * 按当前中间价补挂缺少的报价
+     */
+    async quoteMarket(book) {
+        const orderbook = this.getFreshOrderbook(book.market);
+        if (!orderbook?.isTwoSided() || this.getGuard(book.market.slug)?.action === QuoteGuardAction.PULL) {
+            return;
+        }
+
+        // 还有一侧报价时沿用报价时的中间价和宽度，保证两侧对称
+        const quoted = this.hasQuotes(book);
+        const mid = quoted ? book.quotedMid : orderbook.mid;
+        const width = quoted ? book.quotedWidth : this.getSpreadWidth(book.market.slug);
+        const halfWidth = width / 2;
+        const prices = {
+            [QuoteSide.BID]: clampPrice(mid - halfWidth),
+            [QuoteSide.ASK]: clampPrice(mid + halfWidth)
+        };
+
+        for (const side of [QuoteSide.BID, QuoteSide.ASK]) {
+            if (book.quotes[side]) {
+                continue;
+            }
+            if (!this.canAddInventory(book, side)) {
+                this.strategyStats.inventorySkips++;
+                continue;
+            }
+
+            try {
+                await this.placeQuote(book, side, prices[side], orderbook);
+            } catch (error) {
+                console.error(`❌ 挂单失败 (${book.market.slug} ${side}): ${error.message}`);
+            }
+        }
+
+        book.quotedMid = this.hasQuotes(book) ? mid : null;
+        book.quotedWidth = this.hasQuotes(book) ? width : null;
+    }
+
+    /**
+     * 该侧成交后净库存不超过上限
+     */
+    canAddInventory(book, side) {
+        const net = this.getNetInventory(book);
+        const size = this.config.quoteSize;
+        return side === QuoteSide.BID
+            ? net + size <= this.config.maxInventory
+            : net - size >= -this.config.maxInventory;
+    }
+
+    /**
+     * 净库存（YES 份额 - NO 份额）
+     */
+    getNetInventory(book) {
+        return book.inventory[Outcome.YES] - book.inventory[Outcome.NO];
+    }
+
+    /**
+     * 挂出一侧的报价
+     * 买价优先卖出持有的 NO，卖价优先卖出持有的 YES，没有持仓时买入另一结果
+     * @param {Object} book - 报价市场
+     * @param {string} side - QuoteSide
+     * @param {number} price - YES 计价的报价
+     * @param {OrderBook} orderbook - 当前订单簿，postOnly 检查用
+     */
+    async placeQuote(book, side, price, orderbook) {
+        const { market } = book;
+        const apiClient = this.getApiClient(book.accountId);
+        if (!apiClient) {
+            throw new Error(`账户不可用: ${book.accountId}`);
+        }
+
+        const size = this.config.quoteSize;
+        const order = side === QuoteSide.BID
+            ? (book.inventory[Outcome.NO] >= size
+                ? { outcome: Outcome.NO, orderSide: OrderSide.SELL, price: clampPrice(1 - price) }
+                : { outcome: Outcome.YES, orderSide: OrderSide.BUY, price })
+            : (book.inventory[Outcome.YES] >= size
+                ? { outcome: Outcome.YES, orderSide: OrderSide.SELL, price }
+                : { outcome: Outcome.NO, orderSide: OrderSide.BUY, price: clampPrice(1 - price) });
+        const tokenId = order.outcome === Outcome.YES ? market.yesTokenId : market.noTokenId;
+
+        // 报价在撤单时间点自动过期，即使策略未能及时撤单
+        const expiration = Math.floor((market.expirationTimestamp - this.config.cancelBeforeExpiry) / 1000);
+
+        const response = await apiClient.placeLimitOrder({
+            tokenId,
+            price: order.price,
+            quantity: size,
+            side: order.orderSide,
+            orderType: OrderType.GTD,
+            expiration,
+            postOnly: true,
+            orderbook,
+            marketSlug: market.slug,
+            market,
+            metadata: { strategy: this.strategyType, marketSlug: market.slug, quoteSide: side },
+            confirmRealOrder: true
+        });
+
+        const orderId = response.data?.order?.id ?? response.data?.id;
+        if (!orderId) {
+            throw new Error('下单响应中没有订单ID');
+        }
+
+        book.quotes[side] = { orderId: String(orderId), price, outcome: order.outcome, orderSide: order.orderSide, createTime: Date.now() };
+        this.strategyStats.quotesPlaced++;
+
+        const action = order.orderSide === OrderSide.BUY ? '买入' : '卖出';
+        console.log(`📝 ${side === QuoteSide.BID ? '买价' : '卖价'} ${price.toFixed(4)}: ${action} ${order.outcome} ${size} 份 @ ${order.price.toFixed(4)} (${market.slug}, 订单 ${orderId})`);
+    }
+
+    /**
+     * 撤销市场的全部报价
+     * @returns {boolean} 是否全部撤销成功，失败的报价保留，下次检查时重试
+     */
+    async cancelQuotes(book) {
+        const quotes = Object.entries(book.quotes).filter(([, quote]) => quote);
+        if (quotes.length === 0) {
+            return true;
+        }
+
+        const apiClient = this.getApiClient(book.accountId);
+        if (!apiClient) {
+            console.warn(`⚠️ 账户不可用，无法撤销报价: ${book.accountId}`);
+            return false;
+        }
+
+        const result = await apiClient.cancelOrdersBatch(quotes.map(([, quote]) => quote.orderId));
+        let allCancelled = true;
+        for (const [side, quote] of quotes) {
+            const item = result.results.find(entry => String(entry.orderId) === quote.orderId);
+            if (item?.success) {
+                book.quotes[side] = null;
+            } else {
+                allCancelled = false;
+                console.warn(`⚠️ 撤销报价失败，保留原订单 (${quote.orderId}): ${item?.error || '未知错误'}`);
+            }
+        }
+        return allCancelled;
+    }
+
+    /**
+     * 成交计入库存；订单结束后清空对应报价，由下次检查补挂
+     */
+    handleOrderEvent(event, order) {
+        const book = this.books.get(order.metadata.marketSlug);
+        if (!book) {
+            return;
+        }
+
+        if (order.newlyFilled > 0) {
+            const outcome = book.market.getOutcomeForToken(order.tokenId);
+            const delta = order.side === OrderSide.BUY ? order.newlyFilled : -order.newlyFilled;
+            if (outcome) {
+                book.inventory[outcome] = Math.max(book.inventory[outcome] + delta, 0);
+            }
+
+            this.strategyStats.fills++;
+            if (order.side === OrderSide.BUY) {
+                this.strategyStats.sharesBought += order.newlyFilled;
+            } else {
+                this.strategyStats.sharesSold += order.newlyFilled;
+            }
+
+            console.log(`✅ 报价成交: ${order.side === OrderSide.BUY ? '买入' : '卖出'} ${outcome} ${order.newlyFilled} 份 (${book.market.slug})`);
+            console.log(`   ├─ YES 库存: ${book.inventory[Outcome.YES]}`);
+            console.log(`   ├─ NO 库存: ${book.inventory[Outcome.NO]}`);
+            console.log(`   └─ 净库存: ${this.getNetInventory(book)}`);
+        }
+
+        if (event !== 'partiallyFilled') {
+            const side = order.metadata.quoteSide;
+            if (book.quotes[side]?.orderId === String(order.orderId)) {
+                book.quotes[side] = null;
+            }
+        }
+    }
+
+    /**
+     * 获取策略状态
+     */
+    getStatus() {
+        const baseStatus = super.getStatus();
+
+        return {
+            ...baseStatus,
+            strategyType: this.strategyType,
+            markets: this.books.size,
+            strategyStats: { ...this.strategyStats },
+            marketDetails: Array.from(this.books.values()).map(book => ({
+                marketTitle: book.market.title.substring(0, 40) + '...',
+                accountId: book.accountId,
+                quotedMid: book.quotedMid?.toFixed(4) ?? 'N/A',
+                bid: book.quotes[QuoteSide.BID]?.price.toFixed(4) ?? 'N/A',
+                ask: book.quotes[QuoteSide.ASK]?.price.toFixed(4) ?? 'N/A',
+                guard: this.guards.get(book.market.slug)?.action ?? null,
+                inventory: { ...book.inventory },
+                netInventory: this.getNetInventory(book),
+                duration: Math.round((Date.now() - book.startTime) / 60000)
+            }))
+        };
+    }
+}
+
+/**
+ * 限制在报价范围内，并去掉浮点误差（避免下单时按 tick 向下对齐少一档）
+ */
+function clampPrice(price) {
+    const rounded = Math.round(price * 1e6) / 1e6;
+    return Math.min(Math.max(rounded, MIN_QUOTE_PRICE), MAX_QUOTE_PRICE);
+}
+
+export default SpreadMakingStrategy;
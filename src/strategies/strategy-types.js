@@ -120,6 +120,54 @@ export const StrategyMetadata = {
         expectedReturn: 0.12, // 12%
         maxDrawdown: 0.08, // 8%
         timeframe: '1h'
+    },
+
+    [StrategyType.MOMENTUM]: {
+        name: '动量策略',
+        description: '成交价在短时间内出现确认的趋势时顺势买入',
+        riskLevel: RiskLevel.HIGH,
+        executionMode: ExecutionMode.EVENT_DRIVEN,
+        priority: StrategyPriority.NORMAL,
+        requiredCapital: 10, // USDC
+        expectedReturn: 0.15, // 15%
+        maxDrawdown: 0.08, // 8%
+        timeframe: '10m'
+    },
+
+    [StrategyType.MEAN_REVERSION]: {
+        name: '均值回归策略',
+        description: '成交价偏离均线时反向开仓，等待回归',
+        riskLevel: RiskLevel.MEDIUM,
+        executionMode: ExecutionMode.EVENT_DRIVEN,
+        priority: StrategyPriority.NORMAL,
+        requiredCapital: 10, // USDC
+        expectedReturn: 0.08, // 8%
+        maxDrawdown: 0.08, // 8%
+        timeframe: '30m'
+    },
+
+    [StrategyType.VOLUME_SPIKE]: {
+        name: '成交量异动策略',
+        description: '成交量突然放大时跟随成交方向开仓，或加宽 / 撤下做市报价',
+        riskLevel: RiskLevel.HIGH,
+        executionMode: ExecutionMode.EVENT_DRIVEN,
+        priority: StrategyPriority.NORMAL,
+        requiredCapital: 10, // USDC
+        expectedReturn: 0.10, // 10%
+        maxDrawdown: 0.08, // 8%
+        timeframe: '2m'
+    },
+
+    [StrategyType.MULTI_STRATEGY]: {
+        name: '组合策略',
+        description: '在同一组账户上运行多个子策略，按预算和优先级分配资金并避免方向冲突',
+        riskLevel: RiskLevel.MEDIUM,
+        executionMode: ExecutionMode.CONTINUOUS,
+        priority: StrategyPriority.HIGH,
+        requiredCapital: 100, // USDC
+        expectedReturn: 0.10, // 10%
+        maxDrawdown: 0.10, // 10%
+        timeframe: '1h'
     }
 };
 
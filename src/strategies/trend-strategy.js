@@ -0,0 +1,524 @@
+/**
+ * 趋势类策略基类
+ * 动量、均值回归和量能异动策略共用：按市场拉取成交价格序列，子类根据序列给出开仓信号，
+ * 开仓后按止盈 / 止损 / 最长持有时间 / 临近到期平仓
+ *
+ * 只交易订单簿市场：开仓用 FOK 市价单买入，平仓用 IOC 市价单卖出，
+ * 仓位只在订单跟踪器确认成交后更新
+ */
+
+import { BaseStrategy, StrategyState, OrderRole } from './base-strategy.js';
+import { globals } from '../coordinators/globals.js';
+import { OrderSide, OrderType, toBaseUnits } from '../core/order-builder.js';
+import { Outcome } from '../core/market.js';
+import { TradeFeedService } from '../services/trade-feed-service.js';
+
+export const PositionStatus = {
+    PENDING_FILL: 'pending_fill', // 开仓单等待成交
+    OPEN: 'open',                 // 持仓中
+    CLOSING: 'closing'            // 平仓单等待成交
+};
+
+export const ExitReason = {
+    TAKE_PROFIT: 'take_profit',
+    STOP_LOSS: 'stop_loss',
+    MAX_HOLDING: 'max_holding',
+    EXPIRY: 'expiry'
+};
+
+const EXIT_REASON_LABELS = {
+    [ExitReason.TAKE_PROFIT]: '止盈',
+    [ExitReason.STOP_LOSS]: '止损',
+    [ExitReason.MAX_HOLDING]: '超过最长持有时间',
+    [ExitReason.EXPIRY]: '临近到期'
+};
+
+// 剩余份额低于该值视为已全部卖出
+const DUST_SHARES = 1e-6;
+
+export class TrendStrategy extends BaseStrategy {
+    constructor(name, config = {}) {
+        super(name, config);
+
+        this.feed = null;
+        this.positions = new Map();  // 仓位ID -> 仓位
+        this.cooldowns = new Map();  // 市场 slug -> 冷却结束时间
+
+        this.strategyStats = {
+            signals: 0,
+            positionsOpened: 0,
+            positionsClosed: 0,
+            takeProfits: 0,
+            stopLosses: 0,
+            timeouts: 0,
+            expiryExits: 0,
+            realizedPnl: 0
+        };
+    }
+
+    /**
+     * 根据成交价格序列判断是否开仓 - 子类必须实现
+     * @param {Object} market - 市场
+     * @param {PriceSeries} series - YES 计价的成交价格序列
+     * @param {number} now - 当前时间（毫秒）
+     * @returns {Object|null} { outcome: 'YES' | 'NO', reason, details }，没有信号时为 null
+     */
+    evaluateSignal(market, series, now) {
+        throw new Error('子类必须实现 evaluateSignal 方法');
+    }
+
+    /**
+     * 成交流创建后、首次拉取前调用，子类可在这里订阅成交事件 - 可选重写
+     * @param {TradeFeedService} feed
+     */
+    onFeedCreated(feed) {
+    }
+
+    /**
+     * 初始化策略
+     */
+    async onInitialize() {
+        console.log(`🔧 初始化 ${this.name}...`);
+        console.log(`✅ ${this.name} 初始化完成`);
+    }
+
+    /**
+     * 启动策略
+     */
+    async onStart() {
+        console.log(`🚀 启动 ${this.name}...`);
+        console.log(`   单次金额: ${this.config.tradeAmount} USDC`);
+        console.log(`   止盈 / 止损: ${(this.config.takeProfit * 100).toFixed(1)}% / ${(this.config.stopLoss * 100).toFixed(1)}%`);
+        console.log(`   最长持有: ${this.config.maxHoldingTime / 60000} 分钟`);
+        console.log(`   最大仓位: ${this.config.maxPositions}`);
+
+        const account = this.getAccount();
+        if (!account) {
+            throw new Error(`没有执行${this.name}的账户`);
+        }
+
+        // feedEvents 是公共接口，用第一个执行本策略的账户拉取
+        this.feed = new TradeFeedService(account.apiClient, {
+            pollInterval: this.config.feedPollInterval,
+            window: this.config.historyWindow
+        });
+        this.feed.on('updated', ({ slug, backfill }) => {
+            try {
+                this.evaluateMarket(slug, { backfill });
+            } catch (error) {
+                this.handleError(`评估市场失败 (${slug})`, error);
+            }
+        });
+        this.onFeedCreated(this.feed);
+
+        this.subscribeOrderEvents();
+
+        await this.execute();
+        this.feed.start();
+
+        this.setTimer('marketSelection', () => {
+            this.execute().catch(error => {
+                this.handleError('更新关注市场失败', error);
+            });
+        }, this.config.executionInterval);
+
+        this.setTimer('positionCheck', () => {
+            this.checkPositions().catch(error => {
+                this.handleError('仓位检查失败', error);
+            });
+        }, this.config.positionCheckInterval);
+    }
+
+    /**
+     * 停止策略
+     * 持仓不会自动平仓，只停止拉取成交和检查
+     */
+    async onStop() {
+        console.log(`🛑 停止 ${this.name}...`);
+
+        this.feed?.stop();
+        this.feed?.removeAllListeners();
+        this.feed = null;
+
+        this.unsubscribeOrderEvents();
+
+        if (this.positions.size > 0) {
+            console.warn(`⚠️ ${this.name} 停止时仍有 ${this.positions.size} 个仓位未平仓`);
+        }
+        // 不再跟踪的仓位同时释放占用的资金，否则组合策略中的预算一直被占用
+        for (const positionId of this.positions.keys()) {
+            this.releaseCapital(positionId);
+        }
+        this.positions.clear();
+        this.cooldowns.clear();
+    }
+
+    /**
+     * 执行策略逻辑：更新关注的市场并拉取一次成交
+     */
+    async onExecute() {
+        const selected = this.selectMarkets();
+        const selectedSlugs = new Set(selected.map(market => market.slug));
+
+        // 有仓位的市场继续关注，用于平仓前的信号和日志
+        for (const position of this.positions.values()) {
+            selectedSlugs.add(position.market.slug);
+        }
+
+        for (const slug of this.feed.watched) {
+            if (!selectedSlugs.has(slug)) {
+                this.feed.unwatch(slug);
+            }
+        }
+        for (const slug of selectedSlugs) {
+            this.feed.watch(slug);
+        }
+
+        await this.feed.poll();
+
+        return {
+            action: 'markets_watched',
+            markets: selectedSlugs.size,
+            positions: this.positions.size
+        };
+    }
+
+    /**
+     * 关注的市场：未到期的订单簿市场，按成交量排序
+     */
+    selectMarkets() {
+        return globals.markets
+            .filter(market => market.isClob && !market.isExpired())
+            .filter(market => market.getTimeToExpiry() > this.config.minTimeToExpiry)
+            .sort((a, b) => (b.volume || 0) - (a.volume || 0))
+            .slice(0, this.config.maxWatchedMarkets);
+    }
+
+    /**
+     * 市场有新成交时评估开仓信号
+     * @param {string} slug - 市场标识
+     * @param {Object} options
+     * @param {boolean} options.backfill - 首次拉取回填的历史成交，只用于建立序列，不据此开仓
+     */
+    evaluateMarket(slug, { backfill = false } = {}) {
+        if (backfill || this.state !== StrategyState.RUNNING) {
+            return;
+        }
+
+        const market = globals.markets.find(item => item.slug === slug);
+        const series = this.feed?.getSeries(slug);
+        if (!market || !series || market.getTimeToExpiry() <= this.config.minTimeToExpiry) {
+            return;
+        }
+
+        if (this.hasPosition(slug) || this.positions.size >= this.config.maxPositions) {
+            return;
+        }
+
+        const cooldownUntil = this.cooldowns.get(slug);
+        if (cooldownUntil && cooldownUntil > Date.now()) {
+            return;
+        }
+
+        const signal = this.evaluateSignal(market, series, Date.now());
+        if (!signal) {
+            return;
+        }
+
+        this.strategyStats.signals++;
+        console.log(`📡 [${this.name}] ${market.slug}: ${signal.reason}`);
+
+        this.openPosition(market, signal).catch(error => {
+            this.handleError(`开仓失败 (${market.slug})`, error);
+        });
+    }
+
+    hasPosition(slug) {
+        return [...this.positions.values()].some(position => position.market.slug === slug);
+    }
+
+    /**
+     * 获取执行本策略的账户
+     * @param {string} accountId - 仓位所属账户（不传时选择持仓最少的执行账户）
+     */
+    getAccount(accountId = null) {
+        if (accountId) {
+            return globals.accounts.find(account => account.id === accountId) || null;
+        }
+
+        const accounts = globals.accounts.filter(account => account.strategies.includes(this.strategyType));
+        if (accounts.length === 0) {
+            return null;
+        }
+
+        const load = (account) => [...this.positions.values()].filter(position => position.accountId === account.id).length;
+        return accounts.reduce((best, account) => (load(account) < load(best) ? account : best));
+    }
+
+    /**
+     * 买入信号方向的代币
+     */
+    async openPosition(market, signal) {
+        const orderbook = this.getFreshOrderbook(market);
+        if (!orderbook) {
+            console.warn(`⚠️ 订单簿不可用，放弃开仓: ${market.slug}`);
+            return false;
+        }
+
+        const expectedPrice = orderbook.forOutcome(signal.outcome).getExpectedBuyPrice(this.config.tradeAmount);
+        if (expectedPrice === null) {
+            console.warn(`⚠️ 订单簿深度不足 ${this.config.tradeAmount} USDC，放弃开仓: ${market.slug}`);
+            return false;
+        }
+        if (expectedPrice < this.config.minEntryPrice || expectedPrice > this.config.maxEntryPrice) {
+            console.log(`⏭️ ${signal.outcome} 预期成交价 ${expectedPrice.toFixed(4)} 不在 ${this.config.minEntryPrice} - ${this.config.maxEntryPrice} 范围内，放弃开仓`);
+            return false;
+        }
+
+        const account = this.getAccount();
+        if (!account) {
+            throw new Error(`没有执行${this.name}的账户`);
+        }
+        if (!account.apiClient.orderTracker) {
+            throw new Error(`账户 ${account.id} 未注册订单跟踪，无法确认成交`);
+        }
+
+        const positionId = `${this.strategyType}_${market.id}_${Date.now()}`;
+        const tokenId = signal.outcome === Outcome.YES ? market.yesTokenId : market.noTokenId;
+
+        if (!this.reserveCapital({ ref: positionId, amount: this.config.tradeAmount, market, outcome: signal.outcome, accountId: account.id })) {
+            return false;
+        }
+
+        // 先记录仓位，成交事件可能在下单返回后立即到达
+        this.positions.set(positionId, {
+            market,
+            accountId: account.id,
+            outcome: signal.outcome,
+            tokenId,
+            signal,
+            status: PositionStatus.PENDING_FILL,
+            shares: 0,
+            sharesSold: 0,
+            expectedEntryPrice: expectedPrice,
+            entryPrice: null,
+            expectedExitPrice: null,
+            proceeds: 0,
+            exitReason: null,
+            submitTime: Date.now(),
+            openTime: null
+        });
+
+        try {
+            await account.apiClient.placeMarketOrder({
+                tokenId,
+                usdcAmount: toBaseUnits(this.config.tradeAmount),
+                side: OrderSide.BUY,
+                orderType: OrderType.FOK,
+                marketSlug: market.slug,
+                market,
+                metadata: { strategy: this.strategyType, positionId, role: OrderRole.ENTRY },
+                confirmRealOrder: true
+            });
+        } catch (error) {
+            this.positions.delete(positionId);
+            this.releaseCapital(positionId);
+            throw error;
+        }
+
+        console.log(`📨 开仓订单已提交，等待成交确认`);
+        console.log(`   ├─ 仓位ID: ${positionId}`);
+        console.log(`   ├─ 市场: ${market.title.substring(0, 50)}...`);
+        console.log(`   ├─ 账户: ${account.id}`);
+        console.log(`   ├─ 方向: 买入 ${signal.outcome}`);
+        console.log(`   ├─ 金额: ${this.config.tradeAmount} USDC`);
+        console.log(`   └─ 预期成交价: ${expectedPrice.toFixed(4)}`);
+        return true;
+    }
+
+    /**
+     * 检查持仓的止盈 / 止损 / 持有时间 / 到期
+     */
+    async checkPositions() {
+        const now = Date.now();
+
+        for (const [positionId, position] of [...this.positions.entries()]) {
+            if (position.status !== PositionStatus.OPEN) {
+                continue;
+            }
+
+            const { market } = position;
+            const remaining = position.shares - position.sharesSold;
+            const orderbook = this.getFreshOrderbook(market);
+            const exitPrice = orderbook ? orderbook.forOutcome(position.outcome).getExpectedSellPrice(remaining) : null;
+            const pnlRate = exitPrice !== null ? exitPrice / position.entryPrice - 1 : null;
+
+            let reason = null;
+            if (market.getTimeToExpiry(now) <= this.config.exitBeforeExpiry) {
+                reason = ExitReason.EXPIRY;
+            } else if (now - position.openTime >= this.config.maxHoldingTime) {
+                reason = ExitReason.MAX_HOLDING;
+            } else if (pnlRate !== null && pnlRate >= this.config.takeProfit) {
+                reason = ExitReason.TAKE_PROFIT;
+            } else if (pnlRate !== null && pnlRate <= -this.config.stopLoss) {
+                reason = ExitReason.STOP_LOSS;
+            }
+
+            if (!reason) {
+                continue;
+            }
+
+            console.log(`🔔 [${this.name}] ${EXIT_REASON_LABELS[reason]}: ${market.slug} (ID: ${positionId})`);
+            console.log(`   ├─ 买入均价: ${position.entryPrice.toFixed(4)}`);
+            console.log(`   ├─ 预期卖出价: ${exitPrice?.toFixed(4) ?? 'N/A'}`);
+            console.log(`   └─ 收益率: ${pnlRate !== null ? (pnlRate * 100).toFixed(2) + '%' : 'N/A'}`);
+
+            try {
+                await this.closePosition(positionId, reason, exitPrice);
+            } catch (error) {
+                console.error(`❌ 平仓失败 (ID: ${positionId}): ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 卖出仓位剩余份额，IOC 成交能成交的部分，剩余份额在下次检查时继续卖出
+     */
+    async closePosition(positionId, reason, exitPrice = null) {
+        const position = this.positions.get(positionId);
+        const account = position && this.getAccount(position.accountId);
+        if (!account) {
+            throw new Error(`仓位账户不可用: ${position?.accountId}`);
+        }
+
+        position.status = PositionStatus.CLOSING;
+        position.exitReason = reason;
+        position.expectedExitPrice = exitPrice;
+
+        try {
+            await account.apiClient.placeMarketOrder({
+                tokenId: position.tokenId,
+                makerAmount: toBaseUnits(position.shares - position.sharesSold),
+                side: OrderSide.SELL,
+                orderType: OrderType.IOC,
+                marketSlug: position.market.slug,
+                market: position.market,
+                metadata: { strategy: this.strategyType, positionId, role: OrderRole.EXIT },
+                confirmRealOrder: true
+            });
+        } catch (error) {
+            position.status = PositionStatus.OPEN;
+            throw error;
+        }
+    }
+
+    /**
+     * 订单所属的仓位
+     */
+    getOrderPosition(positionId) {
+        return this.positions.get(positionId);
+    }
+
+    /**
+     * 成交均价，接口没有返回时依次取订单价格、下单时的预期成交价
+     */
+    getFillPrice(order, expectedPrice) {
+        const price = Number(order.avgFillPrice ?? order.price);
+        return price > 0 ? price : expectedPrice;
+    }
+
+    /**
+     * 开仓订单状态变化
+     */
+    onEntryOrderEvent(event, order, positionId, position) {
+        if (position.status !== PositionStatus.PENDING_FILL || event === 'partiallyFilled') {
+            return;
+        }
+
+        if (order.filledSize <= 0) {
+            // FOK 未成交
+            console.warn(`⚠️ 开仓未成交 (ID: ${positionId}, 订单: ${order.orderId}, 状态: ${order.status})`);
+            this.positions.delete(positionId);
+            this.releaseCapital(positionId);
+            return;
+        }
+
+        position.shares = order.filledSize;
+        position.entryPrice = this.getFillPrice(order, position.expectedEntryPrice);
+        position.status = PositionStatus.OPEN;
+        position.openTime = Date.now();
+        this.strategyStats.positionsOpened++;
+
+        console.log(`✅ 开仓成交: 买入 ${position.outcome} ${position.shares} 份 @ ${position.entryPrice} (ID: ${positionId})`);
+        this.emit('positionOpened', { positionId, market: position.market, position: { ...position }, order, timestamp: Date.now() });
+    }
+
+    /**
+     * 平仓订单状态变化
+     */
+    onExitOrderEvent(event, order, positionId, position) {
+        position.sharesSold += order.newlyFilled;
+        if (event === 'partiallyFilled') {
+            return;
+        }
+
+        // 订单结束时按整单成交均价计入回款
+        position.proceeds += order.filledSize * this.getFillPrice(order, position.expectedExitPrice ?? 0);
+
+        const remaining = position.shares - position.sharesSold;
+        if (remaining > DUST_SHARES) {
+            // IOC 只成交了一部分，下次检查时继续卖出
+            console.warn(`⚠️ 平仓未全部成交 (ID: ${positionId})，剩余 ${remaining} 份`);
+            position.status = PositionStatus.OPEN;
+            return;
+        }
+
+        const cost = position.shares * position.entryPrice;
+        const pnl = position.proceeds - cost;
+        this.positions.delete(positionId);
+        this.releaseCapital(positionId);
+        this.cooldowns.set(position.market.slug, Date.now() + this.config.cooldown);
+
+        this.strategyStats.positionsClosed++;
+        this.strategyStats.realizedPnl += pnl;
+        if (position.exitReason === ExitReason.TAKE_PROFIT) this.strategyStats.takeProfits++;
+        if (position.exitReason === ExitReason.STOP_LOSS) this.strategyStats.stopLosses++;
+        if (position.exitReason === ExitReason.MAX_HOLDING) this.strategyStats.timeouts++;
+        if (position.exitReason === ExitReason.EXPIRY) this.strategyStats.expiryExits++;
+
+        console.log(`💰 平仓完成 (ID: ${positionId}, ${EXIT_REASON_LABELS[position.exitReason]})`);
+        console.log(`   ├─ 市场: ${position.market.slug}`);
+        console.log(`   ├─ 成本: ${cost.toFixed(4)} USDC`);
+        console.log(`   ├─ 回款: ${position.proceeds.toFixed(4)} USDC`);
+        console.log(`   └─ 盈亏: ${pnl.toFixed(4)} USDC`);
+
+        this.emit('positionClosed', { positionId, market: position.market, reason: position.exitReason, pnl, timestamp: Date.now() });
+    }
+
+    /**
+     * 获取策略状态
+     */
+    getStatus() {
+        const baseStatus = super.getStatus();
+
+        return {
+            ...baseStatus,
+            strategyType: this.strategyType,
+            watchedMarkets: this.feed?.watched.length ?? 0,
+            activePositions: this.positions.size,
+            strategyStats: { ...this.strategyStats },
+            feedStats: this.feed?.getStats() ?? null,
+            positionDetails: Array.from(this.positions.values()).map(position => ({
+                marketTitle: position.market.title.substring(0, 40) + '...',
+                accountId: position.accountId,
+                outcome: position.outcome,
+                shares: position.shares - position.sharesSold,
+                entryPrice: position.entryPrice?.toFixed(4) ?? 'N/A',
+                status: position.status,
+                holding: position.openTime ? Math.round((Date.now() - position.openTime) / 60000) : 0
+            }))
+        };
+    }
+}
+
+export default TrendStrategy;
@@ -0,0 +1,182 @@
+/**
+ * 成交量异动策略
+ * 按市场检测成交流，短时间内成交额或成交笔数超过基准的若干倍时：
+ *   follow - 净成交方向明确时顺着成交方向买入，按止盈 / 止损 / 最长持有时间平仓
+ *   widen  - 加宽价差做市策略在该市场的报价
+ *   pull   - 撤下价差做市策略在该市场的报价
+ * 同一市场两次操作之间有冷却时间
+ */
+
+import { TrendStrategy } from './trend-strategy.js';
+import { StrategyType } from './strategy-types.js';
+import { QuoteGuardAction } from './spread-making.js';
+import { volumeSpikeConfig } from '../config/strategy-config.js';
+import { Outcome } from '../core/market.js';
+import { VolumeSpikeDetector } from '../services/volume-spike-detector.js';
+
+export const SpikeAction = {
+    FOLLOW: 'follow',
+    WIDEN: 'widen',
+    PULL: 'pull'
+};
+
+export class VolumeSpikeStrategy extends TrendStrategy {
+    constructor(config = {}) {
+        super('成交量异动策略', config);
+
+        this.strategyType = StrategyType.VOLUME_SPIKE;
+
+        this.detector = null;
+        this.pendingSpikes = new Map(); // slug -> 等待开仓评估的异动
+
+        // widen / pull 时调整报价的价差做市策略，由策略管理器设置
+        this.quoteTarget = null;
+
+        Object.assign(this.strategyStats, {
+            spikes: 0,
+            quoteGuards: 0
+        });
+    }
+
+    /**
+     * 获取默认配置 - 从环境变量加载
+     */
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            ...volumeSpikeConfig
+        };
+    }
+
+    /**
+     * 设置 widen / pull 时调整报价的策略
+     * @param {SpreadMakingStrategy|null} strategy
+     */
+    setQuoteTarget(strategy) {
+        this.quoteTarget = strategy;
+    }
+
+    isQuoteAction() {
+        return this.config.action === SpikeAction.WIDEN || this.config.action === SpikeAction.PULL;
+    }
+
+    /**
+     * 启动策略
+     */
+    async onStart() {
+        if (this.isQuoteAction() && !this.quoteTarget) {
+            throw new Error(`异动操作为 ${this.config.action}，但没有可调整报价的价差做市策略`);
+        }
+
+        await super.onStart();
+    }
+
+    /**
+     * 停止策略，已设置的报价保护到期后自动恢复
+     */
+    async onStop() {
+        this.detector?.detach();
+        this.detector?.removeAllListeners();
+        this.detector = null;
+        this.pendingSpikes.clear();
+
+        await super.onStop();
+    }
+
+    /**
+     * 回填的历史成交也交给检测器，用来建立基准
+     */
+    onFeedCreated(feed) {
+        this.detector = new VolumeSpikeDetector({
+            window: this.config.window,
+            baselineWindow: this.config.baselineWindow,
+            volumeMultiple: this.config.volumeMultiple,
+            countMultiple: this.config.countMultiple,
+            minVolume: this.config.minVolume,
+            minTrades: this.config.minTrades
+        });
+        this.detector.attach(feed);
+        this.detector.on('spike', (spike) => {
+            this.onSpike(spike).catch(error => {
+                this.handleError(`处理成交异动失败 (${spike.slug})`, error);
+            });
+        });
+    }
+
+    /**
+     * widen / pull 时只关注正在报价的市场
+     */
+    selectMarkets() {
+        if (!this.isQuoteAction()) {
+            return super.selectMarkets();
+        }
+        return this.quoteTarget.getQuotedMarkets();
+    }
+
+    /**
+     * 成交异动
+     * 跟随成交时记下异动，由随后的成交流更新事件评估开仓；调整报价时直接通知价差做市策略
+     */
+    async onSpike(spike) {
+        const { slug } = spike;
+        this.strategyStats.spikes++;
+
+        console.log(`🌊 [${this.name}] ${slug}: ${this.config.window / 60000} 分钟内 ${spike.trades} 笔 / ${spike.volume.toFixed(2)} USDC (成交额 ${spike.volumeRatio.toFixed(1)} 倍，笔数 ${spike.countRatio.toFixed(1)} 倍)，净流向 ${(spike.imbalance * 100).toFixed(0)}%`);
+
+        if (!this.isQuoteAction()) {
+            this.pendingSpikes.set(slug, spike);
+            return;
+        }
+
+        const cooldownUntil = this.cooldowns.get(slug);
+        if (cooldownUntil && cooldownUntil > Date.now()) {
+            return;
+        }
+
+        const guarded = await this.quoteTarget.guardMarket(slug, {
+            action: this.config.action === SpikeAction.PULL ? QuoteGuardAction.PULL : QuoteGuardAction.WIDEN,
+            duration: this.config.quoteGuardDuration,
+            widenBy: this.config.quoteWidenBy,
+            reason: '成交量异动'
+        });
+        if (guarded) {
+            this.cooldowns.set(slug, Date.now() + this.config.cooldown);
+            this.strategyStats.quoteGuards++;
+        }
+    }
+
+    /**
+     * 检测窗口内的异动且净成交方向明确时，买入成交方向的结果
+     */
+    evaluateSignal(market, series, now) {
+        const spike = this.pendingSpikes.get(market.slug);
+        if (!spike) {
+            return null;
+        }
+        this.pendingSpikes.delete(market.slug);
+
+        if (now - spike.time > this.config.window || Math.abs(spike.imbalance) < this.config.minImbalance) {
+            return null;
+        }
+
+        const outcome = spike.imbalance > 0 ? Outcome.YES : Outcome.NO;
+        return {
+            outcome,
+            reason: `成交量异动 ${spike.volume.toFixed(2)} USDC，净流向 ${(spike.imbalance * 100).toFixed(0)}%，跟随买入 ${outcome}`,
+            details: spike
+        };
+    }
+
+    /**
+     * 获取策略状态
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            action: this.config.action,
+            detectorStats: this.detector?.getStats() ?? null
+        };
+    }
+}
+
+export default VolumeSpikeStrategy;
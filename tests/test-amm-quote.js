@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * AMM 报价测试
+ * 按手工计算的池子余额验证 FPMM calcBuyAmount / calcSellAmount、边际价格，
+ * 以及报价引擎的 min-out、max-in 和 quoteSellAll 的二分查找（合约调用用离线公式代替）
+ *
+ * 用法: npm run test:amm
+ */
+
+import assert from 'assert';
+
+import { AmmQuoteEngine, calcBuyAmount, calcSellAmount, calcSpotPrices } from '../src/core/amm-quote.js';
+
+const USDC = 1_000_000n; // 1 USDC / 1 份 = 1e6 最小单位
+const NO_FEE = 0n;
+const FEE_2_PERCENT = 2n * 10n ** 16n; // 1e18 = 100%
+const ADDRESS = '0x2222222222222222222222222222222222222222';
+
+/**
+ * 池子状态和合约报价都来自给定余额的报价引擎
+ */
+function createEngine(balances, fee) {
+    const engine = new AmmQuoteEngine(null, { slippage: 0 });
+    engine.getPoolState = async (address) => ({ address, fee, balances, spotPrices: calcSpotPrices(balances) });
+    engine.getContract = () => ({
+        calcBuyAmount: async (investment, outcomeIndex) => calcBuyAmount(balances, fee, investment, outcomeIndex),
+        calcSellAmount: async (returnAmount, outcomeIndex) => calcSellAmount(balances, fee, returnAmount, outcomeIndex)
+    });
+    return engine;
+}
+
+function testBuyAmount() {
+    console.log('\n📋 测试1: calcBuyAmount');
+
+    const balances = [USDC, USDC];
+
+    // 无手续费：投入 1 拆分为 1 YES + 1 NO，NO 放入池子后 YES 余额 = 1×1/2，得到 1 + 1 - 0.5 = 1.5 份
+    assert.strictEqual(calcBuyAmount(balances, NO_FEE, USDC, 0), 1_500_000n);
+    assert.strictEqual(calcBuyAmount(balances, NO_FEE, USDC, 1), 1_500_000n);
+
+    // 2% 手续费：净投入 0.98，YES 余额 = 1×1/1.98 = 0.50505050…，向上取整为 0.505051，得到 1.98 - 0.505051
+    assert.strictEqual(calcBuyAmount(balances, FEE_2_PERCENT, USDC, 0), 1_474_949n);
+
+    // 不平衡池子：YES 余额 1、NO 余额 3，投入 1 后 YES 余额 = 1×3/4 = 0.75，得到 1 + 1 - 0.75
+    assert.strictEqual(calcBuyAmount([USDC, 3n * USDC], NO_FEE, USDC, 0), 1_250_000n);
+
+    console.log('✅ 投入 1 USDC 在 1:1 池子买到 1.5 份，2% 手续费时 1.474949 份');
+}
+
+function testSellAmount() {
+    console.log('\n📋 测试2: calcSellAmount');
+
+    const balances = [USDC, USDC];
+
+    // 无手续费：取回 0.5，NO 余额降为 0.5，YES 余额需 = 1×1/0.5 = 2，卖出 0.5 + 2 - 1 = 1.5 份
+    assert.strictEqual(calcSellAmount(balances, NO_FEE, 500_000n, 0), 1_500_000n);
+
+    // 2% 手续费：取回 0.49 需要含手续费 0.49 / 0.98 = 0.5，与上面相同
+    assert.strictEqual(calcSellAmount(balances, FEE_2_PERCENT, 490_000n, 0), 1_500_000n);
+
+    // 多取回 1 个最小单位就需要多卖：YES 余额 = 1e12 / 499999 = 2000004.000008，向上取整为 2000005
+    assert.strictEqual(calcSellAmount(balances, NO_FEE, 500_001n, 0), 1_500_006n);
+
+    // 回款不能达到对方池子余额
+    assert.throws(() => calcSellAmount(balances, NO_FEE, USDC, 0), /回款超过池子余额/);
+
+    console.log('✅ 1:1 池子卖出 1.5 份取回 0.5 USDC，买卖互为逆运算');
+}
+
+function testSpotPrices() {
+    console.log('\n📋 测试3: 边际价格');
+
+    assert.deepStrictEqual(calcSpotPrices([USDC, USDC]), [0.5, 0.5]);
+    // 价格与对方余额成正比：YES = 3 / (1 + 3)
+    assert.deepStrictEqual(calcSpotPrices([USDC, 3n * USDC]), [0.75, 0.25]);
+    assert.deepStrictEqual(calcSpotPrices([0n, 0n]), [null, null]);
+
+    console.log('✅ 余额 1:3 时 YES 0.75 / NO 0.25');
+}
+
+async function testQuotes() {
+    console.log('\n📋 测试4: 买入 / 卖出报价');
+
+    const engine = createEngine([USDC, USDC], NO_FEE);
+
+    const buy = await engine.quoteBuy(ADDRESS, USDC, 0, { slippage: 0.01 });
+    assert.strictEqual(buy.expectedTokens, 1_500_000n);
+    assert.strictEqual(buy.minOutcomeTokensToBuy, 1_485_000n); // 1.5 × 99%
+    assert.strictEqual(buy.spotPrice, 0.5);
+    assert.ok(Math.abs(buy.avgPrice - 2 / 3) < 1e-12);
+    assert.ok(Math.abs(buy.priceImpact - 1 / 3) < 1e-12); // 均价 0.6667 / 边际价 0.5 - 1
+    assert.strictEqual(buy.feeAmount, 0n);
+
+    const sell = await engine.quoteSell(ADDRESS, 500_000n, 0, { slippage: 0.01 });
+    assert.strictEqual(sell.expectedTokensToSell, 1_500_000n);
+    assert.strictEqual(sell.maxOutcomeTokensToSell, 1_515_000n); // 1.5 × 101%
+    assert.ok(Math.abs(sell.priceImpact - 1 / 3) < 1e-12); // 1 - 均价 0.3333 / 边际价 0.5
+
+    const feeEngine = createEngine([USDC, USDC], FEE_2_PERCENT);
+    const feeBuy = await feeEngine.quoteBuy(ADDRESS, USDC, 0);
+    assert.strictEqual(feeBuy.feeAmount, 20_000n);
+    assert.strictEqual(feeBuy.minOutcomeTokensToBuy, 1_474_949n);
+
+    const feeSell = await feeEngine.quoteSell(ADDRESS, 490_000n, 0);
+    assert.strictEqual(feeSell.feeAmount, 10_000n); // 0.5 - 0.49
+
+    console.log('✅ min-out / max-in 按滑点计算，手续费单独列出');
+}
+
+async function testSellAll() {
+    console.log('\n📋 测试5: quoteSellAll 二分查找');
+
+    const balances = [USDC, USDC];
+    const engine = createEngine(balances, NO_FEE);
+
+    // 持有 1.5 份、无滑点：最多取回 0.5（取回 0.500001 需要卖 1.500006 份）
+    const exact = await engine.quoteSellAll(ADDRESS, 1_500_000n, 0);
+    assert.strictEqual(exact.returnAmount, 500_000n);
+    assert.strictEqual(exact.expectedTokensToSell, 1_500_000n);
+    assert.strictEqual(exact.maxOutcomeTokensToSell, 1_500_000n);
+
+    // 1% 滑点：可用份额 = 1.5 / 1.01 向下取整为 1.485148，找到的是满足该上限的最大回款
+    const budget = 1_485_148n;
+    const withSlippage = await engine.quoteSellAll(ADDRESS, 1_500_000n, 0, { slippage: 0.01 });
+    const { returnAmount } = withSlippage;
+    assert.ok(calcSellAmount(balances, NO_FEE, returnAmount, 0) <= budget);
+    assert.ok(calcSellAmount(balances, NO_FEE, returnAmount + 1n, 0) > budget);
+    assert.ok(withSlippage.maxOutcomeTokensToSell <= 1_500_000n, '加上滑点后不超过持有份额');
+
+    await assert.rejects(engine.quoteSellAll(ADDRESS, 1n, 0), /持有份额太少/);
+
+    console.log(`✅ 持有 1.5 份最多取回 0.5 USDC，1% 滑点时取回 ${Number(returnAmount) / 1e6} USDC`);
+}
+
+async function main() {
+    console.log('🧪 AMM 报价测试');
+    console.log('='.repeat(50));
+
+    testBuyAmount();
+    testSellAmount();
+    testSpotPrices();
+    await testQuotes();
+    await testSellAll();
+
+    console.log('\n🎉 所有测试通过');
+}
+
+main().catch(error => {
+    console.error('❌ 测试失败:', error);
+    process.exit(1);
+});
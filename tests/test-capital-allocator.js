@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * 资金分配器测试
+ * 验证预算、总资金与优先级保留、方向冲突按优先级处理、释放和到期释放
+ *
+ * 用法: npm run test:capital
+ */
+
+import assert from 'assert';
+
+import { CapitalAllocator, CapitalRejectReason } from '../src/core/capital-allocator.js';
+import { StrategyPriority } from '../src/strategies/strategy-types.js';
+
+/**
+ * 只包含分配器用到的字段的市场
+ */
+function createMarket(slug, { expired = false } = {}) {
+    return { slug, isExpired: () => expired };
+}
+
+function createAllocator(totalCapital = 0) {
+    const allocator = new CapitalAllocator({ totalCapital });
+    allocator.register('hourly_arbitrage', { budget: 200, priority: StrategyPriority.HIGH });
+    allocator.register('lp_making', { budget: 100, priority: StrategyPriority.NORMAL });
+    allocator.register('momentum', { budget: 100, priority: StrategyPriority.NORMAL });
+    return allocator;
+}
+
+function testBudget() {
+    console.log('\n📋 测试1: 子策略预算');
+
+    const allocator = createAllocator();
+    const market = createMarket('btc-above-100k');
+
+    assert.ok(allocator.reserve('lp_making', { ref: 'p1', amount: 60, market, outcome: 'YES' }).approved);
+    const rejected = allocator.reserve('lp_making', { ref: 'p2', amount: 50, market, outcome: 'YES' });
+    assert.strictEqual(rejected.approved, false);
+    assert.strictEqual(rejected.reason, CapitalRejectReason.BUDGET);
+
+    const unknown = allocator.reserve('spread_making', { ref: 'p3', amount: 1, market, outcome: 'YES' });
+    assert.strictEqual(unknown.reason, CapitalRejectReason.UNKNOWN);
+
+    console.log('✅ 超出预算和未注册的子策略被拒绝');
+}
+
+function testTotalCapital() {
+    console.log('\n📋 测试2: 总资金为优先级更高的子策略保留预算');
+
+    const allocator = createAllocator(250);
+    const market = createMarket('eth-above-4k');
+
+    // 250 - 为 hourly_arbitrage 保留的 200 = 50
+    assert.strictEqual(allocator.getAvailable('lp_making'), 50);
+    const rejected = allocator.reserve('lp_making', { ref: 'p1', amount: 60, market, outcome: 'YES' });
+    assert.strictEqual(rejected.reason, CapitalRejectReason.CAPITAL);
+
+    // hourly_arbitrage 用掉自己的预算后，剩余总资金可以分给低优先级
+    assert.ok(allocator.reserve('hourly_arbitrage', { ref: 'h1', amount: 150, market, outcome: 'YES' }).approved);
+    assert.strictEqual(allocator.getAvailable('lp_making'), 50);
+    assert.ok(allocator.reserve('lp_making', { ref: 'p2', amount: 50, market, outcome: 'YES' }).approved);
+    assert.strictEqual(allocator.getAvailable('hourly_arbitrage'), 50);
+
+    console.log('✅ 低优先级子策略不能占用为高优先级保留的资金');
+}
+
+function testConflictPriority() {
+    console.log('\n📋 测试3: 方向冲突按优先级处理');
+
+    const allocator = createAllocator();
+    const market = createMarket('sol-above-200');
+
+    // 同优先级：先持有的一方保留方向
+    assert.ok(allocator.reserve('lp_making', { ref: 'p1', amount: 20, market, outcome: 'YES' }).approved);
+    const sameLevel = allocator.reserve('momentum', { ref: 'm1', amount: 20, market, outcome: 'NO' });
+    assert.strictEqual(sameLevel.approved, false);
+    assert.strictEqual(sameLevel.reason, CapitalRejectReason.CONFLICT);
+
+    // 同方向不冲突
+    assert.ok(allocator.reserve('momentum', { ref: 'm2', amount: 20, market, outcome: 'YES' }).approved);
+
+    // 高优先级胜出：低优先级持有 YES 时仍可以买 NO
+    const higher = allocator.reserve('hourly_arbitrage', { ref: 'h1', amount: 50, market, outcome: 'NO' });
+    assert.strictEqual(higher.approved, true);
+    assert.deepStrictEqual(higher.overridden.sort(), ['lp_making', 'momentum']);
+    assert.strictEqual(allocator.getStats().overrides, 1);
+
+    // 之后低优先级子策略在该市场的申请被高优先级的持仓拒绝
+    const lower = allocator.reserve('lp_making', { ref: 'p2', amount: 10, market, outcome: 'YES' });
+    assert.strictEqual(lower.approved, false);
+    assert.strictEqual(lower.reason, CapitalRejectReason.CONFLICT);
+
+    // 其他市场不受影响
+    assert.ok(allocator.reserve('lp_making', { ref: 'p3', amount: 10, market: createMarket('doge-above-1'), outcome: 'NO' }).approved);
+
+    console.log('✅ 同级先到先得，高优先级子策略胜出');
+}
+
+function testRelease() {
+    console.log('\n📋 测试4: 释放和到期释放');
+
+    const allocator = createAllocator();
+    const live = createMarket('btc-hourly-live');
+    const expired = createMarket('btc-hourly-expired', { expired: true });
+
+    allocator.reserve('lp_making', { ref: 'p1', amount: 30, market: live, outcome: 'YES' });
+    allocator.reserve('momentum', { ref: 'm1', amount: 40, market: expired, outcome: 'NO' });
+    allocator.reserve('hourly_arbitrage', { ref: 'h1', amount: 70, market: expired, outcome: 'NO' });
+
+    assert.strictEqual(allocator.release('lp_making', 'p1').amount, 30);
+    assert.strictEqual(allocator.release('lp_making', 'p1'), null, '重复释放应返回 null');
+
+    assert.strictEqual(allocator.releaseExpired(), 2);
+
+    const stats = allocator.getStats();
+    assert.strictEqual(stats.committed, 0);
+    assert.strictEqual(stats.released, 3);
+    assert.strictEqual(stats.expired, 2);
+
+    // 释放后相反方向不再冲突
+    assert.ok(allocator.reserve('lp_making', { ref: 'p2', amount: 10, market: live, outcome: 'NO' }).approved);
+
+    console.log('✅ 释放后资金和方向占用都被清除');
+}
+
+function main() {
+    console.log('🧪 资金分配器测试');
+    console.log('='.repeat(50));
+
+    testBudget();
+    testTotalCapital();
+    testConflictPriority();
+    testRelease();
+
+    console.log('\n🎉 所有测试通过');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ 测试失败:', error);
+    process.exit(1);
+}
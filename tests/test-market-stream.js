@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * 实时行情客户端测试
+ * 启动本地行情替身服务（tools/market-stream-stand-in.js），验证 MarketDataStream 的
+ * 订阅、价格 / 订单簿事件分发、断线重连后重新订阅，以及取消订阅
+ *
+ * 用法: npm run test:stream
+ */
+
+import assert from 'assert';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+import { MarketDataStream, StreamState } from '../src/services/market-data-stream.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STAND_IN = path.join(__dirname, '../tools/market-stream-stand-in.js');
+const SLUG = 'btc-above-100k-test';
+
+/**
+ * 获取一个空闲端口
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * 启动替身服务，等待监听成功
+ */
+async function startStandIn(args) {
+    const child = spawn(process.execPath, [STAND_IN, ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('替身服务启动超时')), 5000);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`替身服务退出 (code: ${code})`));
+        });
+        child.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('行情替身服务已启动')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+    });
+
+    child.removeAllListeners('exit');
+    return child;
+}
+
+/**
+ * 等待事件，predicate 返回 true 时完成
+ */
+function waitFor(emitter, event, predicate = () => true, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.off(event, handler);
+            reject(new Error(`等待 ${event} 事件超时`));
+        }, timeout);
+        const handler = (payload) => {
+            if (!predicate(payload)) {
+                return;
+            }
+            clearTimeout(timer);
+            emitter.off(event, handler);
+            resolve(payload);
+        };
+        emitter.on(event, handler);
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testSubscribeAndDispatch(stream) {
+    console.log('\n📋 测试1: 订阅并分发价格 / 订单簿事件');
+
+    const connected = waitFor(stream, 'connected');
+    stream.connect();
+    const { isReconnect } = await connected;
+    assert.strictEqual(isReconnect, false);
+    assert.strictEqual(stream.state, StreamState.CONNECTED);
+
+    const price = waitFor(stream, 'price', ({ slug }) => slug === SLUG);
+    const orderbook = waitFor(stream, 'orderbook', ({ slug }) => slug === SLUG);
+    stream.subscribe([SLUG]);
+
+    const { data: priceData } = await price;
+    assert.ok(Array.isArray(priceData.prices) && priceData.prices.length === 2, '价格应为 [yes, no]');
+    assert.ok(Math.abs(priceData.prices[0] + priceData.prices[1] - 1) < 1e-9, 'YES + NO 应为 1');
+
+    const { data: bookData } = await orderbook;
+    assert.strictEqual(bookData.bids.length, 3);
+    assert.strictEqual(bookData.asks.length, 3);
+    assert.ok(bookData.bids[0].price < bookData.asks[0].price, '买一价应低于卖一价');
+
+    assert.ok(stream.isHealthy());
+    console.log('✅ 收到价格和订单簿事件');
+}
+
+async function testReconnect(stream) {
+    console.log('\n📋 测试2: 断线后自动重连并重新订阅');
+
+    const disconnected = waitFor(stream, 'disconnected');
+    const reconnected = waitFor(stream, 'connected', ({ isReconnect }) => isReconnect);
+    const resync = waitFor(stream, 'resync', ({ reason }) => reason === 'reconnect');
+
+    // 替身服务推送 --drop-after 条后断开连接
+    await disconnected;
+    assert.notStrictEqual(stream.state, StreamState.CONNECTED);
+
+    await reconnected;
+    const { slugs } = await resync;
+    assert.deepStrictEqual(slugs, [SLUG]);
+
+    // 重新订阅后继续收到推送（替身服务的新连接没有任何订阅，收到说明已重新订阅）
+    await waitFor(stream, 'price', ({ slug }) => slug === SLUG);
+    assert.ok(stream.getStatus().stats.reconnects >= 1);
+    console.log('✅ 重连后重新订阅并继续收到推送');
+}
+
+async function testUnsubscribe(stream) {
+    console.log('\n📋 测试3: 取消订阅后不再分发');
+
+    stream.unsubscribe([SLUG]);
+    assert.strictEqual(stream.getStatus().subscriptions, 0);
+
+    let received = 0;
+    const handler = () => received++;
+    stream.on('price', handler);
+    stream.on('orderbook', handler);
+    await sleep(300);
+    stream.off('price', handler);
+    stream.off('orderbook', handler);
+
+    assert.strictEqual(received, 0);
+    console.log('✅ 取消订阅后没有收到事件');
+}
+
+async function main() {
+    console.log('🧪 实时行情客户端测试');
+    console.log('='.repeat(50));
+
+    const port = await getFreePort();
+    const standIn = await startStandIn(['--port', String(port), '--interval', '50', '--drop-after', '6']);
+    const stream = new MarketDataStream({
+        url: `ws://127.0.0.1:${port}`,
+        reconnectBaseDelay: 100,
+        reconnectMaxDelay: 200,
+        heartbeatInterval: 1000,
+        staleTimeout: 5000
+    });
+
+    try {
+        await testSubscribeAndDispatch(stream);
+        await testReconnect(stream);
+        await testUnsubscribe(stream);
+
+        console.log('\n🎉 所有测试通过');
+    } finally {
+        stream.close();
+        standIn.kill();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 测试失败:', error);
+    process.exit(1);
+});
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * 订单构建器测试
+ * 按手工计算的金额验证 tick 对齐、整手取整、最小单位换算和下单前校验
+ *
+ * 用法: npm run test:order-builder
+ */
+
+import assert from 'assert';
+
+import {
+    OrderBuilder,
+    OrderRejectReason,
+    OrderSide,
+    OrderType,
+    OrderValidationError,
+    fromBaseUnits,
+    getLimitOrderTerms,
+    toBaseUnits
+} from '../src/core/order-builder.js';
+
+const MAKER = '0x1111111111111111111111111111111111111111';
+const TOKEN_ID = '123456789';
+
+function createBuilder(options = {}) {
+    return new OrderBuilder({ maker: MAKER, tickSize: '0.01', minSize: '1', feeRateBps: 300, ...options });
+}
+
+/**
+ * 断言抛出指定原因的 OrderValidationError
+ */
+function assertRejects(fn, reason) {
+    assert.throws(fn, (error) => error instanceof OrderValidationError && error.reason === reason);
+}
+
+function testUnits() {
+    console.log('\n📋 测试1: 最小单位换算');
+
+    assert.strictEqual(toBaseUnits('0.1234569').toString(), '123456');
+    assert.strictEqual(toBaseUnits(12.5).toString(), '12500000');
+    assert.strictEqual(fromBaseUnits(123456n).toString(), '0.123456');
+    assert.strictEqual(fromBaseUnits('2700000').toNumber(), 2.7);
+
+    console.log('✅ 6 位小数换算，多余的小数向下取整');
+}
+
+function testSnapping() {
+    console.log('\n📋 测试2: 价格按 tick 对齐、份额按整手取整');
+
+    const builder = createBuilder();
+    assert.strictEqual(builder.snapPrice(0.537, OrderSide.BUY).toString(), '0.53');
+    assert.strictEqual(builder.snapPrice(0.531, OrderSide.SELL).toString(), '0.54');
+    assert.strictEqual(builder.snapPrice('0.55', OrderSide.BUY).toString(), '0.55');
+
+    // tick 0.01 时一手 = 100 个最小单位
+    assert.strictEqual(builder.snapSizeUnits('10.1234567').toString(), '10123400');
+
+    const fine = createBuilder({ tickSize: '0.001' });
+    assert.strictEqual(fine.snapPrice(0.1234, OrderSide.BUY).toString(), '0.123');
+    assert.strictEqual(fine.snapSizeUnits('10.1234567').toString(), '10123000');
+
+    console.log('✅ 买单向下、卖单向上对齐，份额按整手向下取整');
+}
+
+function testLimitOrders() {
+    console.log('\n📋 测试3: 限价单金额');
+
+    const builder = createBuilder();
+
+    // 买入 10.1234 份 @ 0.53：支付 10123400 × 0.53 = 5365402
+    const buy = builder.buildLimitOrder({ tokenId: TOKEN_ID, price: 0.537, quantity: '10.1234567', side: OrderSide.BUY });
+    assert.strictEqual(buy.makerAmount, '5365402');
+    assert.strictEqual(buy.takerAmount, '10123400');
+    assert.strictEqual(buy.price, 0.53);
+    assert.strictEqual(buy.quantity, 10.1234);
+    assert.strictEqual(buy.expiration, '0');
+    assert.strictEqual(buy.feeRateBps, '300');
+    assert.deepStrictEqual(getLimitOrderTerms(buy), { price: 0.53, quantity: 10.1234 });
+
+    // 卖出 5 份 @ 0.54：得到 2.7 USDC
+    const sell = builder.buildLimitOrder({ tokenId: TOKEN_ID, price: 0.531, quantity: 5, side: OrderSide.SELL });
+    assert.strictEqual(sell.makerAmount, '5000000');
+    assert.strictEqual(sell.takerAmount, '2700000');
+    assert.deepStrictEqual(getLimitOrderTerms(sell), { price: 0.54, quantity: 5 });
+
+    // GTD 使用传入的过期时间
+    const expiration = Math.floor(Date.now() / 1000) + 3600;
+    const gtd = builder.buildLimitOrder({ tokenId: TOKEN_ID, price: 0.4, quantity: 2, side: OrderSide.BUY, expiration });
+    assert.strictEqual(gtd.expiration, String(expiration));
+    assert.strictEqual(gtd.makerAmount, '800000');
+
+    console.log('✅ 买入 10.1234 份 @ 0.53 支付 5.365402 USDC，卖出 5 份 @ 0.54 得到 2.7 USDC');
+}
+
+function testMarketOrders() {
+    console.log('\n📋 测试4: 市价单金额');
+
+    const builder = createBuilder();
+
+    const buy = builder.buildMarketOrder({ tokenId: TOKEN_ID, side: OrderSide.BUY, usdcAmount: '12.3456789' });
+    assert.strictEqual(buy.makerAmount, '12345678');
+    assert.strictEqual(buy.takerAmount, '1');
+
+    const sell = builder.buildMarketOrder({ tokenId: TOKEN_ID, side: OrderSide.SELL, shares: 3.5, orderType: OrderType.IOC });
+    assert.strictEqual(sell.makerAmount, '3500000');
+    assert.strictEqual(sell.takerAmount, '1');
+
+    console.log('✅ 买入按 USDC、卖出按份额换算 makerAmount');
+}
+
+function testValidation() {
+    console.log('\n📋 测试5: 下单前校验');
+
+    const builder = createBuilder();
+    const order = { tokenId: TOKEN_ID, price: 0.5, quantity: 2, side: OrderSide.BUY };
+
+    // 1 / 0.03 不是整数
+    assertRejects(() => createBuilder({ tickSize: '0.03' }), OrderRejectReason.INVALID_TICK_SIZE);
+    assertRejects(() => createBuilder({ maker: '0x1234' }), OrderRejectReason.INVALID_ADDRESS);
+
+    // 对齐后为 0 或 1
+    assertRejects(() => builder.buildLimitOrder({ ...order, price: 0.004 }), OrderRejectReason.INVALID_PRICE);
+    assertRejects(() => builder.buildLimitOrder({ ...order, price: 0.995, side: OrderSide.SELL }), OrderRejectReason.INVALID_PRICE);
+
+    // 低于最小份额，或取整后为 0
+    assertRejects(() => builder.buildLimitOrder({ ...order, quantity: '0.999' }), OrderRejectReason.BELOW_MIN_SIZE);
+    assertRejects(() => createBuilder({ minSize: '0' }).buildLimitOrder({ ...order, quantity: '0.00005' }), OrderRejectReason.BELOW_MIN_SIZE);
+    assertRejects(() => builder.buildMarketOrder({ tokenId: TOKEN_ID, side: OrderSide.SELL, shares: 0.5 }), OrderRejectReason.BELOW_MIN_SIZE);
+
+    assertRejects(() => builder.buildLimitOrder({ ...order, quantity: 'abc' }), OrderRejectReason.INVALID_SIZE);
+    assertRejects(() => builder.buildLimitOrder({ ...order, side: 2 }), OrderRejectReason.INVALID_SIDE);
+    assertRejects(() => builder.buildLimitOrder({ ...order, tokenId: '0xabc' }), OrderRejectReason.INVALID_TOKEN);
+
+    // 订单类型与过期时间、postOnly 的组合
+    assertRejects(() => builder.buildLimitOrder({ ...order, orderType: OrderType.GTD }), OrderRejectReason.INVALID_EXPIRATION);
+    assertRejects(() => builder.buildLimitOrder({ ...order, expiration: 1000 }), OrderRejectReason.INVALID_EXPIRATION);
+    assertRejects(() => builder.buildLimitOrder({ ...order, orderType: OrderType.IOC, postOnly: true }), OrderRejectReason.INVALID_ORDER_TYPE);
+    assertRejects(() => builder.buildMarketOrder({ tokenId: TOKEN_ID, side: OrderSide.BUY, usdcAmount: 1, orderType: OrderType.GTC }), OrderRejectReason.INVALID_ORDER_TYPE);
+
+    console.log('✅ 无效参数在提交前被拒绝');
+}
+
+function main() {
+    console.log('🧪 订单构建器测试');
+    console.log('='.repeat(50));
+
+    testUnits();
+    testSnapping();
+    testLimitOrders();
+    testMarketOrders();
+    testValidation();
+
+    console.log('\n🎉 所有测试通过');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ 测试失败:', error);
+    process.exit(1);
+}
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Pyth 价格测试
+ * 启动 Hermes 替身服务（tools/pyth-stand-in）回放样例价格，验证：
+ *   - PythClient 按 expo 换算的历史价格与样例数据一致，超出样例范围时报 NOT_FOUND
+ *   - 最新价格的过期检查（--lag 模拟发布延迟）
+ *   - PythPriceStream 收到推送价格，服务端断开后自动重连
+ *
+ * 用法: npm run test:pyth
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+import PythClient, { PythErrorCode } from '../src/core/pyth-client.js';
+import { PythPriceStream } from '../src/services/pyth-price-stream.js';
+import { StreamState } from '../src/services/market-data-stream.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STAND_IN = path.join(__dirname, '../tools/pyth-stand-in/index.js');
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '../tools/pyth-stand-in/fixture.json'), 'utf8'));
+
+const BTC_ID = 'e62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43';
+const ETH_ID = 'ff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace';
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * 启动替身服务，返回子进程和 Hermes 地址
+ */
+async function startStandIn(args = []) {
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [STAND_IN, '--port', String(port), ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('替身服务启动超时')), 5000);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`替身服务退出 (code: ${code})`));
+        });
+        child.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('Pyth 替身服务已启动')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+    });
+
+    child.removeAllListeners('exit');
+    return { child, url: `http://127.0.0.1:${port}` };
+}
+
+function waitFor(emitter, event, predicate = () => true, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.off(event, handler);
+            reject(new Error(`等待 ${event} 事件超时`));
+        }, timeout);
+        const handler = (payload) => {
+            if (!predicate(payload)) {
+                return;
+            }
+            clearTimeout(timer);
+            emitter.off(event, handler);
+            resolve(payload);
+        };
+        emitter.on(event, handler);
+    });
+}
+
+/**
+ * 断言价格与样例数据点一致
+ */
+function assertMatchesPoint(price, id, point) {
+    const { expo } = fixture.series[id];
+    const [, rawPrice, rawConf, rawEmaPrice] = point;
+
+    assert.strictEqual(price.id, `0x${id}`);
+    assert.strictEqual(price.expo, expo);
+    assert.strictEqual(price.rawPrice, BigInt(rawPrice));
+    assert.strictEqual(price.rawConf, BigInt(rawConf));
+    assert.strictEqual(price.rawEmaPrice, BigInt(rawEmaPrice));
+    // 按 expo 换算，与字符串移位的结果比较，避免浮点乘法误差
+    assert.strictEqual(price.price, Number(`${rawPrice.slice(0, expo)}.${rawPrice.slice(expo)}`));
+}
+
+async function testHistoricalPrices(client) {
+    console.log('\n📋 测试1: 回放样例数据的历史价格');
+
+    const points = fixture.series[BTC_ID].points;
+    const [firstTime] = points[0];
+
+    const first = await client.getPriceAt('BTC/USD', firstTime * 1000);
+    assert.strictEqual(first.symbol, 'BTC/USD');
+    assert.strictEqual(first.publishTime, firstTime);
+    assertMatchesPoint(first, BTC_ID, points[0]);
+
+    // 两个样例点之间的时间取之后的第一个点
+    const between = await client.getPriceAt('btc', (firstTime + 15) * 1000);
+    assert.strictEqual(between.publishTime, points[1][0]);
+    assertMatchesPoint(between, BTC_ID, points[1]);
+
+    const { above } = await client.checkStrike('BTC/USD', first.price - 1, firstTime * 1000);
+    assert.strictEqual(above, true);
+
+    // 样例范围之后没有数据
+    const [lastTime] = points[points.length - 1];
+    await assert.rejects(
+        client.getPriceAt('BTC/USD', (lastTime + 60) * 1000),
+        (error) => error.code === PythErrorCode.NOT_FOUND
+    );
+
+    console.log(`✅ BTC/USD ${first.price}（${new Date(first.timestamp).toISOString()}）与样例一致`);
+}
+
+async function testLatestPrices(client, staleClient) {
+    console.log('\n📋 测试2: 最新价格与过期检查');
+
+    const prices = await client.getLatestPrices(['BTC/USD', 'ETH/USD']);
+    const eth = prices.get('ETH/USD');
+    const point = fixture.series[ETH_ID].points.find(([, rawPrice]) => BigInt(rawPrice) === eth.rawPrice);
+    assert.ok(point, 'ETH/USD 最新价格应来自样例数据');
+    assertMatchesPoint(eth, ETH_ID, point);
+    assert.ok(eth.getAge() < 5000, '最新价格的发布时间应接近当前时间');
+
+    // 替身服务的发布时间落后 600 秒，超过 60 秒的上限
+    await assert.rejects(
+        staleClient.getLatestPrice('BTC/USD', { maxAge: 60000 }),
+        (error) => error.code === PythErrorCode.STALE_PRICE
+    );
+
+    console.log('✅ 最新价格来自样例数据，过期价格被拒绝');
+}
+
+async function testStreamReconnect(client) {
+    console.log('\n📋 测试3: 推送价格与断线重连');
+
+    const stream = new PythPriceStream(client, {
+        reconnectBaseDelay: 100,
+        reconnectMaxDelay: 200,
+        staleTimeout: 5000
+    });
+
+    try {
+        const firstPrice = waitFor(stream, 'price', ({ symbol }) => symbol === 'BTC/USD');
+        await stream.subscribe(['BTC/USD']);
+
+        const price = await firstPrice;
+        const point = fixture.series[BTC_ID].points.find(([, rawPrice]) => BigInt(rawPrice) === price.rawPrice);
+        assert.ok(point, '推送价格应来自样例数据');
+        assertMatchesPoint(price, BTC_ID, point);
+        assert.strictEqual(stream.getPrice('BTC/USD').rawPrice, price.rawPrice);
+
+        // 替身服务推送 --drop-after 条后断开
+        await waitFor(stream, 'disconnected');
+        await waitFor(stream, 'connected', ({ isReconnect }) => isReconnect);
+        await waitFor(stream, 'price', ({ symbol }) => symbol === 'BTC/USD');
+
+        assert.strictEqual(stream.state, StreamState.CONNECTED);
+        assert.ok(stream.getStatus().stats.reconnects >= 1);
+        console.log('✅ 断线后重新连接并继续收到推送');
+    } finally {
+        stream.close();
+    }
+}
+
+async function main() {
+    console.log('🧪 Pyth 价格测试');
+    console.log('='.repeat(50));
+
+    const standIn = await startStandIn(['--interval', '100', '--drop-after', '3']);
+    const staleStandIn = await startStandIn(['--lag', '600']);
+
+    try {
+        const client = new PythClient({ baseURL: standIn.url, useProxy: false });
+        const staleClient = new PythClient({ baseURL: staleStandIn.url, useProxy: false });
+
+        await testHistoricalPrices(client);
+        await testLatestPrices(client, staleClient);
+        await testStreamReconnect(client);
+
+        console.log('\n🎉 所有测试通过');
+    } finally {
+        standIn.child.kill();
+        staleStandIn.child.kill();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 测试失败:', error);
+    process.exit(1);
+});
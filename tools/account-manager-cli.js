@@ -9,6 +9,7 @@ import { program } from 'commander';
 import StateManager from '../src/managers/state-manager.js';
 import AccountManager from '../src/managers/account-manager.js';
 import { StrategyType } from '../src/strategies/strategy-types.js';
+import { SignerType } from '../src/core/signers.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -36,15 +37,17 @@ class AccountManagerCLI {
         try {
             await this.initializeSystem();
 
-            // 验证必需参数
-            if (!options.privateKey) {
-                throw new Error('私钥是必需的参数 (--private-key)');
+            // 验证必需参数：本地签名需要私钥，keystore / 远程签名不需要
+            const signer = buildSignerOption(options);
+            if (!signer && !options.privateKey) {
+                throw new Error('私钥是必需的参数 (--private-key)，或使用 --signer keystore|remote');
             }
 
             // 构建账户配置
             const accountConfig = {
                 name: options.name || accountId,
-                privateKey: options.privateKey,
+                privateKey: signer ? undefined : options.privateKey,
+                signer,
                 balance: parseFloat(options.balance) || 0,
                 maxRisk: parseFloat(options.maxRisk) || 1000,
                 strategies: options.strategies ? options.strategies.split(',').map(s => s.trim()) : [],
@@ -434,6 +437,26 @@ class AccountManagerCLI {
     }
 }
 
+/**
+ * 由命令行参数构建签名配置，本地签名返回 null（私钥写入加密存储）
+ */
+function buildSignerOption(options) {
+    switch (options.signer) {
+        case SignerType.LOCAL:
+            return null;
+        case SignerType.KEYSTORE:
+            return { type: SignerType.KEYSTORE, ...(options.keystore ? { path: options.keystore } : {}) };
+        case SignerType.REMOTE:
+            return {
+                type: SignerType.REMOTE,
+                ...(options.signerUrl ? { url: options.signerUrl } : {}),
+                ...(options.keyId ? { keyId: options.keyId } : {})
+            };
+        default:
+            throw new Error(`未知的签名方式: ${options.signer}`);
+    }
+}
+
 // 创建CLI实例
 const cli = new AccountManagerCLI();
 
@@ -447,7 +470,11 @@ program
 program
     .command('add <accountId>')
     .description('添加新的交易账户')
-    .requiredOption('-k, --private-key <key>', '账户私钥')
+    .option('-k, --private-key <key>', '账户私钥（本地签名时必需）')
+    .option('--signer <type>', '签名方式: local | keystore | remote', SignerType.LOCAL)
+    .option('--keystore <file>', 'keystore 文件路径（默认 SIGNER_KEYSTORE_DIR/<accountId>.json）')
+    .option('--signer-url <url>', '远程签名服务地址（默认 SIGNER_REMOTE_URL）')
+    .option('--key-id <id>', '远程签名服务中的密钥标识（默认与账户ID相同）')
     .option('-n, --name <name>', '账户名称')
     .option('-b, --balance <amount>', '初始余额 (USDC)', '0')
     .option('-r, --max-risk <amount>', '最大风险金额 (USDC)', '1000')
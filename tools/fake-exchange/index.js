@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * 本地模拟交易所
+ * 提供与 Limitless REST 接口兼容的登录、市场、订单簿、下单和持仓接口，用于离线联调策略
+ *
+ * 用法:
+ *   node tools/fake-exchange/index.js [--port 8080] [--scenario scenario.json] [--balance 10000]
+ *                                     [--tick 2000] [--lifetime-scale 1] [--trade-rate 0.2]
+ *                                     [--latency 0] [--error-rate 0] [--no-verify-signatures]
+ *
+ * 然后设置 API_BASE_URL=http://127.0.0.1:8080 启动系统
+ */
+
+import fs from 'fs';
+import { program } from 'commander';
+
+import Ledger from './ledger.js';
+import MatchingEngine from './matching-engine.js';
+import MarketLifecycle, { DEFAULT_SCENARIO } from './market-lifecycle.js';
+import FakeExchangeServer from './server.js';
+
+program
+    .option('--port <port>', '监听端口', '8080')
+    .option('--scenario <file>', '市场场景 JSON 文件（模板数组），默认使用内置场景')
+    .option('--balance <usdc>', '每个账户的初始 USDC 余额', '10000')
+    .option('--tick <ms>', '行情刷新间隔 (毫秒)', '2000')
+    .option('--lifetime-scale <scale>', '市场存续时间缩放，例如 0.1 让小时市场 6 分钟结算', '1')
+    .option('--trade-rate <rate>', '每次刷新产生噪声成交的概率', '0.2')
+    .option('--session-ttl <seconds>', '登录会话有效期 (秒)', '3600')
+    .option('--latency <ms>', '每个请求附加的延迟 (毫秒)', '0')
+    .option('--error-rate <rate>', '随机返回 500 的概率', '0')
+    .option('--no-verify-signatures', '不校验订单签名')
+    .parse(process.argv);
+
+const options = program.opts();
+
+function loadScenario(file) {
+    if (!file) {
+        return DEFAULT_SCENARIO;
+    }
+
+    const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(scenario) || scenario.length === 0) {
+        throw new Error(`场景文件必须是非空数组: ${file}`);
+    }
+
+    for (const template of scenario) {
+        for (const field of ['key', 'title', 'category', 'lifetimeMinutes']) {
+            if (template[field] === undefined) {
+                throw new Error(`场景模板缺少字段 ${field}: ${JSON.stringify(template)}`);
+            }
+        }
+    }
+
+    return scenario.map(template => ({
+        tags: [],
+        cadence: 'custom',
+        initialPrice: 0.5,
+        volatility: 0.02,
+        isRewardable: false,
+        venue: 'clob',
+        ...template
+    }));
+}
+
+async function main() {
+    const ledger = new Ledger(parseFloat(options.balance));
+    const engine = new MatchingEngine(ledger);
+    const lifecycle = new MarketLifecycle({
+        engine,
+        ledger,
+        scenario: loadScenario(options.scenario),
+        tickInterval: parseInt(options.tick),
+        lifetimeScale: parseFloat(options.lifetimeScale),
+        tradeRate: parseFloat(options.tradeRate)
+    });
+    const server = new FakeExchangeServer({
+        engine,
+        ledger,
+        lifecycle,
+        sessionTtl: parseInt(options.sessionTtl),
+        verifySignatures: options.verifySignatures,
+        latency: parseInt(options.latency),
+        errorRate: parseFloat(options.errorRate)
+    });
+
+    lifecycle.start();
+    const address = await server.listen(parseInt(options.port));
+
+    console.log(`🏦 模拟交易所已启动: http://${address.address}:${address.port}`);
+    console.log(`   市场模板: ${lifecycle.scenario.length} 个，分类: ${lifecycle.categories.map(c => c.name).join(', ')}`);
+    console.log(`   初始余额: ${options.balance} USDC / 账户`);
+    console.log(`   设置 API_BASE_URL=http://127.0.0.1:${address.port} 后启动系统`);
+
+    const shutdown = async () => {
+        lifecycle.stop();
+        await server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌ 模拟交易所启动失败:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,125 @@
+/**
+ * 模拟交易所账本
+ * 记录每个用户的 USDC 和 outcome token 余额，以及挂单锁定的部分
+ */
+
+/**
+ * 保留 6 位小数（USDC / token 精度）
+ */
+export function round6(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+export class Ledger {
+    constructor(initialBalance = 10000) {
+        this.initialBalance = initialBalance;
+        this.accounts = new Map(); // userId -> { usdc, lockedUsdc, tokens: Map<tokenId, { balance, locked, cost }> }
+    }
+
+    getAccount(userId) {
+        if (!this.accounts.has(userId)) {
+            this.accounts.set(userId, {
+                usdc: this.initialBalance,
+                lockedUsdc: 0,
+                tokens: new Map(),
+                tradedVolume: 0
+            });
+        }
+        return this.accounts.get(userId);
+    }
+
+    getToken(userId, tokenId) {
+        const account = this.getAccount(userId);
+        if (!account.tokens.has(tokenId)) {
+            account.tokens.set(tokenId, { balance: 0, locked: 0, cost: 0 });
+        }
+        return account.tokens.get(tokenId);
+    }
+
+    availableUsdc(userId) {
+        const account = this.getAccount(userId);
+        return round6(account.usdc - account.lockedUsdc);
+    }
+
+    availableTokens(userId, tokenId) {
+        const token = this.getToken(userId, tokenId);
+        return round6(token.balance - token.locked);
+    }
+
+    lockUsdc(userId, amount) {
+        const account = this.getAccount(userId);
+        account.lockedUsdc = round6(account.lockedUsdc + amount);
+    }
+
+    unlockUsdc(userId, amount) {
+        const account = this.getAccount(userId);
+        account.lockedUsdc = round6(Math.max(0, account.lockedUsdc - amount));
+    }
+
+    lockTokens(userId, tokenId, amount) {
+        const token = this.getToken(userId, tokenId);
+        token.locked = round6(token.locked + amount);
+    }
+
+    unlockTokens(userId, tokenId, amount) {
+        const token = this.getToken(userId, tokenId);
+        token.locked = round6(Math.max(0, token.locked - amount));
+    }
+
+    /**
+     * 买入成交：支付 USDC，获得 token
+     */
+    settleBuy(userId, tokenId, size, price) {
+        const account = this.getAccount(userId);
+        const token = this.getToken(userId, tokenId);
+        const cost = round6(size * price);
+
+        account.usdc = round6(account.usdc - cost);
+        account.tradedVolume = round6(account.tradedVolume + cost);
+        token.balance = round6(token.balance + size);
+        token.cost = round6(token.cost + cost);
+    }
+
+    /**
+     * 卖出成交：交出 token，获得 USDC
+     */
+    settleSell(userId, tokenId, size, price) {
+        const account = this.getAccount(userId);
+        const token = this.getToken(userId, tokenId);
+        const proceeds = round6(size * price);
+
+        // 按比例减少持仓成本
+        if (token.balance > 0) {
+            token.cost = round6(token.cost * (1 - size / token.balance));
+        }
+        token.balance = round6(token.balance - size);
+        account.usdc = round6(account.usdc + proceeds);
+        account.tradedVolume = round6(account.tradedVolume + proceeds);
+    }
+
+    /**
+     * 市场结算：赢家 token 按 1 USDC 兑付，输家清零
+     */
+    resolve(market, winningOutcome) {
+        const payouts = [];
+
+        for (const [userId, account] of this.accounts.entries()) {
+            for (const outcome of ['yes', 'no']) {
+                const tokenId = market.tokens[outcome];
+                const token = account.tokens.get(tokenId);
+                if (!token || token.balance === 0) {
+                    continue;
+                }
+
+                const payout = outcome === winningOutcome ? token.balance : 0;
+                account.usdc = round6(account.usdc + payout);
+                payouts.push({ userId, tokenId, balance: token.balance, payout });
+                account.tokens.delete(tokenId);
+            }
+        }
+
+        return payouts;
+    }
+}
+
+export default Ledger;
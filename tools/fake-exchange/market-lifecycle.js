@@ -0,0 +1,428 @@
+/**
+ * 模拟交易所市场生命周期
+ * 按场景模板滚动创建市场，到期后结算并创建下一期
+ * 内置做市机器人在公允价格附近双边挂单，噪声交易者偶尔吃单产生成交记录
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+import { round6 } from './ledger.js';
+
+export const MAKER_BOT_ID = 'maker-bot';
+export const NOISE_BOT_ID = 'noise-bot';
+
+const BOT_BALANCE = 10_000_000;
+const MAX_FEED_EVENTS = 50;
+
+/**
+ * 默认场景：一个小时级、一个日级的价格市场，一个多子市场分组，一个 AMM 市场
+ */
+export const DEFAULT_SCENARIO = [
+    {
+        key: 'btc-hourly',
+        title: '$BTC above ${strike} on {time}?',
+        category: 'Hourly',
+        tags: ['Hourly', 'Crypto'],
+        cadence: 'hourly',
+        lifetimeMinutes: 60,
+        strikeBase: 65000,
+        initialPrice: 0.5,
+        volatility: 0.02,
+        isRewardable: true,
+        venue: 'clob'
+    },
+    {
+        key: 'eth-daily',
+        title: '$ETH above ${strike} on {time}?',
+        category: 'Daily',
+        tags: ['Daily', 'Crypto'],
+        cadence: 'daily',
+        lifetimeMinutes: 1440,
+        strikeBase: 2500,
+        initialPrice: 0.4,
+        volatility: 0.01,
+        isRewardable: true,
+        venue: 'clob'
+    },
+    {
+        key: 'demo-cup',
+        title: 'Who will win the Demo Cup?',
+        category: 'Sports',
+        tags: ['Sports'],
+        cadence: 'weekly',
+        lifetimeMinutes: 10080,
+        outcomes: ['Team Alpha', 'Team Beta', 'Team Gamma'],
+        initialPrice: 0.33,
+        volatility: 0.01,
+        isRewardable: false,
+        venue: 'clob'
+    },
+    {
+        key: 'sol-hourly-amm',
+        title: '$SOL above ${strike} on {time}?',
+        category: 'Hourly',
+        tags: ['Hourly', 'Crypto'],
+        cadence: 'hourly',
+        lifetimeMinutes: 60,
+        strikeBase: 150,
+        initialPrice: 0.5,
+        volatility: 0.03,
+        isRewardable: false,
+        venue: 'amm'
+    }
+];
+
+function randomTokenId() {
+    return BigInt('0x' + crypto.randomBytes(32).toString('hex')).toString();
+}
+
+function formatTime(date) {
+    return date.toLocaleString('en-US', {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC'
+    }) + ' UTC';
+}
+
+function clampPrice(price) {
+    return Math.min(0.98, Math.max(0.02, price));
+}
+
+export class MarketLifecycle extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {MatchingEngine} options.engine - 撮合引擎
+     * @param {Ledger} options.ledger - 账本
+     * @param {Array} options.scenario - 市场模板列表
+     * @param {number} options.tickInterval - 行情刷新间隔（毫秒）
+     * @param {number} options.lifetimeScale - 市场存续时间缩放，例如 0.1 让小时市场 6 分钟到期
+     * @param {number} options.tradeRate - 每次刷新时噪声交易的概率
+     */
+    constructor({ engine, ledger, scenario = DEFAULT_SCENARIO, tickInterval = 2000, lifetimeScale = 1, tradeRate = 0.2 }) {
+        super();
+        this.engine = engine;
+        this.ledger = ledger;
+        this.scenario = scenario;
+        this.tickInterval = tickInterval;
+        this.lifetimeScale = lifetimeScale;
+        this.tradeRate = tradeRate;
+
+        this.categories = [];
+        this.listings = new Map(); // 顶层 slug -> 列表项（单一市场、分组或 AMM 市场）
+        this.markets = new Map();  // 可交易 slug -> 市场（分组的子市场也在这里）
+        this.resolved = new Map(); // slug -> 结算记录
+        this.sequence = 0;
+        this.timer = null;
+
+        this.engine.on('trade', (trade) => this.recordTrade(trade));
+    }
+
+    start() {
+        this.ledger.getAccount(MAKER_BOT_ID).usdc = BOT_BALANCE;
+        this.ledger.getAccount(NOISE_BOT_ID).usdc = BOT_BALANCE;
+
+        const categoryNames = [...new Set(this.scenario.map(template => template.category))];
+        this.categories = categoryNames.map((name, index) => ({ id: index + 1, name }));
+
+        for (const template of this.scenario) {
+            this.createListing(template);
+        }
+
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getCategoryId(name) {
+        return this.categories.find(category => category.name === name)?.id;
+    }
+
+    /**
+     * 按模板创建一期市场
+     */
+    createListing(template) {
+        this.sequence++;
+
+        const lifetime = template.lifetimeMinutes * 60 * 1000 * this.lifetimeScale;
+        const expiresAt = new Date(Date.now() + lifetime);
+        const strike = template.strikeBase
+            ? (template.strikeBase * (1 + (Math.random() - 0.5) * 0.02)).toFixed(2)
+            : null;
+        const title = template.title
+            .replace('{strike}', strike ?? '')
+            .replace('{time}', formatTime(expiresAt));
+        const slug = `${template.key}-${this.sequence}`;
+
+        const base = {
+            title,
+            slug,
+            expirationTimestamp: expiresAt.getTime(),
+            expired: false,
+            tags: template.tags || [],
+            categories: [template.category],
+            metadata: { cadence: template.cadence, template: template.key, ...(strike ? { strike } : {}) },
+            createdAt: new Date().toISOString()
+        };
+
+        let listing;
+        if (template.venue === 'amm') {
+            listing = {
+                ...base,
+                conditionId: ethers.id(slug),
+                address: ethers.getAddress('0x' + crypto.randomBytes(20).toString('hex')),
+                fairYes: template.initialPrice,
+                isRewardable: false,
+                venue: 'amm'
+            };
+            this.markets.set(slug, listing);
+        } else if (template.outcomes) {
+            listing = {
+                ...base,
+                venue: 'group',
+                markets: template.outcomes.map((outcome, index) => this.createClobMarket(template, {
+                    ...base,
+                    title: outcome,
+                    slug: `${slug}-${index + 1}`,
+                    parentSlug: slug
+                }))
+            };
+        } else {
+            listing = this.createClobMarket(template, base);
+        }
+
+        listing.template = template;
+        this.listings.set(slug, listing);
+        console.log(`🆕 新市场: ${title} (${slug})，${expiresAt.toISOString()} 到期`);
+        return listing;
+    }
+
+    createClobMarket(template, base) {
+        const market = {
+            ...base,
+            conditionId: ethers.id(base.slug),
+            tokens: { yes: randomTokenId(), no: randomTokenId() },
+            fairYes: template.initialPrice,
+            volatility: template.volatility,
+            isRewardable: !!template.isRewardable,
+            settings: {
+                minSize: 1,
+                tickSize: 0.001,
+                feeRateBps: 300,
+                maxSpread: 0.05,
+                dailyReward: template.isRewardable ? '10' : '0',
+                rewardsEpoch: 0.0416,
+                c: 1.5
+            },
+            feedEvents: [],
+            venue: 'clob'
+        };
+
+        this.markets.set(market.slug, market);
+        this.quote(market);
+        return market;
+    }
+
+    /**
+     * 定时刷新：价格随机游走、做市机器人重新报价、随机成交、到期结算
+     */
+    tick() {
+        const now = Date.now();
+        this.engine.expireOrders(now);
+
+        for (const listing of [...this.listings.values()]) {
+            if (listing.expirationTimestamp <= now) {
+                this.resolveListing(listing);
+                this.createListing(listing.template);
+                continue;
+            }
+
+            for (const market of this.getListingMarkets(listing)) {
+                const volatility = market.volatility ?? listing.template.volatility;
+                market.fairYes = clampPrice(market.fairYes + (Math.random() - 0.5) * 2 * volatility);
+
+                if (market.venue !== 'clob') {
+                    continue;
+                }
+
+                this.quote(market);
+                if (Math.random() < this.tradeRate) {
+                    this.noiseTrade(market);
+                }
+            }
+        }
+    }
+
+    getListingMarkets(listing) {
+        return listing.markets || [listing];
+    }
+
+    /**
+     * 做市机器人双边挂三档，卖盘用 NO 买单表示，只需要 USDC
+     */
+    quote(market) {
+        this.engine.cancelAllForUser(MAKER_BOT_ID, market.slug);
+
+        const fair = Math.round(market.fairYes * 100) / 100;
+        for (const level of [1, 2, 3]) {
+            const bid = round6(fair - 0.01 * level);
+            const ask = round6(fair + 0.01 * level);
+            const size = 50 * level;
+
+            if (bid > 0) {
+                this.submitBotOrder(market, { tokenId: market.tokens.yes, side: 'BUY', price: bid, size });
+            }
+            if (ask < 1) {
+                this.submitBotOrder(market, { tokenId: market.tokens.no, side: 'BUY', price: round6(1 - ask), size });
+            }
+        }
+    }
+
+    /**
+     * 噪声交易者随机买入 YES 或 NO
+     */
+    noiseTrade(market) {
+        const tokenId = Math.random() < 0.5 ? market.tokens.yes : market.tokens.no;
+        const budget = Math.round(5 + Math.random() * 20);
+        this.submitBotOrder(market, { tokenId, side: 'BUY', budget, orderType: 'FOK' }, NOISE_BOT_ID);
+    }
+
+    submitBotOrder(market, params, userId = MAKER_BOT_ID) {
+        try {
+            this.engine.submit(market, { userId, ...params });
+        } catch (error) {
+            // 机器人下单失败（例如 FOK 流动性不足）不影响模拟
+        }
+    }
+
+    /**
+     * 成交写入市场的 feedEvents，并更新价格
+     */
+    recordTrade({ market, taker, size, yesPrice }) {
+        const takerPrice = taker.outcome === 'YES' ? yesPrice : round6(1 - yesPrice);
+        const amount = round6(size * takerPrice);
+
+        market.feedEvents.unshift({
+            timestamp: new Date().toISOString(),
+            eventType: 'NEW_TRADE',
+            data: {
+                contracts: String(size),
+                tradeAmountUSD: String(taker.side === 'BUY' ? amount : -amount),
+                outcome: taker.outcome,
+                slug: market.slug,
+                strategy: taker.side === 'BUY' ? 'Buy' : 'Sell'
+            }
+        });
+        market.feedEvents.length = Math.min(market.feedEvents.length, MAX_FEED_EVENTS);
+        market.lastTradeYes = yesPrice;
+    }
+
+    /**
+     * 到期结算：撤掉所有挂单，按公允价格决定结果并兑付
+     */
+    resolveListing(listing) {
+        const markets = this.getListingMarkets(listing);
+
+        // 分组市场只有一个子市场胜出
+        let winnerSlug = null;
+        if (listing.markets) {
+            winnerSlug = markets.reduce((best, market) => market.fairYes > best.fairYes ? market : best).slug;
+        }
+
+        for (const market of markets) {
+            const winningOutcome = listing.markets
+                ? (market.slug === winnerSlug ? 'yes' : 'no')
+                : (Math.random() < market.fairYes ? 'yes' : 'no');
+
+            let payouts = [];
+            if (market.venue === 'clob') {
+                this.engine.cancelAllForMarket(market.slug);
+                payouts = this.ledger.resolve(market, winningOutcome);
+            }
+
+            market.expired = true;
+            market.winningOutcomeIndex = winningOutcome === 'yes' ? 0 : 1;
+            market.fairYes = winningOutcome === 'yes' ? 1 : 0;
+            this.markets.delete(market.slug);
+            this.resolved.set(market.slug, {
+                market,
+                winningOutcome,
+                payouts,
+                resolvedAt: new Date().toISOString()
+            });
+
+            console.log(`🏁 市场结算: ${market.title} -> ${winningOutcome.toUpperCase()}，兑付 ${payouts.filter(p => p.payout > 0).length} 个持仓`);
+            this.emit('resolved', { market, winningOutcome, payouts });
+        }
+
+        listing.expired = true;
+        this.listings.delete(listing.slug);
+    }
+
+    /**
+     * 查找可交易市场（含已结算市场）
+     */
+    findMarket(slug) {
+        return this.markets.get(slug) || this.resolved.get(slug)?.market || null;
+    }
+
+    /**
+     * 按 tokenId 查找市场
+     */
+    findMarketByToken(tokenId) {
+        for (const market of this.markets.values()) {
+            if (market.tokens && (market.tokens.yes === tokenId || market.tokens.no === tokenId)) {
+                return market;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 市场价格（百分比，和线上接口一致）
+     */
+    getPrices(market) {
+        const yes = market.lastTradeYes ?? market.fairYes;
+        return [round6(yes * 100), round6((1 - yes) * 100)];
+    }
+
+    /**
+     * 市场的接口格式
+     */
+    serializeMarket(market) {
+        const { template, fairYes, volatility, lastTradeYes, feedEvents, venue, ...fields } = market;
+        const serialized = { ...fields };
+
+        if (market.markets) {
+            serialized.markets = market.markets.map(subMarket => this.serializeMarket(subMarket));
+        } else {
+            serialized.prices = this.getPrices(market);
+            serialized.tradePrices = {
+                buy: { market: serialized.prices.map(price => round6(price / 100)) },
+                sell: { market: serialized.prices.map(price => round6(price / 100)) }
+            };
+        }
+
+        return serialized;
+    }
+
+    /**
+     * 某个分类下的活跃市场列表
+     */
+    getActiveListings(categoryId) {
+        const category = this.categories.find(item => String(item.id) === String(categoryId));
+        if (!category) {
+            return [];
+        }
+
+        return Array.from(this.listings.values())
+            .filter(listing => listing.template.category === category.name)
+            .map(listing => this.serializeMarket(listing));
+    }
+}
+
+export default MarketLifecycle;
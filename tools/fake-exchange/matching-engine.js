@@ -0,0 +1,435 @@
+/**
+ * 模拟交易所撮合引擎
+ * 每个市场一本以 YES 计价的订单簿，NO 订单换算为反方向的 YES 订单（NO 买 p = YES 卖 1-p）
+ * 价格优先、时间优先；支持 GTC / GTD / FOK / IOC 以及 post-only
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+import { round6 } from './ledger.js';
+
+export const OrderStatus = {
+    LIVE: 'LIVE',
+    MATCHED: 'MATCHED',
+    CANCELLED: 'CANCELLED',
+    EXPIRED: 'EXPIRED'
+};
+
+/**
+ * 撮合引擎错误（返回给客户端 400）
+ */
+export class EngineError extends Error {
+    constructor(message, code = 'ORDER_REJECTED') {
+        super(message);
+        this.name = 'EngineError';
+        this.code = code;
+    }
+}
+
+const EPSILON = 1e-9;
+
+export class MatchingEngine extends EventEmitter {
+    constructor(ledger) {
+        super();
+        this.ledger = ledger;
+        this.books = new Map();  // slug -> { bids: [], asks: [] }（YES 计价）
+        this.orders = new Map(); // orderId -> 订单记录
+        this.lastTradePrices = new Map(); // slug -> YES 最新成交价
+    }
+
+    getBook(slug) {
+        if (!this.books.has(slug)) {
+            this.books.set(slug, { bids: [], asks: [] });
+        }
+        return this.books.get(slug);
+    }
+
+    /**
+     * 提交订单
+     * @param {Object} market - 市场（需要 slug 和 tokens.yes/no）
+     * @param {Object} params - { userId, tokenId, side: 'BUY'|'SELL', price, size, budget, orderType, expiration, postOnly }
+     */
+    submit(market, params) {
+        const { userId, tokenId, side, orderType = 'GTC', postOnly = false } = params;
+
+        const outcome = tokenId === market.tokens.yes ? 'YES' : tokenId === market.tokens.no ? 'NO' : null;
+        if (!outcome) {
+            throw new EngineError(`tokenId ${tokenId} 不属于市场 ${market.slug}`, 'INVALID_TOKEN');
+        }
+
+        const isMarketOrder = params.budget !== undefined;
+        const price = isMarketOrder ? (side === 'BUY' ? 1 : 0) : round6(params.price);
+        if (!isMarketOrder && (price <= 0 || price >= 1)) {
+            throw new EngineError(`价格必须在 0 到 1 之间: ${price}`, 'INVALID_PRICE');
+        }
+        if (!isMarketOrder && params.size <= 0) {
+            throw new EngineError(`数量必须大于 0: ${params.size}`, 'INVALID_SIZE');
+        }
+
+        const order = {
+            id: crypto.randomUUID(),
+            userId,
+            marketSlug: market.slug,
+            tokenId,
+            outcome,
+            side,
+            price,
+            originalSize: isMarketOrder ? null : round6(params.size),
+            remainingSize: isMarketOrder ? null : round6(params.size),
+            budget: isMarketOrder ? round6(params.budget) : null,
+            remainingBudget: isMarketOrder ? round6(params.budget) : null,
+            filledSize: 0,
+            filledCost: 0,
+            fills: [],
+            orderType,
+            postOnly,
+            expiration: Number(params.expiration || 0),
+            status: OrderStatus.LIVE,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        // YES 计价方向和价格
+        order.yesSide = outcome === 'YES' ? side : (side === 'BUY' ? 'SELL' : 'BUY');
+        order.yesPrice = outcome === 'YES' ? price : round6(1 - price);
+
+        if (orderType === 'GTD' && !order.expiration) {
+            throw new EngineError('GTD 订单必须设置过期时间', 'INVALID_EXPIRATION');
+        }
+        if (order.expiration && order.expiration * 1000 <= Date.now()) {
+            throw new EngineError('订单已过期', 'EXPIRED');
+        }
+
+        const book = this.getBook(market.slug);
+        const opposite = order.yesSide === 'BUY' ? book.asks : book.bids;
+
+        if (postOnly) {
+            if (orderType === 'FOK' || orderType === 'IOC' || isMarketOrder) {
+                throw new EngineError('post-only 只能用于 GTC/GTD 限价单', 'INVALID_ORDER_TYPE');
+            }
+            if (opposite.some(entry => entry.userId !== userId && this.crosses(order, entry))) {
+                throw new EngineError('post-only 订单会立即成交，已拒绝', 'POST_ONLY_WOULD_CROSS');
+            }
+        }
+
+        // 余额检查并锁定
+        this.lockFunds(order);
+
+        if (orderType === 'FOK' && !this.canFillCompletely(order, opposite)) {
+            this.unlockRemaining(order);
+            throw new EngineError('FOK 订单无法全部成交', 'FOK_NOT_FILLED');
+        }
+
+        this.match(market, order, opposite);
+
+        const fullyFilled = isMarketOrder
+            ? order.remainingBudget <= EPSILON
+            : order.remainingSize <= EPSILON;
+
+        if (fullyFilled) {
+            order.status = OrderStatus.MATCHED;
+            this.unlockRemaining(order);
+        } else if (isMarketOrder || orderType === 'FOK' || orderType === 'IOC') {
+            // 市价单 / IOC 未成交部分直接取消
+            this.unlockRemaining(order);
+            order.status = order.filledSize > 0 ? OrderStatus.MATCHED : OrderStatus.CANCELLED;
+        } else {
+            this.rest(book, order);
+        }
+
+        this.orders.set(order.id, order);
+        return order;
+    }
+
+    /**
+     * 入场订单是否与挂单价格交叉
+     */
+    crosses(order, entry) {
+        return order.yesSide === 'BUY'
+            ? entry.yesPrice <= order.yesPrice + EPSILON
+            : entry.yesPrice >= order.yesPrice - EPSILON;
+    }
+
+    /**
+     * 单个参与方视角下的成交价
+     */
+    outcomePrice(order, yesPrice) {
+        return order.outcome === 'YES' ? yesPrice : round6(1 - yesPrice);
+    }
+
+    lockFunds(order) {
+        const { ledger } = this;
+
+        if (order.side === 'BUY') {
+            const required = order.budget !== null ? order.budget : round6(order.price * order.originalSize);
+            if (ledger.availableUsdc(order.userId) + EPSILON < required) {
+                throw new EngineError(`USDC 余额不足: 需要 ${required}，可用 ${ledger.availableUsdc(order.userId)}`, 'INSUFFICIENT_BALANCE');
+            }
+            ledger.lockUsdc(order.userId, required);
+        } else {
+            const required = order.budget !== null ? order.budget : order.originalSize;
+            if (ledger.availableTokens(order.userId, order.tokenId) + EPSILON < required) {
+                throw new EngineError(`持仓不足: 需要 ${required}，可用 ${ledger.availableTokens(order.userId, order.tokenId)}`, 'INSUFFICIENT_BALANCE');
+            }
+            ledger.lockTokens(order.userId, order.tokenId, required);
+        }
+    }
+
+    /**
+     * 释放订单剩余部分的锁定资金
+     */
+    unlockRemaining(order) {
+        if (order.budget !== null) {
+            if (order.side === 'BUY') {
+                this.ledger.unlockUsdc(order.userId, order.remainingBudget);
+            } else {
+                this.ledger.unlockTokens(order.userId, order.tokenId, order.remainingBudget);
+            }
+            order.remainingBudget = 0;
+            return;
+        }
+
+        if (order.side === 'BUY') {
+            this.ledger.unlockUsdc(order.userId, round6(order.price * order.remainingSize));
+        } else {
+            this.ledger.unlockTokens(order.userId, order.tokenId, order.remainingSize);
+        }
+    }
+
+    /**
+     * FOK 预演：对手盘是否足够全部成交
+     */
+    canFillCompletely(order, opposite) {
+        let remaining = order.budget !== null ? order.remainingBudget : order.remainingSize;
+
+        for (const entry of opposite) {
+            if (remaining <= EPSILON) break;
+            if (entry.userId === order.userId) continue;
+            if (!this.crosses(order, entry)) break;
+
+            const price = this.outcomePrice(order, entry.yesPrice);
+            if (order.budget !== null && order.side === 'BUY') {
+                remaining -= Math.min(entry.remainingSize * price, remaining);
+            } else {
+                remaining -= Math.min(entry.remainingSize, remaining);
+            }
+        }
+
+        return remaining <= 1e-6;
+    }
+
+    /**
+     * 撮合入场订单
+     */
+    match(market, order, opposite) {
+        let index = 0;
+
+        while (index < opposite.length) {
+            const entry = opposite[index];
+            if (!this.crosses(order, entry)) break;
+            if (entry.userId === order.userId) {
+                index++; // 不与自己成交
+                continue;
+            }
+
+            const takerPrice = this.outcomePrice(order, entry.yesPrice);
+            let size;
+            if (order.budget !== null) {
+                if (order.remainingBudget <= EPSILON) break;
+                size = order.side === 'BUY'
+                    ? Math.min(entry.remainingSize, order.remainingBudget / takerPrice)
+                    : Math.min(entry.remainingSize, order.remainingBudget);
+            } else {
+                if (order.remainingSize <= EPSILON) break;
+                size = Math.min(entry.remainingSize, order.remainingSize);
+            }
+            size = round6(size);
+            if (size <= 0) break;
+
+            this.fill(market, order, size, takerPrice, true);
+            this.fill(market, entry, size, entry.price, false);
+
+            this.lastTradePrices.set(market.slug, entry.yesPrice);
+            this.emit('trade', { market, taker: order, maker: entry, size, yesPrice: entry.yesPrice });
+
+            if (entry.remainingSize <= EPSILON) {
+                entry.status = OrderStatus.MATCHED;
+                opposite.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * 记录单方成交并结算
+     */
+    fill(market, order, size, price, isTaker) {
+        const { ledger } = this;
+        const cost = round6(size * price);
+
+        if (order.side === 'BUY') {
+            // 按锁定价格释放，按成交价格支付，差价自动退回
+            const lockedPrice = order.budget !== null ? price : order.price;
+            ledger.unlockUsdc(order.userId, round6(size * lockedPrice));
+            ledger.settleBuy(order.userId, order.tokenId, size, price);
+        } else {
+            ledger.unlockTokens(order.userId, order.tokenId, size);
+            ledger.settleSell(order.userId, order.tokenId, size, price);
+        }
+
+        if (order.budget !== null) {
+            order.remainingBudget = round6(order.remainingBudget - (order.side === 'BUY' ? cost : size));
+        } else {
+            order.remainingSize = round6(order.remainingSize - size);
+        }
+
+        order.filledSize = round6(order.filledSize + size);
+        order.filledCost = round6(order.filledCost + cost);
+        order.fills.push({ size, price, isTaker, timestamp: new Date().toISOString() });
+        order.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * 挂单入簿（买单价格降序，卖单价格升序，同价按时间）
+     */
+    rest(book, order) {
+        const side = order.yesSide === 'BUY' ? book.bids : book.asks;
+        const better = order.yesSide === 'BUY'
+            ? (entry) => entry.yesPrice < order.yesPrice - EPSILON
+            : (entry) => entry.yesPrice > order.yesPrice + EPSILON;
+
+        const index = side.findIndex(better);
+        if (index === -1) {
+            side.push(order);
+        } else {
+            side.splice(index, 0, order);
+        }
+    }
+
+    /**
+     * 取消订单
+     */
+    cancel(orderId, userId = null, status = OrderStatus.CANCELLED) {
+        const order = this.orders.get(orderId);
+        if (!order || (userId !== null && order.userId !== userId)) {
+            return null;
+        }
+        if (order.status !== OrderStatus.LIVE) {
+            return order;
+        }
+
+        const book = this.getBook(order.marketSlug);
+        for (const side of [book.bids, book.asks]) {
+            const index = side.indexOf(order);
+            if (index !== -1) {
+                side.splice(index, 1);
+            }
+        }
+
+        this.unlockRemaining(order);
+        order.status = status;
+        order.updatedAt = new Date().toISOString();
+        return order;
+    }
+
+    /**
+     * 取消某个用户的订单（可按市场过滤）
+     */
+    cancelAllForUser(userId, slug = null) {
+        return this.getUserOrders(userId, { slug, liveOnly: true })
+            .map(order => this.cancel(order.id, userId));
+    }
+
+    /**
+     * 取消某个市场的全部订单（市场结算前）
+     */
+    cancelAllForMarket(slug) {
+        const book = this.getBook(slug);
+        for (const order of [...book.bids, ...book.asks]) {
+            this.cancel(order.id);
+        }
+        this.books.delete(slug);
+    }
+
+    /**
+     * 让到期的 GTD 订单失效
+     */
+    expireOrders(now = Date.now()) {
+        const expired = [];
+        for (const order of this.orders.values()) {
+            if (order.status === OrderStatus.LIVE && order.expiration && order.expiration * 1000 <= now) {
+                expired.push(this.cancel(order.id, null, OrderStatus.EXPIRED));
+            }
+        }
+        return expired;
+    }
+
+    getOrder(orderId) {
+        return this.orders.get(orderId) || null;
+    }
+
+    getUserOrders(userId, { slug = null, liveOnly = false } = {}) {
+        return Array.from(this.orders.values()).filter(order =>
+            order.userId === userId &&
+            (!slug || order.marketSlug === slug) &&
+            (!liveOnly || order.status === OrderStatus.LIVE)
+        );
+    }
+
+    /**
+     * 订单簿快照（接口格式）
+     */
+    getOrderbookSnapshot(market) {
+        const book = this.getBook(market.slug);
+        const aggregate = (entries, side) => {
+            const levels = new Map();
+            for (const entry of entries) {
+                levels.set(entry.yesPrice, round6((levels.get(entry.yesPrice) || 0) + entry.remainingSize));
+            }
+            return Array.from(levels.entries()).map(([price, size]) => ({ price, size, side }));
+        };
+
+        const bids = aggregate(book.bids, 'BUY');
+        const asks = aggregate(book.asks, 'SELL');
+        const midpoint = bids.length && asks.length ? round6((bids[0].price + asks[0].price) / 2) : null;
+
+        return {
+            tokenId: market.tokens.yes,
+            bids,
+            asks,
+            adjustedMidpoint: midpoint,
+            lastTradePrice: this.lastTradePrices.get(market.slug) ?? null,
+            maxSpread: market.settings?.maxSpread ?? 0.05,
+            minSize: market.settings?.minSize ?? 1,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * 订单记录（接口格式）
+     */
+    serializeOrder(order) {
+        return {
+            id: order.id,
+            ownerId: order.userId,
+            marketSlug: order.marketSlug,
+            tokenId: order.tokenId,
+            outcome: order.outcome,
+            side: order.side === 'BUY' ? 0 : 1,
+            price: order.budget !== null ? null : order.price,
+            originalSize: order.originalSize,
+            remainingSize: order.remainingSize,
+            filledSize: order.filledSize,
+            avgFillPrice: order.filledSize > 0 ? round6(order.filledCost / order.filledSize) : null,
+            orderType: order.orderType,
+            postOnly: order.postOnly,
+            expiration: order.expiration,
+            status: order.status,
+            fills: order.fills,
+            createdAt: order.createdAt,
+            updatedAt: order.updatedAt
+        };
+    }
+}
+
+export default MatchingEngine;
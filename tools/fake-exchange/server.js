@@ -0,0 +1,459 @@
+/**
+ * 模拟交易所 HTTP 服务
+ * 实现系统用到的 REST 接口（登录、市场、订单簿、下单、撤单、持仓），行为尽量贴近线上
+ * 链上操作（approve、split、claim 等）不在模拟范围内，仍需要 RPC
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+import { ORDER_TYPES, toTypedOrder } from '../../src/core/order-builder.js';
+import { SESSION_COOKIE_NAME } from '../../src/core/session-manager.js';
+import { EngineError, OrderStatus } from './matching-engine.js';
+import { round6 } from './ledger.js';
+
+const DEFAULT_VERIFYING_CONTRACT = '0x5a38afc17f7e97ad8d6c547ddb837e40b4aedfc6';
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export class FakeExchangeServer {
+    /**
+     * @param {Object} options
+     * @param {MatchingEngine} options.engine - 撮合引擎
+     * @param {Ledger} options.ledger - 账本
+     * @param {MarketLifecycle} options.lifecycle - 市场生命周期
+     * @param {number} options.sessionTtl - 会话有效期（秒）
+     * @param {boolean} options.verifySignatures - 是否校验订单 EIP-712 签名
+     * @param {number} options.latency - 每个请求附加的延迟（毫秒）
+     * @param {number} options.errorRate - 随机返回 500 的概率，用于测试重试
+     */
+    constructor({ engine, ledger, lifecycle, sessionTtl = 3600, verifySignatures = true, latency = 0, errorRate = 0, chainId = 8453, verifyingContract = DEFAULT_VERIFYING_CONTRACT }) {
+        this.engine = engine;
+        this.ledger = ledger;
+        this.lifecycle = lifecycle;
+        this.sessionTtl = sessionTtl;
+        this.verifySignatures = verifySignatures;
+        this.latency = latency;
+        this.errorRate = errorRate;
+        this.domain = {
+            name: 'Limitless CTF Exchange',
+            version: '1',
+            chainId,
+            verifyingContract
+        };
+
+        this.sessions = new Map(); // token -> { userId, address, expiresAt }
+        this.users = new Map();    // address(小写) -> userId
+        this.nextUserId = 1;
+
+        this.routes = [
+            ['POST', /^\/auth\/login$/, this.handleLogin],
+            ['GET', /^\/categories$/, this.handleCategories],
+            ['GET', /^\/markets\/active\/([^/]+)$/, this.handleActiveMarkets],
+            ['GET', /^\/markets\/([^/]+)\/orderbook$/, this.handleOrderbook],
+            ['GET', /^\/markets\/([^/]+)$/, this.handleMarket],
+            ['POST', /^\/orders$/, this.handlePlaceOrder, true],
+            ['POST', /^\/orders\/batch$/, this.handlePlaceOrdersBatch, true],
+            ['POST', /^\/orders\/cancel-batch$/, this.handleCancelOrdersBatch, true],
+            ['DELETE', /^\/orders\/all$/, this.handleCancelAllOrders, true],
+            ['DELETE', /^\/orders\/all\/([^/]+)$/, this.handleCancelAllOrders, true],
+            ['GET', /^\/orders\/([^/]+)$/, this.handleGetOrder, true],
+            ['DELETE', /^\/orders\/([^/]+)$/, this.handleCancelOrder, true],
+            ['GET', /^\/portfolio\/positions$/, this.handlePositions, true],
+            ['GET', /^\/portfolio\/([^/]+)\/traded-volume$/, this.handleTradedVolume]
+        ];
+
+        this.server = http.createServer((req, res) => this.dispatch(req, res));
+    }
+
+    listen(port, host = '127.0.0.1') {
+        return new Promise((resolve) => {
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+        });
+    }
+
+    async dispatch(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const method = req.method.toUpperCase();
+
+        try {
+            if (this.latency > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.latency));
+            }
+            if (this.errorRate > 0 && Math.random() < this.errorRate) {
+                throw new HttpError(500, '模拟服务端错误');
+            }
+
+            for (const [routeMethod, pattern, handler, needAuth] of this.routes) {
+                const match = method === routeMethod && url.pathname.match(pattern);
+                if (!match) {
+                    continue;
+                }
+
+                const session = needAuth ? this.authenticate(req) : null;
+                const body = method === 'POST' ? await readJson(req) : null;
+                const result = await handler.call(this, { req, res, url, params: match.slice(1), body, session });
+
+                if (!res.headersSent) {
+                    sendJson(res, 200, result);
+                }
+                return;
+            }
+
+            throw new HttpError(404, `未找到接口 ${method} ${url.pathname}`);
+        } catch (error) {
+            const status = error.status || (error instanceof EngineError ? 400 : 500);
+            sendJson(res, status, { message: error.message, ...(error.code ? { code: error.code } : {}) });
+        } finally {
+            console.log(`${method} ${url.pathname} -> ${res.statusCode}`);
+        }
+    }
+
+    authenticate(req) {
+        const cookies = parseCookies(req.headers.cookie);
+        const session = this.sessions.get(cookies[SESSION_COOKIE_NAME]);
+
+        if (!session || session.expiresAt <= Date.now()) {
+            throw new HttpError(401, '未登录或会话已过期');
+        }
+        return session;
+    }
+
+    /**
+     * POST /auth/login：校验签名消息，签发会话 cookie
+     */
+    handleLogin({ req, res }) {
+        const address = req.headers['x-account'];
+        const signature = req.headers['x-signature'];
+        const hexMessage = req.headers['x-signing-message'];
+
+        if (!address || !signature || !hexMessage) {
+            throw new HttpError(401, '缺少登录签名头');
+        }
+
+        const message = ethers.toUtf8String(hexMessage);
+        const recovered = ethers.verifyMessage(message, signature);
+        if (recovered.toLowerCase() !== address.toLowerCase()) {
+            throw new HttpError(401, '登录签名无效');
+        }
+
+        const key = address.toLowerCase();
+        if (!this.users.has(key)) {
+            this.users.set(key, this.nextUserId++);
+        }
+        const userId = this.users.get(key);
+
+        const token = crypto.randomBytes(24).toString('hex');
+        this.sessions.set(token, { userId, address: ethers.getAddress(address), expiresAt: Date.now() + this.sessionTtl * 1000 });
+
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE_NAME}=${token}; Max-Age=${this.sessionTtl}; Path=/; HttpOnly`);
+        return { id: userId, account: ethers.getAddress(address) };
+    }
+
+    handleCategories() {
+        return this.lifecycle.categories;
+    }
+
+    handleActiveMarkets({ params }) {
+        const data = this.lifecycle.getActiveListings(params[0]);
+        return { data, totalMarketsCount: data.length };
+    }
+
+    /**
+     * GET /markets/:slug：市场详情（含最近成交 feedEvents）
+     */
+    handleMarket({ params }) {
+        const slug = params[0];
+        const listing = this.lifecycle.listings.get(slug) || this.lifecycle.findMarket(slug);
+        if (!listing) {
+            throw new HttpError(404, `市场不存在: ${slug}`);
+        }
+
+        const feedEvents = (listing.markets || [listing])
+            .flatMap(market => market.feedEvents || [])
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        return { ...this.lifecycle.serializeMarket(listing), feedEvents };
+    }
+
+    handleOrderbook({ params }) {
+        const market = this.lifecycle.findMarket(params[0]);
+        if (!market || !market.tokens) {
+            throw new HttpError(404, `订单簿不存在: ${params[0]}`);
+        }
+        return this.engine.getOrderbookSnapshot(market);
+    }
+
+    /**
+     * POST /orders：校验签名后送入撮合引擎
+     */
+    handlePlaceOrder({ body, session }) {
+        const { order, ownerId, orderType = 'GTC', marketSlug, postOnly = false } = body || {};
+        if (!order || !marketSlug) {
+            throw new HttpError(400, '缺少 order 或 marketSlug');
+        }
+        if (ownerId !== undefined && Number(ownerId) !== session.userId) {
+            throw new HttpError(403, 'ownerId 与登录用户不一致');
+        }
+        if (order.maker?.toLowerCase() !== session.address.toLowerCase()) {
+            throw new HttpError(403, 'maker 与登录地址不一致');
+        }
+
+        const market = this.lifecycle.findMarket(marketSlug);
+        if (!market || market.expired) {
+            throw new HttpError(400, `市场不可交易: ${marketSlug}`);
+        }
+        if (!market.tokens) {
+            throw new HttpError(400, `AMM 市场不支持订单簿下单: ${marketSlug}`);
+        }
+
+        if (this.verifySignatures) {
+            this.verifyOrderSignature(order);
+        }
+
+        const side = Number(order.side) === 0 ? 'BUY' : 'SELL';
+        const makerAmount = Number(order.makerAmount);
+        const takerAmount = Number(order.takerAmount);
+        if (!(makerAmount > 0) || !(takerAmount > 0)) {
+            throw new HttpError(400, 'makerAmount 和 takerAmount 必须大于 0');
+        }
+
+        const params = {
+            userId: session.userId,
+            tokenId: String(order.tokenId),
+            side,
+            orderType,
+            postOnly,
+            expiration: Number(order.expiration || 0)
+        };
+
+        if (takerAmount === 1) {
+            // 市价单：买入时 makerAmount 为花费的 USDC，卖出时为卖出的份额
+            params.budget = makerAmount / 1e6;
+        } else if (side === 'BUY') {
+            params.price = round6(makerAmount / takerAmount);
+            params.size = takerAmount / 1e6;
+        } else {
+            params.price = round6(takerAmount / makerAmount);
+            params.size = makerAmount / 1e6;
+        }
+
+        const placed = this.engine.submit(market, params);
+        return {
+            order: this.engine.serializeOrder(placed),
+            makerMatches: placed.fills
+        };
+    }
+
+    /**
+     * POST /orders/batch：逐个下单，单个订单失败不影响其他订单
+     */
+    handlePlaceOrdersBatch({ body, session }) {
+        const orders = body?.orders;
+        if (!Array.isArray(orders) || orders.length === 0) {
+            throw new HttpError(400, 'orders 必须是非空数组');
+        }
+
+        const results = orders.map(orderBody => {
+            try {
+                return { success: true, ...this.handlePlaceOrder({ body: orderBody, session }) };
+            } catch (error) {
+                return { success: false, message: error.message, ...(error.code ? { code: error.code } : {}) };
+            }
+        });
+        return { results };
+    }
+
+    verifyOrderSignature(order) {
+        if (!order.signature) {
+            throw new HttpError(400, '订单缺少签名');
+        }
+
+        const typedOrder = toTypedOrder(order);
+
+        let recovered;
+        try {
+            recovered = ethers.verifyTypedData(this.domain, ORDER_TYPES, typedOrder, order.signature);
+        } catch (error) {
+            throw new HttpError(400, `订单签名无法解析: ${error.message}`);
+        }
+        if (recovered.toLowerCase() !== order.signer.toLowerCase()) {
+            throw new HttpError(400, '订单签名无效');
+        }
+    }
+
+    handleGetOrder({ params, session }) {
+        const order = this.engine.getOrder(params[0]);
+        if (!order || order.userId !== session.userId) {
+            throw new HttpError(404, `订单不存在: ${params[0]}`);
+        }
+        return this.engine.serializeOrder(order);
+    }
+
+    handleCancelOrder({ params, session }) {
+        const order = this.engine.cancel(params[0], session.userId);
+        if (!order) {
+            throw new HttpError(404, `订单不存在: ${params[0]}`);
+        }
+        if (order.status !== OrderStatus.CANCELLED) {
+            throw new HttpError(400, `订单状态为 ${order.status}，无法取消`);
+        }
+        return { message: 'Order canceled successfully', order: this.engine.serializeOrder(order) };
+    }
+
+    /**
+     * POST /orders/cancel-batch：批量撤单，返回每个订单的结果
+     */
+    handleCancelOrdersBatch({ body, session }) {
+        const orderIds = body?.orderIds;
+        if (!Array.isArray(orderIds) || orderIds.length === 0) {
+            throw new HttpError(400, 'orderIds 必须是非空数组');
+        }
+
+        const results = orderIds.map(orderId => {
+            try {
+                this.handleCancelOrder({ params: [orderId], session });
+                return { orderId, success: true };
+            } catch (error) {
+                return { orderId, success: false, message: error.message };
+            }
+        });
+        return { results };
+    }
+
+    /**
+     * DELETE /orders/all[/:slug]：撤销当前用户全部（或某个市场的）挂单
+     */
+    handleCancelAllOrders({ params, session }) {
+        const slug = params[0] || null;
+        const canceled = this.engine.cancelAllForUser(session.userId, slug)
+            .filter(Boolean)
+            .map(order => order.id);
+        return { message: `已撤销 ${canceled.length} 个订单`, canceled };
+    }
+
+    /**
+     * GET /portfolio/positions：按市场汇总持仓和挂单
+     */
+    handlePositions({ session }) {
+        const account = this.ledger.getAccount(session.userId);
+        const bySlug = new Map();
+
+        const entryFor = (market) => {
+            if (!bySlug.has(market.slug)) {
+                bySlug.set(market.slug, {
+                    market: {
+                        id: market.id ?? null,
+                        slug: market.slug,
+                        title: market.title,
+                        conditionId: market.conditionId,
+                        closed: !!market.expired,
+                        expirationTimestamp: market.expirationTimestamp
+                    },
+                    tokensBalance: { yes: '0', no: '0' },
+                    positions: {
+                        yes: { cost: '0', marketValue: '0' },
+                        no: { cost: '0', marketValue: '0' }
+                    },
+                    orders: { liveOrders: [], totalCollateralLocked: '0' }
+                });
+            }
+            return bySlug.get(market.slug);
+        };
+
+        for (const [tokenId, token] of account.tokens.entries()) {
+            const market = this.lifecycle.findMarketByToken(tokenId);
+            if (!market || token.balance <= 0) {
+                continue;
+            }
+
+            const outcome = market.tokens.yes === tokenId ? 'yes' : 'no';
+            const [yesPercent, noPercent] = this.lifecycle.getPrices(market);
+            const price = (outcome === 'yes' ? yesPercent : noPercent) / 100;
+            const entry = entryFor(market);
+
+            entry.tokensBalance[outcome] = String(Math.round(token.balance * 1e6));
+            entry.positions[outcome] = {
+                cost: String(Math.round(token.cost * 1e6)),
+                marketValue: String(Math.round(token.balance * price * 1e6))
+            };
+        }
+
+        for (const order of this.engine.getUserOrders(session.userId, { liveOnly: true })) {
+            const market = this.lifecycle.findMarket(order.marketSlug);
+            if (!market) {
+                continue;
+            }
+            const entry = entryFor(market);
+            entry.orders.liveOrders.push(this.engine.serializeOrder(order));
+            if (order.side === 'BUY') {
+                entry.orders.totalCollateralLocked = String(
+                    Number(entry.orders.totalCollateralLocked) + Math.round(order.price * order.remainingSize * 1e6)
+                );
+            }
+        }
+
+        return {
+            clob: Array.from(bySlug.values()),
+            amm: [],
+            usdcBalance: String(Math.round(account.usdc * 1e6)),
+            lockedUsdc: String(Math.round(account.lockedUsdc * 1e6))
+        };
+    }
+
+    handleTradedVolume({ params }) {
+        const userId = this.users.get(params[0].toLowerCase());
+        const volume = userId ? this.ledger.getAccount(userId).tradedVolume : 0;
+        return { data: String(Math.round(volume * 1e6)) };
+    }
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload ?? null));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (!raw) {
+                resolve(null);
+                return;
+            }
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(new HttpError(400, `请求体不是合法 JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+export default FakeExchangeServer;
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * 市场条款解析工具
+ *   check   用样例标题核对解析结果（修改解析规则后运行）
+ *   report  拉取当前活跃市场，列出解析出的行权价市场和无法解析的市场
+ *
+ * 用法:
+ *   node tools/market-parser/index.js check [--corpus corpus.json]
+ *   node tools/market-parser/index.js report [--all] [--json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { program } from 'commander';
+
+import { initializeConfig } from '../../src/core/config.js';
+import LimitlessApiClient from '../../src/core/api-client.js';
+import { parseMarketTerms, parseMarkets } from '../../src/core/market-parser.js';
+
+const DEFAULT_CORPUS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'corpus.json');
+const CHECKED_FIELDS = ['asset', 'strike', 'comparator', 'cadence'];
+
+class MarketParserCLI {
+    /**
+     * 核对样例
+     */
+    async check(options) {
+        let failed = 0;
+        try {
+            const { markets } = JSON.parse(fs.readFileSync(options.corpus, 'utf8'));
+
+            for (const sample of markets) {
+                const terms = parseMarketTerms(sample);
+                const problems = compareSample(sample, terms);
+                if (problems.length) {
+                    failed++;
+                    console.log(`❌ ${sample.title}`);
+                    problems.forEach(problem => console.log(`   ${problem}`));
+                } else {
+                    console.log(`✅ ${sample.title}`);
+                }
+            }
+
+            console.log('='.repeat(60));
+            console.log(`共 ${markets.length} 个样例，${failed ? `❌ ${failed} 个不符合期望` : '✅ 全部符合期望'}`);
+        } catch (error) {
+            console.error('❌ 核对样例失败:', error.message);
+            process.exit(1);
+        } finally {
+            process.exit(failed ? 1 : 0);
+        }
+    }
+
+    /**
+     * 解析当前活跃市场
+     */
+    async report(options) {
+        try {
+            await initializeConfig();
+            const apiClient = new LimitlessApiClient();
+            const markets = await apiClient.getMarkets();
+            const { strike, other, unparseable } = parseMarkets(markets);
+
+            if (options.json) {
+                const toEntry = ({ market, terms }) => ({ slug: market.slug, title: market.title, terms });
+                console.log(JSON.stringify({
+                    strike: strike.map(toEntry),
+                    unparseable: unparseable.map(toEntry),
+                    ...(options.all ? { other: other.map(toEntry) } : {})
+                }, null, 2));
+                return;
+            }
+
+            console.log(`📊 共 ${markets.length} 个市场: 行权价市场 ${strike.length}，其它 ${other.length}，无法解析 ${unparseable.length}`);
+
+            console.log('\n📐 行权价市场:');
+            for (const { market, terms } of strike) {
+                console.log(`   ${terms.symbol} ${terms.comparator} ${terms.strike} [${terms.cadence}] ${new Date(terms.settlementTime).toISOString()}  ${market.slug}`);
+            }
+
+            if (unparseable.length) {
+                console.log('\n⚠️ 无法解析:');
+                for (const { market, terms } of unparseable) {
+                    console.log(`   ${market.title} (${market.slug})`);
+                    terms.issues.forEach(issue => console.log(`      ${issue.field}: ${issue.message}`));
+                }
+            }
+
+            if (options.all && other.length) {
+                console.log('\n📋 其它市场:');
+                for (const { market, terms } of other) {
+                    console.log(`   [${terms.cadence}] ${market.title}`);
+                }
+            }
+        } catch (error) {
+            console.error('❌ 解析市场失败:', error.message);
+            process.exit(1);
+        } finally {
+            process.exit(0);
+        }
+    }
+}
+
+/**
+ * 对比解析结果与样例期望，返回不符合的说明
+ */
+function compareSample(sample, terms) {
+    const problems = [];
+    const issueFields = terms.issues.map(issue => issue.field);
+
+    if (sample.unparseable) {
+        for (const field of sample.unparseable) {
+            if (!issueFields.includes(field)) {
+                problems.push(`期望报告 ${field} 问题，实际问题: ${issueFields.join(', ') || '无'}`);
+            }
+        }
+        return problems;
+    }
+
+    if (terms.issues.length) {
+        terms.issues.forEach(issue => problems.push(`意外的问题 ${issue.field}: ${issue.message}`));
+    }
+
+    if (sample.expected === null) {
+        if (terms.isStrikeMarket) {
+            problems.push(`期望非行权价市场，实际解析为 ${terms.symbol} ${terms.comparator} ${terms.strike}`);
+        }
+        return problems;
+    }
+
+    for (const field of CHECKED_FIELDS) {
+        if (terms[field] !== sample.expected[field]) {
+            problems.push(`${field}: 期望 ${sample.expected[field]}，实际 ${terms[field]}`);
+        }
+    }
+    if (!terms.isStrikeMarket) {
+        problems.push('未解析为行权价市场');
+    }
+    return problems;
+}
+
+const cli = new MarketParserCLI();
+
+program
+    .name('market-parser')
+    .description('市场标题 / 元数据解析工具');
+
+program
+    .command('check')
+    .description('用样例标题核对解析结果')
+    .option('--corpus <file>', '样例文件', DEFAULT_CORPUS)
+    .action(async (options) => {
+        await cli.check(options);
+    });
+
+program
+    .command('report')
+    .description('解析当前活跃市场，列出无法解析的市场')
+    .option('--all', '同时列出非行权价市场')
+    .option('--json', '输出 JSON')
+    .action(async (options) => {
+        await cli.report(options);
+    });
+
+program.parse();
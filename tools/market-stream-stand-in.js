@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * 本地实时行情替身服务
+ * 模拟交易所的 WebSocket 行情推送，用于离线调试 MarketDataStream
+ *
+ * 用法:
+ *   node tools/market-stream-stand-in.js [--port 8090] [--interval 1000] [--gap-rate 0.05] [--drop-after 0]
+ *
+ * 然后设置 MARKET_STREAM_URL=ws://127.0.0.1:8090 启动系统
+ */
+
+import { program } from 'commander';
+import { WebSocketServer } from 'ws';
+
+program
+    .option('--port <port>', '监听端口', '8090')
+    .option('--interval <ms>', '推送间隔 (毫秒)', '1000')
+    .option('--gap-rate <rate>', '随机跳过序号的概率，用于模拟丢包', '0')
+    .option('--drop-after <count>', '推送指定条数后断开连接，0 表示不断开', '0')
+    .parse(process.argv);
+
+const options = program.opts();
+const interval = parseInt(options.interval);
+const gapRate = parseFloat(options.gapRate);
+const dropAfter = parseInt(options.dropAfter);
+
+// 每个市场的行情状态
+const marketStates = new Map();
+
+function getMarketState(slug) {
+    if (!marketStates.has(slug)) {
+        marketStates.set(slug, { seq: 0, yes: 0.5 });
+    }
+    return marketStates.get(slug);
+}
+
+/**
+ * 生成下一条价格和订单簿
+ */
+function nextTick(slug) {
+    const state = getMarketState(slug);
+
+    // 随机游走
+    state.yes = Math.min(0.99, Math.max(0.01, state.yes + (Math.random() - 0.5) * 0.02));
+    const yes = Math.round(state.yes * 1000) / 1000;
+
+    const bids = [1, 2, 3].map(level => ({ price: Math.max(0.001, yes - 0.01 * level), size: 100 * level }));
+    const asks = [1, 2, 3].map(level => ({ price: Math.min(0.999, yes + 0.01 * level), size: 100 * level }));
+
+    return { yes, bids, asks };
+}
+
+function nextSeq(slug) {
+    const state = getMarketState(slug);
+    state.seq += Math.random() < gapRate ? 2 : 1;
+    return state.seq;
+}
+
+const server = new WebSocketServer({ port: parseInt(options.port) });
+
+server.on('connection', (socket) => {
+    const subscriptions = new Set();
+    let sent = 0;
+
+    console.log('🔌 客户端已连接');
+
+    socket.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            return;
+        }
+
+        if (message.action === 'ping') {
+            socket.send(JSON.stringify({ type: 'pong' }));
+        } else if (message.action === 'subscribe') {
+            (message.marketSlugs || []).forEach(slug => subscriptions.add(slug));
+            console.log(`📥 订阅 ${message.marketSlugs?.length || 0} 个市场，当前共 ${subscriptions.size} 个`);
+        } else if (message.action === 'unsubscribe') {
+            (message.marketSlugs || []).forEach(slug => subscriptions.delete(slug));
+        }
+    });
+
+    const timer = setInterval(() => {
+        for (const slug of subscriptions) {
+            const { yes, bids, asks } = nextTick(slug);
+
+            socket.send(JSON.stringify({
+                channel: 'prices',
+                marketSlug: slug,
+                seq: nextSeq(slug),
+                data: { prices: [yes, 1 - yes] }
+            }));
+            socket.send(JSON.stringify({
+                channel: 'orderbook',
+                marketSlug: slug,
+                seq: nextSeq(slug),
+                data: { bids, asks }
+            }));
+
+            sent += 2;
+        }
+
+        if (dropAfter > 0 && sent >= dropAfter) {
+            console.log('✂️ 模拟断线');
+            socket.terminate();
+        }
+    }, interval);
+
+    socket.on('close', () => {
+        clearInterval(timer);
+        console.log('🔌 客户端已断开');
+    });
+});
+
+server.on('listening', () => {
+    console.log(`📡 行情替身服务已启动: ws://127.0.0.1:${options.port}`);
+});
+
+process.on('SIGINT', () => {
+    server.close();
+    process.exit(0);
+});
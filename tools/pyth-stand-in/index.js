@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * 本地 Pyth Hermes 替身服务
+ * 用样例价格数据模拟 Hermes /v2 接口，用于离线调试 PythClient 和 PythPriceStream
+ *
+ *   GET /v2/price_feeds?query=&asset_type=    价格 ID 查询
+ *   GET /v2/updates/price/latest?ids[]=       最新价格：按 --interval 轮播样例价格，发布时间为当前时间减 --lag
+ *   GET /v2/updates/price/<publish_time>      历史价格：按样例数据的原始时间返回不早于该时间的第一个点
+ *   GET /v2/updates/price/stream?ids[]=       SSE 推送，每 --interval 毫秒推送一次
+ *
+ * 用法:
+ *   node tools/pyth-stand-in/index.js [--port 8300] [--fixture fixture.json] [--interval 1000] [--lag 0] [--drop-after 0]
+ *
+ * 然后设置 PYTH_HERMES_URL=http://127.0.0.1:8300
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { program } from 'commander';
+
+const DEFAULT_FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixture.json');
+
+program
+    .option('--port <port>', '监听端口', '8300')
+    .option('--fixture <file>', '样例价格文件', DEFAULT_FIXTURE)
+    .option('--interval <ms>', '最新价格轮播 / SSE 推送间隔 (毫秒)', '1000')
+    .option('--lag <seconds>', '最新价格的发布时间比当前时间晚多少秒，用于模拟价格过期', '0')
+    .option('--drop-after <count>', 'SSE 推送指定条数后断开连接，0 表示不断开', '0')
+    .parse(process.argv);
+
+const options = program.opts();
+const interval = parseInt(options.interval);
+const lag = parseInt(options.lag);
+const dropAfter = parseInt(options.dropAfter);
+
+const fixture = JSON.parse(fs.readFileSync(options.fixture, 'utf8'));
+const startedAt = Date.now();
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * 样例数据点 -> Hermes parsed 条目
+ */
+function toParsed(id, point, publishTime) {
+    const { expo } = fixture.series[id];
+    const [recordedTime, price, conf, emaPrice] = point;
+    return {
+        id,
+        price: { price, conf, expo, publish_time: publishTime ?? recordedTime },
+        ema_price: { price: emaPrice, conf, expo, publish_time: publishTime ?? recordedTime },
+        metadata: { slot: null, proof_available_time: publishTime ?? recordedTime, prev_publish_time: (publishTime ?? recordedTime) - 1 }
+    };
+}
+
+function toUpdate(parsed) {
+    return { binary: { encoding: 'hex', data: [] }, parsed };
+}
+
+/**
+ * 解析 ids[] 参数，未知 ID 与 Hermes 一样返回 404
+ */
+function parseIds(url) {
+    const ids = url.searchParams.getAll('ids[]').map(id => id.toLowerCase().replace(/^0x/, ''));
+    if (ids.length === 0) {
+        throw new HttpError(400, 'Missing ids[] parameter');
+    }
+    const missing = ids.filter(id => !fixture.series[id]);
+    if (missing.length) {
+        throw new HttpError(404, `Price ids not found: ${missing.join(', ')}`);
+    }
+    return ids;
+}
+
+/**
+ * 当前轮播到的样例点
+ */
+function currentPoint(id) {
+    const { points } = fixture.series[id];
+    const index = Math.floor((Date.now() - startedAt) / interval) % points.length;
+    return points[index];
+}
+
+function latestUpdate(ids) {
+    const publishTime = Math.floor(Date.now() / 1000) - lag;
+    return toUpdate(ids.map(id => toParsed(id, currentPoint(id), publishTime)));
+}
+
+function handlePriceFeeds(url) {
+    const query = (url.searchParams.get('query') || '').toLowerCase();
+    const assetType = (url.searchParams.get('asset_type') || '').toLowerCase();
+    return fixture.feeds.filter(feed =>
+        (!query || feed.attributes.symbol.toLowerCase().includes(query)) &&
+        (!assetType || feed.attributes.asset_type.toLowerCase() === assetType)
+    );
+}
+
+function handleHistorical(url, publishTime) {
+    const ids = parseIds(url);
+    const parsed = ids.map(id => {
+        const point = fixture.series[id].points.find(([time]) => time >= publishTime);
+        if (!point) {
+            throw new HttpError(404, `No price update found for ${id} at or after ${publishTime}`);
+        }
+        return toParsed(id, point);
+    });
+    return toUpdate(parsed);
+}
+
+function handleStream(req, res, url) {
+    const ids = parseIds(url);
+    let sent = 0;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    console.log(`📡 SSE 客户端已连接: ${ids.length} 个价格`);
+
+    const push = () => {
+        res.write(`data:${JSON.stringify(latestUpdate(ids))}\n\n`);
+        sent++;
+        if (dropAfter > 0 && sent >= dropAfter) {
+            console.log(`✂️ 已推送 ${sent} 条，断开连接`);
+            clearInterval(timer);
+            res.end();
+        }
+    };
+
+    push();
+    const timer = setInterval(push, interval);
+    req.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+        if (req.method !== 'GET') {
+            throw new HttpError(405, 'Method not allowed');
+        }
+
+        let body;
+        const historical = url.pathname.match(/^\/v2\/updates\/price\/(\d+)$/);
+        if (url.pathname === '/v2/price_feeds') {
+            body = handlePriceFeeds(url);
+        } else if (url.pathname === '/v2/updates/price/latest') {
+            body = latestUpdate(parseIds(url));
+        } else if (url.pathname === '/v2/updates/price/stream') {
+            handleStream(req, res, url);
+            return;
+        } else if (historical) {
+            body = handleHistorical(url, parseInt(historical[1]));
+        } else {
+            throw new HttpError(404, `Not found: ${url.pathname}`);
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    } catch (error) {
+        // Hermes 的错误响应是纯文本
+        res.writeHead(error.status || 500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+    } finally {
+        if (url.pathname !== '/v2/updates/price/stream') {
+            console.log(`GET ${url.pathname} -> ${res.statusCode}`);
+        }
+    }
+});
+
+server.listen(parseInt(options.port), '127.0.0.1', () => {
+    const { port } = server.address();
+    console.log(`📈 Pyth 替身服务已启动: http://127.0.0.1:${port}`);
+    console.log(`   样例价格: ${fixture.feeds.map(feed => feed.attributes.symbol).join(', ')}`);
+    console.log(`   设置 PYTH_HERMES_URL=http://127.0.0.1:${port} 后启动系统`);
+});
+
+const shutdown = () => {
+    server.close(() => process.exit(0));
+    server.closeAllConnections?.();
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
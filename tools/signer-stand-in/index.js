@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * 本地签名服务替身
+ * 持有私钥并按白名单策略审核签名请求，交易进程通过 SIGNER_TYPE=remote 使用，自身不再持有私钥
+ *
+ * 用法:
+ *   node tools/signer-stand-in/index.js [--port 8200] [--token <token>] [--policy policy.json]
+ *                                       [--keys keys.json] [--keystore-dir <dir> --password <pwd>]
+ *                                       [--from-key-manager]
+ *
+ * 密钥来源（可组合，keyId 相同时后者覆盖前者）:
+ *   --keys             JSON 文件 { "keyId": "0x私钥" }
+ *   --keystore-dir     目录下的 <keyId>.json keystore 文件，使用 --password 解密
+ *   --from-key-manager 读取账户管理器的加密私钥存储（keyId 即账户ID）
+ *
+ * 然后设置 SIGNER_TYPE=remote SIGNER_REMOTE_URL=http://127.0.0.1:8200 SIGNER_REMOTE_TOKEN=<token> 启动系统
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { program } from 'commander';
+import { ethers } from 'ethers';
+
+import SigningPolicy from './policy.js';
+import SignerServer from './server.js';
+import KeyManager from '../../src/managers/key-manager.js';
+
+program
+    .option('--port <port>', '监听端口', '8200')
+    .option('--token <token>', '访问令牌（默认读取 SIGNER_REMOTE_TOKEN，为空时不校验）', process.env.SIGNER_REMOTE_TOKEN)
+    .option('--policy <file>', '签名策略 JSON 文件，覆盖默认规则')
+    .option('--keys <file>', '私钥 JSON 文件 { keyId: privateKey }')
+    .option('--keystore-dir <dir>', 'keystore 目录，文件名为 <keyId>.json')
+    .option('--password <password>', 'keystore 解密密码（默认读取 SIGNER_KEYSTORE_PASSWORD）', process.env.SIGNER_KEYSTORE_PASSWORD)
+    .option('--from-key-manager', '从账户管理器的加密存储加载私钥')
+    .parse(process.argv);
+
+const options = program.opts();
+
+async function loadWallets() {
+    const wallets = new Map();
+
+    if (options.fromKeyManager) {
+        const keyManager = new KeyManager();
+        await keyManager.initialize();
+        for (const [keyId, privateKey] of Object.entries(await keyManager.loadKeys())) {
+            wallets.set(keyId, new ethers.Wallet(privateKey));
+        }
+    }
+
+    if (options.keystoreDir) {
+        if (options.password == null) {
+            throw new Error('使用 --keystore-dir 时必须提供 --password 或 SIGNER_KEYSTORE_PASSWORD');
+        }
+        for (const file of fs.readdirSync(options.keystoreDir).filter(name => name.endsWith('.json'))) {
+            const json = fs.readFileSync(path.join(options.keystoreDir, file), 'utf8');
+            const wallet = await ethers.Wallet.fromEncryptedJson(json, options.password);
+            wallets.set(path.basename(file, '.json'), new ethers.Wallet(wallet.privateKey));
+        }
+    }
+
+    if (options.keys) {
+        const keys = JSON.parse(fs.readFileSync(options.keys, 'utf8'));
+        for (const [keyId, privateKey] of Object.entries(keys)) {
+            wallets.set(keyId, new ethers.Wallet(privateKey));
+        }
+    }
+
+    return wallets;
+}
+
+async function main() {
+    const wallets = await loadWallets();
+    if (wallets.size === 0) {
+        throw new Error('没有加载任何密钥（使用 --keys、--keystore-dir 或 --from-key-manager）');
+    }
+
+    const rules = options.policy ? JSON.parse(fs.readFileSync(options.policy, 'utf8')) : {};
+    const server = new SignerServer({ wallets, policy: new SigningPolicy(rules), token: options.token || null });
+    const address = await server.listen(parseInt(options.port));
+
+    console.log(`🔏 签名服务已启动: http://${address.address}:${address.port}`);
+    for (const [keyId, wallet] of wallets) {
+        console.log(`   ${keyId}: ${wallet.address}`);
+    }
+    if (!options.token) {
+        console.warn('⚠️ 未设置访问令牌，任何本机进程都可以请求签名');
+    }
+
+    const shutdown = async () => {
+        await server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌ 签名服务启动失败:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,229 @@
+/**
+ * 签名策略 - 签名服务在签名前审核每个请求
+ * 白名单为空表示全部拒绝，不认识的合约方法一律拒绝；金额均为最小单位（USDC 6 位小数、ETH wei）的十进制字符串
+ */
+
+import { ethers } from 'ethers';
+
+export const DEFAULT_POLICY = {
+    allowedChainIds: [8453],
+    // 登录消息以外的 personal_sign 一律拒绝
+    messagePatterns: ['^Welcome to Limitless Exchange!\\n'],
+    // EIP-712：只签交易所的订单
+    allowedPrimaryTypes: ['Order'],
+    allowedVerifyingContracts: [
+        '0x5a38afc17f7e97ad8d6c547ddb837e40b4aedfc6',
+        '0xa4409d988ca2218d956beefd3874100f444f0dc3'
+    ],
+    maxOrderAmount: null,
+    // 交易：目标合约、授权对象、收款地址白名单（AMM 市场需要把市场合约地址加入 allowedContracts 和 allowedSpenders）
+    allowedContracts: [
+        '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // USDC
+        '0xC9c98965297Bc527861c898329Ee280632B76e18'  // 条件代币
+    ],
+    allowedSpenders: [
+        '0x5a38afc17f7e97ad8d6c547ddb837e40b4aedfc6',
+        '0xa4409d988ca2218d956beefd3874100f444f0dc3'
+    ],
+    allowedRecipients: [],
+    allowUnlimitedApproval: false,
+    maxApproveAmount: null,
+    maxTransferAmount: null,
+    maxTradeAmount: null,
+    maxValue: '0'
+};
+
+// 允许签名的合约方法，其他方法一律拒绝
+const CALL_INTERFACE = new ethers.Interface([
+    'function approve(address spender, uint256 amount)',
+    'function increaseAllowance(address spender, uint256 addedValue)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'function transfer(address to, uint256 amount)',
+    'function transferFrom(address from, address to, uint256 amount)',
+    'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+    'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+    'function splitPosition(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
+    'function mergePositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
+    'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)',
+    'function buy(uint256 investmentAmount, uint256 outcomeIndex, uint256 minOutcomeTokensToBuy)',
+    'function sell(uint256 returnAmount, uint256 outcomeIndex, uint256 maxOutcomeTokensToSell)'
+]);
+
+export class PolicyViolation extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'PolicyViolation';
+        this.code = code;
+    }
+}
+
+export class SigningPolicy {
+    /**
+     * @param {Object} rules - 覆盖 DEFAULT_POLICY 的规则
+     */
+    constructor(rules = {}) {
+        const merged = { ...DEFAULT_POLICY, ...rules };
+
+        this.allowedChainIds = new Set(merged.allowedChainIds.map(id => BigInt(id)));
+        this.messagePatterns = merged.messagePatterns.map(pattern => new RegExp(pattern));
+        this.allowedPrimaryTypes = new Set(merged.allowedPrimaryTypes);
+        this.allowedVerifyingContracts = toAddressSet(merged.allowedVerifyingContracts);
+        this.allowedContracts = toAddressSet(merged.allowedContracts);
+        this.allowedSpenders = toAddressSet(merged.allowedSpenders);
+        this.allowedRecipients = toAddressSet(merged.allowedRecipients);
+        this.allowUnlimitedApproval = merged.allowUnlimitedApproval;
+        this.maxOrderAmount = toLimit(merged.maxOrderAmount);
+        this.maxApproveAmount = toLimit(merged.maxApproveAmount);
+        this.maxTransferAmount = toLimit(merged.maxTransferAmount);
+        this.maxTradeAmount = toLimit(merged.maxTradeAmount);
+        this.maxValue = toLimit(merged.maxValue);
+    }
+
+    /**
+     * personal_sign：消息必须匹配白名单模式
+     * @param {Uint8Array} message - 原始消息
+     */
+    checkMessage(message) {
+        let text;
+        try {
+            text = ethers.toUtf8String(message);
+        } catch {
+            throw new PolicyViolation('只允许签名文本消息', 'MESSAGE_NOT_TEXT');
+        }
+        if (!this.messagePatterns.some(pattern => pattern.test(text))) {
+            throw new PolicyViolation('消息不在允许范围内', 'MESSAGE_NOT_ALLOWED');
+        }
+    }
+
+    /**
+     * EIP-712：检查链、验证合约和订单内容
+     * @param {string} address - 签名账户地址
+     * @param {Object} payload - eth_signTypedData_v4 载荷 { domain, primaryType, message }
+     */
+    checkTypedData(address, { domain, primaryType, message }) {
+        if (!this.allowedPrimaryTypes.has(primaryType)) {
+            throw new PolicyViolation(`不允许签名 ${primaryType} 类型的数据`, 'TYPE_NOT_ALLOWED');
+        }
+        if (domain?.chainId == null || !this.allowedChainIds.has(BigInt(domain.chainId))) {
+            throw new PolicyViolation(`不允许的链 ${domain?.chainId}`, 'CHAIN_NOT_ALLOWED');
+        }
+        if (!domain.verifyingContract || !isAllowed(this.allowedVerifyingContracts, domain.verifyingContract)) {
+            throw new PolicyViolation(`验证合约 ${domain.verifyingContract} 不在白名单`, 'CONTRACT_NOT_ALLOWED');
+        }
+
+        if (primaryType === 'Order') {
+            // 订单只能以签名账户自己的名义下单
+            for (const field of ['maker', 'signer']) {
+                if (ethers.getAddress(message[field]) !== address) {
+                    throw new PolicyViolation(`订单 ${field} 不是签名账户`, 'ORDER_NOT_OWNED');
+                }
+            }
+            checkLimit(BigInt(message.makerAmount), this.maxOrderAmount, '订单金额', 'ORDER_AMOUNT_EXCEEDED');
+        }
+    }
+
+    /**
+     * 交易：检查链、目标合约、ETH 金额，以及授权 / 转账 / 交易的参数
+     * @param {string} address - 签名账户地址
+     * @param {ethers.Transaction} tx - 未签名交易
+     */
+    checkTransaction(address, tx) {
+        if (!this.allowedChainIds.has(tx.chainId)) {
+            throw new PolicyViolation(`不允许的链 ${tx.chainId}`, 'CHAIN_NOT_ALLOWED');
+        }
+        if (!tx.to) {
+            throw new PolicyViolation('不允许部署合约', 'CONTRACT_CREATION');
+        }
+
+        checkLimit(tx.value, this.maxValue, '转账 ETH', 'VALUE_EXCEEDED');
+
+        if (tx.data === '0x') {
+            // 纯 ETH 转账，收款地址按收款白名单检查（转给自己用于取消卡住的交易，始终允许）
+            if (ethers.getAddress(tx.to) !== address) {
+                this.checkRecipient(tx.to);
+            }
+            return;
+        }
+
+        if (!isAllowed(this.allowedContracts, tx.to)) {
+            throw new PolicyViolation(`目标合约 ${tx.to} 不在白名单`, 'CONTRACT_NOT_ALLOWED');
+        }
+
+        let call = null;
+        try {
+            call = CALL_INTERFACE.parseTransaction({ data: tx.data });
+        } catch {
+            // 选择器匹配但参数无法解码，按未知方法处理
+        }
+        if (!call) {
+            throw new PolicyViolation(`不允许调用方法 ${tx.data.slice(0, 10)}`, 'METHOD_NOT_ALLOWED');
+        }
+
+        switch (call.name) {
+            case 'approve':
+            case 'increaseAllowance':
+                this.checkSpender(call.args[0]);
+                if (call.args[1] === ethers.MaxUint256) {
+                    if (!this.allowUnlimitedApproval) {
+                        throw new PolicyViolation('不允许无限额授权', 'UNLIMITED_APPROVAL');
+                    }
+                } else {
+                    checkLimit(call.args[1], this.maxApproveAmount, '授权金额', 'APPROVAL_EXCEEDED');
+                }
+                break;
+            case 'setApprovalForAll':
+                if (call.args[1]) {
+                    this.checkSpender(call.args[0]);
+                }
+                break;
+            case 'transfer':
+            case 'transferFrom': {
+                const [to, amount] = call.name === 'transfer' ? call.args : call.args.slice(1);
+                this.checkRecipient(to);
+                checkLimit(amount, this.maxTransferAmount, '转账金额', 'TRANSFER_EXCEEDED');
+                break;
+            }
+            case 'safeTransferFrom':
+            case 'safeBatchTransferFrom':
+                // 条件代币转账，份额没有统一的金额上限，只检查收款地址
+                this.checkRecipient(call.args[1]);
+                break;
+            case 'buy':
+            case 'sell':
+                checkLimit(call.args[0], this.maxTradeAmount, '交易金额', 'TRADE_EXCEEDED');
+                break;
+        }
+    }
+
+    checkRecipient(recipient) {
+        if (!isAllowed(this.allowedRecipients, recipient)) {
+            throw new PolicyViolation(`收款地址 ${recipient} 不在白名单`, 'RECIPIENT_NOT_ALLOWED');
+        }
+    }
+
+    checkSpender(spender) {
+        if (!isAllowed(this.allowedSpenders, spender)) {
+            throw new PolicyViolation(`授权对象 ${spender} 不在白名单`, 'SPENDER_NOT_ALLOWED');
+        }
+    }
+}
+
+function toAddressSet(addresses = []) {
+    return new Set(addresses.map(address => ethers.getAddress(address.toLowerCase())));
+}
+
+function toLimit(value) {
+    return value == null ? null : BigInt(value);
+}
+
+function isAllowed(allowList, address) {
+    return allowList.has(ethers.getAddress(address));
+}
+
+function checkLimit(amount, limit, label, code) {
+    if (limit !== null && amount > limit) {
+        throw new PolicyViolation(`${label} ${amount} 超过上限 ${limit}`, code);
+    }
+}
+
+export default SigningPolicy;
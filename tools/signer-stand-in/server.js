@@ -0,0 +1,184 @@
+/**
+ * 签名服务 HTTP 接口
+ * 实现 RemoteSigner 使用的协议，签名前用 SigningPolicy 审核，拒绝时返回 403
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+import { PolicyViolation } from './policy.js';
+
+class HttpError extends Error {
+    constructor(status, message, code = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+export class SignerServer {
+    /**
+     * @param {Object} options
+     * @param {Map<string, ethers.Wallet>} options.wallets - keyId -> 钱包
+     * @param {SigningPolicy} options.policy - 签名策略
+     * @param {string} options.token - 访问令牌，为空时不校验（只用于本地调试）
+     */
+    constructor({ wallets, policy, token = null }) {
+        this.wallets = wallets;
+        this.policy = policy;
+        this.token = token;
+
+        this.routes = [
+            ['GET', /^\/keys\/([^/]+)$/, this.handleAddress],
+            ['POST', /^\/keys\/([^/]+)\/sign-message$/, this.handleSignMessage],
+            ['POST', /^\/keys\/([^/]+)\/sign-typed-data$/, this.handleSignTypedData],
+            ['POST', /^\/keys\/([^/]+)\/sign-transaction$/, this.handleSignTransaction]
+        ];
+
+        this.server = http.createServer((req, res) => this.dispatch(req, res));
+    }
+
+    listen(port, host = '127.0.0.1') {
+        return new Promise((resolve) => {
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+        });
+    }
+
+    async dispatch(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const method = req.method.toUpperCase();
+        let detail = '';
+
+        try {
+            this.authenticate(req);
+
+            for (const [routeMethod, pattern, handler] of this.routes) {
+                const match = method === routeMethod && url.pathname.match(pattern);
+                if (!match) {
+                    continue;
+                }
+
+                const keyId = decodeURIComponent(match[1]);
+                const wallet = this.wallets.get(keyId);
+                if (!wallet) {
+                    throw new HttpError(404, `未知的密钥 ${keyId}`, 'UNKNOWN_KEY');
+                }
+
+                const body = method === 'POST' ? await readJson(req) : null;
+                const result = await handler.call(this, { wallet, body });
+                detail = result.detail || '';
+                sendJson(res, 200, result.response);
+                return;
+            }
+
+            throw new HttpError(404, `未找到接口 ${method} ${url.pathname}`);
+        } catch (error) {
+            if (error instanceof PolicyViolation) {
+                detail = error.message;
+                sendJson(res, 403, { message: error.message, code: error.code });
+            } else {
+                detail = error.message;
+                sendJson(res, error.status || 400, { message: error.message, ...(error.code ? { code: error.code } : {}) });
+            }
+        } finally {
+            console.log(`${method} ${url.pathname} -> ${res.statusCode}${detail ? ` ${detail}` : ''}`);
+        }
+    }
+
+    authenticate(req) {
+        if (!this.token) {
+            return;
+        }
+        const header = req.headers.authorization || '';
+        const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+        const expected = Buffer.from(this.token);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            throw new HttpError(401, '访问令牌无效', 'UNAUTHORIZED');
+        }
+    }
+
+    /**
+     * GET /keys/:keyId
+     */
+    handleAddress({ wallet }) {
+        return { response: { address: wallet.address } };
+    }
+
+    /**
+     * POST /keys/:keyId/sign-message { message }
+     */
+    async handleSignMessage({ wallet, body }) {
+        if (!ethers.isHexString(body?.message)) {
+            throw new HttpError(400, 'message 必须是十六进制字符串');
+        }
+        const message = ethers.getBytes(body.message);
+        this.policy.checkMessage(message);
+
+        const signature = await wallet.signMessage(message);
+        return { response: { signature }, detail: 'personal_sign' };
+    }
+
+    /**
+     * POST /keys/:keyId/sign-typed-data { typedData }
+     */
+    async handleSignTypedData({ wallet, body }) {
+        const typedData = body?.typedData;
+        if (!typedData?.types || !typedData.domain || !typedData.primaryType || !typedData.message) {
+            throw new HttpError(400, 'typedData 格式无效');
+        }
+        this.policy.checkTypedData(wallet.address, typedData);
+
+        const { EIP712Domain, ...types } = typedData.types;
+        const signature = await wallet.signTypedData(typedData.domain, types, typedData.message);
+        return { response: { signature }, detail: `${typedData.primaryType} ${typedData.domain.verifyingContract}` };
+    }
+
+    /**
+     * POST /keys/:keyId/sign-transaction { transaction }
+     */
+    async handleSignTransaction({ wallet, body }) {
+        let tx;
+        try {
+            tx = ethers.Transaction.from(body?.transaction);
+        } catch (error) {
+            throw new HttpError(400, `transaction 无法解析: ${error.message}`);
+        }
+        if (tx.signature) {
+            throw new HttpError(400, 'transaction 必须是未签名交易');
+        }
+        this.policy.checkTransaction(wallet.address, tx);
+
+        tx.signature = wallet.signingKey.sign(tx.unsignedHash);
+        return { response: { signedTransaction: tx.serialized }, detail: `to ${tx.to} nonce ${tx.nonce}` };
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(new HttpError(400, '请求体不是有效的 JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+export default SignerServer;
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * 资金调拨命令行工具
+ * 从资金钱包给余额不足的账户补充 USDC / ETH，把超出上限的利润归集回资金钱包
+ * 所有调拨命令默认只预览，加 --execute 才会发送交易
+ */
+
+import { program } from 'commander';
+import StateManager from '../src/managers/state-manager.js';
+import AccountManager from '../src/managers/account-manager.js';
+import TreasuryManager, { TransferType, describeTransfer, formatAmount, Asset } from '../src/managers/treasury-manager.js';
+
+class TreasuryCLI {
+    constructor() {
+        this.treasury = null;
+    }
+
+    /**
+     * 初始化系统
+     */
+    async initializeSystem() {
+        if (!this.treasury) {
+            const stateManager = new StateManager();
+            const accountManager = new AccountManager(stateManager);
+            await accountManager.loadAccountsFromState();
+            this.treasury = new TreasuryManager(accountManager);
+        }
+        return this.treasury;
+    }
+
+    /**
+     * 显示余额
+     */
+    async showBalances(options) {
+        try {
+            await this.initializeSystem();
+            const { funding, accounts } = await this.treasury.getBalances(parseAccounts(options.accounts));
+
+            console.log('💰 资金钱包:');
+            console.log(`   ${funding.address}  ${formatAmount(Asset.USDC, funding.usdc)} USDC  ${formatAmount(Asset.ETH, funding.eth)} ETH`);
+            console.log('='.repeat(60));
+
+            for (const account of accounts) {
+                if (account.error) {
+                    console.log(`   ${account.accountId}: ❌ ${account.error}`);
+                    continue;
+                }
+                console.log(`   ${account.accountId} (${account.address})`);
+                console.log(`      USDC: ${formatAmount(Asset.USDC, account.usdc)}  ETH: ${formatAmount(Asset.ETH, account.eth)}`);
+            }
+        } catch (error) {
+            console.error('❌ 读取余额失败:', error.message);
+            process.exit(1);
+        } finally {
+            process.exit(0);
+        }
+    }
+
+    /**
+     * 生成调拨计划并预览，--execute 时执行
+     */
+    async transfer(options, { fund, sweep }) {
+        try {
+            await this.initializeSystem();
+            const plan = await this.treasury.plan({ fund, sweep, accountIds: parseAccounts(options.accounts) });
+
+            printPlan(plan);
+
+            if (!plan.transfers.length) {
+                return;
+            }
+            if (!options.execute) {
+                console.log('\n💡 以上仅为预览，使用 --execute 参数发送转账');
+                return;
+            }
+
+            console.log('\n🚀 开始执行...');
+            const records = await this.treasury.execute(plan);
+            const failed = records.filter(record => record.status === 'failed');
+            console.log(`\n✅ 完成 ${records.length - failed.length} 笔，失败 ${failed.length} 笔`);
+            if (failed.length) {
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error('❌ 资金调拨失败:', error.message);
+            process.exit(1);
+        } finally {
+            process.exit(0);
+        }
+    }
+
+    /**
+     * 显示转账记录
+     */
+    async showHistory(options) {
+        try {
+            await this.initializeSystem();
+            const records = (await this.treasury.getLog()).slice(-parseInt(options.limit));
+
+            if (!records.length) {
+                console.log('📋 暂无转账记录');
+                return;
+            }
+
+            console.log('📋 转账记录:');
+            console.log('='.repeat(60));
+            for (const record of records) {
+                const status = record.status === 'confirmed' ? '✅' : '❌';
+                console.log(`${status} ${new Date(record.timestamp).toLocaleString()} ${describeTransfer({ ...record, amount: BigInt(record.amount) })}`);
+                console.log(`   ${record.hash || record.error}`);
+            }
+        } catch (error) {
+            console.error('❌ 读取转账记录失败:', error.message);
+            process.exit(1);
+        } finally {
+            process.exit(0);
+        }
+    }
+}
+
+function parseAccounts(value) {
+    return value ? value.split(',').map(s => s.trim()) : null;
+}
+
+function printPlan(plan) {
+    console.log(`💰 资金钱包 ${plan.funding.address}: ${formatAmount(Asset.USDC, plan.funding.usdc)} USDC, ${formatAmount(Asset.ETH, plan.funding.eth)} ETH`);
+    console.log('='.repeat(60));
+
+    if (!plan.transfers.length) {
+        console.log('✅ 所有账户余额都在范围内，无需调拨');
+    }
+
+    plan.transfers.forEach((transfer, index) => {
+        const icon = transfer.type === TransferType.FUND ? '⬇️' : '⬆️';
+        console.log(`${index + 1}. ${icon} ${describeTransfer(transfer)}`);
+        console.log(`   当前余额 ${formatAmount(transfer.asset, transfer.balanceBefore)} ${transfer.asset}，收款地址 ${transfer.to}`);
+    });
+
+    for (const item of plan.skipped) {
+        const amount = item.amount ? ` ${formatAmount(item.asset, item.amount)} ${item.asset}` : '';
+        console.log(`⚠️ 跳过 ${item.accountId}${amount}: ${item.reason}`);
+    }
+}
+
+// 创建CLI实例
+const cli = new TreasuryCLI();
+
+// 配置命令行程序
+program
+    .name('treasury')
+    .description('资金钱包与交易账户之间的 USDC / ETH 调拨工具')
+    .version('1.0.0');
+
+// 余额命令
+program
+    .command('balances')
+    .description('显示资金钱包和各账户的 USDC / ETH 余额')
+    .option('-a, --accounts <ids>', '只显示这些账户 (逗号分隔)')
+    .action(async (options) => {
+        await cli.showBalances(options);
+    });
+
+// 补足命令
+program
+    .command('fund')
+    .description('给低于下限的账户补足 USDC / ETH')
+    .option('-a, --accounts <ids>', '只处理这些账户 (逗号分隔)')
+    .option('-x, --execute', '发送转账（默认只预览）')
+    .action(async (options) => {
+        await cli.transfer(options, { fund: true, sweep: false });
+    });
+
+// 归集命令
+program
+    .command('sweep')
+    .description('把账户超出上限的 USDC / ETH 归集到资金钱包')
+    .option('-a, --accounts <ids>', '只处理这些账户 (逗号分隔)')
+    .option('-x, --execute', '发送转账（默认只预览）')
+    .action(async (options) => {
+        await cli.transfer(options, { fund: false, sweep: true });
+    });
+
+// 补足 + 归集
+program
+    .command('rebalance')
+    .description('同时补足和归集')
+    .option('-a, --accounts <ids>', '只处理这些账户 (逗号分隔)')
+    .option('-x, --execute', '发送转账（默认只预览）')
+    .action(async (options) => {
+        await cli.transfer(options, { fund: true, sweep: true });
+    });
+
+// 转账记录命令
+program
+    .command('history')
+    .description('显示转账记录')
+    .option('-n, --limit <count>', '显示最近多少条', '20')
+    .action(async (options) => {
+        await cli.showHistory(options);
+    });
+
+// 解析命令行参数
+program.parse();